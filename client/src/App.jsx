@@ -4,7 +4,21 @@ import VisitorDetailsForm from "./components/VisitorDetailsForm";
 import VisitorRegistrationForm from "./components/VisitorRegistrationForm";
 import PasswordModal from "./components/PasswordModal";
 import RecordMissedVisitModal from "./components/RecordMissedVisitModal";
+import BanVisitorModal from "./components/BanVisitorModal";
+import PendingBansModal from "./components/PendingBansModal";
+import AutoSignOutsModal from "./components/AutoSignOutsModal";
+import WatchlistWarningModal from "./components/WatchlistWarningModal";
+import VisitorFlagModal from "./components/VisitorFlagModal";
+import UnitRestrictionModal from "./components/UnitRestrictionModal";
+import UnitsModal from "./components/UnitsModal";
+import HostsModal from "./components/HostsModal";
+import EvacuationRollCall from "./components/EvacuationRollCall";
+import SitePickerModal from "./components/SitePickerModal";
+import ExpectedToday from "./components/ExpectedToday";
+import { findVisitorType } from "./components/VisitorTypeSelect";
+import { findAgreement, CHILD_AGREEMENT_NAME } from "./components/AgreementText";
 import HistoryDashboard from "./components/VisitHistory";
+import AuditLog from "./components/AuditLog";
 import { logClientError } from "./components/utils/error_logging";
 import SystemStatusWidget from './components/SystemStatusWidget';
 import TutorialModal from './components/TutorialModal';
@@ -13,6 +27,49 @@ import { HelpCircle } from 'lucide-react';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
 
+// Roles allowed to unban and to open the history records and audit trail
+const MANAGER_ROLES = ["manager", "admin"];
+
+// Roles allowed to manage the list of units
+const ADMIN_ROLES = ["admin"];
+
+// Audit trail page size and empty filters
+const AUDIT_PAGE_SIZE = 25;
+const initialAuditFilters = {
+  action: "",
+  visitor: "",
+  actor: "",
+  startDate: "",
+  endDate: "",
+};
+
+// Empty ban form shown in the ban modal
+const initialBanDetails = { category: "other", reason: "", expires_at: "" };
+
+// Empty flag form shown in the flag modal
+const initialFlagDetails = { text: "", expires_at: "" };
+
+// Empty form shown in the unit restriction modal
+const initialRestrictionDetails = { unit_id: "", reason: "" };
+
+// Restores the staff sign-in kept for this browser tab, if any
+const loadStaffSession = () => {
+  try {
+    const stored = sessionStorage.getItem("staffSession");
+    if (!stored) return null;
+    const session = JSON.parse(stored);
+    return new Date(session.expires_at) > new Date() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+// Restores the site this kiosk was set up for, if one has been chosen
+const loadSiteId = () => {
+  const stored = Number(localStorage.getItem("kioskSiteId"));
+  return stored > 0 ? stored : null;
+};
+
 // Initial state for the registration form
 const initialRegistrationForm = {
   firstName: "",
@@ -20,10 +77,13 @@ const initialRegistrationForm = {
   knownAs: "",
   address: "",
   phoneNumber: "",
+  unitId: "",
   unit: "",
+  hostId: "",
   reasonForVisit: "",
   visitorType: "visitor",
   companyName: "",
+  expectedDuration: "",
   photo: null,
 };
 
@@ -49,6 +109,8 @@ function App() {
   const [photoPreviewUrl, setPhotoPreviewUrl] = useState(null);
   const [isAgreementCheckedAdult, setIsAgreementCheckedAdult] = useState(false);
   const [isAgreementCheckedChild, setIsAgreementCheckedChild] = useState(false);
+  // The visitor's signature drawn on screen (PNG data URL), optional
+  const [signature, setSignature] = useState(null);
 
   // --- History data State ---
   const [showHistory, setShowHistory] = useState(false);
@@ -57,6 +119,7 @@ function App() {
   const [historySearchQuery, setHistorySearchQuery] = useState("");
   const [historyStartDate, setHistoryStartDate] = useState("");
   const [historyEndDate, setHistoryEndDate] = useState("");
+  const [historySiteId, setHistorySiteId] = useState(""); // "" for every site
   const [historyLoading, setHistoryLoading] = useState(false);
   const [sortConfig, setSortConfig] = useState({
     key: "entry_time",
@@ -67,14 +130,26 @@ function App() {
   const [editFormData, setEditFormData] = useState({});
   const [isDetailsAgreementChecked, setIsDetailsAgreementChecked] = useState(false);
 
+  // --- Audit Trail State ---
+  const [showAudit, setShowAudit] = useState(false);
+  const [auditEvents, setAuditEvents] = useState([]);
+  const [auditTotal, setAuditTotal] = useState(0);
+  const [auditPage, setAuditPage] = useState(1);
+  const [auditFilters, setAuditFilters] = useState(initialAuditFilters);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [cleanupRuns, setCleanupRuns] = useState([]);
+
   // --- Notification State (Global for forms and dashboard) ---
   const [message, setMessage] = useState("");
   const [messageType, setMessageType] = useState("");
 
-  // --- Global Password/Modal State ---
+  // --- Staff Sign-In State ---
+  const [staffSession, setStaffSession] = useState(loadStaffSession);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
-  const [password, setPassword] = useState(""); // Universal password input state
-  const [showPassword, setShowPassword] = useState(false); // Universal show/hide password state
+  const [staffUsername, setStaffUsername] = useState("");
+  const [password, setPassword] = useState(""); // Staff password input state
+  const [showPassword, setShowPassword] = useState(false); // Show/hide password state
+  const [historyToken, setHistoryToken] = useState(null); // Short-lived token for /history
 
   // --- Modal Context State (Tracks the pending action) ---
   const [modalContext, setModalContext] = useState({
@@ -90,6 +165,63 @@ function App() {
   const [showMissedVisitModal, setShowMissedVisitModal] = useState(false);
   const [missedEntryTime, setMissedEntryTime] = useState("");
 
+  // --- Ban Modal & Ban History State ---
+  const [showBanModal, setShowBanModal] = useState(false);
+  const [banDetails, setBanDetails] = useState(initialBanDetails);
+  const [banHistory, setBanHistory] = useState(null); // null until loaded for a signed-in staff member
+  const [pendingBans, setPendingBans] = useState([]); // Ban requests awaiting a manager
+  const [showPendingBans, setShowPendingBans] = useState(false);
+
+  // Visits signed out automatically at closing time, for staff to correct
+  const [autoSignOuts, setAutoSignOuts] = useState([]);
+  const [showAutoSignOuts, setShowAutoSignOuts] = useState(false);
+
+  // Visitors booked in for today at this site, for staff to sign in from
+  const [appointments, setAppointments] = useState([]);
+
+  // Earlier versions of the selected visitor's contact details
+  const [detailsHistory, setDetailsHistory] = useState(null); // null until loaded for a signed-in staff member
+
+  // Flags on the selected visitor (warnings short of a ban)
+  const [visitorFlags, setVisitorFlags] = useState([]);
+  const [showFlagModal, setShowFlagModal] = useState(false);
+  const [flagDetails, setFlagDetails] = useState(initialFlagDetails);
+
+  // The sites (centres) and the one this kiosk is at
+  const [sites, setSites] = useState([]);
+  const [siteId, setSiteId] = useState(loadSiteId);
+  const [showSitePicker, setShowSitePicker] = useState(false);
+
+  // The managed list of units offered at sign-in (active and retired)
+  const [units, setUnits] = useState([]);
+  const [showUnitsModal, setShowUnitsModal] = useState(false);
+
+  // The site's directory of hosts visitors come to see, and its contact details (admins only)
+  const [hosts, setHosts] = useState([]);
+  const [hostContacts, setHostContacts] = useState([]);
+  const [showHostsModal, setShowHostsModal] = useState(false);
+
+  // The evacuation under way at this site with its roll call (or the one just completed)
+  const [evacuation, setEvacuation] = useState(null);
+  const [showRollCall, setShowRollCall] = useState(false);
+
+  // The configured visitor types that drive the sign-in forms
+  const [visitorTypes, setVisitorTypes] = useState([]);
+
+  // The agreements visitors accept, each with its current version
+  const [agreements, setAgreements] = useState([]);
+
+  // Where the selected visitor stands with each agreement under its renewal rules
+  const [agreementStatuses, setAgreementStatuses] = useState([]);
+
+  // Units the selected visitor may not visit
+  const [unitRestrictions, setUnitRestrictions] = useState([]);
+  const [showRestrictionModal, setShowRestrictionModal] = useState(false);
+  const [restrictionDetails, setRestrictionDetails] = useState(initialRestrictionDetails);
+
+  // Watchlist: { title, message, matches, retry } when the details or photo match a banned visitor
+  const [watchlistWarning, setWatchlistWarning] = useState(null);
+
   // Debounce for live search
   const debounceTimeoutRef = useRef(null);
 
@@ -100,6 +232,33 @@ function App() {
     setTimeout(() => setMessage(""), 5000);
   };
 
+  // --- Staff Session Helpers ---
+  const saveStaffSession = (session) => {
+    sessionStorage.setItem("staffSession", JSON.stringify(session));
+    setStaffSession(session);
+  };
+
+  const clearStaffSession = () => {
+    sessionStorage.removeItem("staffSession");
+    setStaffSession(null);
+  };
+
+  const hasRole = (session, roles) =>
+    !!session && roles.includes(session.staff.role);
+
+  // Builds the request headers for privileged endpoints
+  const authHeaders = (session = staffSession) => ({
+    "Content-Type": "application/json",
+    ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+  });
+
+  // Throws the server message, dropping the local session if it has expired
+  const throwIfNotOk = (response, result, fallback) => {
+    if (response.ok) return;
+    if (response.status === 401) clearStaffSession();
+    throw new Error(result.message || fallback);
+  };
+
   // --- Utility function to sort data  ---
   const sortData = useCallback((data, config) => {
     if (!config.key) return data;
@@ -132,11 +291,12 @@ function App() {
 
   // --- API: Fetch Currently Signed-In Visitors ---
   const fetchVisitors = useCallback(async () => {
+    if (!siteId) return; // Nothing to show until the kiosk's site is chosen
     // Only show loading indicator initially or when explicitly triggered
     setIsLoading(true);
     setError(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/visitors`);
+      const response = await fetch(`${API_BASE_URL}/visitors?site_id=${siteId}`);
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -157,7 +317,7 @@ function App() {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [siteId]);
 
   // EFFECT: Auto-refresh "Who is On Site" table every 5 seconds
   useEffect(() => {
@@ -171,6 +331,154 @@ function App() {
     return () => clearInterval(intervalId);
   }, [fetchVisitors]);
 
+  // --- API: Fetch the Sites (no staff sign-in needed to read them) ---
+  const fetchSites = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/sites`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load sites.");
+      }
+      setSites(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/sites" }, "API_SITES_FAIL");
+      console.error("Error fetching sites:", err);
+    }
+  }, []);
+
+  // EFFECT: Load the sites once, at start-up
+  useEffect(() => {
+    fetchSites();
+  }, [fetchSites]);
+
+  // Sets the site this kiosk is at and keeps it for next time
+  const chooseSite = (id) => {
+    localStorage.setItem("kioskSiteId", String(id));
+    setSiteId(id);
+    setShowSitePicker(false);
+    setUnits([]);
+    setVisitors([]);
+  };
+
+  // EFFECT: Once the sites are loaded, make sure the kiosk is at an open one,
+  // choosing it when there is only one and asking otherwise
+  useEffect(() => {
+    if (sites.length === 0) return;
+    const activeSites = sites.filter((site) => site.is_active);
+    if (activeSites.some((site) => site.id === siteId)) return;
+    if (activeSites.length === 1) {
+      chooseSite(activeSites[0].id);
+    } else {
+      setShowSitePicker(true);
+    }
+  }, [sites, siteId]);
+
+  const currentSite = sites.find((site) => site.id === siteId) || null;
+
+  // --- API: Fetch the Units List (no staff sign-in needed to read it) ---
+  const fetchUnits = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/units?site_id=${siteId}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load units.");
+      }
+      setUnits(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/units" }, "API_UNITS_FAIL");
+      console.error("Error fetching units:", err);
+    }
+  }, [siteId]);
+
+  // EFFECT: Load the site's units, for the unit dropdowns
+  useEffect(() => {
+    fetchUnits();
+  }, [fetchUnits]);
+
+  // --- API: Fetch the Host Directory (no staff sign-in needed to read it) ---
+  const fetchHosts = useCallback(async () => {
+    if (!siteId) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/hosts?site_id=${siteId}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load hosts.");
+      }
+      setHosts(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/hosts" }, "API_HOSTS_FAIL");
+      console.error("Error fetching hosts:", err);
+    }
+  }, [siteId]);
+
+  // EFFECT: Load the site's hosts, for the host dropdowns
+  useEffect(() => {
+    fetchHosts();
+  }, [fetchHosts]);
+
+  // The host chosen in a form, or "" (no host) when they are no longer in the directory
+  const chosenHostId = (hostId) => (hosts.some((host) => host.id === Number(hostId)) ? hostId : "");
+
+  // --- API: Fetch the Visitor Types (no staff sign-in needed to read them) ---
+  const fetchVisitorTypes = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitor-types`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load visitor types.");
+      }
+      setVisitorTypes(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/visitor-types" }, "API_VISITOR_TYPES_FAIL");
+      console.error("Error fetching visitor types:", err);
+    }
+  }, []);
+
+  // EFFECT: Load the visitor types once, for the sign-in forms
+  useEffect(() => {
+    fetchVisitorTypes();
+  }, [fetchVisitorTypes]);
+
+  // --- API: Fetch the Agreements (current versions, shown to the visitor) ---
+  const fetchAgreements = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/agreements`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || "Failed to load agreements.");
+      }
+      setAgreements(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/agreements" }, "API_AGREEMENTS_FAIL");
+      console.error("Error fetching agreements:", err);
+    }
+  }, []);
+
+  // EFFECT: Load the agreements once, for the sign-in forms
+  useEffect(() => {
+    fetchAgreements();
+  }, [fetchAgreements]);
+
+  // The agreement versions the visitor accepted at this sign-in (those ticked), and the
+  // signature if one was drawn, so the server records exactly what was accepted
+  const agreementAcceptance = (typeCode, withDependents) => {
+    const visitorType = findVisitorType(visitorTypes, typeCode);
+    const adult =
+      isAgreementCheckedAdult && visitorType && findAgreement(agreements, visitorType.agreement);
+    const child =
+      isAgreementCheckedChild && withDependents && findAgreement(agreements, CHILD_AGREEMENT_NAME);
+    return {
+      ...(adult && { agreement_version_id: adult.version_id }),
+      ...(child && { child_agreement_version_id: child.version_id }),
+      ...(signature && { signature }),
+    };
+  };
+
+  // The sign-in message, with the agreement the visitor still has outstanding if any
+  const signInMessage = (result) =>
+    result.agreement_warning ? `${result.message} ${result.agreement_warning}` : result.message;
+
   // --- API: Visitor Search (Live Search with Debounce) ---
   const handleVisitorSearch = useCallback(async (term) => {
     const trimmedTerm = term.trim();
@@ -245,10 +553,13 @@ function App() {
       known_as: visitor.known_as || "",
       address: visitor.address || "",
       phone_number: visitor.phone_number || "",
+      unit_id: visitor.unit_id || "",
       unit: visitor.unit || "",
+      host_id: visitor.host_id || "",
       reason_for_visit: visitor.reason_for_visit || "",
       type: visitor.type || "visitor",
       company_name: visitor.company_name || "",
+      expected_duration_minutes: "",
       mandatory_acknowledgment_taken: visitor.mandatory_acknowledgment_taken || "",
       additional_dependents:
         visitor.dependents && Array.isArray(visitor.dependents)
@@ -262,6 +573,7 @@ function App() {
     setShowRegistration(false); 
     setIsAgreementCheckedAdult(false); 
     setIsAgreementCheckedChild(false);
+    setSignature(null);
     showNotification("Visitor details loaded.", "blue");
   };
 
@@ -272,6 +584,7 @@ function App() {
     setPhotoPreviewUrl(null);
     setIsAgreementCheckedAdult(false); 
     setIsAgreementCheckedChild(false);
+    setSignature(null);
     setSelectedVisitor(null);
     setSearchResults([]);
     setSearchTerm("");
@@ -285,6 +598,14 @@ function App() {
     setRegFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  const handleRegUnitSelect = (unit) => {
+    setRegFormData((prev) => ({
+      ...prev,
+      unitId: unit ? unit.id : "",
+      unit: unit ? unit.name : "",
+    }));
+  };
+
   const handlePhotoChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -315,8 +636,9 @@ function App() {
     setRegDependents(newDependents);
   };
 
-  const handleNewVisitorRegistration = async (e) => {
-    e.preventDefault();
+  // watchlistAcknowledged is true when staff confirmed a watchlist warning and re-submit
+  const handleNewVisitorRegistration = async (e, watchlistAcknowledged = false) => {
+    if (e) e.preventDefault();
     if (loadingRegistration) return;
 
     setLoadingRegistration(true);
@@ -326,10 +648,14 @@ function App() {
     formData.append("known_as", regFormData.knownAs || "");
     formData.append("address", regFormData.address || "");
     formData.append("phone_number", regFormData.phoneNumber);
+    formData.append("unit_id", regFormData.unitId);
     formData.append("unit", regFormData.unit);
+    formData.append("host_id", chosenHostId(regFormData.hostId));
     formData.append("reason_for_visit", regFormData.reasonForVisit);
     formData.append("type", regFormData.visitorType);
     formData.append("company_name", regFormData.companyName);
+    // Left blank, the server expects the type's usual length
+    formData.append("expected_duration_minutes", regFormData.expectedDuration);
     formData.append(
   "mandatory_acknowledgment_taken", 
   isAgreementCheckedAdult ? 1 : 0 
@@ -338,12 +664,21 @@ function App() {
       formData.append("photo", regFormData.photo);
     }
 
-    const validDependents = regDependents.filter(
-      (dep) => dep.full_name.trim() !== ""
-    );
+    // Dependents only come along when the chosen type allows them
+    const regVisitorType = findVisitorType(visitorTypes, regFormData.visitorType);
+    const validDependents = (
+      regVisitorType && regVisitorType.allows_dependents ? regDependents : []
+    ).filter((dep) => dep.full_name.trim() !== "");
     if (validDependents.length > 0) {
       formData.append("additional_dependents", JSON.stringify(validDependents));
     }
+    if (watchlistAcknowledged) {
+      formData.append("watchlist_acknowledged", "true");
+    }
+    formData.append("site_id", siteId);
+    Object.entries(
+      agreementAcceptance(regFormData.visitorType, validDependents.length > 0)
+    ).forEach(([key, value]) => formData.append(key, value));
 
     try {
       const response = await fetch(`${API_BASE_URL}/register-visitor`, {
@@ -353,12 +688,34 @@ function App() {
 
       const result = await response.json();
 
+      // The details match a banned visitor: nothing was saved, staff must check first
+      if (response.status === 409 && result.watchlist_matches) {
+        setWatchlistWarning({
+          message: result.message,
+          matches: result.watchlist_matches,
+          retry: () => handleNewVisitorRegistration(null, true),
+        });
+        return;
+      }
+
       if (!response.ok) {
+        // An agreement may have changed since it was shown; load the current text
+        if (response.status === 409) fetchAgreements();
         throw new Error(result.message || "Failed to register new visitor.");
       }
 
       setMessage("Visitor registered & signed in successfully!");
       setMessageType("success");
+
+      // The photo resembles a banned visitor: the visitor is in, but staff should check
+      if (result.photo_matches && result.photo_matches.length > 0) {
+        setWatchlistWarning({
+          title: "Photo Resembles a Banned Visitor",
+          message:
+            "The visitor has been signed in, but their photo looks like a banned visitor's. Please compare the photos and act if it is the same person.",
+          matches: result.photo_matches.map((match) => ({ ...match, matched_on: ["photo"] })),
+        });
+      }
       // Reset form state and UI
       setTimeout(() => {
         setRegFormData(initialRegistrationForm);
@@ -366,6 +723,7 @@ function App() {
         setPhotoPreviewUrl(null);
         setIsAgreementCheckedAdult(false)
         setIsAgreementCheckedChild(false)
+        setSignature(null);
         handleCancelAction(); // Go back to dashboard
       }, 4000);
 
@@ -390,7 +748,7 @@ function App() {
   // --- VisitorDetailsForm Handlers ---
 
   // 1.Handle Log In
-  const handleLogin = async (id) => {
+  const handleLogin = async (id, watchlistAcknowledged = false) => {
     if (!id || !selectedVisitor) return;
     if (selectedVisitor.is_banned === 1) {
       showNotification(
@@ -416,16 +774,38 @@ function App() {
       const response = await fetch(`${API_BASE_URL}/login`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ id }),
+        body: JSON.stringify({
+          id,
+          site_id: siteId,
+          watchlist_acknowledged: watchlistAcknowledged,
+          expected_duration_minutes: editFormData.expected_duration_minutes,
+          host_id: chosenHostId(editFormData.host_id),
+          // Sign-in repeats the last visit, so its type and dependents decide the agreements
+          ...agreementAcceptance(
+            selectedVisitor.type,
+            (editFormData.additional_dependents || []).length > 0
+          ),
+        }),
       });
 
       const result = await response.json();
 
+      if (response.status === 409 && result.watchlist_matches) {
+        setWatchlistWarning({
+          message: result.message,
+          matches: result.watchlist_matches,
+          retry: () => handleLogin(id, true),
+        });
+        return;
+      }
+
       if (!response.ok) {
+        // An agreement may have changed since it was shown; load the current text
+        if (response.status === 409) fetchAgreements();
         throw new Error(result.message || "Login failed.");
       }
 
-      showNotification(result.message, "success");
+      showNotification(signInMessage(result), "success");
       setTimeout(() => {
         handleCancelAction();
         fetchVisitors();
@@ -447,7 +827,8 @@ function App() {
   };
 
   // 2.Handle Update Details & Log In (Re-register)
-  const handleUpdateAndLogin = async () => {
+  // Called from a button click, so only an explicit true counts as acknowledging the watchlist
+  const handleUpdateAndLogin = async (watchlistAcknowledged) => {
     if (!selectedVisitor) return;
     if (selectedVisitor.is_banned === 1) {
       showNotification(
@@ -469,20 +850,29 @@ function App() {
 
       return;
     }
-    const cleanedDependents = (editFormData.additional_dependents || []).filter(
-      (dep) => dep.full_name && dep.full_name.trim() !== ""
-    );
+    const editVisitorType = findVisitorType(visitorTypes, editFormData.type);
+    const cleanedDependents = (
+      editVisitorType && editVisitorType.allows_dependents
+        ? editFormData.additional_dependents || []
+        : []
+    ).filter((dep) => dep.full_name && dep.full_name.trim() !== "");
     const dataToSend = {
       id: selectedVisitor.id,
+      site_id: siteId,
       known_as: editFormData.known_as,
       address: editFormData.address,
       phone_number: editFormData.phone_number,
+      unit_id: editFormData.unit_id,
       unit: editFormData.unit,
+      host_id: chosenHostId(editFormData.host_id),
       reason_for_visit: editFormData.reason_for_visit,
       type: editFormData.type,
       company_name: editFormData.company_name,
+      expected_duration_minutes: editFormData.expected_duration_minutes,
       mandatory_acknowledgment_taken: isAgreementCheckedAdult ? 1 : 0 ,
       additional_dependents: JSON.stringify(cleanedDependents),
+      watchlist_acknowledged: watchlistAcknowledged === true,
+      ...agreementAcceptance(editFormData.type, cleanedDependents.length > 0),
     };
 
     try {
@@ -494,11 +884,22 @@ function App() {
 
       const result = await response.json();
 
+      if (response.status === 409 && result.watchlist_matches) {
+        setWatchlistWarning({
+          message: result.message,
+          matches: result.watchlist_matches,
+          retry: () => handleUpdateAndLogin(true),
+        });
+        return;
+      }
+
       if (!response.ok) {
+        // An agreement may have changed since it was shown; load the current text
+        if (response.status === 409) fetchAgreements();
         throw new Error(result.message || "Update and sign failed.");
       }
 
-      showNotification(result.message);
+      showNotification(signInMessage(result));
       setTimeout(() => {
         handleCancelAction();
         fetchVisitors();
@@ -519,28 +920,144 @@ function App() {
     }
   };
 
-  // 3.Handle Ban Visitor
-  const handleBan = async (id) => {
+  // Saves the contact details on the visitor's profile without signing them in
+  const handleSaveDetails = (id) => {
+    if (!id) return;
+    if (staffSession) {
+      performSaveDetails(id, staffSession);
+      return;
+    }
+    openStaffSignIn({
+      type: "saveDetails",
+      visitorId: id,
+      title: "Staff Sign-In Required",
+      description: "Sign in with your staff account to update this visitor's details.",
+      submitText: "Sign In & Save Details",
+    });
+  };
+
+  const performSaveDetails = async (id, session) => {
+    const details = {
+      known_as: editFormData.known_as || "",
+      address: editFormData.address || "",
+      phone_number: editFormData.phone_number || "",
+    };
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/details`, {
+        method: "POST",
+        headers: authHeaders(session),
+        body: JSON.stringify(details),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to save visitor details.");
+      showNotification(result.message, "success");
+      setSelectedVisitor((prev) => (prev ? { ...prev, ...details, details_version: result.version } : null));
+      fetchDetailsHistory(id, session);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/details" },
+        "API_SAVE_VISITOR_DETAILS_FAIL"
+      );
+      console.error("Save Details Error:", err.message);
+      showNotification(`Save Details Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Loads every version of the selected visitor's contact details
+  const fetchDetailsHistory = async (id, session = staffSession) => {
+    if (!session) {
+      setDetailsHistory(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/details-history`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load details history.");
+      setDetailsHistory(result);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/details-history" },
+        "API_DETAILS_HISTORY_FAIL"
+      );
+      console.error("Details History Error:", err.message);
+      setDetailsHistory(null);
+    }
+  };
+
+  // EFFECT: Load the details history whenever a visitor is opened by signed-in staff
+  useEffect(() => {
+    if (selectedVisitor) {
+      fetchDetailsHistory(selectedVisitor.id);
+    } else {
+      setDetailsHistory(null);
+    }
+  }, [selectedVisitor?.id, staffSession]);
+
+  // 3.Handle Ban Visitor: managers ban straight away, receptionists send a request
+  // for a manager to approve. Either way the reason is recorded in the ban modal.
+  const openBanModal = () => {
+    setBanDetails(initialBanDetails);
+    setShowBanModal(true);
+  };
+
+  const handleBan = (id) => {
     if (!id) return;
+    if (staffSession) {
+      openBanModal();
+      return;
+    }
+    openStaffSignIn({
+      type: "ban",
+      visitorId: id,
+      title: "Staff Sign-In Required",
+      description:
+        "Sign in with your staff account. A manager's ban takes effect at once; other staff send a ban request for a manager to approve.",
+      submitText: "Sign In & Ban",
+    });
+  };
+
+  const confirmBan = () => {
+    setShowBanModal(false);
+    performBan(selectedVisitor.id, staffSession, banDetails);
+  };
+
+  const performBan = async (id, session, details) => {
     const isCurrentlySignedIn = visitors.some(
       (activeVisitor) => activeVisitor.id === id
     );
     try {
       const response = await fetch(`${API_BASE_URL}/ban-visitor/${id}`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders(session),
+        body: JSON.stringify({
+          category: details.category,
+          reason: details.reason.trim() || null,
+          expires_at: details.expires_at || null,
+        }),
       });
 
       const result = await response.json();
 
-      if (!response.ok) {
-        throw new Error(result.message || "Failed to ban visitor.");
+      throwIfNotOk(response, result, "Failed to ban visitor.");
+
+      // 202: the request is waiting for a manager, so the visitor is not banned yet
+      if (result.status === "pending") {
+        showNotification(result.message, "blue");
+        fetchBanHistory(id, session);
+        return;
       }
       if (isCurrentlySignedIn) {
         await handleVisitorLogout(id);
       }
       showNotification(result.message, "error");
       setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: 1 } : null)); // Update local state
+      fetchBanHistory(id, session);
       setTimeout(() => {
         handleCancelAction();
         fetchVisitors();
@@ -561,138 +1078,1150 @@ function App() {
     }
   };
 
-  // The first function that will handle the unban password.
-  const handleUnbanClick = (id) => {
-    setPassword("");
-    setMessage("");
-    setModalContext({
-      type: "unban",
-      visitorId: id,
-      title: "Confirm Unban Action",
-      description:
-        "Enter the Admin Password to authorize unbanning this visitor.",
-      submitText: "Authorize Unban",
-      submitColor: "bg-red-600 hover:bg-red-700",
-    });
-    setShowPasswordModal(true);
-  };
+  // Loads every ban (active, expired and lifted) for the selected visitor
+  const fetchBanHistory = async (id, session = staffSession) => {
+    if (!session) {
+      setBanHistory(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/bans`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
 
-  // The second function to handle showing the modal for viewing history
-  const handleViewHistoryClick = () => {
-    setPassword("");
-    setMessage(""); 
-    setModalContext({
-      type: "viewHistory",
-      visitorId: null,
-      title: "Access Visitor History",
-      description:
-        "Enter the Authorization Password to view all historical records.",
-      submitText: "Access Records",
-    });
-    setShowPasswordModal(true);
+      throwIfNotOk(response, result, "Failed to load ban history.");
+      setBanHistory(result);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/bans" },
+        "API_BAN_HISTORY_FAIL"
+      );
+      console.error("Ban History Error:", err.message);
+      setBanHistory(null);
+    }
   };
-  // Using a Universal function that will handle boths logics unban and view history data.
-  const EnterPassword = async (e) => {
-    e.preventDefault();
-    const currentAction = modalContext.type;
-    const currentId = modalContext.visitorId;
 
-    if (!password) {
-      showNotification("Password is required.", "error");
+  // Loads the ban requests waiting for approval (managers only)
+  const fetchPendingBans = async (session = staffSession) => {
+    if (!hasRole(session, MANAGER_ROLES)) {
+      setPendingBans([]);
       return;
-    } // --- 1. HANDLE UNBAN LOGIC ---
-
-    if (currentAction === "unban") {
-      try {
-        const response = await fetch(
-          `${API_BASE_URL}/unban-visitor/${currentId}`,
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ password }),
-          }
-        );
-        const result = await response.json();
-
-        if (!response.ok) {
-          throw new Error(result.message || "Failed to unban visitor.");
-        }
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/bans/pending`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
 
-        showNotification(result.message, "success");
-        setShowPasswordModal(false);
-        setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: 0 } : null));
-        fetchVisitors();
-      } catch (err) {
-        logClientError(
-        err, 
-        { 
-          // Include relevant context data for debugging
-          visitorName: `${selectedVisitor.first_name} ${selectedVisitor.last_name}`,
-          visitorId: currentId,
-          endpoint: '/unban-visitor'
-        }, 
-        'API_UNBAN_FAIL'
-      );
-        console.error("Unban Error:", err.message);
-        showNotification(`Unban Failed: ${err.message}`, "error");
-        setPassword("");
-        return;
-      }
+      throwIfNotOk(response, result, "Failed to load ban requests.");
+      setPendingBans(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/bans/pending" }, "API_PENDING_BANS_FAIL");
+      console.error("Pending Bans Error:", err.message);
     }
-    // --- 2. HANDLE VIEW HISTORY LOGIC ---
-    else if (currentAction === "viewHistory") {
-      //  Password check for history data
-      try {
-        const response = await fetch(`${API_BASE_URL}/authorize-history`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ password }),
-        });
-        const result = await response.json();
+  };
 
-        if (!response.ok) {
-          throw new Error(result.message || "History access denied.");
-        }
-        setShowPasswordModal(false);
-        setShowHistory(true);
-        setSelectedVisitor(null);
-        setShowRegistration(false);
-        setSearchResults([]);
+  // Approves or rejects a ban request ("approve" | "reject")
+  const reviewBan = async (banId, decision) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/bans/${banId}/${decision}`, {
+        method: "POST",
+        headers: authHeaders(),
+      });
+      const result = await response.json();
 
-        showNotification("History access granted. Loading data...", "blue");
-        fetchHistoryRecords("", "", "");
-      } catch (err) {
-        logClientError(
-        err, 
-        { 
-          // Include relevant context data for debugging
-          action: 'AUTHORIZE_HISTORY_VIEW',
-          endpoint: '/authorize-history'
-        }, 
-        'API_AUTHORIZE_HISTORY_FAIL'
-      );
-        console.error("History Access Error:", err.message);
-        showNotification(`Access Denied: ${err.message}`, "error");
-        setPassword("");
-        return;
+      throwIfNotOk(response, result, `Failed to ${decision} ban request.`);
+      showNotification(result.message, decision === "approve" ? "error" : "success");
+      fetchPendingBans();
+      fetchVisitors();
+      if (selectedVisitor) {
+        const reviewed = pendingBans.find((ban) => ban.id === banId);
+        if (reviewed && reviewed.visitor_id === selectedVisitor.id) {
+          if (decision === "approve") {
+            setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: 1 } : null));
+          }
+          fetchBanHistory(selectedVisitor.id);
+        }
       }
+    } catch (err) {
+      logClientError(
+        err,
+        { banId: banId, endpoint: `/bans/:id/${decision}` },
+        "API_REVIEW_BAN_FAIL"
+      );
+      console.error("Ban Review Error:", err.message);
+      showNotification(`Ban Review Failed: ${err.message}`, "error");
     }
-
-    setPassword("");
-    setModalContext({
-      type: null,
-      visitorId: null,
-      title: "",
-      description: "",
-      submitText: "",
-    });
   };
 
-  // handle correcting the entry time
-  const handleRecordMissedVisitClick = () => {
-       // Check if the visitor is already signed in before allowing the correct missed entry time.
-    const isAlreadySignedIn = visitors.some(
-      (activeVisitor) => activeVisitor.id === selectedVisitor.id
+  // Adds a unit, or saves changes to one (admins only); resolves true when saved
+  const saveUnit = async (unitId, details) => {
+    const endpoint = unitId ? `/units/${unitId}` : "/units";
+    try {
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: details.name.trim(),
+          building: details.building.trim(),
+          floor: details.floor.trim(),
+          ...(!unitId && { site_id: siteId }),
+        }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to save unit.");
+      showNotification(result.message, "success");
+      fetchUnits();
+      return true;
+    } catch (err) {
+      logClientError(err, { unitId: unitId, endpoint: unitId ? "/units/:id" : "/units" }, "API_SAVE_UNIT_FAIL");
+      console.error("Save Unit Error:", err.message);
+      showNotification(`Saving Unit Failed: ${err.message}`, "error");
+      return false;
+    }
+  };
+
+  // Retires a unit so it is no longer offered, or brings it back (admins only)
+  const setUnitActive = async (unitId, isActive) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/units/${unitId}`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ is_active: isActive }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to update unit.");
+      showNotification(result.message, "success");
+      fetchUnits();
+    } catch (err) {
+      logClientError(err, { unitId: unitId, endpoint: "/units/:id" }, "API_SAVE_UNIT_FAIL");
+      console.error("Update Unit Error:", err.message);
+      showNotification(`Updating Unit Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Deletes a unit that was added by mistake and never visited (admins only)
+  const removeUnit = async (unitId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/units/${unitId}/remove`, {
+        method: "POST",
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to remove unit.");
+      showNotification(result.message, "success");
+      fetchUnits();
+    } catch (err) {
+      logClientError(err, { unitId: unitId, endpoint: "/units/:id/remove" }, "API_REMOVE_UNIT_FAIL");
+      console.error("Remove Unit Error:", err.message);
+      showNotification(`Removing Unit Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Loads this site's whole host directory with how each host is notified (admins only)
+  const fetchHostContacts = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/hosts/contacts?site_id=${siteId}`, {
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load hosts.");
+      setHostContacts(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/hosts/contacts" }, "API_HOSTS_FAIL");
+      console.error("Host Contacts Error:", err.message);
+      showNotification(`Loading Hosts Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Reloads both views of the directory after a change
+  const refreshHosts = () => {
+    fetchHosts();
+    fetchHostContacts();
+  };
+
+  // Adds a host, or saves changes to one (admins only); resolves true when saved
+  const saveHost = async (hostId, details) => {
+    const endpoint = hostId ? `/hosts/${hostId}` : "/hosts";
+    try {
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: details.name.trim(),
+          unit_id: details.unit_id,
+          notify_by: details.notify_by,
+          email: details.notify_by === "email" ? details.email.trim() : "",
+          webhook_url: details.notify_by === "webhook" ? details.webhook_url.trim() : "",
+          ...(!hostId && { site_id: siteId }),
+        }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to save host.");
+      showNotification(result.message, "success");
+      refreshHosts();
+      return true;
+    } catch (err) {
+      logClientError(err, { hostId: hostId, endpoint: hostId ? "/hosts/:id" : "/hosts" }, "API_SAVE_HOST_FAIL");
+      console.error("Save Host Error:", err.message);
+      showNotification(`Saving Host Failed: ${err.message}`, "error");
+      return false;
+    }
+  };
+
+  // Retires a host who has left so they are no longer offered, or brings them back (admins only)
+  const setHostActive = async (hostId, isActive) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/hosts/${hostId}`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ is_active: isActive }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to update host.");
+      showNotification(result.message, "success");
+      refreshHosts();
+    } catch (err) {
+      logClientError(err, { hostId: hostId, endpoint: "/hosts/:id" }, "API_SAVE_HOST_FAIL");
+      console.error("Update Host Error:", err.message);
+      showNotification(`Updating Host Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Loads this site's visits signed out automatically at closing time (any signed-in staff)
+  const fetchAutoSignOuts = async (session = staffSession) => {
+    if (!session || !siteId) {
+      setAutoSignOuts([]);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/visits/auto-signed-out?site_id=${siteId}`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load automatic sign-outs.");
+      setAutoSignOuts(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/visits/auto-signed-out" }, "API_AUTO_SIGN_OUTS_FAIL");
+      console.error("Automatic Sign-Outs Error:", err.message);
+    }
+  };
+
+  // Saves the real exit time of a visit signed out at closing time
+  const correctExitTime = async (visitId, exitTime) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/visits/${visitId}/exit-time`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ exit_time: exitTime }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to save the exit time.");
+      showNotification(result.message, "success");
+      fetchAutoSignOuts();
+    } catch (err) {
+      logClientError(
+        err,
+        { visitId: visitId, endpoint: "/visits/:id/exit-time" },
+        "API_CORRECT_EXIT_TIME_FAIL"
+      );
+      console.error("Exit Time Error:", err.message);
+      showNotification(`Saving Exit Time Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Loads today's appointments at this site (any signed-in staff)
+  const fetchAppointments = async (session = staffSession) => {
+    if (!session || !siteId) {
+      setAppointments([]);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/appointments?site_id=${siteId}`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load today's appointments.");
+      setAppointments(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/appointments" }, "API_APPOINTMENTS_FAIL");
+      console.error("Appointments Error:", err.message);
+    }
+  };
+
+  // Books a visitor in at this site; resolves true once booked
+  const bookAppointment = async (details) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/appointments`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ ...details, site_id: siteId }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to book the visitor.");
+      showNotification(result.message, "success");
+      fetchAppointments();
+      return true;
+    } catch (err) {
+      logClientError(err, { endpoint: "/appointments" }, "API_BOOK_APPOINTMENT_FAIL");
+      console.error("Book Appointment Error:", err.message);
+      showNotification(`Booking Failed: ${err.message}`, "error");
+      return false;
+    }
+  };
+
+  const cancelAppointment = async (appointmentId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/appointments/${appointmentId}/cancel`, {
+        method: "POST",
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to cancel the appointment.");
+      showNotification(result.message, "success");
+      fetchAppointments();
+    } catch (err) {
+      logClientError(
+        err,
+        { appointmentId: appointmentId, endpoint: "/appointments/:id/cancel" },
+        "API_CANCEL_APPOINTMENT_FAIL"
+      );
+      console.error("Cancel Appointment Error:", err.message);
+      showNotification(`Cancelling Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Signs in the visitor of an appointment, creating their profile if they have none
+  const signInAppointment = async (appointment, agreementSigned, watchlistAcknowledged = false) => {
+    const visitorType = findVisitorType(visitorTypes, appointment.type);
+    const agreement = agreementSigned && visitorType && findAgreement(agreements, visitorType.agreement);
+    try {
+      const response = await fetch(`${API_BASE_URL}/appointments/${appointment.id}/sign-in`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          watchlist_acknowledged: watchlistAcknowledged,
+          ...(agreement && { agreement_version_id: agreement.version_id }),
+        }),
+      });
+      const result = await response.json();
+
+      if (response.status === 409 && result.watchlist_matches) {
+        setWatchlistWarning({
+          message: result.message,
+          matches: result.watchlist_matches,
+          retry: () => signInAppointment(appointment, agreementSigned, true),
+        });
+        return;
+      }
+      // An agreement may have changed since it was shown; load the current text
+      if (response.status === 409) fetchAgreements();
+      throwIfNotOk(response, result, "Failed to sign in the visitor.");
+      showNotification(signInMessage(result), "success");
+      fetchAppointments();
+      fetchVisitors();
+    } catch (err) {
+      logClientError(
+        err,
+        {
+          visitorName: `${appointment.first_name} ${appointment.last_name}`,
+          appointmentId: appointment.id,
+          endpoint: "/appointments/:id/sign-in",
+        },
+        "API_APPOINTMENT_SIGN_IN_FAIL"
+      );
+      console.error("Appointment Sign-In Error:", err.message);
+      showNotification(`Sign In Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Loads the evacuation under way at this site, if any, with its roll call
+  const fetchActiveEvacuation = async (session = staffSession) => {
+    if (!session || !siteId) {
+      setEvacuation(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/evacuations/active?site_id=${siteId}`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load the roll call.");
+      setEvacuation(result);
+    } catch (err) {
+      logClientError(err, { endpoint: "/evacuations/active" }, "API_EVACUATION_FAIL");
+      console.error("Evacuation Error:", err.message);
+    }
+  };
+
+  // Starts an evacuation at this site, taking the roll call from everyone signed in now
+  const startEvacuation = async () => {
+    if (!window.confirm("Start an evacuation? Everyone signed in now will be put on the roll call.")) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/evacuations`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ site_id: siteId }),
+      });
+      const result = await response.json();
+
+      // Someone else already started one: open theirs
+      if (response.status === 409 && result.id) {
+        await fetchActiveEvacuation();
+        setShowRollCall(true);
+        return;
+      }
+      throwIfNotOk(response, result, "Failed to start the evacuation.");
+      const { message, ...started } = result;
+      setEvacuation(started);
+      setShowRollCall(true);
+      showNotification(message, "success");
+    } catch (err) {
+      logClientError(err, { endpoint: "/evacuations" }, "API_START_EVACUATION_FAIL");
+      console.error("Start Evacuation Error:", err.message);
+      showNotification(`Starting the Evacuation Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Marks someone on the roll call safe, or unaccounted again
+  const markEvacuee = async (person, status) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/evacuations/${evacuation.id}/people/${person.id}`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ status }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to update the roll call.");
+      setEvacuation((prev) =>
+        prev && {
+          ...prev,
+          people: prev.people.map((entry) => (entry.id === result.person.id ? result.person : entry)),
+        }
+      );
+    } catch (err) {
+      logClientError(
+        err,
+        { evacuationId: evacuation.id, personId: person.id, endpoint: "/evacuations/:id/people/:personId" },
+        "API_MARK_EVACUEE_FAIL"
+      );
+      console.error("Roll Call Error:", err.message);
+      showNotification(`Updating the Roll Call Failed: ${err.message}`, "error");
+    }
+  };
+
+  // Completes the roll call, keeping it for the record; resolves true once done
+  const endEvacuation = async (notes) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/evacuations/${evacuation.id}/end`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({ notes }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to complete the roll call.");
+      const { message, ...ended } = result;
+      setEvacuation(ended);
+      showNotification(message, ended.safe_count < ended.headcount ? "error" : "success");
+      return true;
+    } catch (err) {
+      logClientError(err, { evacuationId: evacuation.id, endpoint: "/evacuations/:id/end" }, "API_END_EVACUATION_FAIL");
+      console.error("End Evacuation Error:", err.message);
+      showNotification(`Completing the Roll Call Failed: ${err.message}`, "error");
+      return false;
+    }
+  };
+
+  // EFFECT: Keep the pending ban count current for signed-in managers
+  useEffect(() => {
+    fetchPendingBans();
+  }, [staffSession]);
+
+  // EFFECT: Keep the automatic sign-out count current for signed-in staff
+  useEffect(() => {
+    fetchAutoSignOuts();
+  }, [staffSession, siteId]);
+
+  // EFFECT: Load today's appointments for signed-in staff
+  useEffect(() => {
+    fetchAppointments();
+  }, [staffSession, siteId]);
+
+  // EFFECT: Pick up an evacuation under way at this site for signed-in staff
+  useEffect(() => {
+    fetchActiveEvacuation();
+  }, [staffSession, siteId]);
+
+  // EFFECT: While the roll call is open, pick up people other staff have marked safe
+  useEffect(() => {
+    if (!showRollCall || !evacuation || evacuation.ended_at) return;
+    const intervalId = setInterval(fetchActiveEvacuation, 10000);
+    return () => clearInterval(intervalId);
+  }, [showRollCall, evacuation?.id, evacuation?.ended_at, staffSession]);
+
+  // EFFECT: Load the ban history whenever a visitor is opened by signed-in staff
+  useEffect(() => {
+    if (selectedVisitor) {
+      fetchBanHistory(selectedVisitor.id);
+    } else {
+      setBanHistory(null);
+    }
+  }, [selectedVisitor?.id, staffSession]);
+
+  // Loads the flags showing for a visitor (no staff sign-in needed to read them)
+  const fetchVisitorFlags = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/flags`);
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load visitor flags.");
+      setVisitorFlags(result);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/flags" },
+        "API_VISITOR_FLAGS_FAIL"
+      );
+      console.error("Visitor Flags Error:", err.message);
+      setVisitorFlags([]);
+    }
+  };
+
+  // EFFECT: Load the flags whenever a visitor is opened
+  useEffect(() => {
+    if (selectedVisitor) {
+      fetchVisitorFlags(selectedVisitor.id);
+    } else {
+      setVisitorFlags([]);
+    }
+  }, [selectedVisitor?.id]);
+
+  // 4.Handle Flags: any signed-in staff member can add or remove one
+  const openFlagModal = () => {
+    setFlagDetails(initialFlagDetails);
+    setShowFlagModal(true);
+  };
+
+  const handleAddFlag = (id) => {
+    if (!id) return;
+    if (staffSession) {
+      openFlagModal();
+      return;
+    }
+    openStaffSignIn({
+      type: "addFlag",
+      visitorId: id,
+      title: "Staff Sign-In Required",
+      description: "Sign in with your staff account to add a flag to this visitor.",
+      submitText: "Sign In & Add Flag",
+    });
+  };
+
+  const confirmAddFlag = async () => {
+    setShowFlagModal(false);
+    const id = selectedVisitor.id;
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/flags`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          text: flagDetails.text.trim(),
+          expires_at: flagDetails.expires_at || null,
+        }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to add flag.");
+      showNotification(result.message, "success");
+      fetchVisitorFlags(id);
+      fetchVisitors();
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/flags" },
+        "API_ADD_FLAG_FAIL"
+      );
+      console.error("Add Flag Error:", err.message);
+      showNotification(`Add Flag Failed: ${err.message}`, "error");
+    }
+  };
+
+  const performRemoveFlag = async (flagId, session) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/flags/${flagId}/remove`, {
+        method: "POST",
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to remove flag.");
+      showNotification(result.message, "success");
+      if (selectedVisitor) fetchVisitorFlags(selectedVisitor.id);
+      fetchVisitors();
+    } catch (err) {
+      logClientError(
+        err,
+        { flagId: flagId, endpoint: "/flags/:id/remove" },
+        "API_REMOVE_FLAG_FAIL"
+      );
+      console.error("Remove Flag Error:", err.message);
+      showNotification(`Remove Flag Failed: ${err.message}`, "error");
+    }
+  };
+
+  const handleRemoveFlag = (flagId) => {
+    if (staffSession) {
+      performRemoveFlag(flagId, staffSession);
+      return;
+    }
+    openStaffSignIn({
+      type: "removeFlag",
+      flagId: flagId,
+      title: "Staff Sign-In Required",
+      description: "Sign in with your staff account to remove this flag.",
+      submitText: "Sign In & Remove Flag",
+    });
+  };
+
+  // Loads the units a visitor may not visit (no staff sign-in needed to read them)
+  const fetchUnitRestrictions = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/unit-restrictions`);
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load unit restrictions.");
+      setUnitRestrictions(result);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/unit-restrictions" },
+        "API_UNIT_RESTRICTIONS_FAIL"
+      );
+      console.error("Unit Restrictions Error:", err.message);
+      setUnitRestrictions([]);
+    }
+  };
+
+  // EFFECT: Load the unit restrictions whenever a visitor is opened
+  useEffect(() => {
+    if (selectedVisitor) {
+      fetchUnitRestrictions(selectedVisitor.id);
+    } else {
+      setUnitRestrictions([]);
+    }
+  }, [selectedVisitor?.id]);
+
+  // Loads where the visitor stands with each agreement, so the form shows what is outstanding
+  const fetchAgreementStatuses = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/agreements`);
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load the visitor's agreements.");
+      setAgreementStatuses(result);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/agreements" },
+        "API_AGREEMENT_STATUSES_FAIL"
+      );
+      console.error("Agreement Statuses Error:", err.message);
+      setAgreementStatuses([]);
+    }
+  };
+
+  // EFFECT: Load the agreement statuses whenever a visitor is opened
+  useEffect(() => {
+    if (selectedVisitor) {
+      fetchAgreementStatuses(selectedVisitor.id);
+    } else {
+      setAgreementStatuses([]);
+    }
+  }, [selectedVisitor?.id]);
+
+  // 5.Handle Unit Restrictions: any staff member can add one, a manager lifts it
+  const openRestrictionModal = () => {
+    setRestrictionDetails(initialRestrictionDetails);
+    setShowRestrictionModal(true);
+  };
+
+  const handleAddUnitRestriction = (id) => {
+    if (!id) return;
+    if (staffSession) {
+      openRestrictionModal();
+      return;
+    }
+    openStaffSignIn({
+      type: "addUnitRestriction",
+      visitorId: id,
+      title: "Staff Sign-In Required",
+      description: "Sign in with your staff account to restrict this visitor from a unit.",
+      submitText: "Sign In & Restrict Unit",
+    });
+  };
+
+  const confirmAddUnitRestriction = async () => {
+    setShowRestrictionModal(false);
+    const id = selectedVisitor.id;
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${id}/unit-restrictions`, {
+        method: "POST",
+        headers: authHeaders(),
+        body: JSON.stringify({
+          unit_id: restrictionDetails.unit_id,
+          reason: restrictionDetails.reason.trim() || null,
+        }),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to add unit restriction.");
+      showNotification(result.message, "success");
+      fetchUnitRestrictions(id);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: id, endpoint: "/visitors/:id/unit-restrictions" },
+        "API_ADD_UNIT_RESTRICTION_FAIL"
+      );
+      console.error("Add Unit Restriction Error:", err.message);
+      showNotification(`Restrict Unit Failed: ${err.message}`, "error");
+    }
+  };
+
+  const performRemoveUnitRestriction = async (restrictionId, session) => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/unit-restrictions/${restrictionId}/remove`,
+        {
+          method: "POST",
+          headers: authHeaders(session),
+        }
+      );
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to lift unit restriction.");
+      showNotification(result.message, "success");
+      if (selectedVisitor) fetchUnitRestrictions(selectedVisitor.id);
+    } catch (err) {
+      logClientError(
+        err,
+        { restrictionId: restrictionId, endpoint: "/unit-restrictions/:id/remove" },
+        "API_REMOVE_UNIT_RESTRICTION_FAIL"
+      );
+      console.error("Remove Unit Restriction Error:", err.message);
+      showNotification(`Lift Restriction Failed: ${err.message}`, "error");
+    }
+  };
+
+  const handleRemoveUnitRestriction = (restrictionId) => {
+    if (hasRole(staffSession, MANAGER_ROLES)) {
+      performRemoveUnitRestriction(restrictionId, staffSession);
+      return;
+    }
+    openStaffSignIn({
+      type: "removeUnitRestriction",
+      restrictionId: restrictionId,
+      title: "Manager Sign-In Required",
+      description: "A manager or admin must sign in to lift this unit restriction.",
+      submitText: "Sign In & Lift Restriction",
+    });
+  };
+
+  // Opens the staff sign-in modal and remembers the action waiting on it
+  const openStaffSignIn = (context) => {
+    setStaffUsername(staffSession ? staffSession.staff.username : "");
+    setPassword("");
+    setMessage("");
+    setModalContext({ visitorId: null, ...context });
+    setShowPasswordModal(true);
+  };
+
+  // Unbanning needs a manager or admin
+  const handleUnbanClick = (id) => {
+    if (hasRole(staffSession, MANAGER_ROLES)) {
+      performUnban(id, staffSession);
+      return;
+    }
+    openStaffSignIn({
+      type: "unban",
+      visitorId: id,
+      title: "Confirm Unban Action",
+      description:
+        "A manager or admin must sign in to authorize unbanning this visitor.",
+      submitText: "Sign In & Unban",
+      submitColor: "bg-red-600 hover:bg-red-700",
+    });
+  };
+
+  // Viewing history needs a manager or admin
+  const handleViewHistoryClick = () => {
+    if (hasRole(staffSession, MANAGER_ROLES)) {
+      openHistory(staffSession);
+      return;
+    }
+    openStaffSignIn({
+      type: "viewHistory",
+      title: "Access Visitor History",
+      description:
+        "A manager or admin must sign in to view all historical records.",
+      submitText: "Sign In & Access Records",
+    });
+  };
+
+  const performUnban = async (id, session) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/unban-visitor/${id}`, {
+        method: "POST",
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to unban visitor.");
+
+      showNotification(result.message, "success");
+      setSelectedVisitor((prev) => (prev ? { ...prev, is_banned: 0 } : null));
+      fetchBanHistory(id, session);
+      fetchVisitors();
+    } catch (err) {
+      logClientError(
+        err,
+        {
+          // Include relevant context data for debugging
+          visitorName: selectedVisitor
+            ? `${selectedVisitor.first_name} ${selectedVisitor.last_name}`
+            : "Unknown",
+          visitorId: id,
+          endpoint: "/unban-visitor",
+        },
+        "API_UNBAN_FAIL"
+      );
+      console.error("Unban Error:", err.message);
+      showNotification(`Unban Failed: ${err.message}`, "error");
+    }
+  };
+
+  const openHistory = async (session) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/authorize-history`, {
+        method: "POST",
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "History access denied.");
+
+      setHistoryToken(result.history_token);
+      setShowAudit(false);
+      setShowHistory(true);
+      setSelectedVisitor(null);
+      setShowRegistration(false);
+      setSearchResults([]);
+
+      showNotification("History access granted. Loading data...", "blue");
+      fetchHistoryRecords("", "", "", result.history_token);
+    } catch (err) {
+      logClientError(
+        err,
+        {
+          // Include relevant context data for debugging
+          action: "AUTHORIZE_HISTORY_VIEW",
+          endpoint: "/authorize-history",
+        },
+        "API_AUTHORIZE_HISTORY_FAIL"
+      );
+      console.error("History Access Error:", err.message);
+      showNotification(`Access Denied: ${err.message}`, "error");
+    }
+  };
+
+  // Signs the staff member in, then carries on with the pending action
+  const handleStaffSignIn = async (e) => {
+    e.preventDefault();
+    const currentAction = modalContext.type;
+    const currentId = modalContext.visitorId;
+    const currentFlagId = modalContext.flagId;
+    const currentRestrictionId = modalContext.restrictionId;
+
+    if (!staffUsername || !password) {
+      showNotification("Username and password are required.", "error");
+      return;
+    }
+
+    let session;
+    try {
+      const response = await fetch(`${API_BASE_URL}/staff/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: staffUsername, password }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || "Staff sign-in failed.");
+      }
+      session = {
+        token: result.token,
+        expires_at: result.expires_at,
+        staff: result.staff,
+      };
+      saveStaffSession(session);
+    } catch (err) {
+      logClientError(
+        err,
+        {
+          // Include relevant context data for debugging
+          action: currentAction,
+          endpoint: "/staff/login",
+        },
+        "API_STAFF_LOGIN_FAIL"
+      );
+      console.error("Staff Sign-In Error:", err.message);
+      showNotification(`Sign-In Failed: ${err.message}`, "error");
+      setPassword("");
+      return;
+    }
+
+    setShowPasswordModal(false);
+    setPassword("");
+    setModalContext({
+      type: null,
+      visitorId: null,
+      title: "",
+      description: "",
+      submitText: "",
+    });
+
+    if (currentAction === "unban") performUnban(currentId, session);
+    else if (currentAction === "viewHistory") openHistory(session);
+    else if (currentAction === "viewAudit") openAudit(session);
+    else if (currentAction === "ban") openBanModal();
+    else if (currentAction === "addFlag") openFlagModal();
+    else if (currentAction === "saveDetails") performSaveDetails(currentId, session);
+    else if (currentAction === "removeFlag") performRemoveFlag(currentFlagId, session);
+    else if (currentAction === "addUnitRestriction") openRestrictionModal();
+    else if (currentAction === "removeUnitRestriction") {
+      performRemoveUnitRestriction(currentRestrictionId, session);
+    }
+    else if (currentAction === "missedVisit") {
+      setMissedEntryTime("");
+      setShowMissedVisitModal(true);
+    } else showNotification(`Signed in as ${session.staff.display_name}.`, "success");
+  };
+
+  // Ends the staff session on the server and locally
+  const handleStaffSignOut = async () => {
+    try {
+      await fetch(`${API_BASE_URL}/staff/logout`, {
+        method: "POST",
+        headers: authHeaders(),
+      });
+    } catch (err) {
+      console.error("Staff Sign-Out Error:", err.message);
+    }
+    // Signing out also revokes history access on the server
+    clearStaffSession();
+    setHistoryToken(null);
+    setShowHistory(false);
+    setShowAudit(false);
+    showNotification("Staff signed out.", "blue");
+  };
+
+  // Lists the IP addresses and accounts locked out of signing in (managers only)
+  const fetchLockouts = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/staff/lockouts`, {
+        headers: authHeaders(),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load lockouts.");
+      return result;
+    } catch (err) {
+      logClientError(err, { endpoint: "/staff/lockouts" }, "API_LOCKOUTS_FAIL");
+      console.error("Lockouts Error:", err.message);
+      return null;
+    }
+  };
+
+  // Lifts a sign-in lockout early (managers only)
+  const handleClearLockout = async (lockoutId) => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/staff/lockouts/${lockoutId}/clear`,
+        { method: "POST", headers: authHeaders() }
+      );
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to clear lockout.");
+      showNotification(result.message, "success");
+    } catch (err) {
+      logClientError(
+        err,
+        {
+          lockoutId: lockoutId,
+          endpoint: `/staff/lockouts/${lockoutId}/clear`,
+        },
+        "API_CLEAR_LOCKOUT_FAIL"
+      );
+      console.error("Clear Lockout Error:", err.message);
+      showNotification(`Clear Lockout Failed: ${err.message}`, "error");
+    }
+  };
+
+  // --- Audit Trail Handlers ---
+  const fetchAuditEvents = async (
+    filters = auditFilters,
+    page = auditPage,
+    session = staffSession
+  ) => {
+    setAuditLoading(true);
+    try {
+      const url = new URL(`${API_BASE_URL}/api/audit/events`);
+      if (filters.action) url.searchParams.append("action", filters.action);
+      if (filters.visitor) url.searchParams.append("visitor", filters.visitor);
+      if (filters.actor) url.searchParams.append("actor", filters.actor);
+      if (filters.startDate) url.searchParams.append("from", filters.startDate);
+      if (filters.endDate) url.searchParams.append("to", filters.endDate);
+      url.searchParams.append("limit", AUDIT_PAGE_SIZE);
+      url.searchParams.append("offset", (page - 1) * AUDIT_PAGE_SIZE);
+
+      const response = await fetch(url.toString(), {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load audit events.");
+      setAuditEvents(result.events);
+      setAuditTotal(result.total);
+      setAuditPage(page);
+    } catch (err) {
+      logClientError(
+        err,
+        {
+          filters: filters,
+          page: page,
+          endpoint: "/api/audit/events",
+        },
+        "API_AUDIT_EVENTS_FAIL"
+      );
+      console.error("Audit Events Error:", err.message);
+      showNotification(`Failed to load audit trail: ${err.message}`, "error");
+    } finally {
+      setAuditLoading(false);
+    }
+  };
+
+  const fetchCleanupRuns = async (session = staffSession) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/audit/cleanup-runs`, {
+        headers: authHeaders(session),
+      });
+      const result = await response.json();
+
+      throwIfNotOk(response, result, "Failed to load cleanup runs.");
+      setCleanupRuns(result.runs);
+    } catch (err) {
+      logClientError(
+        err,
+        { endpoint: "/api/audit/cleanup-runs" },
+        "API_CLEANUP_RUNS_FAIL"
+      );
+      console.error("Cleanup Runs Error:", err.message);
+    }
+  };
+
+  const openAudit = (session) => {
+    closeHistoryAccess();
+    setSelectedVisitor(null);
+    setShowRegistration(false);
+    setSearchResults([]);
+    setShowAudit(true);
+    fetchAuditEvents(auditFilters, 1, session);
+    fetchCleanupRuns(session);
+  };
+
+  // Viewing the audit trail needs a manager or admin
+  const handleViewAuditClick = () => {
+    if (hasRole(staffSession, MANAGER_ROLES)) {
+      openAudit(staffSession);
+      return;
+    }
+    openStaffSignIn({
+      type: "viewAudit",
+      title: "Access Audit Trail",
+      description: "A manager or admin must sign in to view the audit trail.",
+      submitText: "Sign In & View Audit Trail",
+    });
+  };
+
+  const handleAuditFilterChange = (name, value) => {
+    setAuditFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleClearAuditFilters = () => {
+    setAuditFilters(initialAuditFilters);
+    fetchAuditEvents(initialAuditFilters, 1);
+  };
+
+  // Drill-down from an audit event to the visitor's record
+  const handleAuditVisitorSelect = async (visitorId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/visitors/${visitorId}`, {
+        headers: authHeaders(),
+      });
+      const visitor = await response.json();
+
+      if (!response.ok) {
+        throw new Error(visitor.message || "Failed to load visitor.");
+      }
+      setShowAudit(false);
+      handleVisitorSelect(visitor);
+    } catch (err) {
+      logClientError(
+        err,
+        { visitorId: visitorId, endpoint: `/visitors/${visitorId}` },
+        "API_VISITOR_LOOKUP_FAIL"
+      );
+      console.error("Visitor Lookup Error:", err.message);
+      showNotification(`Could not open visitor: ${err.message}`, "error");
+    }
+  };
+
+  // Revokes the history token when leaving the history view
+  const closeHistoryAccess = () => {
+    if (historyToken) {
+      fetch(`${API_BASE_URL}/revoke-history-access`, {
+        method: "POST",
+        headers: { "X-History-Token": historyToken },
+      }).catch((err) =>
+        console.error("History Revoke Error:", err.message)
+      );
+    }
+    setHistoryToken(null);
+    setShowHistory(false);
+  };
+
+  // handle correcting the entry time
+  const handleRecordMissedVisitClick = () => {
+       // Check if the visitor is already signed in before allowing the correct missed entry time.
+    const isAlreadySignedIn = visitors.some(
+      (activeVisitor) => activeVisitor.id === selectedVisitor.id
     );
 
     if (isAlreadySignedIn) {
@@ -703,6 +2232,16 @@ function App() {
       return;
     }
     if (!selectedVisitor) return;
+    if (!staffSession) {
+      openStaffSignIn({
+        type: "missedVisit",
+        visitorId: selectedVisitor.id,
+        title: "Staff Sign-In Required",
+        description: "Sign in with your staff account to correct a missed entry.",
+        submitText: "Sign In & Continue",
+      });
+      return;
+    }
     setMissedEntryTime("");
     setShowMissedVisitModal(true);
     setMessage("");
@@ -721,18 +2260,17 @@ function App() {
     try {
       const response = await fetch(`${API_BASE_URL}/record-missed-visit`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: authHeaders(),
         body: JSON.stringify({
           visitorId,
+          site_id: siteId,
           pastEntryTime: new Date(missedEntryTime).toISOString(),
         }),
       });
 
       const result = await response.json();
 
-      if (!response.ok) {
-        throw new Error(result.message || "Failed to record missed visit.");
-      }
+      throwIfNotOk(response, result, "Failed to record missed visit.");
 
       showNotification(result.message, "success");
       setTimeout(() => {
@@ -822,7 +2360,12 @@ const executeApiLogout = async (id) => {
   };
 
   // Function to fetch history records based on filters
-  const fetchHistoryRecords = async (query = "", start = "", end = "") => {
+  const fetchHistoryRecords = async (
+    query = "",
+    start = "",
+    end = "",
+    token = historyToken
+  ) => {
     setHistoryLoading(true);
 
     try {
@@ -831,10 +2374,17 @@ const executeApiLogout = async (id) => {
       if (start) url.searchParams.append("endDate", start);
       if (end) url.searchParams.append("endDate", end);
 
-      const response = await fetch(url.toString());
+      const response = await fetch(url.toString(), {
+        headers: { "X-History-Token": token || "" },
+      });
 
       if (!response.ok) {
         const errorData = await response.json();
+        // Expired or revoked history access sends the user back to the dashboard
+        if (response.status === 401) {
+          setHistoryToken(null);
+          setShowHistory(false);
+        }
         throw new Error(
           errorData.message || `HTTP error! status: ${response.status}`
         );
@@ -901,7 +2451,14 @@ const executeApiLogout = async (id) => {
       );
     }
 
-    // 3. Filter by Date Range (Entry Time)
+    // 3. Filter by Site ("" keeps every site)
+    if (historySiteId) {
+      recordsToFilter = recordsToFilter.filter(
+        (record) => record.site_id === Number(historySiteId)
+      );
+    }
+
+    // 4. Filter by Date Range (Entry Time)
     const start = historyStartDate ? new Date(historyStartDate) : null;
     const end = historyEndDate ? new Date(historyEndDate) : null;
 
@@ -929,7 +2486,7 @@ const executeApiLogout = async (id) => {
       });
     }
 
-    // 4. Update the state variable used for rendering
+    // 5. Update the state variable used for rendering
     setFilteredHistoryData(recordsToFilter);
     showNotification(
       `Filtered data applied. Found ${recordsToFilter.length} records.`,
@@ -942,6 +2499,7 @@ const executeApiLogout = async (id) => {
     setHistorySearchQuery("");
     setHistoryStartDate("");
     setHistoryEndDate("");
+    setHistorySiteId("");
     fetchHistoryRecords("", "", "");
     setSortConfig({ key: "entry_time", direction: "descending" });
     showNotification("Filters cleared. Loading all history...", "blue");
@@ -1007,7 +2565,15 @@ const executeApiLogout = async (id) => {
           The Salvation Army Social Services
         </h1>
         <p className="text-lg text-blue-950 mb-4">
-          Catherine Booth House Visitors Tracking
+          {currentSite ? currentSite.name : "Catherine Booth House"} Visitors Tracking
+          {sites.filter((site) => site.is_active).length > 1 && (
+            <button
+              onClick={() => setShowSitePicker(true)}
+              className="ml-3 text-sm font-semibold text-indigo-600 hover:text-indigo-800 print:hidden"
+            >
+              Change site
+            </button>
+          )}
         </p>
         <button
           onClick={() => {
@@ -1015,7 +2581,7 @@ const executeApiLogout = async (id) => {
             if (newState) {
               handleViewHistoryClick();
             } else {
-              setShowHistory(false);
+              closeHistoryAccess();
               setSelectedVisitor(null);
               setShowRegistration(false);
               setSearchResults([]);
@@ -1026,9 +2592,113 @@ const executeApiLogout = async (id) => {
         >
           {showHistory ? "Show Dashboard" : "View Historical Data"}
         </button>
+        <button
+          onClick={() => {
+            if (!showAudit) {
+              handleViewAuditClick();
+            } else {
+              setShowAudit(false);
+              showNotification("Back to current visitors dashboard.", "blue");
+            }
+          }}
+          className="absolute top-12 right-0 min-w-[100px] py-2 px-4 bg-gray-700 text-white text-sm rounded-lg shadow-xl hover:bg-gray-800 transition-colors"
+        >
+          {showAudit ? "Show Dashboard" : "Audit Trail"}
+        </button>
       
+        {/* Staff sign-in status */}
+        <div className="flex items-center justify-center gap-2 px-4 py-2 bg-white text-indigo-800 rounded-lg text-xs shadow-md border border-indigo-200">
+          {staffSession ? (
+            <>
+              <span className="font-bold">
+                {staffSession.staff.display_name} ({staffSession.staff.role})
+              </span>
+              <button
+                onClick={() => {
+                  if (evacuation) {
+                    fetchActiveEvacuation();
+                    setShowRollCall(true);
+                  } else {
+                    startEvacuation();
+                  }
+                }}
+                className="px-2 py-1 font-bold text-white bg-red-600 rounded hover:bg-red-700"
+              >
+                {evacuation
+                  ? `Roll Call (${evacuation.people.filter((person) => person.status === "safe").length}/${evacuation.people.length})`
+                  : "Evacuation"}
+              </button>
+              {hasRole(staffSession, MANAGER_ROLES) && (
+                <button
+                  onClick={() => {
+                    fetchPendingBans();
+                    setShowPendingBans(true);
+                  }}
+                  className={`font-semibold ${
+                    pendingBans.length > 0 ? "text-red-600 hover:text-red-800" : "text-indigo-600 hover:text-indigo-800"
+                  }`}
+                >
+                  Ban Requests ({pendingBans.length})
+                </button>
+              )}
+              <button
+                onClick={() => {
+                  fetchAutoSignOuts();
+                  setShowAutoSignOuts(true);
+                }}
+                className={`font-semibold ${
+                  autoSignOuts.length > 0 ? "text-amber-600 hover:text-amber-800" : "text-indigo-600 hover:text-indigo-800"
+                }`}
+              >
+                Auto Sign-Outs ({autoSignOuts.length})
+              </button>
+              {hasRole(staffSession, ADMIN_ROLES) && (
+                <button
+                  onClick={() => {
+                    fetchUnits();
+                    setShowUnitsModal(true);
+                  }}
+                  className="font-semibold text-indigo-600 hover:text-indigo-800"
+                >
+                  Units
+                </button>
+              )}
+              {hasRole(staffSession, ADMIN_ROLES) && (
+                <button
+                  onClick={() => {
+                    fetchHostContacts();
+                    setShowHostsModal(true);
+                  }}
+                  className="font-semibold text-indigo-600 hover:text-indigo-800"
+                >
+                  Hosts
+                </button>
+              )}
+              <button
+                onClick={handleStaffSignOut}
+                className="font-semibold text-red-600 hover:text-red-800"
+              >
+                Sign Out
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() =>
+                openStaffSignIn({
+                  type: null,
+                  title: "Staff Sign-In",
+                  description: "Sign in with your staff account.",
+                  submitText: "Sign In",
+                })
+              }
+              className="font-bold hover:text-indigo-600"
+            >
+              Staff Sign In
+            </button>
+          )}
+        </div>
         {/* Button Group for View Switching */}
-        {!showHistory && !showRegistration && (
+        {!showHistory && !showRegistration && !showAudit && (
           <div className="flex min-w-[200px] justify-center mt-4">
             <button
               onClick={() => {
@@ -1054,7 +2724,7 @@ const executeApiLogout = async (id) => {
       <div>
       <div className="w-full max-w-6xl mx-auto">
         {/* Dashboard View */}
-        {!showRegistration && !showHistory && !selectedVisitor && (
+        {!showRegistration && !showHistory && !showAudit && !selectedVisitor && (
           <VisitorsDashboard
             searchTerm={searchTerm}
             setSearchTerm={setSearchTerm}
@@ -1071,14 +2741,36 @@ const executeApiLogout = async (id) => {
           />
         )}
 
+        {/* Visitors booked in for today, for signed-in staff */}
+        {staffSession && !showRegistration && !showHistory && !showAudit && !selectedVisitor && (
+          <ExpectedToday
+            appointments={appointments}
+            visitorTypes={visitorTypes}
+            units={units}
+            hosts={hosts}
+            onSignIn={signInAppointment}
+            onCancel={cancelAppointment}
+            onBook={bookAppointment}
+          />
+        )}
+
         {/* Visitor Details/Log In View */}
         {selectedVisitor && (
           <VisitorDetailsForm
             selectedVisitor={selectedVisitor}
             editFormData={editFormData}
             setEditFormData={setEditFormData}
+            units={units}
+            hosts={hosts}
+            visitorTypes={visitorTypes}
+            agreements={agreements}
+            agreementStatuses={agreementStatuses}
+            signature={signature}
+            setSignature={setSignature}
             handleLogin={handleLogin}
             handleUpdate={handleUpdateAndLogin}
+            handleSaveDetails={handleSaveDetails}
+            detailsHistory={detailsHistory}
             isAgreementCheckedAdult={isAgreementCheckedAdult} 
             setIsAgreementCheckedAdult={setIsAgreementCheckedAdult}
             isAgreementCheckedChild={isAgreementCheckedChild}
@@ -1087,6 +2779,21 @@ const executeApiLogout = async (id) => {
             handleUnbanClick={handleUnbanClick}
             handleRecordMissedVisitClick={handleRecordMissedVisitClick}
             handleCancelLogIn={handleCancelAction}
+            banHistory={banHistory}
+            visitorFlags={visitorFlags}
+            handleAddFlag={handleAddFlag}
+            handleRemoveFlag={handleRemoveFlag}
+            unitRestrictions={unitRestrictions}
+            handleAddUnitRestriction={handleAddUnitRestriction}
+            handleRemoveUnitRestriction={handleRemoveUnitRestriction}
+            onViewBanHistory={() =>
+              openStaffSignIn({
+                type: null,
+                title: "Staff Sign-In Required",
+                description: "Sign in with your staff account to see this visitor's ban history.",
+                submitText: "Sign In",
+              })
+            }
             message={message}
             messageType={messageType}
           />
@@ -1099,6 +2806,13 @@ const executeApiLogout = async (id) => {
             messageType={messageType}
             formData={regFormData}
             handleInputChange={handleRegInputChange}
+            units={units}
+            handleUnitSelect={handleRegUnitSelect}
+            hosts={hosts}
+            visitorTypes={visitorTypes}
+            agreements={agreements}
+            signature={signature}
+            setSignature={setSignature}
             handlePhotoChange={handlePhotoChange}
             photoPreviewUrl={photoPreviewUrl}
             dependents={regDependents}
@@ -1123,10 +2837,13 @@ const executeApiLogout = async (id) => {
             searchQuery={historySearchQuery}
             startDate={historyStartDate}
             endDate={historyEndDate}
+            sites={sites}
+            siteId={historySiteId}
             sortConfig={sortConfig}
             onSearchChange={setHistorySearchQuery}
             onStartDateChange={setHistoryStartDate}
             onEndDateChange={setHistoryEndDate}
+            onSiteChange={setHistorySiteId}
             onApplyFilters={handleApplyFilters}
             onClearFilters={handleClearFilters}
             onExportData={handlePrintTable}
@@ -1135,12 +2852,32 @@ const executeApiLogout = async (id) => {
             isOnline={messageType !== "error"}
           />
         )}
+
+        {/* Audit Trail View */}
+        {showAudit && (
+          <AuditLog
+            events={auditEvents}
+            total={auditTotal}
+            page={auditPage}
+            pageSize={AUDIT_PAGE_SIZE}
+            loading={auditLoading}
+            filters={auditFilters}
+            onFilterChange={handleAuditFilterChange}
+            onApplyFilters={() => fetchAuditEvents(auditFilters, 1)}
+            onClearFilters={handleClearAuditFilters}
+            onPageChange={(page) => fetchAuditEvents(auditFilters, page)}
+            onVisitorSelect={handleAuditVisitorSelect}
+            cleanupRuns={cleanupRuns}
+          />
+        )}
       </div>
 
-      {/* Password Modal (Always rendered but hidden by state) */}
+      {/* Staff Sign-In Modal (Always rendered but hidden by state) */}
       <PasswordModal
         showPasswordModal={showPasswordModal}
-        EnterPassword={EnterPassword}
+        handleStaffSignIn={handleStaffSignIn}
+        username={staffUsername}
+        setUsername={setStaffUsername}
         setPassword={setPassword}
         showPassword={showPassword}
         setShowPassword={setShowPassword}
@@ -1161,7 +2898,114 @@ const executeApiLogout = async (id) => {
         setEntryTime={setMissedEntryTime}
         confirmAction={confirmRecordMissedVisit}
       />
-      <SystemStatusWidget />
+      {/* Ban Reason Modal (Always rendered but hidden by state) */}
+      <BanVisitorModal
+        showModal={showBanModal}
+        setShowModal={setShowBanModal}
+        banDetails={banDetails}
+        setBanDetails={setBanDetails}
+        confirmAction={confirmBan}
+        requiresApproval={!hasRole(staffSession, MANAGER_ROLES)}
+      />
+
+      {/* Add Flag Modal */}
+      <VisitorFlagModal
+        showModal={showFlagModal}
+        setShowModal={setShowFlagModal}
+        flagDetails={flagDetails}
+        setFlagDetails={setFlagDetails}
+        confirmAction={confirmAddFlag}
+      />
+
+      {/* Restrict Unit Modal */}
+      <UnitRestrictionModal
+        showModal={showRestrictionModal}
+        setShowModal={setShowRestrictionModal}
+        units={units}
+        restrictionDetails={restrictionDetails}
+        setRestrictionDetails={setRestrictionDetails}
+        confirmAction={confirmAddUnitRestriction}
+      />
+
+      {/* Watchlist Warning (registration and sign-in) */}
+      <WatchlistWarningModal
+        warning={watchlistWarning}
+        onCancel={() => {
+          const { retry } = watchlistWarning;
+          setWatchlistWarning(null);
+          if (retry) showNotification("Sign-in cancelled after the watchlist warning.", "blue");
+        }}
+        confirmAction={() => {
+          const { retry } = watchlistWarning;
+          setWatchlistWarning(null);
+          retry();
+        }}
+      />
+
+      {/* Ban Requests Awaiting Approval (managers only) */}
+      <PendingBansModal
+        showModal={showPendingBans}
+        setShowModal={setShowPendingBans}
+        pendingBans={pendingBans}
+        onApprove={(banId) => reviewBan(banId, "approve")}
+        onReject={(banId) => reviewBan(banId, "reject")}
+      />
+
+      {/* Visits signed out at closing time, to correct the exit time (any staff) */}
+      <AutoSignOutsModal
+        showModal={showAutoSignOuts}
+        setShowModal={setShowAutoSignOuts}
+        autoSignOuts={autoSignOuts}
+        onCorrect={correctExitTime}
+      />
+
+      {/* Units offered at sign-in (admins only) */}
+      <UnitsModal
+        showModal={showUnitsModal}
+        setShowModal={setShowUnitsModal}
+        units={units}
+        onSave={saveUnit}
+        onSetActive={setUnitActive}
+        onRemove={removeUnit}
+      />
+
+      {/* Hosts visitors come to see (admins only) */}
+      <HostsModal
+        showModal={showHostsModal}
+        setShowModal={setShowHostsModal}
+        hosts={hostContacts}
+        units={units}
+        onSave={saveHost}
+        onSetActive={setHostActive}
+      />
+
+      {/* Fire roll call for an evacuation of this site */}
+      {showRollCall && (
+        <EvacuationRollCall
+          evacuation={evacuation}
+          onMark={markEvacuee}
+          onEnd={endEvacuation}
+          onClose={() => {
+            setShowRollCall(false);
+            if (evacuation && evacuation.ended_at) setEvacuation(null);
+          }}
+        />
+      )}
+      <SitePickerModal
+        showModal={showSitePicker}
+        sites={sites}
+        currentSiteId={siteId}
+        onSelect={chooseSite}
+        onClose={currentSite && currentSite.is_active ? () => setShowSitePicker(false) : null}
+      />
+      <SystemStatusWidget
+        loadLockouts={
+          hasRole(staffSession, MANAGER_ROLES) ? fetchLockouts : null
+        }
+        onClearLockout={
+          hasRole(staffSession, MANAGER_ROLES) ? handleClearLockout : null
+        }
+      />
     
     </div>
       <ContractorHandoverModal 
@@ -0,0 +1,43 @@
+import { useState } from "react";
+
+// The agreement signed for dependents, whatever the visitor type (as on the server)
+export const CHILD_AGREEMENT_NAME = "Child Agreement & Disclaimer";
+
+// The agreement with this name from GET /agreements, with its current version
+export const findAgreement = (agreements, name) =>
+  (agreements || []).find(
+    (agreement) => agreement.name.toLowerCase() === String(name || "").toLowerCase()
+  ) || null;
+
+/**
+ * The version of an agreement in force, with its text behind a toggle so staff can
+ * show the visitor exactly what they are agreeing to.
+ *
+ * @param {object} props - Component props.
+ * @param {object|null} props.agreement - A row from GET /agreements, or null when unknown.
+ */
+const AgreementText = ({ agreement }) => {
+  const [open, setOpen] = useState(false);
+  if (!agreement || !agreement.version) return null;
+
+  return (
+    <div className="ml-8 mt-1 text-sm text-gray-600">
+      Version {agreement.version}
+      {" · "}
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="text-blue-600 hover:underline"
+      >
+        {open ? "Hide the text" : "Read the text"}
+      </button>
+      {open && (
+        <div className="mt-2 p-3 max-h-48 overflow-y-auto whitespace-pre-wrap bg-gray-50 border border-gray-200 rounded-lg text-gray-800">
+          {agreement.body}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgreementText;
@@ -0,0 +1,315 @@
+import Tooltip from "./Tooltip";
+import {
+  Search,
+  RefreshCcw,
+  Loader,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+
+// Action types offered in the filter; a value ending in "." matches the whole group
+const ACTION_OPTIONS = [
+  { value: "", label: "All actions" },
+  { value: "visit.", label: "All visit actions" },
+  { value: "visit.sign_in", label: "Visitor signed in" },
+  { value: "visit.sign_out", label: "Visitor signed out" },
+  { value: "visit.details_update", label: "Details updated" },
+  { value: "visit.missed_entry", label: "Missed visit recorded" },
+  { value: "visitor.register", label: "Visitor registered" },
+  { value: "visitor.ban", label: "Visitor banned" },
+  { value: "visitor.unban", label: "Visitor unbanned" },
+  { value: "history.", label: "History access" },
+  { value: "staff.", label: "Staff sign-in & accounts" },
+  { value: "lockout.clear", label: "Lockout cleared" },
+  { value: "compliance.cleanup", label: "Compliance cleanup" },
+  { value: "client.error", label: "Client errors" },
+];
+
+const actionLabel = (action) => {
+  const option = ACTION_OPTIONS.find((o) => o.value === action);
+  return option ? option.label : action;
+};
+
+const formatDateTime = (isoString) =>
+  isoString
+    ? new Date(isoString).toLocaleString("en-UK", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    : "N/A";
+
+// Renders a before/after snapshot as "key: value" lines
+const ValuesList = ({ values }) => {
+  if (!values) return <span className="text-gray-400">--</span>;
+  return (
+    <ul className="text-xs text-gray-600 list-none p-0 m-0">
+      {Object.entries(values).map(([key, value]) => (
+        <li key={key} className="break-words">
+          <span className="font-semibold">{key}:</span>{" "}
+          {value === null || value === "" ? "--" : String(value)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Stateless Audit Trail Component
+ * Lists audit events with filters and pagination, plus the compliance cleanup runs.
+ * All data, filter values, and action handlers are passed via props.
+ */
+function AuditLog({
+  events,
+  total,
+  page,
+  pageSize,
+  loading,
+  filters,
+  onFilterChange,
+  onApplyFilters,
+  onClearFilters,
+  onPageChange,
+  onVisitorSelect,
+  cleanupRuns,
+}) {
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+
+  return (
+    <div className="p-4 font-['Inter'] max-w-6xl w-full">
+      <div className="mb-4 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Audit Trail</h1>
+        <p className="text-sm text-gray-600">
+          Every staff and visitor action recorded by the system.
+        </p>
+      </div>
+
+      {/* --- Filter Bar --- */}
+      <div className="w-full flex flex-col md:flex-row flex-wrap gap-4 mb-6 p-4 bg-indigo-50 rounded-xl shadow-inner">
+        <select
+          value={filters.action}
+          onChange={(e) => onFilterChange("action", e.target.value)}
+          className="pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          aria-label="Action"
+        >
+          {ACTION_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Visitor name"
+          value={filters.visitor}
+          onChange={(e) => onFilterChange("visitor", e.target.value)}
+          className="flex-grow pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <Tooltip text="The staff username, or 'kiosk' for front-desk actions and 'system' for scheduled jobs.">
+          <input
+            type="text"
+            placeholder="Staff member"
+            value={filters.actor}
+            onChange={(e) => onFilterChange("actor", e.target.value)}
+            className="pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </Tooltip>
+        <div className="flex gap-4 w-full md:w-auto">
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => onFilterChange("startDate", e.target.value)}
+            className="w-full pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="Start Date"
+          />
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => onFilterChange("endDate", e.target.value)}
+            className="w-full pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            aria-label="End Date"
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onApplyFilters}
+            disabled={loading}
+            className={`flex items-center justify-center px-4 py-2 font-semibold text-white bg-indigo-600 rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 ${
+              loading ? "opacity-70 cursor-not-allowed" : ""
+            }`}
+          >
+            {loading ? (
+              <Loader size={18} className="animate-spin mr-2" />
+            ) : (
+              <Search size={18} className="mr-2" />
+            )}
+            Apply Filters
+          </button>
+          <button
+            onClick={onClearFilters}
+            className="flex items-center justify-center px-4 py-2 font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-lg shadow-md hover:bg-indigo-50 transition duration-150"
+          >
+            <RefreshCcw size={18} className="mr-2" />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* --- Events Table --- */}
+      <div className="shadow-2xl rounded-xl w-full overflow-x-auto">
+        <table className="w-full table-auto divide-y divide-gray-200">
+          <thead className="bg-indigo-700 text-white">
+            <tr>
+              {["When", "Who", "Action", "Visitor / Visit", "Before", "After", "IP"].map(
+                (label) => (
+                  <th
+                    key={label}
+                    className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider"
+                  >
+                    {label}
+                  </th>
+                )
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={7} className="px-6 py-12 text-center text-lg text-indigo-500">
+                  <Loader size={24} className="animate-spin inline-block mr-2" />{" "}
+                  Loading events...
+                </td>
+              </tr>
+            ) : events.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-6 py-12 text-center text-lg text-gray-500">
+                  No audit events found matching the criteria.
+                </td>
+              </tr>
+            ) : (
+              events.map((event) => (
+                <tr key={event.id} className="hover:bg-indigo-50 transition duration-100 align-top">
+                  <td className="px-4 py-3 text-xs text-gray-700 whitespace-nowrap">
+                    {formatDateTime(event.occurred_at)}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                    {event.actor}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-indigo-700 font-semibold">
+                    {actionLabel(event.action)}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {event.visitor_id ? (
+                      <button
+                        onClick={() => onVisitorSelect(event.visitor_id)}
+                        className="text-blue-700 underline hover:text-blue-900 text-left"
+                      >
+                        {event.visitor_name || `Visitor #${event.visitor_id}`}
+                      </button>
+                    ) : (
+                      <span className="text-gray-400">--</span>
+                    )}
+                    {event.visit_id && (
+                      <div className="text-xs text-gray-400">Visit #{event.visit_id}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 max-w-[200px]">
+                    <ValuesList values={event.before_values} />
+                  </td>
+                  <td className="px-4 py-3 max-w-[200px]">
+                    <ValuesList values={event.after_values} />
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-500">
+                    {event.ip_address || "--"}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* --- Pagination --- */}
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+        <span>
+          {total} event{total === 1 ? "" : "s"} found.
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onPageChange(page - 1)}
+            disabled={page <= 1 || loading}
+            className="p-2 bg-white border border-indigo-200 rounded-lg disabled:opacity-40"
+            aria-label="Previous page"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <span>
+            Page {page} of {pageCount}
+          </span>
+          <button
+            onClick={() => onPageChange(page + 1)}
+            disabled={page >= pageCount || loading}
+            className="p-2 bg-white border border-indigo-200 rounded-lg disabled:opacity-40"
+            aria-label="Next page"
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+      </div>
+
+      {/* --- Compliance Cleanup Runs --- */}
+      <h2 className="text-lg font-bold text-gray-900 mt-8 mb-2">
+        Compliance Cleanup Runs
+      </h2>
+      <div className="shadow-xl rounded-xl w-full overflow-x-auto">
+        <table className="w-full table-auto divide-y divide-gray-200">
+          <thead className="bg-gray-700 text-white">
+            <tr>
+              {["When", "Event", "Status", "Profiles", "Visits", "Dependents"].map((label) => (
+                <th
+                  key={label}
+                  className="px-4 py-2 text-left text-xs font-medium uppercase tracking-wider"
+                >
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {cleanupRuns.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-6 text-center text-sm text-gray-500">
+                  No cleanup runs recorded yet.
+                </td>
+              </tr>
+            ) : (
+              cleanupRuns.map((run) => (
+                <tr key={run.id}>
+                  <td className="px-4 py-2 text-xs text-gray-700 whitespace-nowrap">
+                    {formatDateTime(run.timestamp)}
+                  </td>
+                  <td className="px-4 py-2 text-sm">{run.event_name}</td>
+                  <td
+                    className={`px-4 py-2 text-sm font-semibold ${
+                      run.status === "OK" ? "text-green-600" : "text-red-600"
+                    }`}
+                  >
+                    {run.status}
+                  </td>
+                  <td className="px-4 py-2 text-sm">{run.profiles_deleted}</td>
+                  <td className="px-4 py-2 text-sm">{run.visits_deleted}</td>
+                  <td className="px-4 py-2 text-sm">{run.dependents_deleted}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLog;
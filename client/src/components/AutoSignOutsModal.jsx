@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+// An ISO timestamp as the value of a datetime-local input, in local time
+const toLocalInput = (isoString) => {
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Modal listing the visits the server signed out at closing time because nobody
+ * signed them out, so staff can put in the real exit time of each the next morning.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {Array<object>} props.autoSignOuts - Rows from GET /visits/auto-signed-out.
+ * @param {function} props.onCorrect - Called with (visitId, exit time as an ISO string).
+ */
+const AutoSignOutsModal = ({
+    showModal,
+    setShowModal,
+    autoSignOuts,
+    onCorrect
+}) => {
+    const [exitTimes, setExitTimes] = useState({});
+
+    if (!showModal) return null;
+
+    const exitTimeFor = (visit) => exitTimes[visit.visit_id] || toLocalInput(visit.exit_time);
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-indigo-700 mb-2 border-b pb-2">
+                    Signed Out at Closing Time
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    These visitors were still signed in at closing time and were signed out automatically.
+                    Put in the time each one really left, or confirm the closing time if it is right.
+                </p>
+
+                {autoSignOuts.length === 0 ? (
+                    <p className="text-gray-600 mb-6">There are no automatic sign-outs to check.</p>
+                ) : (
+                    <ul className="space-y-3 mb-6 max-h-96 overflow-y-auto">
+                        {autoSignOuts.map((visit) => (
+                            <li key={visit.visit_id} className="p-3 border border-indigo-200 rounded-lg bg-indigo-50">
+                                <div className="flex justify-between items-center gap-4">
+                                    <div>
+                                        <p className="font-bold text-gray-800">
+                                            {visit.first_name} {visit.last_name}
+                                        </p>
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            {visit.unit ? `Unit ${visit.unit} · ` : ""}
+                                            In {new Date(visit.entry_time).toLocaleString("en-UK")} · signed out{" "}
+                                            {new Date(visit.exit_time).toLocaleString("en-UK")}
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <input
+                                            type="datetime-local"
+                                            value={exitTimeFor(visit)}
+                                            onChange={(e) =>
+                                                setExitTimes((prev) => ({ ...prev, [visit.visit_id]: e.target.value }))
+                                            }
+                                            className="p-1 text-sm border border-gray-300 rounded-lg focus:border-indigo-500 focus:ring-indigo-500"
+                                        />
+                                        <button
+                                            onClick={() => onCorrect(visit.visit_id, new Date(exitTimeFor(visit)).toISOString())}
+                                            className="px-3 py-1 bg-indigo-600 text-white text-sm rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+                                        >
+                                            Save
+                                        </button>
+                                    </div>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AutoSignOutsModal;
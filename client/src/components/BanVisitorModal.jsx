@@ -0,0 +1,139 @@
+import React from 'react';
+
+// Ban categories accepted by the server (POST /ban-visitor/:id)
+export const BAN_CATEGORY_OPTIONS = [
+    { value: "violence", label: "Violence" },
+    { value: "threatening_behaviour", label: "Threatening behaviour" },
+    { value: "theft", label: "Theft" },
+    { value: "safeguarding", label: "Safeguarding concern" },
+    { value: "drugs_alcohol", label: "Drugs / alcohol" },
+    { value: "property_damage", label: "Damage to property" },
+    { value: "other", label: "Other" },
+];
+
+export const banCategoryLabel = (category) => {
+    const option = BAN_CATEGORY_OPTIONS.find((o) => o.value === category);
+    return option ? option.label : category;
+};
+
+/**
+ * Modal for staff to record why a visitor is being banned, and for how long.
+ * Managers ban straight away; for receptionists the ban is sent to a manager for approval.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {object} props.banDetails - Current { category, reason, expires_at } values.
+ * @param {function} props.setBanDetails - Function to update the ban details state.
+ * @param {function} props.confirmAction - The function to call the backend API.
+ * @param {boolean} props.requiresApproval - True when the ban will wait for a manager.
+ */
+const BanVisitorModal = ({
+    showModal,
+    setShowModal,
+    banDetails,
+    setBanDetails,
+    confirmAction,
+    requiresApproval
+}) => {
+    if (!showModal) return null;
+
+    const hasReason = banDetails.reason.trim() !== "";
+
+    // Handler for the main action
+    const handleConfirm = () => {
+        if (!hasReason) {
+            alert("Please give a reason for the ban before confirming.");
+            return;
+        }
+        confirmAction();
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setBanDetails((prev) => ({ ...prev, [name]: value }));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-red-600 mb-4 border-b pb-2">
+                    {requiresApproval ? "Request a Ban" : "Ban Visitor"}
+                </h2>
+                {requiresApproval && (
+                    <p className="text-sm text-gray-600 mb-4">
+                        A manager must approve this request before the ban takes effect.
+                    </p>
+                )}
+
+                <div className="mb-4">
+                    <label htmlFor="banCategory" className="block text-sm font-medium text-gray-700 mb-2">
+                        Category
+                    </label>
+                    <select
+                        id="banCategory"
+                        name="category"
+                        value={banDetails.category}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-red-500 focus:border-red-500"
+                    >
+                        {BAN_CATEGORY_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="mb-4">
+                    <label htmlFor="banReason" className="block text-sm font-medium text-gray-700 mb-2">
+                        Reason <span className="text-red-500">*</span>
+                    </label>
+                    <textarea
+                        id="banReason"
+                        name="reason"
+                        rows="3"
+                        value={banDetails.reason}
+                        onChange={handleChange}
+                        placeholder="What happened, so other staff understand the ban."
+                        required
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg resize-none focus:ring-red-500 focus:border-red-500"
+                    />
+                </div>
+
+                <div className="mb-6">
+                    <label htmlFor="banExpiry" className="block text-sm font-medium text-gray-700 mb-2">
+                        Ban lifts on (leave empty for no end date)
+                    </label>
+                    <input
+                        type="date"
+                        id="banExpiry"
+                        name="expires_at"
+                        value={banDetails.expires_at}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-red-500 focus:border-red-500"
+                    />
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        disabled={!hasReason}
+                        className={`px-4 py-2 text-white rounded-lg font-semibold shadow-md transition-colors ${
+                            hasReason ? "bg-red-600 hover:bg-red-700" : "bg-gray-400 cursor-not-allowed"
+                        }`}
+                    >
+                        {requiresApproval ? "Send Ban Request" : "Confirm Ban"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BanVisitorModal;
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+
+// Time of day of an ISO timestamp, e.g. "09:30"
+const formatClock = (timeString) =>
+  new Date(timeString).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+/**
+ * Full-screen fire roll call for the evacuation under way at the kiosk's site. Built for
+ * a phone at the assembly point: each person is one large row, tapped to mark them safe
+ * (tapped again to undo). Print gives a paper list with tick boxes for when the kiosk
+ * cannot be reached. Ending the roll call keeps it, with any notes, for the record.
+ *
+ * @param {object} props - Component props.
+ * @param {object|null} props.evacuation - The evacuation from GET /evacuations/active, with its people.
+ * @param {function} props.onMark - Called with (person, status) to mark someone safe or unaccounted.
+ * @param {function} props.onEnd - Called with the notes; resolves true once the roll call is completed.
+ * @param {function} props.onClose - Hides the roll call (the evacuation stays under way).
+ */
+const EvacuationRollCall = ({ evacuation, onMark, onEnd, onClose }) => {
+  const [search, setSearch] = useState("");
+  const [unaccountedOnly, setUnaccountedOnly] = useState(false);
+  const [notes, setNotes] = useState("");
+  const [confirmingEnd, setConfirmingEnd] = useState(false);
+
+  if (!evacuation) return null;
+
+  const ended = !!evacuation.ended_at;
+  const people = evacuation.people || [];
+  const safeCount = people.filter((person) => person.status === "safe").length;
+  const unaccountedCount = people.length - safeCount;
+
+  const searchText = search.trim().toLowerCase();
+  const shown = people.filter(
+    (person) =>
+      (!unaccountedOnly || person.status !== "safe") &&
+      (!searchText ||
+        [person.name, person.accompanied_by, person.unit, person.company_name, person.host_name]
+          .some((value) => value && value.toLowerCase().includes(searchText)))
+  );
+
+  const handleEnd = async () => {
+    if (await onEnd(notes)) {
+      setNotes("");
+      setConfirmingEnd(false);
+    }
+  };
+
+  // Who they are with, where they were and who they came to see
+  const describe = (person) =>
+    [
+      person.accompanied_by && `With ${person.accompanied_by}`,
+      person.dependent_id && person.age !== null && `Age ${person.age}`,
+      person.company_name,
+      person.unit && `Unit ${person.unit}`,
+      person.host_name && `Visiting ${person.host_name}`,
+      person.entry_time && `In ${formatClock(person.entry_time)}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  return (
+    <div className="print-roll-call-overlay fixed inset-0 bg-white z-50 overflow-y-auto">
+      <div className="print-report-container print-roll-call max-w-3xl mx-auto p-4 md:p-8">
+        <div className={`rounded-xl p-4 mb-4 text-white ${ended ? "bg-gray-700" : "bg-red-700"} print:text-black print:bg-white print:p-0`}>
+          <h2 className="text-2xl md:text-3xl font-extrabold">
+            {ended ? "Roll Call Completed" : "Evacuation Roll Call"}
+          </h2>
+          <p className="text-sm mt-1">
+            {evacuation.site_name} · started {new Date(evacuation.started_at).toLocaleString("en-UK")} by{" "}
+            {evacuation.started_by}
+            {ended && ` · completed ${new Date(evacuation.ended_at).toLocaleString("en-UK")} by ${evacuation.ended_by}`}
+          </p>
+          <p className="text-xl font-bold mt-2">
+            {safeCount} of {people.length} safe
+            {unaccountedCount > 0 && ` · ${unaccountedCount} unaccounted for`}
+          </p>
+          {ended && evacuation.notes && <p className="text-sm mt-2 italic">{evacuation.notes}</p>}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-2 mb-4 print:hidden">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name, unit or company"
+            className="flex-1 p-3 text-base border border-gray-300 rounded-lg focus:border-red-500 focus:ring-red-500"
+          />
+          <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 px-2">
+            <input type="checkbox" checked={unaccountedOnly} onChange={(e) => setUnaccountedOnly(e.target.checked)} />
+            Unaccounted only
+          </label>
+        </div>
+
+        {people.length === 0 ? (
+          <p className="text-center py-6 text-gray-600 font-medium">Nobody was signed in when the evacuation started.</p>
+        ) : (
+          <ul className="space-y-2 print:space-y-0">
+            {shown.map((person) => {
+              const safe = person.status === "safe";
+              return (
+                <li key={person.id} className="avoid-break">
+                  <button
+                    onClick={() => onMark(person, safe ? "unaccounted" : "safe")}
+                    disabled={ended}
+                    className={`w-full text-left p-4 rounded-lg border-2 flex items-center gap-4 transition-colors print:p-2 print:border-0 print:border-b print:rounded-none ${
+                      safe ? "bg-green-50 border-green-500" : "bg-white border-red-300 hover:bg-red-50"
+                    } ${ended ? "cursor-default" : ""}`}
+                  >
+                    <span
+                      className={`flex-shrink-0 w-8 h-8 rounded border-2 flex items-center justify-center text-xl font-bold ${
+                        safe ? "bg-green-600 border-green-600 text-white" : "border-gray-400"
+                      } print:bg-white print:text-black print:border-black`}
+                    >
+                      {safe ? "✓" : ""}
+                    </span>
+                    <span className="flex-1">
+                      <span className="block text-lg font-bold text-gray-800">{person.name}</span>
+                      <span className="block text-xs text-gray-600">{describe(person)}</span>
+                    </span>
+                    <span className={`text-sm font-semibold print:hidden ${safe ? "text-green-700" : "text-red-600"}`}>
+                      {safe ? `Safe ${formatClock(person.marked_at)}` : "Tap when safe"}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+            {shown.length === 0 && (
+              <li className="text-center py-4 text-gray-500 font-medium print:hidden">Nobody matches.</li>
+            )}
+          </ul>
+        )}
+
+        {confirmingEnd && (
+          <div className="mt-6 p-4 border border-red-300 rounded-lg bg-red-50 print:hidden">
+            <p className="text-sm text-gray-700 mb-2">
+              {unaccountedCount > 0
+                ? `${unaccountedCount} still unaccounted for. The roll call will be kept as it stands.`
+                : "Everyone is accounted for."}
+            </p>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              placeholder="Notes for the record (optional)"
+              className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:border-red-500 focus:ring-red-500"
+            />
+            <div className="flex justify-end gap-3 mt-2">
+              <button onClick={() => setConfirmingEnd(false)} className="px-4 py-2 text-gray-700 font-semibold">
+                Back
+              </button>
+              <button
+                onClick={handleEnd}
+                className="px-4 py-2 bg-red-700 text-white rounded-lg font-semibold hover:bg-red-800 transition-colors"
+              >
+                Complete Roll Call
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-3 mt-6 print:hidden">
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-3 bg-gray-200 text-gray-800 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+          >
+            Print
+          </button>
+          {!ended && !confirmingEnd && (
+            <button
+              onClick={() => setConfirmingEnd(true)}
+              className="px-4 py-3 bg-red-700 text-white rounded-lg font-semibold hover:bg-red-800 transition-colors"
+            >
+              End Roll Call
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="px-4 py-3 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EvacuationRollCall;
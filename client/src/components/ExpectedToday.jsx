@@ -0,0 +1,205 @@
+import React, { useState } from "react";
+import Tooltip from "./Tooltip";
+import UnitSelect from "./UnitSelect";
+import HostSelect from "./HostSelect";
+import VisitorTypeSelect, { findVisitorType } from "./VisitorTypeSelect";
+
+// Time of day of an ISO timestamp, e.g. "09:30"
+const formatClock = (timeString) =>
+  new Date(timeString).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// Today's date at a time of day typed as "HH:MM", as an ISO timestamp
+const todayAt = (clock) => {
+  const [hours, minutes] = clock.split(":").map(Number);
+  const time = new Date();
+  time.setHours(hours, minutes, 0, 0);
+  return time.toISOString();
+};
+
+const initialBooking = {
+  first_name: "",
+  last_name: "",
+  type: "contractor",
+  company_name: "",
+  unit_id: "",
+  from: "09:00",
+  until: "17:00",
+  host_id: "",
+  notes: "",
+};
+
+const STATUS_STYLES = {
+  booked: "bg-blue-50 border-blue-200",
+  arrived: "bg-green-50 border-green-200 opacity-75",
+  cancelled: "bg-gray-50 border-gray-200 opacity-60 line-through",
+};
+
+/**
+ * Panel of the visitors booked in for today at the kiosk's site, for signed-in staff.
+ * A booked visitor is signed in with one click; ticking the agreement box first
+ * records that they signed their visitor type's agreement. Staff can also book
+ * someone in for later today.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.appointments - Rows from GET /appointments.
+ * @param {Array<object>} props.visitorTypes - Rows from GET /visitor-types.
+ * @param {Array<object>} props.units - The site's units, for the booking form.
+ * @param {Array<object>} props.hosts - The site's host directory, for the booking form.
+ * @param {function} props.onSignIn - Called with (appointment, agreementSigned).
+ * @param {function} props.onCancel - Called with the appointment ID.
+ * @param {function} props.onBook - Called with the new appointment; resolves true once booked.
+ */
+const ExpectedToday = ({ appointments, visitorTypes, units, hosts, onSignIn, onCancel, onBook }) => {
+  const [agreementSigned, setAgreementSigned] = useState({});
+  const [showBooking, setShowBooking] = useState(false);
+  const [booking, setBooking] = useState(initialBooking);
+
+  const stillExpected = appointments.filter((appointment) => appointment.status === "booked").length;
+
+  const handleBookingChange = (e) => {
+    const { name, value } = e.target;
+    setBooking((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleBook = async (e) => {
+    e.preventDefault();
+    const { from, until, ...details } = booking;
+    const booked = await onBook({
+      ...details,
+      expected_from: todayAt(from),
+      expected_until: todayAt(until),
+    });
+    if (booked) {
+      setBooking(initialBooking);
+      setShowBooking(false);
+    }
+  };
+
+  const inputClass =
+    "w-full p-2 text-sm border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500";
+
+  return (
+    <div className="bg-white p-6 md:p-8 rounded-xl shadow-2xl transition-all border border-blue-100 mt-8">
+      <div className="flex justify-between items-center mb-4">
+        <Tooltip text="Visitors booked in for today. Click 'Sign In' when they arrive; their details are filled in from the booking.">
+          <h2 className="text-2xl font-bold text-blue-700">
+            Expected Today ({stillExpected})
+          </h2>
+        </Tooltip>
+        <button
+          onClick={() => setShowBooking(!showBooking)}
+          className="px-3 py-1 bg-blue-600 text-white text-sm rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+        >
+          {showBooking ? "Close" : "Book a Visitor"}
+        </button>
+      </div>
+
+      {showBooking && (
+        <form onSubmit={handleBook} className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6 p-4 border border-blue-200 rounded-lg bg-blue-50">
+          <input name="first_name" value={booking.first_name} onChange={handleBookingChange} placeholder="First name" required className={inputClass} />
+          <input name="last_name" value={booking.last_name} onChange={handleBookingChange} placeholder="Last name" required className={inputClass} />
+          <VisitorTypeSelect
+            visitorTypes={visitorTypes}
+            name="type"
+            value={booking.type}
+            onChange={handleBookingChange}
+            className={`${inputClass} bg-white`}
+          />
+          <input name="company_name" value={booking.company_name} onChange={handleBookingChange} placeholder="Company" className={inputClass} />
+          <UnitSelect
+            units={units}
+            value={booking.unit_id}
+            onSelect={(unit) => setBooking((prev) => ({ ...prev, unit_id: unit ? unit.id : "" }))}
+            className={`${inputClass} bg-white`}
+          />
+          <HostSelect hosts={hosts} value={booking.host_id} onChange={handleBookingChange} className={`${inputClass} bg-white`} />
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            From
+            <input type="time" name="from" value={booking.from} onChange={handleBookingChange} required className={inputClass} />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Until
+            <input type="time" name="until" value={booking.until} onChange={handleBookingChange} required className={inputClass} />
+          </label>
+          <input name="notes" value={booking.notes} onChange={handleBookingChange} placeholder="Notes" className={inputClass} />
+          <div className="md:col-span-3 flex justify-end">
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+            >
+              Book
+            </button>
+          </div>
+        </form>
+      )}
+
+      {appointments.length === 0 ? (
+        <div className="text-center py-4 text-gray-500 font-medium">
+          Nobody is booked in for today.
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {appointments.map((appointment) => {
+            const visitorType = findVisitorType(visitorTypes, appointment.type);
+            return (
+              <li
+                key={appointment.id}
+                className={`p-3 border rounded-lg flex flex-col md:flex-row md:justify-between md:items-center gap-3 ${STATUS_STYLES[appointment.status]}`}
+              >
+                <div>
+                  <p className="font-bold text-gray-800">
+                    {appointment.first_name} {appointment.last_name}
+                    {appointment.company_name && (
+                      <span className="font-normal text-gray-600"> · {appointment.company_name}</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatClock(appointment.expected_from)}–{formatClock(appointment.expected_until)} ·{" "}
+                    {visitorType ? visitorType.name : appointment.type} · Unit {appointment.unit}
+                    {appointment.host && ` · Host: ${appointment.host}`}
+                  </p>
+                  {appointment.notes && (
+                    <p className="text-xs text-gray-600 mt-1 italic">{appointment.notes}</p>
+                  )}
+                </div>
+
+                {appointment.status === "booked" ? (
+                  <div className="flex items-center gap-3">
+                    {visitorType && (
+                      <label className="flex items-center gap-1 text-xs text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={!!agreementSigned[appointment.id]}
+                          onChange={(e) =>
+                            setAgreementSigned((prev) => ({ ...prev, [appointment.id]: e.target.checked }))
+                          }
+                        />
+                        {visitorType.agreement} signed
+                      </label>
+                    )}
+                    <button
+                      onClick={() => onSignIn(appointment, !!agreementSigned[appointment.id])}
+                      className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg font-semibold hover:bg-green-700 transition-colors whitespace-nowrap"
+                    >
+                      Sign In
+                    </button>
+                    <button
+                      onClick={() => onCancel(appointment.id)}
+                      className="text-red-600 text-sm font-semibold hover:text-red-800 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <span className="text-sm font-semibold text-gray-600 capitalize">{appointment.status}</span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExpectedToday;
@@ -0,0 +1,30 @@
+import React from "react";
+
+/**
+ * Dropdown of the site's host directory, used wherever a visit's host is chosen.
+ * Not every visit has a host, so "No host" is always offered.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.hosts - Rows from GET /hosts (active hosts only).
+ * @param {number|string} props.value - The chosen host ID, or "" for none.
+ * @param {function} props.onChange - Called with the select's change event.
+ * @param {string} props.className - Classes for the select element.
+ * @param {string} [props.name] - The select's name, host_id unless the form names it otherwise.
+ */
+const HostSelect = ({ hosts, value, onChange, className, name = "host_id" }) => (
+  <select
+    name={name}
+    value={(hosts || []).some((host) => host.id === Number(value)) ? value : ""}
+    onChange={onChange}
+    className={className}
+  >
+    <option value="">No host</option>
+    {(hosts || []).map((host) => (
+      <option key={host.id} value={host.id}>
+        {host.unit_name ? `${host.name} (${host.unit_name})` : host.name}
+      </option>
+    ))}
+  </select>
+);
+
+export default HostSelect;
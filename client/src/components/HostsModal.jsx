@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+
+const emptyHost = { name: "", unit_id: "", notify_by: "none", email: "", webhook_url: "" };
+
+// How each notify_by value is described
+const NOTIFY_LABELS = {
+    none: "No notification",
+    email: "Email",
+    webhook: "Webhook",
+};
+
+/**
+ * Modal for admins to keep the directory of hosts visitors come to see, and how each
+ * host is told their visitor has arrived. Hosts who have left are deactivated, so
+ * visits keep their host.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {Array<object>} props.hosts - Rows from GET /hosts/contacts, active and retired.
+ * @param {Array<object>} props.units - The site's units, to say where a host is.
+ * @param {function} props.onSave - Called with (hostId or null, host details); resolves true when saved.
+ * @param {function} props.onSetActive - Called with (hostId, isActive) to retire or reactivate a host.
+ */
+const HostsModal = ({
+    showModal,
+    setShowModal,
+    hosts,
+    units,
+    onSave,
+    onSetActive
+}) => {
+    const [hostForm, setHostForm] = useState(emptyHost);
+    const [editingId, setEditingId] = useState(null);
+
+    if (!showModal) return null;
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setHostForm((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const startEdit = (host) => {
+        setEditingId(host.id);
+        setHostForm({
+            name: host.name,
+            unit_id: host.unit_id || "",
+            notify_by: host.notify_by,
+            email: host.email || "",
+            webhook_url: host.webhook_url || "",
+        });
+    };
+
+    const resetForm = () => {
+        setEditingId(null);
+        setHostForm(emptyHost);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (hostForm.name.trim() === "") {
+            alert("Please enter the host's name.");
+            return;
+        }
+        if (await onSave(editingId, hostForm)) resetForm();
+    };
+
+    const inputClass = "p-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:ring-indigo-500";
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">
+                    Hosts
+                </h2>
+
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
+                    <input
+                        type="text"
+                        name="name"
+                        value={hostForm.name}
+                        onChange={handleChange}
+                        placeholder="Name"
+                        className={inputClass}
+                    />
+                    <select name="unit_id" value={hostForm.unit_id} onChange={handleChange} className={`${inputClass} bg-white`}>
+                        <option value="">No unit</option>
+                        {units.filter((unit) => unit.is_active || unit.id === Number(hostForm.unit_id)).map((unit) => (
+                            <option key={unit.id} value={unit.id}>{unit.name}</option>
+                        ))}
+                    </select>
+                    <select name="notify_by" value={hostForm.notify_by} onChange={handleChange} className={`${inputClass} bg-white`}>
+                        {Object.entries(NOTIFY_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                    {hostForm.notify_by === "email" && (
+                        <input
+                            type="email"
+                            name="email"
+                            value={hostForm.email}
+                            onChange={handleChange}
+                            placeholder="Email address"
+                            className={`${inputClass} md:col-span-2`}
+                        />
+                    )}
+                    {hostForm.notify_by === "webhook" && (
+                        <input
+                            type="url"
+                            name="webhook_url"
+                            value={hostForm.webhook_url}
+                            onChange={handleChange}
+                            placeholder="https://..."
+                            className={`${inputClass} md:col-span-2`}
+                        />
+                    )}
+                    <div className="flex gap-2 md:col-start-3">
+                        <button
+                            type="submit"
+                            className="flex-1 px-3 py-2 bg-indigo-600 text-white text-sm rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+                        >
+                            {editingId ? "Save" : "Add Host"}
+                        </button>
+                        {editingId && (
+                            <button
+                                type="button"
+                                onClick={resetForm}
+                                className="px-3 py-2 bg-gray-200 text-gray-700 text-sm rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                </form>
+
+                {hosts.length === 0 ? (
+                    <p className="text-gray-600 mb-6">No hosts have been added yet.</p>
+                ) : (
+                    <ul className="space-y-2 mb-6 max-h-96 overflow-y-auto">
+                        {hosts.map((host) => (
+                            <li
+                                key={host.id}
+                                className={`p-3 border rounded-lg flex justify-between items-center gap-4 ${
+                                    host.is_active ? "border-indigo-200 bg-indigo-50" : "border-gray-200 bg-gray-100"
+                                }`}
+                            >
+                                <div>
+                                    <p className={`font-bold ${host.is_active ? "text-gray-800" : "text-gray-500 line-through"}`}>
+                                        {host.name}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {[
+                                            host.unit_name && `Unit ${host.unit_name}`,
+                                            host.notify_by === "email" && `Email ${host.email}`,
+                                            host.notify_by === "webhook" && `Webhook ${host.webhook_url}`,
+                                            host.notify_by === "none" && "Not notified",
+                                        ].filter(Boolean).join(" · ")}
+                                        {!host.is_active && " · Left"}
+                                    </p>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => startEdit(host)}
+                                        className="px-3 py-1 bg-white border border-indigo-300 text-indigo-700 text-sm rounded-lg font-semibold hover:bg-indigo-100 transition-colors"
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() => onSetActive(host.id, !host.is_active)}
+                                        className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                                    >
+                                        {host.is_active ? "Deactivate" : "Reactivate"}
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => {
+                            resetForm();
+                            setShowModal(false);
+                        }}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HostsModal;
@@ -1,8 +1,12 @@
 import React from 'react';
-import { EyeIcon, EyeOffIcon } from './IconComponents';
+import { EyeIcon, EyeOffIcon, PersonIcon } from './IconComponents';
 
+/**
+ * Staff sign-in modal. Shown whenever an action needs a signed-in staff member
+ * (or a higher role than the current one); the pending action runs after sign-in.
+ */
 const PasswordModal = ({
-  showPasswordModal, EnterPassword, password, setPassword,
+  showPasswordModal, handleStaffSignIn, username, setUsername, password, setPassword,
   showPassword, setShowPassword, message, messageType, setShowPasswordModal,
   modalTitle, modalDescription, submitButtonText
 }) => {
@@ -21,11 +25,24 @@ const PasswordModal = ({
           </div>
         )}
 
-        <form onSubmit={EnterPassword} className="space-y-4">
+        <form onSubmit={handleStaffSignIn} className="space-y-4">
+          <div className="relative">
+            <PersonIcon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Staff Username"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="w-full p-3 pl-10 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500 transition-shadow"
+              required
+            />
+          </div>
           <div className="relative">
             <input
               type={showPassword ? "text" : "password"}
               placeholder="Enter Password"
+              autoComplete="current-password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               className="w-full p-3 border border-gray-300 rounded-lg pr-10 focus:border-blue-500 focus:ring-blue-500 transition-shadow"
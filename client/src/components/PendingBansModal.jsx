@@ -0,0 +1,84 @@
+import React from 'react';
+import { banCategoryLabel } from './BanVisitorModal';
+
+/**
+ * Modal listing ban requests from receptionists that wait for a manager.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {Array<object>} props.pendingBans - Rows from GET /bans/pending.
+ * @param {function} props.onApprove - Called with the ban ID to put the ban into force.
+ * @param {function} props.onReject - Called with the ban ID to turn the request down.
+ */
+const PendingBansModal = ({
+    showModal,
+    setShowModal,
+    pendingBans,
+    onApprove,
+    onReject
+}) => {
+    if (!showModal) return null;
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-red-600 mb-4 border-b pb-2">
+                    Ban Requests Awaiting Approval
+                </h2>
+
+                {pendingBans.length === 0 ? (
+                    <p className="text-gray-600 mb-6">There are no ban requests waiting.</p>
+                ) : (
+                    <ul className="space-y-3 mb-6 max-h-96 overflow-y-auto">
+                        {pendingBans.map((ban) => (
+                            <li key={ban.id} className="p-3 border border-red-200 rounded-lg bg-red-50">
+                                <div className="flex justify-between items-start gap-4">
+                                    <div>
+                                        <p className="font-bold text-gray-800">
+                                            {ban.first_name} {ban.last_name}
+                                        </p>
+                                        <p className="text-sm font-semibold text-red-700">
+                                            {banCategoryLabel(ban.category)}
+                                        </p>
+                                        <p className="text-sm text-gray-700 mt-1">{ban.reason}</p>
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            Requested by {ban.issued_by} on{" "}
+                                            {new Date(ban.starts_at).toLocaleString("en-UK")}
+                                            {ban.expires_at &&
+                                                ` · ends ${new Date(ban.expires_at).toLocaleDateString("en-UK")}`}
+                                        </p>
+                                    </div>
+                                    <div className="flex flex-col gap-2">
+                                        <button
+                                            onClick={() => onApprove(ban.id)}
+                                            className="px-3 py-1 bg-red-600 text-white text-sm rounded-lg font-semibold hover:bg-red-700 transition-colors"
+                                        >
+                                            Approve
+                                        </button>
+                                        <button
+                                            onClick={() => onReject(ban.id)}
+                                            className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                                        >
+                                            Reject
+                                        </button>
+                                    </div>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PendingBansModal;
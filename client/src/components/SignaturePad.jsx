@@ -0,0 +1,86 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Canvas the visitor signs on with a finger, stylus or mouse. Optional: the paper form
+ * is still accepted, but a drawn signature is saved with the visit as proof.
+ *
+ * @param {object} props - Component props.
+ * @param {string|null} props.value - The signature as a PNG data URL, or null when blank.
+ * @param {function} props.onChange - Called with the PNG data URL after each stroke, or null when cleared.
+ */
+const SignaturePad = ({ value, onChange }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  // Wipe the canvas when the signature is cleared from outside (e.g. after sign-in)
+  useEffect(() => {
+    if (value) return;
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+  }, [value]);
+
+  // Pointer position in canvas pixels, whatever size the canvas is shown at
+  const pointAt = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    const context = canvasRef.current.getContext("2d");
+    const { x, y } = pointAt(e);
+    context.lineWidth = 2.5;
+    context.lineCap = "round";
+    context.strokeStyle = "#111827";
+    context.beginPath();
+    context.moveTo(x, y);
+    drawingRef.current = true;
+    canvasRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const context = canvasRef.current.getContext("2d");
+    const { x, y } = pointAt(e);
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    onChange(canvasRef.current.toDataURL("image/png"));
+  };
+
+  return (
+    <div className="ml-8 mt-2">
+      <canvas
+        ref={canvasRef}
+        width={600}
+        height={160}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full max-w-md h-32 bg-white border-2 border-dashed border-gray-300 rounded-lg touch-none cursor-crosshair"
+      />
+      <div className="flex items-center gap-4 mt-1 text-sm text-gray-600">
+        <span>{value ? "Signed on screen" : "Visitor signature (optional)"}</span>
+        {value && (
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="text-blue-600 hover:underline"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignaturePad;
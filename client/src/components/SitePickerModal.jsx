@@ -0,0 +1,74 @@
+import React from 'react';
+
+/**
+ * Modal asking which site (centre) this kiosk is running at. It is shown at start-up
+ * until a site is chosen, and again from the header to change it. The choice is kept
+ * in this browser, so each kiosk only asks once.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {Array<object>} props.sites - Rows from GET /sites; only active sites are offered.
+ * @param {number|null} props.currentSiteId - The site chosen now, if any.
+ * @param {function} props.onSelect - Called with the chosen site ID.
+ * @param {function|null} props.onClose - Closes without changing site; null while no site is chosen.
+ */
+const SitePickerModal = ({
+    showModal,
+    sites,
+    currentSiteId,
+    onSelect,
+    onClose
+}) => {
+    if (!showModal) return null;
+
+    const activeSites = sites.filter((site) => site.is_active);
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-indigo-700 mb-2 border-b pb-2">
+                    Choose Site
+                </h2>
+                <p className="text-gray-600 mb-4">
+                    Which site is this kiosk at? Sign-ins, units and the on-site list will be for this site.
+                </p>
+
+                {activeSites.length === 0 ? (
+                    <p className="text-gray-600 mb-6">No sites are open. Please ask an admin to add one.</p>
+                ) : (
+                    <ul className="space-y-2 mb-6 max-h-96 overflow-y-auto">
+                        {activeSites.map((site) => (
+                            <li key={site.id}>
+                                <button
+                                    onClick={() => onSelect(site.id)}
+                                    className={`w-full p-3 border rounded-lg text-left font-bold transition-colors ${
+                                        site.id === currentSiteId
+                                            ? "border-indigo-500 bg-indigo-100 text-indigo-800"
+                                            : "border-indigo-200 bg-indigo-50 text-gray-800 hover:bg-indigo-100"
+                                    }`}
+                                >
+                                    {site.name}
+                                    {site.id === currentSiteId && (
+                                        <span className="ml-2 text-xs font-semibold text-indigo-600">(current)</span>
+                                    )}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {onClose && (
+                    <div className="flex justify-end">
+                        <button
+                            onClick={onClose}
+                            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SitePickerModal;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import Tooltip from './Tooltip';
 
 // Helper component for the table rows
@@ -11,8 +11,13 @@ const StatusLine = ({ label, value, isGood }) => (
   </div>
 );
 
-const SystemStatusWidget = () => {
+// The status endpoint is open to anyone, so it only counts lockouts; who is locked
+// out comes from loadLockouts, given for signed-in managers.
+const SystemStatusWidget = ({ loadLockouts, onClearLockout }) => {
   const [status, setStatus] = useState({});
+  const [lockouts, setLockouts] = useState([]);
+  const loadLockoutsRef = useRef(loadLockouts);
+  loadLockoutsRef.current = loadLockouts;
   const [isExpanded, setIsExpanded] = useState(false);
   const [showModal, setShowModal] = useState(false);
 
@@ -25,6 +30,7 @@ const SystemStatusWidget = () => {
       if (!response.ok) throw new Error("Status API unreachable");
       const data = await response.json();
       setStatus(data);
+      setLockouts(loadLockoutsRef.current ? (await loadLockoutsRef.current()) || [] : []);
     } catch (error) {
       console.error("Fetch error:", error);
       setStatus({ 
@@ -38,7 +44,8 @@ const SystemStatusWidget = () => {
     fetchStatus();
     const intervalId = setInterval(fetchStatus, 15000); // Refresh every 15s
     return () => clearInterval(intervalId);
-  }, [fetchStatus]);
+    // Fetched again when a manager signs in or out, to show or drop the lockout details
+  }, [fetchStatus, !!loadLockouts]);
 
   // 2. Prepare the full Diagnostic Data object
   const fullDiagnosticData = {
@@ -96,6 +103,58 @@ const SystemStatusWidget = () => {
               value={status.last_backup ? new Date(status.last_backup).toLocaleTimeString() : "N/A"} 
               isGood={!!status.last_backup} 
             />
+            {/* Broken audit hash chains (cleanup runs and staff actions): name the first row that fails */}
+            {[
+              ["Cleanup Log Chain", status.audit_chain],
+              ["Audit Trail Chain", status.audit_events_chain],
+            ].map(([label, chain]) => chain && chain !== "N/A" && (
+              <StatusLine 
+                key={label}
+                label={label} 
+                value={
+                  chain.valid
+                    ? "Intact"
+                    : chain.first_broken
+                      ? `Broken at row ${chain.first_broken.id}`
+                      : "Check failed"
+                } 
+                isGood={chain.valid} 
+              />
+            ))}
+            {/* Open visits, at every site, that have lasted longer than expected */}
+            {status.overdue_visits !== undefined && status.overdue_visits !== null && (
+              <StatusLine 
+                label="Overdue Visitors" 
+                value={status.overdue_visits} 
+                isGood={status.overdue_visits === 0} 
+              />
+            )}
+            <StatusLine 
+              label="Sign-in Lockouts" 
+              value={status.lockout_count || 0} 
+              isGood={!status.lockout_count} 
+            />
+
+            {/* Locked IP addresses and accounts, for managers, who may lift them early */}
+            {lockouts.map((lockout) => (
+              <div key={lockout.id} className="flex justify-between items-center py-1 text-[10px] text-gray-600">
+                <span>
+                  {lockout.scope === "ip" ? "IP" : "Account"} <strong>{lockout.identifier}</strong> until{" "}
+                  {new Date(lockout.locked_until).toLocaleTimeString()}
+                </span>
+                {onClearLockout && (
+                  <button
+                    onClick={async () => {
+                      await onClearLockout(lockout.id);
+                      fetchStatus();
+                    }}
+                    className="ml-2 px-2 py-0.5 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+            ))}
 
             {status.last_error && (
               <div className="mt-2 p-2 bg-red-50 text-red-600 text-[10px] rounded border border-red-100 break-words">
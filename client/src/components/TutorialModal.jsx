@@ -38,13 +38,13 @@ const steps = [
   {
     title: "Step 6: Managing Banned Visitors",
     description:
-      "If a visitor is restricted (Banned), the 'Ban' button will change to a red 'Unban' button. To lift a restriction, click 'Unban'. This requires the management password to ensure only authorized staff can restore access.",
+      "If a visitor is restricted (Banned), the 'Ban' button will change to a red 'Unban' button. To lift a restriction, click 'Unban'. This requires a manager or admin to sign in with their staff account, so only authorized staff can restore access.",
     color: "bg-red-100 border-red-500",
   },
   {
     title: "Step 7: Accessing Historical Data",
     description:
-      "To view past records, click the 'View Historical Data' button at the top right. NOTE: This area is password protected. You will need the management password to access the visitors database for reports or audits.",
+      "To view past records, click the 'View Historical Data' button at the top right. NOTE: This area is restricted. A manager or admin must sign in with their staff account to access the visitors database for reports or audits.",
     color: "bg-slate-100 border-slate-500",
   },
 ];
@@ -0,0 +1,100 @@
+import React from 'react';
+import UnitSelect from './UnitSelect';
+
+/**
+ * Modal for staff to bar a visitor from a unit. Signing in to that unit is refused;
+ * every other unit stays open to them.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {Array<object>} props.units - Rows from GET /units; the unit is chosen from these.
+ * @param {object} props.restrictionDetails - Current { unit_id, reason } values.
+ * @param {function} props.setRestrictionDetails - Function to update the restriction details state.
+ * @param {function} props.confirmAction - The function to call the backend API.
+ */
+const UnitRestrictionModal = ({
+    showModal,
+    setShowModal,
+    units,
+    restrictionDetails,
+    setRestrictionDetails,
+    confirmAction
+}) => {
+    if (!showModal) return null;
+
+    const hasUnit = restrictionDetails.unit_id !== "";
+
+    // Handler for the main action
+    const handleConfirm = () => {
+        if (!hasUnit) {
+            alert("Please choose the unit this visitor may not visit.");
+            return;
+        }
+        confirmAction();
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setRestrictionDetails((prev) => ({ ...prev, [name]: value }));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-red-600 mb-4 border-b pb-2">
+                    Restrict a Unit
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    The visitor will not be signed in to this unit. Only a manager can lift the restriction.
+                </p>
+
+                <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Unit <span className="text-red-500">*</span>
+                    </label>
+                    <UnitSelect
+                        units={units}
+                        value={restrictionDetails.unit_id}
+                        onSelect={(unit) => setRestrictionDetails((prev) => ({ ...prev, unit_id: unit ? unit.id : "" }))}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg bg-white focus:ring-red-500 focus:border-red-500"
+                    />
+                </div>
+
+                <div className="mb-6">
+                    <label htmlFor="restrictionReason" className="block text-sm font-medium text-gray-700 mb-2">
+                        Reason
+                    </label>
+                    <textarea
+                        id="restrictionReason"
+                        name="reason"
+                        rows="2"
+                        value={restrictionDetails.reason}
+                        onChange={handleChange}
+                        placeholder="Shown to staff when the visitor is turned away."
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg resize-none focus:ring-red-500 focus:border-red-500"
+                    />
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        disabled={!hasUnit}
+                        className={`px-4 py-2 text-white rounded-lg font-semibold shadow-md transition-colors ${
+                            hasUnit ? "bg-red-600 hover:bg-red-700" : "bg-gray-400 cursor-not-allowed"
+                        }`}
+                    >
+                        Save Restriction
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UnitRestrictionModal;
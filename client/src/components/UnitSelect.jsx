@@ -0,0 +1,43 @@
+// Name of a unit as shown in the dropdowns, with its building and floor when known
+export const unitLabel = (unit) => {
+  const location = [unit.building, unit.floor && `floor ${unit.floor}`]
+    .filter(Boolean)
+    .join(", ");
+  return location ? `${unit.name} (${location})` : unit.name;
+};
+
+/**
+ * Dropdown of the active units, used wherever a visit's unit is chosen.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.units - Rows from GET /units (retired ones are left out).
+ * @param {number|string} props.value - The chosen unit ID, or "" for none.
+ * @param {function} props.onSelect - Called with the chosen unit row, or null.
+ * @param {string} props.className - Classes for the select element.
+ */
+const UnitSelect = ({ units, value, onSelect, className }) => {
+  const activeUnits = (units || []).filter((unit) => unit.is_active);
+
+  const handleChange = (e) => {
+    const unitId = Number(e.target.value);
+    onSelect(activeUnits.find((unit) => unit.id === unitId) || null);
+  };
+
+  return (
+    <select
+      name="unit_id"
+      value={activeUnits.some((unit) => unit.id === Number(value)) ? value : ""}
+      onChange={handleChange}
+      className={className}
+    >
+      <option value="">Choose a unit...</option>
+      {activeUnits.map((unit) => (
+        <option key={unit.id} value={unit.id}>
+          {unitLabel(unit)}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default UnitSelect;
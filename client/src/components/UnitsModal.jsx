@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+
+const emptyUnit = { name: "", building: "", floor: "" };
+
+/**
+ * Modal for admins to manage the list of units offered at sign-in. Units that have
+ * been visited can only be deactivated, so their history keeps its unit.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {Array<object>} props.units - Rows from GET /units, active and retired.
+ * @param {function} props.onSave - Called with (unitId or null, { name, building, floor }); resolves true when saved.
+ * @param {function} props.onSetActive - Called with (unitId, isActive) to retire or reactivate a unit.
+ * @param {function} props.onRemove - Called with the unit ID to delete a unit added by mistake.
+ */
+const UnitsModal = ({
+    showModal,
+    setShowModal,
+    units,
+    onSave,
+    onSetActive,
+    onRemove
+}) => {
+    const [unitForm, setUnitForm] = useState(emptyUnit);
+    const [editingId, setEditingId] = useState(null);
+
+    if (!showModal) return null;
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setUnitForm((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const startEdit = (unit) => {
+        setEditingId(unit.id);
+        setUnitForm({ name: unit.name, building: unit.building || "", floor: unit.floor || "" });
+    };
+
+    const resetForm = () => {
+        setEditingId(null);
+        setUnitForm(emptyUnit);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (unitForm.name.trim() === "") {
+            alert("Please enter the unit name.");
+            return;
+        }
+        if (await onSave(editingId, unitForm)) resetForm();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-indigo-700 mb-4 border-b pb-2">
+                    Units
+                </h2>
+
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-4">
+                    <input
+                        type="text"
+                        name="name"
+                        value={unitForm.name}
+                        onChange={handleChange}
+                        placeholder="Unit name"
+                        className="p-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                    <input
+                        type="text"
+                        name="building"
+                        value={unitForm.building}
+                        onChange={handleChange}
+                        placeholder="Building"
+                        className="p-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                    <input
+                        type="text"
+                        name="floor"
+                        value={unitForm.floor}
+                        onChange={handleChange}
+                        placeholder="Floor"
+                        className="p-2 border border-gray-300 rounded-lg focus:border-indigo-500 focus:ring-indigo-500"
+                    />
+                    <div className="flex gap-2">
+                        <button
+                            type="submit"
+                            className="flex-1 px-3 py-2 bg-indigo-600 text-white text-sm rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
+                        >
+                            {editingId ? "Save" : "Add Unit"}
+                        </button>
+                        {editingId && (
+                            <button
+                                type="button"
+                                onClick={resetForm}
+                                className="px-3 py-2 bg-gray-200 text-gray-700 text-sm rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                </form>
+
+                {units.length === 0 ? (
+                    <p className="text-gray-600 mb-6">No units have been added yet.</p>
+                ) : (
+                    <ul className="space-y-2 mb-6 max-h-96 overflow-y-auto">
+                        {units.map((unit) => (
+                            <li
+                                key={unit.id}
+                                className={`p-3 border rounded-lg flex justify-between items-center gap-4 ${
+                                    unit.is_active ? "border-indigo-200 bg-indigo-50" : "border-gray-200 bg-gray-100"
+                                }`}
+                            >
+                                <div>
+                                    <p className={`font-bold ${unit.is_active ? "text-gray-800" : "text-gray-500 line-through"}`}>
+                                        {unit.name}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {[unit.building, unit.floor && `Floor ${unit.floor}`].filter(Boolean).join(" · ") || "No building or floor"}
+                                        {!unit.is_active && " · Not in use"}
+                                    </p>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => startEdit(unit)}
+                                        className="px-3 py-1 bg-white border border-indigo-300 text-indigo-700 text-sm rounded-lg font-semibold hover:bg-indigo-100 transition-colors"
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() => onSetActive(unit.id, !unit.is_active)}
+                                        className="px-3 py-1 bg-gray-200 text-gray-700 text-sm rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                                    >
+                                        {unit.is_active ? "Deactivate" : "Reactivate"}
+                                    </button>
+                                    <button
+                                        onClick={() => onRemove(unit.id)}
+                                        className="px-3 py-1 bg-red-600 text-white text-sm rounded-lg font-semibold hover:bg-red-700 transition-colors"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => {
+                            resetForm();
+                            setShowModal(false);
+                        }}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default UnitsModal;
@@ -65,10 +65,13 @@ function HistoryDashboard({
   searchQuery,
   startDate,
   endDate,
+  sites = [],
+  siteId,
   sortConfig,
   onSearchChange,
   onStartDateChange,
   onEndDateChange,
+  onSiteChange,
   onApplyFilters,
   onClearFilters,
   onRequestSort,
@@ -91,6 +94,18 @@ function HistoryDashboard({
   };
 
   const displayData = data;
+
+  // Visits and visitors per site, shown when the report covers more than one site
+  const siteTotals = Object.values(
+    displayData.reduce((totals, visit) => {
+      const name = visit.site_name || "No site";
+      const entry = totals[name] || { name, visits: 0, visitors: new Set() };
+      entry.visits += 1;
+      entry.visitors.add(visit.visitor_id);
+      totals[name] = entry;
+      return totals;
+    }, {})
+  ).sort((a, b) => a.name.localeCompare(b.name));
   const reportDate = new Date().toLocaleDateString("en-US", {
     year: "numeric",
     month: "long",
@@ -137,6 +152,22 @@ function HistoryDashboard({
             className="w-full pl-5 pr-4 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
           />
         </div>
+        {/* Site Filter */}
+        {sites.length > 1 && (
+          <select
+            value={siteId}
+            onChange={(e) => onSiteChange(e.target.value)} // Calls setter in parent
+            className="w-full md:w-auto pl-3 pr-2 py-2 border border-indigo-200 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
+            aria-label="Site"
+          >
+            <option value="">All sites</option>
+            {sites.map((site) => (
+              <option key={site.id} value={site.id}>
+                {site.name}
+              </option>
+            ))}
+          </select>
+        )}
         {/* Date Filters */}
         <Tooltip text="Select a start and end date to see visitors from a specific time period.">
           <div className="flex gap-4 w-full md:w-auto">
@@ -205,6 +236,20 @@ function HistoryDashboard({
           </Tooltip>
         </div>
       </div>
+      {/* --- Totals per Site --- */}
+      {siteTotals.length > 1 && (
+        <div className="w-full flex flex-wrap gap-4 mb-6">
+          {siteTotals.map((site) => (
+            <div
+              key={site.name}
+              className="px-4 py-2 bg-white border border-indigo-200 rounded-lg shadow-sm text-sm"
+            >
+              <span className="font-bold text-indigo-800">{site.name}:</span>{" "}
+              {site.visits} visits, {site.visitors.size} visitors
+            </div>
+          ))}
+        </div>
+      )}
       {/*         --- Data Table ---         */}
       <div className="shadow-2xl rounded-xl w-full px-0">
         <table className=" table-auto divide-y divide-gray-200">
@@ -290,6 +335,11 @@ function HistoryDashboard({
                         {formatDate(visit.exit_time).time}
                       </div>
                     )}
+                    {visit.auto_signed_out === 1 && (
+                      <div className="text-xs text-amber-600 leading-tight w-fit">
+                        {visit.exit_corrected_at ? "Corrected" : "Auto signed out"}
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-4 text-sm font-medium text-gray-900 max-w-[50px] align-middle">
                     {visit.address || "--"}
@@ -302,6 +352,16 @@ function HistoryDashboard({
                     <div className="text-xs text-gray-400">
                       Unit/flat: {visit.unit || "--"}
                     </div>
+                    {visit.host_name && (
+                      <div className="text-xs text-gray-400">
+                        Host: {visit.host_name}
+                      </div>
+                    )}
+                    {visit.site_name && (
+                      <div className="text-xs text-gray-400">
+                        Site: {visit.site_name}
+                      </div>
+                    )}
                   </td>
                   {/* Reason / Type */}
                   <td className="px-3 py-3 text-sm text-gray-500 break-words max-w-[50px] align-middle">
@@ -359,6 +419,21 @@ function HistoryDashboard({
                         ? "COMPLETED"
                         : "PENDING"}
                     </span>
+                    {visit.agreement_version && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {visit.agreement_name} v{visit.agreement_version}
+                      </div>
+                    )}
+                    {visit.signature && (
+                      <a
+                        href={visit.signature}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="text-xs text-blue-600 hover:underline"
+                      >
+                        View signature
+                      </a>
+                    )}
                   </td>
                 </tr>
               ))
@@ -1,11 +1,66 @@
 import Tooltip from "./Tooltip";
+import UnitSelect from "./UnitSelect";
+import HostSelect from "./HostSelect";
+import VisitorTypeSelect, {
+  findVisitorType,
+  showsField,
+  requiresField,
+  missingTypeFields,
+} from "./VisitorTypeSelect";
+import AgreementText, { findAgreement, CHILD_AGREEMENT_NAME } from "./AgreementText";
+import SignaturePad from "./SignaturePad";
+import { banCategoryLabel } from "./BanVisitorModal";
+
+const formatBanDate = (isoString) =>
+  new Date(isoString).toLocaleDateString("en-UK", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+// Where the visitor stands with an agreement, from GET /visitors/:id/agreements
+const describeAcceptance = (status) =>
+  status.expires_at
+    ? `Signed version ${status.accepted_version} on ${formatBanDate(status.accepted_at)}, valid until ${formatBanDate(status.expires_at)}.`
+    : `Signed version ${status.accepted_version} on ${formatBanDate(status.accepted_at)}.`;
+
+// How each version of the contact details came about
+const DETAILS_SOURCE_LABELS = {
+  registration: "Registration",
+  sign_in: "Sign-in",
+  profile_edit: "Profile edit",
+  visit: "Earlier visit",
+};
+
+// Same comparison as the server: "Unit 4", "unit4" and "4" are one unit
+const normalizeUnit = (unit) =>
+  String(unit || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/^(unit|flat|room)(?=.)/, "");
+
+// Same rule as the server: by unit ID, or by name for a restriction on a unit
+// that is not on the list
+const restrictsUnit = (restriction, unitId, unitName) => {
+  if (restriction.unit_id && unitId) return restriction.unit_id === Number(unitId);
+  return normalizeUnit(unitName) !== "" && normalizeUnit(restriction.unit) === normalizeUnit(unitName);
+};
 
 const VisitorDetailsForm = ({
   selectedVisitor,
   editFormData,
   setEditFormData,
+  units,
+  hosts,
+  visitorTypes,
+  agreements,
+  agreementStatuses,
+  signature,
+  setSignature,
   handleLogin,
   handleUpdate,
+  handleSaveDetails,
+  detailsHistory,
   isAgreementCheckedAdult,
   setIsAgreementCheckedAdult,
   isAgreementCheckedChild,
@@ -16,6 +71,14 @@ const VisitorDetailsForm = ({
   messageType,
   handleCancelLogIn,
   handleRecordMissedVisitClick,
+  banHistory,
+  onViewBanHistory,
+  visitorFlags,
+  handleAddFlag,
+  handleRemoveFlag,
+  unitRestrictions,
+  handleAddUnitRestriction,
+  handleRemoveUnitRestriction,
 }) => {
   if (!selectedVisitor) return null;
 
@@ -24,6 +87,14 @@ const VisitorDetailsForm = ({
     setEditFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  const handleUnitSelect = (unit) => {
+    setEditFormData((prev) => ({
+      ...prev,
+      unit_id: unit ? unit.id : "",
+      unit: unit ? unit.name : "",
+    }));
+  };
+
   const handleDependentEditChange = (index, e) => {
     const { name, value } = e.target;
     const newDependents = (editFormData.additional_dependents || []).map(
@@ -80,30 +151,108 @@ const VisitorDetailsForm = ({
     return false;
   });
   const isBanned = selectedVisitor.is_banned === 1;
-  const isAgreementRequired = [
-    "contractor",
-    "visitor",
-    "professional",
-  ].includes(editFormData.type);
+  // The chosen visitor type decides which fields, dependents and agreement apply
+  const visitorType = findVisitorType(visitorTypes, editFormData.type);
+  const allowsDependents = !!visitorType && visitorType.allows_dependents === 1;
+  const missingFields = missingTypeFields(visitorType, editFormData);
 
-  const isAdultNotAcknowledged =
-    isAgreementRequired && !isAgreementCheckedAdult;
+  // A returning visitor accepts the agreement again only when its renewal rules say
+  // so; it must be ticked when leaving it outstanding would block sign-in (or when
+  // where they stand is not known)
+  const adultAgreementStatus =
+    visitorType &&
+    (agreementStatuses || []).find(
+      (status) => status.name.toLowerCase() === visitorType.agreement.toLowerCase()
+    );
+  const isAdultAgreementRequired =
+    !!visitorType &&
+    (!adultAgreementStatus ||
+      (!!adultAgreementStatus.outstanding && adultAgreementStatus.enforcement === "block"));
+  const isAdultNotAcknowledged = isAdultAgreementRequired && !isAgreementCheckedAdult;
   const isChildAgreementRequired =
-    validDependents.length > 0 && editFormData.type === "visitor";
+    validDependents.length > 0 && allowsDependents;
   const isChildNotAcknowledged =
     isChildAgreementRequired && !isAgreementCheckedChild;
   const shouldDisable =
     isBanned ||
+    !visitorType ||
+    missingFields.length > 0 ||
     isAdultNotAcknowledged ||
     isChildNotAcknowledged ||
     isDependentDataIncomplete;
 
+  // The restriction (if any) on the unit chosen in the form; the server refuses it too
+  const restrictedUnit = (unitRestrictions || []).find((restriction) =>
+    restrictsUnit(restriction, editFormData.unit_id, editFormData.unit)
+  );
+
+  // The unit of the last visit, when it has since been taken off the list
+  const retiredUnit = (units || []).find(
+    (unit) => unit.id === Number(editFormData.unit_id) && !unit.is_active
+  );
+
   return (
     <div className="w-full max-w-4xl mx-auto bg-white p-6 md:p-10 rounded-xl shadow-2xl border border-blue-100">
       <h2 className="text-3xl font-bold text-gray-800 mb-8 text-center">
         Visitor Details
       </h2>
 
+      {/* Flags: warnings short of a ban, shown whenever this visitor is selected */}
+      {visitorFlags && visitorFlags.length > 0 && (
+        <div className="mb-8 p-4 bg-amber-100 border-l-8 border-amber-500 rounded-lg shadow-md" role="alert">
+          <h3 className="text-lg font-bold text-amber-800 mb-2">⚠ Staff Attention</h3>
+          <ul className="space-y-2">
+            {visitorFlags.map((flag) => (
+              <li key={flag.id} className="flex flex-wrap justify-between items-center gap-2">
+                <span className="text-amber-900 font-semibold">
+                  {flag.flag_text}
+                  <span className="ml-2 text-xs font-normal text-amber-700">
+                    added by {flag.created_by}
+                    {flag.expires_at && ` · until ${formatBanDate(flag.expires_at)}`}
+                  </span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveFlag(flag.id)}
+                  className="text-xs font-medium text-amber-800 hover:text-amber-950 underline"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Unit restrictions: units this visitor may not be signed in to */}
+      {unitRestrictions && unitRestrictions.length > 0 && (
+        <div className="mb-8 p-4 bg-red-50 border-l-8 border-red-500 rounded-lg shadow-md">
+          <h3 className="text-lg font-bold text-red-800 mb-2">🚫 May Not Visit</h3>
+          <ul className="space-y-2">
+            {unitRestrictions.map((restriction) => (
+              <li key={restriction.id} className="flex flex-wrap justify-between items-center gap-2">
+                <span className="text-red-900 font-semibold">
+                  Unit {restriction.unit}
+                  {restriction.reason && (
+                    <span className="ml-2 font-normal text-red-800">– {restriction.reason}</span>
+                  )}
+                  <span className="ml-2 text-xs font-normal text-red-700">
+                    added by {restriction.created_by} on {formatBanDate(restriction.created_at)}
+                  </span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveUnitRestriction(restriction.id)}
+                  className="text-xs font-medium text-red-800 hover:text-red-950 underline"
+                >
+                  Lift
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-6">
         {/* Left Column - Export & Photo */}
         <div className="md:col-span-1 flex flex-col items-start space-y-4">
@@ -137,21 +286,46 @@ const VisitorDetailsForm = ({
             <label className="block text-sm font-medium text-gray-700">
               Visitor type
             </label>
-            <select
+            <VisitorTypeSelect
+              visitorTypes={visitorTypes}
               name="type"
               value={editFormData.type || "visitor"}
               onChange={handleEditChange}
               className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500 transition-shadow bg-white"
-            >
-              <option value="visitor">Guest</option>
-              <option value="contractor">Contractor</option>
-              <option value="professional">Professional</option>
-            </select>
+            />
+            {missingFields.length > 0 && (
+              <p className="mt-1 text-sm font-semibold text-red-600">
+                {visitorType.name} visitors must give: {missingFields.join(", ")}.
+              </p>
+            )}
+          </div>
+          {/* Expected length of this visit; blank means the type's usual length */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Expected length (minutes)
+            </label>
+            <input
+              type="number"
+              name="expected_duration_minutes"
+              min="1"
+              max="1440"
+              value={editFormData.expected_duration_minutes || ""}
+              onChange={handleEditChange}
+              placeholder={
+                visitorType && visitorType.default_duration_minutes
+                  ? `Usually ${visitorType.default_duration_minutes}`
+                  : "No usual length"
+              }
+              className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500 transition-shadow"
+            />
           </div>
-          {["contractor", "professional"].includes(editFormData.type) && (
+          {showsField(visitorType, "company_field") && (
             <div>
               <label className="block text-sm font-medium text-gray-700">
-                Company / Organization
+                Company / Organization{" "}
+                {requiresField(visitorType, "company_field") && (
+                  <span className="text-red-500">*</span>
+                )}
               </label>
               <input
                 type="text"
@@ -164,7 +338,7 @@ const VisitorDetailsForm = ({
           )}
 
           {/* known by any other names*/}
-          {["visitor"].includes(editFormData.type) && (
+          {showsField(visitorType, "address_field") && (
             <div>
               <label className="block text-sm font-medium text-gray-700">
                 Known by other Names
@@ -179,10 +353,13 @@ const VisitorDetailsForm = ({
             </div>
           )}
           {/* address  */}
-          {["visitor"].includes(editFormData.type) && (
+          {showsField(visitorType, "address_field") && (
             <div>
               <label className="block text-sm font-medium text-gray-700 ">
-                Address
+                Address{" "}
+                {requiresField(visitorType, "address_field") && (
+                  <span className="text-red-500">*</span>
+                )}
               </label>
               <textarea
                 rows="2"
@@ -210,19 +387,53 @@ const VisitorDetailsForm = ({
             <label className="block text-sm font-medium text-gray-700">
               Flat/Unit{" "}
             </label>
-            <input
-              type="text"
-              name="unit"
-              value={editFormData.unit || ""}
+            <UnitSelect
+              units={units}
+              value={editFormData.unit_id || ""}
+              onSelect={handleUnitSelect}
+              className={`w-full mt-1 p-3 border rounded-lg focus:border-blue-500 focus:ring-blue-500 transition-shadow ${
+                restrictedUnit ? "border-red-500 bg-red-50" : "border-gray-300"
+              }`}
+            />
+            {restrictedUnit && (
+              <p className="mt-1 text-sm font-semibold text-red-600">
+                This visitor may not visit unit {restrictedUnit.unit}.
+              </p>
+            )}
+            {retiredUnit && (
+              <p className="mt-1 text-sm font-semibold text-orange-600">
+                Unit {retiredUnit.name} is no longer in use. Please choose another unit.
+              </p>
+            )}
+          </div>
+
+          {/* Host */}
+          <div>
+            <Tooltip text="Who the visitor has come to see. They are told when the visitor signs in.">
+              <label className="block text-sm font-medium text-gray-700">
+                Visiting
+              </label>
+            </Tooltip>
+            <HostSelect
+              hosts={hosts}
+              value={editFormData.host_id || ""}
               onChange={handleEditChange}
               className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-blue-500 focus:ring-blue-500 transition-shadow"
             />
+            {editFormData.host_id && !hosts.some((host) => host.id === Number(editFormData.host_id)) && (
+              <p className="mt-1 text-sm font-semibold text-orange-600">
+                {selectedVisitor.host_name || "The last host"} is no longer in the directory.
+              </p>
+            )}
           </div>
 
           {/* Reason for Visit & Company */}
           <div>
             <label className="block text-sm font-medium text-gray-700">
-              Note/Reason for Visit
+              Note/Reason for Visit{" "}
+              {requiresField(visitorType, "reason_field") && (
+                <span className="text-red-500">*</span>
+              )}
             </label>
             <input
               type="text"
@@ -234,7 +445,7 @@ const VisitorDetailsForm = ({
           </div>
 
           {/* Type & Dependents Label */}
-          {["visitor"].includes(editFormData.type) && (
+          {allowsDependents && (
             <div className="self-end">
               <label className="block text-sm font-medium text-gray-700">
                 Additional Dependents
@@ -285,6 +496,97 @@ const VisitorDetailsForm = ({
           )}
         </div>
       </div>
+      {/* Ban History: why this visitor is (or was) restricted */}
+      {(isBanned || (banHistory && banHistory.length > 0)) && (
+        <div className="mt-8 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <h3 className="text-lg font-bold text-red-700 mb-2">Ban History</h3>
+          {!banHistory ? (
+            <button
+              type="button"
+              onClick={onViewBanHistory}
+              className="text-sm font-medium text-blue-600 hover:text-blue-800 underline"
+            >
+              Staff sign-in required to see the ban reasons.
+            </button>
+          ) : banHistory.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Banned before ban reasons were recorded.
+            </p>
+          ) : (
+            <ul className="space-y-3">
+              {banHistory.map((ban) => (
+                <li
+                  key={ban.id}
+                  className={`p-3 rounded-lg border text-sm ${
+                    ban.is_active
+                      ? "bg-white border-red-300"
+                      : "bg-gray-50 border-gray-200 text-gray-600"
+                  }`}
+                >
+                  <div className="flex flex-wrap justify-between gap-2">
+                    <span className="font-semibold">
+                      {banCategoryLabel(ban.category)}
+                      {ban.is_active ? (
+                        <span className="ml-2 text-xs font-bold text-red-600">ACTIVE</span>
+                      ) : ban.status === "pending" ? (
+                        <span className="ml-2 text-xs font-bold text-yellow-600">AWAITING MANAGER</span>
+                      ) : ban.status === "rejected" ? (
+                        <span className="ml-2 text-xs font-bold text-gray-500">REJECTED</span>
+                      ) : null}
+                    </span>
+                    <span className="text-xs">
+                      {formatBanDate(ban.starts_at)} –{" "}
+                      {ban.expires_at ? formatBanDate(ban.expires_at) : "no end date"}
+                    </span>
+                  </div>
+                  <p className="mt-1">{ban.reason || "No reason recorded."}</p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {ban.status === "pending" ? "Requested" : "Issued"} by {ban.issued_by}
+                    {ban.reviewed_by &&
+                      ban.reviewed_by !== ban.issued_by &&
+                      ` · ${ban.status === "rejected" ? "Rejected" : "Approved"} by ${ban.reviewed_by}${
+                        ban.review_note ? ` (${ban.review_note})` : ""
+                      }`}
+                    {ban.lifted_at &&
+                      ` · Lifted ${formatBanDate(ban.lifted_at)} by ${ban.lifted_by}${
+                        ban.lift_reason ? ` (${ban.lift_reason})` : ""
+                      }`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {/* Contact Details History: earlier versions of known as, address and phone number */}
+      {detailsHistory && detailsHistory.length > 1 && (
+        <div className="mt-8 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+          <h3 className="text-lg font-bold text-gray-700 mb-2">Contact Details History</h3>
+          <ul className="space-y-2">
+            {detailsHistory.map((version) => (
+              <li key={version.id} className="p-3 rounded-lg border border-gray-200 bg-white text-sm">
+                <div className="flex flex-wrap justify-between gap-2">
+                  <span className="font-semibold">
+                    Version {version.version}
+                    {version.version === selectedVisitor.details_version && (
+                      <span className="ml-2 text-xs font-bold text-green-600">CURRENT</span>
+                    )}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {DETAILS_SOURCE_LABELS[version.source] || version.source} ·{" "}
+                    {formatBanDate(version.changed_at)} by {version.changed_by}
+                  </span>
+                </div>
+                <p className="mt-1 text-gray-700">
+                  {[version.known_as, version.address, version.phone_number]
+                    .filter(Boolean)
+                    .join(" · ") || "No contact details."}
+                </p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       {message && (isError || isSuccess) && (
         <div
           className={`p-3 rounded-lg text-center font-medium mb-4 ${
@@ -308,15 +610,18 @@ const VisitorDetailsForm = ({
               className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
             />
             <span className="text-base font-medium  text-red-500">
-              * Child Agreement & Disclaimer Paper form signed and kept (Staff
+              * {CHILD_AGREEMENT_NAME} Paper form signed and kept (Staff
               Check)
             </span>
             <Tooltip text="Staff must verify that the guardian has signed the paper disclaimer for all accompanying children before signing in.Buttons below will remain disabled until this is checked." />
           </label>
+          <AgreementText
+            agreement={findAgreement(agreements, CHILD_AGREEMENT_NAME)}
+          />
         </div>
       )}
 
-      {["contractor"].includes(editFormData.type) && (
+      {visitorType && (
         <div className="mt-6">
           <label className="flex items-center space-x-3 cursor-pointer">
             <input
@@ -325,29 +630,44 @@ const VisitorDetailsForm = ({
               onChange={(e) => setIsAgreementCheckedAdult(e.target.checked)}
               className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
             />
-            <span className="text-base font-medium  text-red-500">
-              * Contractor H&S and Site Risk Assessment briefing completed and
-              confirmed (Staff Check)
-            </span>
-            <Tooltip text="Required for Health & Safety compliance. Buttons below will remain disabled until this is checked." />
-          </label>
-        </div>
-      )}
-      {["visitor", "professional"].includes(editFormData.type) && (
-        <div className="mt-6">
-          <label className="flex items-center space-x-3 cursor-pointer">
-            <input
-              type="checkbox"
-              checked={isAgreementCheckedAdult}
-              onChange={(e) => setIsAgreementCheckedAdult(e.target.checked)}
-              className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
-            />
-            <span className="text-base font-medium  text-red-500">
-              * Visitor Agreement & Disclaimer Paper form signed and kept (Staff
+            <span
+              className={`text-base font-medium ${
+                isAdultAgreementRequired ? "text-red-500" : "text-gray-700"
+              }`}
+            >
+              {isAdultAgreementRequired && "* "}
+              {visitorType.agreement} Paper form signed and kept (Staff
               Check)
             </span>
-            <Tooltip text="Required for Health & Safety compliance. Buttons below will remain disabled until this is checked." />
+            <Tooltip
+              text={
+                isAdultAgreementRequired
+                  ? "Required for Health & Safety compliance. Buttons below will remain disabled until this is checked."
+                  : "Tick when the visitor accepts the current version again at this visit; it is recorded with the visit."
+              }
+            />
           </label>
+          {adultAgreementStatus && (
+            <p
+              className={`ml-8 mt-1 text-sm font-medium ${
+                !adultAgreementStatus.outstanding
+                  ? "text-green-700"
+                  : adultAgreementStatus.enforcement === "block"
+                  ? "text-red-700"
+                  : "text-amber-700"
+              }`}
+            >
+              {adultAgreementStatus.outstanding
+                ? adultAgreementStatus.enforcement === "block"
+                  ? `Outstanding: ${adultAgreementStatus.message} They cannot be signed in until it is accepted.`
+                  : `Outstanding: ${adultAgreementStatus.message} They can still be signed in, with a warning.`
+                : describeAcceptance(adultAgreementStatus)}
+            </p>
+          )}
+          <AgreementText
+            agreement={findAgreement(agreements, visitorType.agreement)}
+          />
+          <SignaturePad value={signature} onChange={setSignature} />
         </div>
       )}
       {/* Action Buttons */}
@@ -395,6 +715,33 @@ const VisitorDetailsForm = ({
             {isBanned ? "Unban" : "Ban"}
           </button>
         </div>
+        <div className="flex flex-col items-center gap-1">
+          <Tooltip text="Add a warning such as 'must be escorted' that staff will see whenever this visitor is selected or on site. It does not stop them signing in." />
+          <button
+            onClick={() => handleAddFlag(selectedVisitor.id)}
+            className="px-8 py-3 font-bold rounded-lg transition-all shadow-xl bg-amber-500 text-white hover:bg-amber-600 whitespace-nowrap"
+          >
+            Add Flag
+          </button>
+        </div>
+        <div className="flex flex-col items-center gap-1">
+          <Tooltip text="Stop this visitor being signed in to a particular unit, while they can still visit others. Only a manager can lift it." />
+          <button
+            onClick={() => handleAddUnitRestriction(selectedVisitor.id)}
+            className="px-8 py-3 font-bold rounded-lg transition-all shadow-xl bg-red-100 text-red-700 hover:bg-red-200 whitespace-nowrap"
+          >
+            Restrict Unit
+          </button>
+        </div>
+        <div className="flex flex-col items-center gap-1">
+          <Tooltip text="Saves the known as name, address and phone number to the visitor's profile without signing them in. Earlier details are kept in the history." />
+          <button
+            onClick={() => handleSaveDetails(selectedVisitor.id)}
+            className="px-8 py-3 font-bold rounded-lg transition-all shadow-xl bg-blue-100 text-blue-700 hover:bg-blue-200 whitespace-nowrap"
+          >
+            Save Details
+          </button>
+        </div>
         <div className="flex flex-col items-center gap-1">
           <Tooltip text="Use this to updates the visitor's profile with any changes to their details or dependents (added/removed) and signs them in for today." />
           <button
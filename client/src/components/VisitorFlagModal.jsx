@@ -0,0 +1,101 @@
+import React from 'react';
+
+/**
+ * Modal for staff to add a flag to a visitor: a warning shown whenever they are
+ * selected or on site, which does not stop them signing in.
+ * * @param {object} props - Component props.
+ * @param {boolean} props.showModal - Controls visibility.
+ * @param {function} props.setShowModal - Function to close the modal.
+ * @param {object} props.flagDetails - Current { text, expires_at } values.
+ * @param {function} props.setFlagDetails - Function to update the flag details state.
+ * @param {function} props.confirmAction - The function to call the backend API.
+ */
+const VisitorFlagModal = ({
+    showModal,
+    setShowModal,
+    flagDetails,
+    setFlagDetails,
+    confirmAction
+}) => {
+    if (!showModal) return null;
+
+    const hasText = flagDetails.text.trim() !== "";
+
+    // Handler for the main action
+    const handleConfirm = () => {
+        if (!hasText) {
+            alert("Please write the flag before saving it.");
+            return;
+        }
+        confirmAction();
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFlagDetails((prev) => ({ ...prev, [name]: value }));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-amber-600 mb-4 border-b pb-2">
+                    Add a Flag
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Flags warn staff whenever this visitor is selected or on site. They do not stop the visitor signing in.
+                </p>
+
+                <div className="mb-4">
+                    <label htmlFor="flagText" className="block text-sm font-medium text-gray-700 mb-2">
+                        Flag <span className="text-red-500">*</span>
+                    </label>
+                    <textarea
+                        id="flagText"
+                        name="text"
+                        rows="2"
+                        maxLength={200}
+                        value={flagDetails.text}
+                        onChange={handleChange}
+                        placeholder="e.g. Must be escorted, Check with manager"
+                        required
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg resize-none focus:ring-amber-500 focus:border-amber-500"
+                    />
+                </div>
+
+                <div className="mb-6">
+                    <label htmlFor="flagExpiry" className="block text-sm font-medium text-gray-700 mb-2">
+                        Flag ends on (leave empty to keep it until removed)
+                    </label>
+                    <input
+                        type="date"
+                        id="flagExpiry"
+                        name="expires_at"
+                        value={flagDetails.expires_at}
+                        onChange={handleChange}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-amber-500 focus:border-amber-500"
+                    />
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={() => setShowModal(false)}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleConfirm}
+                        disabled={!hasText}
+                        className={`px-4 py-2 text-white rounded-lg font-semibold shadow-md transition-colors ${
+                            hasText ? "bg-amber-600 hover:bg-amber-700" : "bg-gray-400 cursor-not-allowed"
+                        }`}
+                    >
+                        Save Flag
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default VisitorFlagModal;
@@ -2,6 +2,16 @@ import { useRef, useState } from "react";
 import { CameraIcon, PersonIcon, PhoneIcon } from "./IconComponents";
 import Webcam from "react-webcam";
 import Tooltip from "./Tooltip";
+import UnitSelect from "./UnitSelect";
+import HostSelect from "./HostSelect";
+import VisitorTypeSelect, {
+  findVisitorType,
+  showsField,
+  requiresField,
+  missingTypeFields,
+} from "./VisitorTypeSelect";
+import AgreementText, { findAgreement, CHILD_AGREEMENT_NAME } from "./AgreementText";
+import SignaturePad from "./SignaturePad";
 
 const videoConstraints = {
   width: 300,
@@ -14,6 +24,13 @@ const VisitorRegistrationForm = ({
   messageType,
   formData,
   handleInputChange,
+  units,
+  handleUnitSelect,
+  hosts,
+  visitorTypes,
+  agreements,
+  signature,
+  setSignature,
   handlePhotoChange,
   photoPreviewUrl,
   dependents,
@@ -36,6 +53,15 @@ const VisitorRegistrationForm = ({
   const isError = messageType === "error" && message;
   const isSuccess = messageType === "success" && message;
 
+  // The chosen visitor type decides which fields, dependents and agreement apply
+  const visitorType = findVisitorType(visitorTypes, formData.visitorType);
+  const allowsDependents = !!visitorType && visitorType.allows_dependents === 1;
+  const missingFields = missingTypeFields(visitorType, {
+    company_name: formData.companyName,
+    reason_for_visit: formData.reasonForVisit,
+    address: formData.address,
+  });
+
   // Function to take the photo from the webcam
   const capture = () => {
     if (webcamRef.current) {
@@ -81,23 +107,44 @@ const VisitorRegistrationForm = ({
             <label className="block text-sm font-medium text-gray-700">
               Visitor Type
             </label>
-            <select
+            <VisitorTypeSelect
+              visitorTypes={visitorTypes}
               name="visitorType"
               value={formData.visitorType}
               onChange={handleInputChange}
               className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow bg-white"
-            >
-              <option value="visitor">Guest</option>
-              <option value="contractor">Contractor</option>
-              <option value="professional">Professional</option>
-            </select>
+            />
+          </div>
+
+          {/* Expected length of the visit; blank means the type's usual length */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Expected Length (minutes)
+            </label>
+            <input
+              type="number"
+              name="expectedDuration"
+              min="1"
+              max="1440"
+              value={formData.expectedDuration}
+              onChange={handleInputChange}
+              placeholder={
+                visitorType && visitorType.default_duration_minutes
+                  ? `Usually ${visitorType.default_duration_minutes}`
+                  : "No usual length"
+              }
+              className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
+            />
           </div>
 
           {/* Company / Organization (Conditional) */}
-          {["contractor", "professional"].includes(formData.visitorType) && (
+          {showsField(visitorType, "company_field") && (
             <div>
               <label className="block text-sm font-medium text-gray-700">
-                Company / Organization
+                Company / Organization{" "}
+                {requiresField(visitorType, "company_field") && (
+                  <span className="text-red-500">*</span>
+                )}
               </label>
               <input
                 type="text"
@@ -105,6 +152,7 @@ const VisitorRegistrationForm = ({
                 value={formData.companyName}
                 onChange={handleInputChange}
                 className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
+                required={requiresField(visitorType, "company_field")}
               />
             </div>
           )}
@@ -140,7 +188,7 @@ const VisitorRegistrationForm = ({
             />
           </div>
           {/* Know by other names*/}
-          {["visitor"].includes(formData.visitorType) && (
+          {showsField(visitorType, "address_field") && (
             <div>
               <label className="block text-sm font-medium text-gray-700">
                 Known by any other Names
@@ -155,10 +203,13 @@ const VisitorRegistrationForm = ({
             </div>
           )}
           {/* address*/}
-          {["visitor"].includes(formData.visitorType) && (
+          {showsField(visitorType, "address_field") && (
             <div>
               <label className="block text-sm font-medium text-gray-700">
-                Address
+                Address{" "}
+                {requiresField(visitorType, "address_field") && (
+                  <span className="text-red-500">*</span>
+                )}
               </label>
               <input
                 type="text"
@@ -166,6 +217,7 @@ const VisitorRegistrationForm = ({
                 value={formData.address}
                 onChange={handleInputChange}
                 className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
+                required={requiresField(visitorType, "address_field")}
               />
             </div>
           )}
@@ -189,10 +241,25 @@ const VisitorRegistrationForm = ({
             <label className="block text-sm font-medium text-gray-700">
               Flat/Unit{" "}
             </label>
-            <input
-              type="text"
-              name="unit"
-              value={formData.unit}
+            <UnitSelect
+              units={units}
+              value={formData.unitId}
+              onSelect={handleUnitSelect}
+              className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
+            />
+          </div>
+
+          {/* Host */}
+          <div>
+            <Tooltip text="Who the visitor has come to see. They are told when the visitor signs in.">
+              <label className="block text-sm font-medium text-gray-700">
+                Visiting
+              </label>
+            </Tooltip>
+            <HostSelect
+              hosts={hosts}
+              name="hostId"
+              value={formData.hostId}
               onChange={handleInputChange}
               className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
             />
@@ -201,13 +268,16 @@ const VisitorRegistrationForm = ({
           {/* Reason for Visit  */}
           <div
             className={
-              ["contractor", "professional"].includes(formData.visitorType)
+              showsField(visitorType, "company_field")
                 ? "md:col-span-1"
                 : "md:col-span-2"
             }
           >
             <label className="block text-sm font-medium text-gray-700">
-              Note/Reason for Visit
+              Note/Reason for Visit{" "}
+              {requiresField(visitorType, "reason_field") && (
+                <span className="text-red-500">*</span>
+              )}
             </label>
             <textarea
               name="reasonForVisit"
@@ -215,6 +285,7 @@ const VisitorRegistrationForm = ({
               onChange={handleInputChange}
               rows="2"
               className="w-full mt-1 p-3 border border-gray-300 rounded-lg focus:border-purple-500 focus:ring-purple-500 transition-shadow"
+              required={requiresField(visitorType, "reason_field")}
             ></textarea>
           </div>
         </div>
@@ -348,7 +419,7 @@ const VisitorRegistrationForm = ({
             )}{" "}
           </div>
           {/* Additional Dependents */}
-          {["visitor"].includes(formData.visitorType) && (
+          {allowsDependents && (
             <div className="md:col-span-2 space-y-3">
               <h4 className="text-lg font-semibold text-gray-800">
                 Additional Dependents
@@ -411,7 +482,7 @@ const VisitorRegistrationForm = ({
             {message}
           </div>
         )}
-        {["visitor"].includes(formData.visitorType) &&
+        {allowsDependents &&
           dependents.length > 0 && (
             <div className="mt-6">
               <Tooltip text="The Dependent must read and sign the paper form before you check this box. This is a legal requirement for site safety.">
@@ -425,34 +496,18 @@ const VisitorRegistrationForm = ({
                     className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
                   />
                   <span className="text-base font-medium  text-red-500">
-                    * Child Agreement & Disclaimer form completed and signed
+                    * {CHILD_AGREEMENT_NAME} form completed and signed
                     (Staff Check)
                   </span>
                 </label>
               </Tooltip>
+              <AgreementText
+                agreement={findAgreement(agreements, CHILD_AGREEMENT_NAME)}
+              />
             </div>
           )}
 
-        {["contractor"].includes(formData.visitorType) && (
-          <div className="mt-6">
-            <Tooltip text="The Contractor must read and sign the paper form before you check this box. This is a legal requirement for site safety.">
-              <label className="flex items-center space-x-3 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={isAgreementCheckedAdult}
-                  onChange={(e) => setIsAgreementCheckedAdult(e.target.checked)}
-                  className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
-                />
-                <span className="text-base font-medium  text-red-500">
-                  * Contractor H&S and Site Risk Assessment briefing completed
-                  and signed (Staff Check)
-                </span>
-              </label>
-            </Tooltip>
-          </div>
-        )}
-
-        {["visitor", "professional"].includes(formData.visitorType) && (
+        {visitorType && (
           <div className="mt-6">
             <Tooltip text="The visitor must read and sign the paper form before you check this box. This is a legal requirement for site safety.">
               <label className="flex items-center space-x-3 cursor-pointer">
@@ -463,11 +518,15 @@ const VisitorRegistrationForm = ({
                   className="form-checkbox h-5 w-5 text-purple-600 rounded border-gray-300 focus:ring-purple-500"
                 />
                 <span className="text-base font-medium  text-red-500">
-                  * Visitor Agreement & Disclaimer form completed and signed
-                  (Staff Check)
+                  * {visitorType.agreement} form completed and signed (Staff
+                  Check)
                 </span>
               </label>
             </Tooltip>
+            <AgreementText
+              agreement={findAgreement(agreements, visitorType.agreement)}
+            />
+            <SignaturePad value={signature} onChange={setSignature} />
           </div>
         )}
 
@@ -480,8 +539,10 @@ const VisitorRegistrationForm = ({
               loadingRegistration ||
               !formData.firstName ||
               !formData.lastName ||
+              !visitorType ||
+              missingFields.length > 0 ||
               !isAgreementCheckedAdult ||
-              (dependents.length > 0 && !isAgreementCheckedChild)
+              (allowsDependents && dependents.length > 0 && !isAgreementCheckedChild)
             }
           >
             {loadingRegistration ? "Registering..." : "Register & Sign In"}
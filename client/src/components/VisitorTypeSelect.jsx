@@ -0,0 +1,61 @@
+// The visitor type a form value refers to; codes compare ignoring case, as on the server
+export const findVisitorType = (visitorTypes, code) =>
+  (visitorTypes || []).find(
+    (type) => type.code.toLowerCase() === String(code || "").toLowerCase()
+  ) || null;
+
+// Whether a type shows (or requires) one of its configurable fields
+export const showsField = (visitorType, setting) =>
+  !!visitorType && visitorType[setting] !== "hidden";
+export const requiresField = (visitorType, setting) =>
+  !!visitorType && visitorType[setting] === "required";
+
+// Labels of the fields the type requires that are blank in the values given
+export const missingTypeFields = (visitorType, values) =>
+  [
+    ["company_field", values.company_name, "Company"],
+    ["reason_field", values.reason_for_visit, "Reason for visit"],
+    ["address_field", values.address, "Address"],
+  ]
+    .filter(
+      ([setting, value]) =>
+        requiresField(visitorType, setting) && String(value || "").trim() === ""
+    )
+    .map(([, , label]) => label);
+
+/**
+ * Dropdown of the active visitor types, used wherever a visit's type is chosen. A
+ * retired type a returning visitor last came as is still shown, so it can be changed.
+ *
+ * @param {object} props - Component props.
+ * @param {Array<object>} props.visitorTypes - Rows from GET /visitor-types.
+ * @param {string} props.name - Name of the select element, for the form's change handler.
+ * @param {string} props.value - The chosen type's code.
+ * @param {function} props.onChange - The form's change handler.
+ * @param {string} props.className - Classes for the select element.
+ */
+const VisitorTypeSelect = ({ visitorTypes, name, value, onChange, className }) => {
+  const current = findVisitorType(visitorTypes, value);
+  const offered = (visitorTypes || []).filter(
+    (type) => type.is_active || type === current
+  );
+
+  return (
+    <select
+      name={name}
+      value={current ? current.code : ""}
+      onChange={onChange}
+      className={className}
+    >
+      {!current && <option value="">Choose a visitor type...</option>}
+      {offered.map((type) => (
+        <option key={type.id} value={type.code}>
+          {type.name}
+          {!type.is_active && " (no longer in use)"}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default VisitorTypeSelect;
@@ -13,6 +13,11 @@ const formatTime = (timeString) => {
     hour12: true,
   });
 };
+// Minutes past the expected length, as "45 min" or "2 h 05 min"
+const formatMinutesOver = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, "0")} min`;
+};
 // Helper function to parse the aggregated JSON string and format dependents
 const formatDependents = (dependentsString) => {
   if (!dependentsString || dependentsString.trim() === "" || dependentsString === 'None'){
@@ -146,6 +151,11 @@ const VisitorsDashboard = ({
             Who is On Site?
           </h2>
         </Tooltip>
+        {visitors.some((v) => v.overdue) && (
+          <div className="p-3 rounded-lg text-center font-medium mb-4 bg-red-100 text-red-700 border border-red-300">
+            {visitors.filter((v) => v.overdue).length} visitor(s) have stayed longer than expected.
+          </div>
+        )}
         {loadingInSite && (
           <div className="text-center py-4 text-blue-500 font-semibold">
             Loading active visitors...
@@ -180,9 +190,28 @@ const VisitorsDashboard = ({
               </thead>
               <tbody className="divide-y divide-blue-100 bg-white">
                 {visitors.map((v) => (
-                  <tr key={v.id} className="hover:bg-blue-50 transition-colors">
+                  <tr
+                    key={v.id}
+                    className={`transition-colors ${
+                      v.overdue
+                        ? "bg-red-50 hover:bg-red-100"
+                        : v.flags && v.flags.length > 0
+                        ? "bg-amber-50 hover:bg-amber-100"
+                        : "hover:bg-blue-50"
+                    }`}
+                  >
                     <td className="px-4 py-3 font-medium text-gray-800 ">
                       {v.first_name} {v.last_name}
+                      {/* Flags: warnings short of a ban */}
+                      {v.flags &&
+                        v.flags.map((flag) => (
+                          <span
+                            key={flag.id}
+                            className="block mt-1 text-xs font-bold text-amber-800 bg-amber-200 rounded px-2 py-0.5 w-fit"
+                          >
+                            ⚠ {flag.flag_text}
+                          </span>
+                        ))}
                     </td>
                     <td className="px-4 py-3 hidden sm:table-cell text-sm text-gray-600 capitalize ">
                       {formatDependents(v.additional_dependents)}
@@ -192,12 +221,21 @@ const VisitorsDashboard = ({
                     </td>
                     <td className="px-4 py-3 text-sm text-gray-600 break-words max-w-[10rem]">
                       {v.unit || "---"}
+                      {v.host_name && (
+                        <span className="block text-xs text-gray-500">Visiting {v.host_name}</span>
+                      )}
                     </td>
                     <td className="px-4 py-3 hidden md:table-cell text-sm text-gray-600 break-words max-w-[10rem]">
                       {v.reason_for_visit || "---"}
                     </td>
                     <td className="px-4 py-3 text-sm text-gray-600 ">
                       {formatTime(v.entry_time)}
+                      {/* Stayed longer than the length expected at sign-in */}
+                      {v.overdue && (
+                        <span className="block mt-1 text-xs font-bold text-red-700 bg-red-200 rounded px-2 py-0.5 w-fit whitespace-nowrap">
+                          Overdue by {formatMinutesOver(v.minutes_over)}
+                        </span>
+                      )}
                     </td>
                     <td className="px-4 py-3 text-center">
                       <button
@@ -0,0 +1,88 @@
+import React from 'react';
+
+// How each matched field is described to staff
+const MATCHED_ON_LABELS = {
+    name: "Similar name",
+    known_as: "Same known as",
+    phone_number: "Same phone number",
+    address: "Similar address",
+    photo: "Similar photo",
+};
+
+/**
+ * Modal shown when registration or sign-in details match a banned visitor.
+ * With a retry nothing has been saved yet: staff either cancel or confirm to sign the visitor in anyway.
+ * Without one (a photo flagged after registering) staff only review the matches.
+ * * @param {object} props - Component props.
+ * @param {object|null} props.warning - { title, message, matches, retry } built from the server response, or null when hidden.
+ * @param {function} props.onCancel - Closes the warning without signing the visitor in.
+ * @param {function} props.confirmAction - Re-sends the request with the warning acknowledged.
+ */
+const WatchlistWarningModal = ({
+    warning,
+    onCancel,
+    confirmAction
+}) => {
+    if (!warning) return null;
+
+    return (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl p-6 transform transition-all">
+                <h2 className="text-2xl font-bold text-red-600 mb-4 border-b pb-2">
+                    {warning.title || "Possible Banned Visitor"}
+                </h2>
+                <p className="text-gray-700 mb-4">{warning.message}</p>
+
+                <ul className="space-y-3 mb-6 max-h-96 overflow-y-auto">
+                    {warning.matches.map((match) => (
+                        <li
+                            key={match.visitor_id}
+                            className="flex items-center gap-4 p-3 border border-red-200 rounded-lg bg-red-50"
+                        >
+                            {match.photo_path ? (
+                                <img
+                                    src={match.photo_path}
+                                    alt={`${match.first_name} ${match.last_name}`}
+                                    className="w-16 h-16 rounded-lg object-cover border border-red-300"
+                                />
+                            ) : (
+                                <div className="w-16 h-16 rounded-lg bg-gray-200 flex items-center justify-center text-xs text-gray-500">
+                                    No photo
+                                </div>
+                            )}
+                            <div>
+                                <p className="font-bold text-gray-800">
+                                    {match.first_name} {match.last_name}
+                                    <span className="ml-2 text-xs font-bold text-red-600">BANNED</span>
+                                </p>
+                                <p className="text-sm text-red-700">
+                                    {match.matched_on.map((field) => MATCHED_ON_LABELS[field] || field).join(" · ")}
+                                    {match.similarity !== undefined && ` (${match.similarity}% alike)`}
+                                </p>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end space-x-3">
+                    <button
+                        onClick={onCancel}
+                        className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+                    >
+                        {warning.retry ? "Cancel" : "Close"}
+                    </button>
+                    {warning.retry && (
+                        <button
+                            onClick={confirmAction}
+                            className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold shadow-md hover:bg-red-700 transition-colors"
+                        >
+                            Not the Same Person – Sign In
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WatchlistWarningModal;
@@ -0,0 +1,373 @@
+// Agreements: the documents a visitor accepts at sign-in. Each visitor type names the
+// agreement its visitors sign (visitor_types.agreement), and dependents sign the child
+// agreement. The text is kept as numbered versions that are never edited; publishing a
+// change adds a version, and a visit records the version that was accepted
+// (visits.agreement_version_id, dependents.agreement_version_id) with an optional
+// image of the signature drawn on screen (visits.signature_path).
+//
+// Renewal rules say when a returning visitor must accept an agreement again: after
+// valid_for_days since they last accepted it, and (resign_on_new_version) once a newer
+// version has been published. enforcement says whether sign-in is refused while it is
+// outstanding ('block') or goes ahead with a warning ('warn'). A sign-in accepts an
+// agreement only when the kiosk sends the version it showed. The child agreement is
+// accepted for the dependents at every visit they come to and has no rules.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { run, get, all } = require("./repository/db");
+
+// The agreement signed for dependents, whatever the visitor type
+const CHILD_AGREEMENT_NAME = "Child Agreement & Disclaimer";
+
+// Sent back when a visitor type names an agreement that does not exist
+const CHOOSE_AGREEMENT_MESSAGE = "Please choose an agreement from the list.";
+
+// Sent back when the signature sent is not a PNG from the kiosk's canvas
+const UNREADABLE_SIGNATURE_MESSAGE = "The signature could not be read. Please ask the visitor to sign again.";
+
+// Signature images are saved under uploads/ and served with the photos
+const SIGNATURES_DIR = path.join(__dirname, "uploads", "signatures");
+
+// A signature arrives as the canvas' PNG data URL; anything far larger is not a signature
+const SIGNATURE_DATA_URL = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+const MAX_SIGNATURE_LENGTH = 500 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// What happens at sign-in while an agreement is outstanding
+const ENFORCEMENTS = ["warn", "block"];
+
+// Agreements (A) with their current, highest numbered, version (V)
+const currentVersionSql = (condition) => `
+  SELECT A.id, A.name, A.created_at, A.valid_for_days, A.resign_on_new_version, A.enforcement,
+    V.id AS version_id, V.version, V.body, V.published_at, V.published_by
+  FROM agreements AS A
+  LEFT JOIN agreement_versions AS V
+    ON V.agreement_id = A.id
+    AND V.version = (SELECT MAX(version) FROM agreement_versions WHERE agreement_id = A.id)
+  WHERE ${condition}`;
+
+// The version of each agreement a visitor accepted last (SQLite takes the bare
+// columns from the row with the latest entry_time), and when that acceptance runs out
+const latestAcceptanceSql = (condition) => `
+  SELECT AV.agreement_id, AV.version AS accepted_version, MAX(V.entry_time) AS accepted_at,
+    CASE WHEN A.valid_for_days IS NOT NULL
+      THEN strftime('%Y-%m-%dT%H:%M:%fZ', MAX(V.entry_time), '+' || A.valid_for_days || ' days')
+    END AS expires_at
+  FROM visits AS V
+  JOIN agreement_versions AS AV ON AV.id = V.agreement_version_id
+  JOIN agreements AS A ON A.id = AV.agreement_id
+  WHERE V.visitor_id = ? AND ${condition}
+  GROUP BY AV.agreement_id`;
+
+/**
+ * Lists every agreement by name, each with the text of its current version.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @returns {Promise<Array<object>>} { id, name, valid_for_days, resign_on_new_version, enforcement,
+ *   version_id, version, body, published_at, published_by }.
+ */
+function listAgreements(db) {
+  return all(db, `${currentVersionSql("1 = 1")} ORDER BY A.name COLLATE NOCASE ASC`);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} agreementId - The agreement ID.
+ * @returns {Promise<object|undefined>} The agreement with its current version.
+ */
+function findAgreement(db, agreementId) {
+  return get(db, currentVersionSql("A.id = ?"), [agreementId]);
+}
+
+/**
+ * Finds an agreement by name, ignoring case (agreement names are unique).
+ *
+ * @returns {Promise<object|undefined>} The agreement with its current version.
+ */
+function findAgreementByName(db, name) {
+  return get(db, currentVersionSql("LOWER(A.name) = LOWER(?)"), [String(name || "").trim()]);
+}
+
+/**
+ * Every version of an agreement, newest first, so the text of an old one can be shown.
+ *
+ * @returns {Promise<Array<object>>} agreement_versions rows.
+ */
+function listVersions(db, agreementId) {
+  return all(db, `SELECT * FROM agreement_versions WHERE agreement_id = ? ORDER BY version DESC`, [
+    agreementId,
+  ]);
+}
+
+/**
+ * Adds an agreement with its first version. Call inside withTransaction.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} agreement - { name, body, published_at, published_by }.
+ * @returns {Promise<number>} The new agreement ID.
+ */
+async function addAgreement(db, agreement) {
+  const result = await run(db, `INSERT INTO agreements (name, created_at) VALUES (?, ?)`, [
+    agreement.name,
+    agreement.published_at,
+  ]);
+  await publishVersion(db, result.lastID, agreement);
+  return result.lastID;
+}
+
+/**
+ * Adds the next version of an agreement; it is the one accepted from then on.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} agreementId - The agreement ID.
+ * @param {object} version - { body, published_at, published_by }.
+ * @returns {Promise<{id: number, version: number}>} The new version's ID and number.
+ */
+async function publishVersion(db, agreementId, { body, published_at, published_by }) {
+  const { latest } = await get(
+    db,
+    `SELECT COALESCE(MAX(version), 0) AS latest FROM agreement_versions WHERE agreement_id = ?`,
+    [agreementId]
+  );
+  const result = await run(
+    db,
+    `INSERT INTO agreement_versions (agreement_id, version, body, published_at, published_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [agreementId, latest + 1, body, published_at, published_by || null]
+  );
+  return { id: result.lastID, version: latest + 1 };
+}
+
+/**
+ * Sets an agreement's renewal rules. Call inside withTransaction.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} agreement - { id, valid_for_days, resign_on_new_version, enforcement }.
+ */
+async function updateRules(db, agreement) {
+  await run(
+    db,
+    `UPDATE agreements SET valid_for_days = ?, resign_on_new_version = ?, enforcement = ? WHERE id = ?`,
+    [agreement.valid_for_days, agreement.resign_on_new_version ? 1 : 0, agreement.enforcement, agreement.id]
+  );
+}
+
+// Where a visitor stands with an agreement (a row from currentVersionSql), given
+// their latest acceptance of it, if any
+function describeStatus(agreement, acceptance, now) {
+  const accepted_at = acceptance ? acceptance.accepted_at : null;
+  const accepted_version = acceptance ? acceptance.accepted_version : null;
+  const expires_at = acceptance ? acceptance.expires_at : null;
+
+  let outstanding = null;
+  let message = null;
+  if (!acceptance) {
+    outstanding = "never_signed";
+    message = `The ${agreement.name} has not been signed yet.`;
+  } else if (expires_at && expires_at <= now.toISOString()) {
+    outstanding = "expired";
+    message = `The ${agreement.name} signed on ${accepted_at.slice(0, 10)} ran out on ${expires_at.slice(0, 10)}.`;
+  } else if (agreement.resign_on_new_version && accepted_version < agreement.version) {
+    outstanding = "new_version";
+    message = `The ${agreement.name} has changed since version ${accepted_version} was signed (it is now version ${agreement.version}).`;
+  }
+
+  return {
+    agreement_id: agreement.id,
+    name: agreement.name,
+    version_id: agreement.version_id,
+    version: agreement.version,
+    valid_for_days: agreement.valid_for_days,
+    resign_on_new_version: agreement.resign_on_new_version,
+    enforcement: agreement.enforcement,
+    accepted_version,
+    accepted_at,
+    expires_at,
+    outstanding,
+    message,
+  };
+}
+
+/**
+ * Where a visitor stands with each agreement that has renewal rules (all but the child
+ * agreement): the version they last accepted and when, when that runs out, and whether
+ * it must be accepted again (outstanding: never_signed, expired, new_version or null).
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @param {Date} [now] - The time to judge expiry at.
+ * @returns {Promise<Array<object>>} One status per agreement, by name.
+ */
+async function agreementStatuses(db, visitorId, now = new Date()) {
+  const [agreements, acceptances] = await Promise.all([
+    listAgreements(db),
+    all(db, latestAcceptanceSql("1 = 1"), [visitorId]),
+  ]);
+  return agreements
+    .filter((agreement) => agreement.name !== CHILD_AGREEMENT_NAME && agreement.version_id)
+    .map((agreement) =>
+      describeStatus(
+        agreement,
+        acceptances.find((acceptance) => acceptance.agreement_id === agreement.id),
+        now
+      )
+    );
+}
+
+/**
+ * The visitor type's agreement when a sign-in leaves it outstanding: it is due again
+ * under its rules and was not accepted at this sign-in. The caller refuses the sign-in
+ * when its enforcement is 'block' and warns otherwise.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string|null} visitorId - The visitor ID; null for a new registration.
+ * @param {object} visitorType - The visit's visitor type row.
+ * @param {object|null} agreementVersion - The version accepted now, from resolveAcceptedVersions.
+ * @returns {Promise<object|null>} The agreement's status (see agreementStatuses), or null.
+ */
+async function findOutstandingAgreement(db, visitorId, visitorType, agreementVersion) {
+  if (agreementVersion) return null;
+  const agreement = await findAgreementByName(db, visitorType.agreement);
+  if (!agreement || !agreement.version_id || agreement.name === CHILD_AGREEMENT_NAME) return null;
+  const acceptance = visitorId
+    ? await get(db, latestAcceptanceSql("AV.agreement_id = ?"), [visitorId, agreement.id])
+    : undefined;
+  const status = describeStatus(agreement, acceptance, new Date());
+  return status.outstanding ? status : null;
+}
+
+/**
+ * The response body for a sign-in refused while an agreement it must accept is
+ * outstanding (enforcement 'block').
+ *
+ * @param {object} status - From findOutstandingAgreement.
+ * @returns {{message: string, outstanding_agreement: object}}
+ */
+function outstandingAgreementResponse(status) {
+  return {
+    message: `${status.message} Please ask the visitor to read and accept the current version before signing in.`,
+    outstanding_agreement: status,
+  };
+}
+
+// The current version of a named agreement, checked against the version the kiosk
+// showed. Nothing is accepted when shownVersionId is missing (the visitor was not
+// asked to accept it at this sign-in).
+async function acceptedVersion(db, name, shownVersionId) {
+  if (!shownVersionId) return { version: null };
+  const agreement = await findAgreementByName(db, name);
+  if (!agreement || !agreement.version_id) return { version: null };
+  if (Number(shownVersionId) !== agreement.version_id) {
+    return {
+      version: null,
+      problem: `The ${agreement.name} has changed since it was shown (it is now version ${agreement.version}). Please ask the visitor to read the current version.`,
+    };
+  }
+  return { version: agreement };
+}
+
+/**
+ * Works out the agreement versions a sign-in accepts: the current version of the visitor
+ * type's agreement and, when dependents come along, of the child agreement. The kiosk
+ * sends the version IDs it showed and the visitor accepted (agreement_version_id,
+ * child_agreement_version_id); one that is no longer current is a problem, since the
+ * visitor read older text. An agreement whose ID is not sent is not accepted.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} visitorType - The visit's visitor type row.
+ * @param {object} shown - The request body.
+ * @param {number} dependentCount - How many dependents come along.
+ * @returns {Promise<{agreementVersion: object|null, childAgreementVersion: object|null, problem?: string}>}
+ */
+async function resolveAcceptedVersions(db, visitorType, shown, dependentCount) {
+  const adult = await acceptedVersion(db, visitorType.agreement, shown.agreement_version_id);
+  if (adult.problem) return { problem: adult.problem };
+  const child =
+    dependentCount > 0
+      ? await acceptedVersion(db, CHILD_AGREEMENT_NAME, shown.child_agreement_version_id)
+      : { version: null };
+  if (child.problem) return { problem: child.problem };
+  return { agreementVersion: adult.version, childAgreementVersion: child.version };
+}
+
+/**
+ * Reads the signature sent with a sign-in: a PNG data URL from the kiosk's canvas.
+ *
+ * @param {string} [value] - signature from the request body.
+ * @returns {{image: Buffer|null, invalid: boolean}} image is null when none was sent.
+ */
+function readSignature(value) {
+  if (value === undefined || value === null || value === "") return { image: null, invalid: false };
+  const match = typeof value === "string" && value.length <= MAX_SIGNATURE_LENGTH && value.match(SIGNATURE_DATA_URL);
+  const image = match ? Buffer.from(match[1], "base64") : null;
+  if (!image || !image.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return { image: null, invalid: true };
+  }
+  return { image, invalid: false };
+}
+
+/**
+ * Saves a signature image for a sign-in. /uploads is served without a sign-in, so the
+ * file name is random rather than made from the visitor ID and time, which could be
+ * guessed. Called inside the sign-in's transaction; if that rolls back, the caller
+ * deletes the file again with deleteSignature.
+ *
+ * @param {Buffer} image - The PNG from readSignature.
+ * @returns {Promise<string>} The path to store on the visit, e.g. uploads/signatures/signature-9f86d081884c7d65.png.
+ */
+async function saveSignature(image) {
+  await fs.promises.mkdir(SIGNATURES_DIR, { recursive: true });
+  const fileName = `signature-${crypto.randomBytes(16).toString("hex")}.png`;
+  await fs.promises.writeFile(path.join(SIGNATURES_DIR, fileName), image);
+  return path.posix.join("uploads", "signatures", fileName);
+}
+
+/**
+ * Deletes the signature image saved for a visit. A file already gone is not an error.
+ *
+ * @param {string} signaturePath - The visit's signature_path, as returned by saveSignature.
+ * @returns {Promise<void>}
+ */
+async function deleteSignature(signaturePath) {
+  try {
+    await fs.promises.unlink(path.join(SIGNATURES_DIR, path.basename(signaturePath)));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
+
+/**
+ * Deletes the signature saved by a sign-in that was then rolled back. A failure is
+ * logged, not rejected, so it can not hide the error that caused the rollback.
+ *
+ * @param {object} logger - The logging instance.
+ * @param {string} signaturePath - The path saveSignature returned.
+ * @returns {Promise<void>}
+ */
+function discardSignature(logger, signaturePath) {
+  return deleteSignature(signaturePath).catch((unlinkErr) =>
+    logger.warn(`Could not delete unused signature ${signaturePath}: ${unlinkErr.message}`)
+  );
+}
+
+module.exports = {
+  CHILD_AGREEMENT_NAME,
+  CHOOSE_AGREEMENT_MESSAGE,
+  UNREADABLE_SIGNATURE_MESSAGE,
+  ENFORCEMENTS,
+  listAgreements,
+  findAgreement,
+  findAgreementByName,
+  listVersions,
+  addAgreement,
+  publishVersion,
+  updateRules,
+  agreementStatuses,
+  findOutstandingAgreement,
+  outstandingAgreementResponse,
+  resolveAcceptedVersions,
+  readSignature,
+  saveSignature,
+  deleteSignature,
+  discardSignature,
+};
@@ -0,0 +1,154 @@
+// Appointments: visitors booked in advance at a site, expected between expected_from
+// and expected_until. An appointment is booked until the visitor is signed in from it
+// (arrived, with the visit's ID) or staff cancel it. visitor_id links the visitor's
+// profile once known; signing in someone new creates it. host_id names the host from
+// the directory (see hosts.js), whose name is then kept in host.
+const { run, get, all } = require("./repository/db");
+
+// The states an appointment moves through; only booked ones can be changed
+const APPOINTMENT_STATUSES = ["booked", "arrived", "cancelled"];
+
+// Longest name, phone number, company or host accepted, and the longest notes
+const MAX_APPOINTMENT_TEXT_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Lists the appointments whose window falls on a day, earliest first.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} filters - { date (YYYY-MM-DD), site_id (every site when left out),
+ *   status (every status when left out) }.
+ * @returns {Promise<Array<object>>} Appointment rows with site_name.
+ */
+function listAppointments(db, { date, site_id, status } = {}) {
+  const whereClauses = ["A.expected_from <= ?", "A.expected_until >= ?"];
+  const queryParams = [`${date}T23:59:59Z`, date];
+  if (site_id) {
+    whereClauses.push("A.site_id = ?");
+    queryParams.push(site_id);
+  }
+  if (status) {
+    whereClauses.push("A.status = ?");
+    queryParams.push(status);
+  }
+  return all(
+    db,
+    `SELECT A.*, S.name AS site_name
+     FROM appointments AS A
+     LEFT JOIN sites AS S ON S.id = A.site_id
+     WHERE ${whereClauses.join(" AND ")}
+     ORDER BY A.expected_from ASC, A.last_name COLLATE NOCASE ASC`,
+    queryParams
+  );
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} appointmentId - The appointment ID.
+ * @returns {Promise<object|undefined>} The appointment row.
+ */
+function findAppointment(db, appointmentId) {
+  return get(db, `SELECT * FROM appointments WHERE id = ?`, [appointmentId]);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} appointment - The new row without id, status or the cancellation.
+ * @returns {Promise<number>} The new appointment ID.
+ */
+async function addAppointment(db, appointment) {
+  const result = await run(
+    db,
+    `INSERT INTO appointments (site_id, visitor_id, first_name, last_name, phone_number, company_name, type, host, host_id,
+       unit_id, unit, expected_from, expected_until, notes, status, created_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'booked', ?, ?)`,
+    [
+      appointment.site_id,
+      appointment.visitor_id,
+      appointment.first_name,
+      appointment.last_name,
+      appointment.phone_number,
+      appointment.company_name,
+      appointment.type,
+      appointment.host,
+      appointment.host_id,
+      appointment.unit_id,
+      appointment.unit,
+      appointment.expected_from,
+      appointment.expected_until,
+      appointment.notes,
+      appointment.created_at,
+      appointment.created_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Saves the details of a booked appointment, or its cancellation.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} appointment - The full appointment row with the new values.
+ */
+async function updateAppointment(db, appointment) {
+  await run(
+    db,
+    `UPDATE appointments
+     SET visitor_id = ?, first_name = ?, last_name = ?, phone_number = ?, company_name = ?, type = ?, host = ?,
+         host_id = ?, unit_id = ?, unit = ?, expected_from = ?, expected_until = ?, notes = ?, status = ?,
+         cancelled_at = ?, cancelled_by = ?
+     WHERE id = ?`,
+    [
+      appointment.visitor_id,
+      appointment.first_name,
+      appointment.last_name,
+      appointment.phone_number,
+      appointment.company_name,
+      appointment.type,
+      appointment.host,
+      appointment.host_id,
+      appointment.unit_id,
+      appointment.unit,
+      appointment.expected_from,
+      appointment.expected_until,
+      appointment.notes,
+      appointment.status,
+      appointment.cancelled_at,
+      appointment.cancelled_by,
+      appointment.id,
+    ]
+  );
+}
+
+/**
+ * Links the profile an appointment's visitor signs in under.
+ */
+async function linkAppointmentVisitor(db, appointmentId, visitorId) {
+  await run(db, `UPDATE appointments SET visitor_id = ? WHERE id = ?`, [visitorId, appointmentId]);
+}
+
+/**
+ * Marks a booked appointment arrived with the visit it became.
+ *
+ * @returns {Promise<number>} Rows changed: 0 when it was no longer booked.
+ */
+async function markAppointmentArrived(db, appointmentId, visitId) {
+  const result = await run(
+    db,
+    `UPDATE appointments SET status = 'arrived', visit_id = ? WHERE id = ? AND status = 'booked'`,
+    [visitId, appointmentId]
+  );
+  return result.changes;
+}
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  MAX_APPOINTMENT_TEXT_LENGTH,
+  MAX_NOTES_LENGTH,
+  listAppointments,
+  findAppointment,
+  addAppointment,
+  updateAppointment,
+  linkAppointmentVisitor,
+  markAppointmentArrived,
+};
@@ -0,0 +1,164 @@
+// Keeps the audit tables tamper-evident: every row of audit_logs (the compliance
+// cleanup runs) and of audit_events (who did what) stores a SHA-256 hash of its
+// contents and of the previous row's hash, so editing, removing or reordering a
+// row breaks its table's chain from that point on.
+const crypto = require("crypto");
+const { withTransaction } = require("./repository/db");
+const audit = require("./repository/audit");
+
+// prev_hash of the very first row in a chain.
+const GENESIS_HASH = "0".repeat(64);
+
+// The columns of each chained table covered by the hash, in a fixed order.
+const HASHED_FIELDS = {
+  audit_logs: [
+    "event_name",
+    "timestamp",
+    "status",
+    "profiles_deleted",
+    "visits_deleted",
+    "dependents_deleted",
+  ],
+  audit_events: [
+    "occurred_at",
+    "actor_staff_id",
+    "actor",
+    "action",
+    "visitor_id",
+    "visit_id",
+    "before_values",
+    "after_values",
+    "ip_address",
+  ],
+};
+
+/**
+ * Computes the hash of one row chained to the previous row's hash.
+ *
+ * @param {object} row - The row's values (see HASHED_FIELDS).
+ * @param {string} prevHash - The row_hash of the previous row (GENESIS_HASH for the first).
+ * @param {string} [table] - The chained table the row belongs to.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+function computeRowHash(row, prevHash, table = "audit_logs") {
+  const values = HASHED_FIELDS[table].map((field) =>
+    row[field] === undefined ? null : row[field]
+  );
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([prevHash, ...values]))
+    .digest("hex");
+}
+
+// Reading the last hash and inserting the next row run in one transaction on the
+// shared per-db queue, so no other write can chain onto the same previous row.
+function appendChained(db, table, entry, insert) {
+  return withTransaction(db, async () => {
+    const prevHash = (await audit.findLastRowHash(db, table)) || GENESIS_HASH;
+    const rowHash = computeRowHash(entry, prevHash, table);
+    const id = await insert(db, { ...entry, prev_hash: prevHash, row_hash: rowHash });
+    return { id, row_hash: rowHash };
+  });
+}
+
+/**
+ * Appends a row to audit_logs, chained to the current last row.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} entry - { event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted }.
+ * @returns {Promise<{id: number, row_hash: string}>}
+ */
+function appendAuditLog(db, entry) {
+  return appendChained(db, "audit_logs", entry, audit.insertCleanupRun);
+}
+
+/**
+ * Appends a row to audit_events, chained to the current last event. Called from
+ * inside a transaction, the event commits or rolls back with it.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} event - The audit_events values (see repository/audit insertEvent).
+ * @returns {Promise<{id: number, row_hash: string}>}
+ */
+function appendAuditEvent(db, event) {
+  return appendChained(db, "audit_events", event, audit.insertEvent);
+}
+
+/**
+ * Hashes rows written before a table's chain existed. Only the migration that adds
+ * the table's hash columns calls it, so it runs once per database; from then on an
+ * unhashed row is a broken link, never something to seal.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} table - The chained table.
+ * @returns {Promise<number>} How many rows were sealed.
+ */
+function sealUnchainedRows(db, table) {
+  return withTransaction(db, async () => {
+    if ((await audit.countHashedRows(db, table)) > 0) return 0;
+
+    const rows = await audit.listChainRows(db, table);
+    let prevHash = GENESIS_HASH;
+    for (const row of rows) {
+      const rowHash = computeRowHash(row, prevHash, table);
+      await audit.setRowHashes(db, table, row.id, prevHash, rowHash);
+      prevHash = rowHash;
+    }
+    return rows.length;
+  });
+}
+
+/**
+ * Walks a chained table in insertion order and checks every link in the chain.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} table - The chained table.
+ * @returns {Promise<{valid: boolean, rows_checked: number, first_broken: {id: number, reason: string}|null, checked_at: string}>}
+ */
+async function verifyChain(db, table) {
+  const rows = await audit.listChainRows(db, table);
+
+  let prevHash = GENESIS_HASH;
+  let firstBroken = null;
+
+  for (const row of rows) {
+    if (row.row_hash === null) {
+      firstBroken = {
+        id: row.id,
+        reason: "the row has no hash (it was written outside the chain or its hash was removed).",
+      };
+      break;
+    }
+    if (row.prev_hash !== prevHash) {
+      firstBroken = {
+        id: row.id,
+        reason: "prev_hash does not match the previous row (a row was removed, reordered or inserted).",
+      };
+      break;
+    }
+    if (row.row_hash !== computeRowHash(row, prevHash, table)) {
+      firstBroken = {
+        id: row.id,
+        reason: "row_hash does not match the row contents (the row was edited).",
+      };
+      break;
+    }
+    prevHash = row.row_hash;
+  }
+
+  return {
+    valid: firstBroken === null,
+    rows_checked: rows.length,
+    first_broken: firstBroken,
+    checked_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  computeRowHash,
+  appendAuditLog,
+  appendAuditEvent,
+  sealUnchainedRows,
+  verifyChain,
+};
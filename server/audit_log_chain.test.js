@@ -0,0 +1,149 @@
+const {
+    appendAuditLog,
+    sealUnchainedRows,
+    verifyChain,
+} = require("./audit_log_chain");
+const { recordAuditEvent } = require("./audit_trail");
+const { withTransaction } = require("./repository/db");
+const { initializeDatabase, checkAuditChains } = require("./db_management");
+const { up: addAuditLogHashColumns } = require("./migrations/002_audit_log_hash_columns");
+const { up: addAuditEventHashColumns } = require("./migrations/014_audit_event_hash_columns");
+
+let mockDb;
+
+// Helper function to promisify db.run
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const cleanupRun = (visitsDeleted) => ({
+    event_name: "Compliance Cleanup Succeeded",
+    timestamp: new Date().toISOString(),
+    status: "OK",
+    profiles_deleted: 0,
+    visits_deleted: visitsDeleted,
+    dependents_deleted: 0,
+});
+
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+});
+
+afterEach(async () => {
+    await runDb(mockDb, "DELETE FROM audit_logs");
+    await runDb(mockDb, "DELETE FROM audit_events");
+});
+
+afterAll((done) => {
+    mockDb.close(done);
+});
+
+describe("audit_logs hash chain", () => {
+    test("should chain concurrent appends one after another", async () => {
+        await Promise.all([1, 2, 3].map((n) => appendAuditLog(mockDb, cleanupRun(n))));
+
+        const result = await verifyChain(mockDb, "audit_logs");
+        expect(result).toMatchObject({ valid: true, rows_checked: 3, first_broken: null });
+    });
+
+    test("should report the row after a deleted one", async () => {
+        await appendAuditLog(mockDb, cleanupRun(1));
+        const { id: deletedId } = await appendAuditLog(mockDb, cleanupRun(2));
+        const { id: nextId } = await appendAuditLog(mockDb, cleanupRun(3));
+        await runDb(mockDb, "DELETE FROM audit_logs WHERE id = ?", [deletedId]);
+
+        const result = await verifyChain(mockDb, "audit_logs");
+        expect(result.valid).toBe(false);
+        expect(result.first_broken.id).toBe(nextId);
+        expect(result.first_broken.reason).toContain("prev_hash");
+    });
+
+    test("should seal rows written before the chain existed when its migration runs, but only once", async () => {
+        await runDb(mockDb, `INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted) VALUES ('Compliance Cleanup Succeeded', '2024-01-01T00:00:00.000Z', 'OK', 0, 4, 0)`);
+        await runDb(mockDb, `INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted) VALUES ('Compliance Cleanup Succeeded', '2024-01-02T00:00:00.000Z', 'OK', 0, 5, 0)`);
+
+        await withTransaction(mockDb, () => addAuditLogHashColumns(mockDb));
+        await appendAuditLog(mockDb, cleanupRun(6));
+        expect((await verifyChain(mockDb, "audit_logs")).valid).toBe(true);
+
+        // A row slipped in without a hash afterwards is not sealed; it breaks the chain
+        const inserted = await runDb(mockDb, `INSERT INTO audit_logs (event_name, timestamp, status) VALUES ('Forged', '2024-01-03T00:00:00.000Z', 'OK')`);
+        expect(await sealUnchainedRows(mockDb, "audit_logs")).toBe(0);
+        const result = await verifyChain(mockDb, "audit_logs");
+        expect(result.first_broken).toEqual({ id: inserted.lastID, reason: expect.stringContaining("no hash") });
+    });
+
+    test("should not reseal a chain whose hashes were all cleared at start-up", async () => {
+        await appendAuditLog(mockDb, cleanupRun(1));
+        const { id: editedId } = await appendAuditLog(mockDb, cleanupRun(2));
+        await runDb(mockDb, "UPDATE audit_logs SET visits_deleted = 0 WHERE id = ?", [editedId]);
+        await runDb(mockDb, "UPDATE audit_logs SET prev_hash = NULL, row_hash = NULL");
+
+        const logger = { info: jest.fn(), error: jest.fn() };
+        const chains = await checkAuditChains(mockDb, logger);
+        expect(chains.audit_logs.valid).toBe(false);
+        expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/^Audit log chain broken at row/));
+        expect((await verifyChain(mockDb, "audit_logs")).valid).toBe(false);
+    });
+});
+
+describe("audit_events hash chain", () => {
+    const loggerMock = { error: jest.fn() };
+    const req = { staff: { id: null, username: "manager1" }, ip: "127.0.0.1" };
+    const record = (action) => recordAuditEvent(mockDb, loggerMock, req, { action, visitorId: 1, after: { note: action } });
+
+    test("should chain events recorded at the same time, in or out of a transaction", async () => {
+        await Promise.all([
+            record("visitor.ban"),
+            withTransaction(mockDb, async () => {
+                await record("visitor.update_details");
+                await record("visitor.flag_add");
+            }),
+            record("visitor.unban"),
+        ]);
+
+        const result = await verifyChain(mockDb, "audit_events");
+        expect(result).toMatchObject({ valid: true, rows_checked: 4, first_broken: null });
+        expect(loggerMock.error).not.toHaveBeenCalled();
+    });
+
+    test("should drop an event with the transaction it was recorded in and keep the chain intact", async () => {
+        await record("visitor.ban");
+        await expect(
+            withTransaction(mockDb, async () => {
+                await record("visitor.unban");
+                throw new Error("Nope");
+            })
+        ).rejects.toThrow("Nope");
+        await record("visitor.flag_add");
+
+        const result = await verifyChain(mockDb, "audit_events");
+        expect(result).toMatchObject({ valid: true, rows_checked: 2 });
+    });
+
+    test("should report an edited event", async () => {
+        await record("visitor.ban");
+        const editedId = await record("visitor.unban");
+        await record("visitor.flag_add");
+        await runDb(mockDb, "UPDATE audit_events SET actor = 'someone else' WHERE id = ?", [editedId]);
+
+        const result = await verifyChain(mockDb, "audit_events");
+        expect(result.valid).toBe(false);
+        expect(result.first_broken.id).toBe(editedId);
+        expect(result.first_broken.reason).toContain("row_hash");
+    });
+
+    test("should seal events recorded before the chain existed when its migration runs", async () => {
+        await runDb(mockDb, `INSERT INTO audit_events (occurred_at, actor, action) VALUES ('2024-01-01T00:00:00.000Z', 'kiosk', 'visit.sign_in')`);
+
+        await withTransaction(mockDb, () => addAuditEventHashColumns(mockDb));
+        await record("visitor.ban");
+        expect(await verifyChain(mockDb, "audit_events")).toMatchObject({ valid: true, rows_checked: 2 });
+    });
+});
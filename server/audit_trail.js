@@ -0,0 +1,92 @@
+// Writes rows to the audit_events table: who did what, to which visitor/visit,
+// with the values before and after the change. Each row is hash-chained to the one
+// before (see audit_log_chain.js).
+//
+// Rows in the chain can not be edited, so they would outlive the visitors clean_data
+// removes. Address and phone number are therefore never copied into them: an event
+// names which of them changed (contact_changed) and the values stay in
+// visitor_details_history, which is cleaned up with the profile.
+const { appendAuditEvent } = require("./audit_log_chain");
+
+const UNRECORDED_FIELDS = ["address", "phone_number"];
+
+// Text of a value as stored, so null, undefined and "" compare as unset
+const fieldText = (value) => (value === null || value === undefined ? "" : String(value).trim());
+
+/**
+ * Takes address and phone number out of an event's before/after values, and adds
+ * contact_changed to the after values listing the ones that changed (or were given,
+ * when there is no before).
+ *
+ * @param {object|null} before - Values before the change.
+ * @param {object|null} after - Values after the change.
+ * @returns {{ before: object|null, after: object|null }}
+ */
+function withoutContactDetails(before, after) {
+  const has = (values, field) => Boolean(values) && Object.prototype.hasOwnProperty.call(values, field);
+  if (!UNRECORDED_FIELDS.some((field) => has(before, field) || has(after, field))) {
+    return { before, after };
+  }
+
+  const strip = (values) => {
+    if (!values) return values;
+    const kept = { ...values };
+    UNRECORDED_FIELDS.forEach((field) => delete kept[field]);
+    return kept;
+  };
+  const changed = UNRECORDED_FIELDS.filter(
+    (field) => has(after, field) && fieldText(after[field]) !== fieldText(before ? before[field] : null)
+  );
+  const strippedAfter = strip(after);
+  return {
+    before: strip(before),
+    after: changed.length > 0 ? { ...(strippedAfter || {}), contact_changed: changed } : strippedAfter,
+  };
+}
+
+/**
+ * Works out who performed an action from the request.
+ * Staff-protected routes carry req.staff; everything else comes from the kiosk.
+ * Scheduled jobs pass no request at all and are recorded as the system.
+ */
+function describeActor(req) {
+  if (!req) return { staffId: null, label: "system" };
+  if (req.staff) return { staffId: req.staff.id, label: req.staff.username };
+  return { staffId: null, label: "kiosk" };
+}
+
+/**
+ * Records one audit event. Failures are logged but never rejected, so an
+ * audit problem can not undo or block the action being recorded.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @param {object|null} req - The Express request (null for scheduled jobs).
+ * @param {object} event - { action, visitorId, visitId, before, after }, plus an optional
+ *   actor ({ staffId, label }) for actions where req.staff is not set yet, such as sign-in.
+ * @returns {Promise<number|null>} The new event ID, or null if it could not be written.
+ */
+function recordAuditEvent(db, logger, req, event) {
+  const { action, visitorId = null, visitId = null } = event;
+  const actor = event.actor || describeActor(req);
+  const { before, after } = withoutContactDetails(event.before || null, event.after || null);
+
+  return appendAuditEvent(db, {
+    occurred_at: new Date().toISOString(),
+    actor_staff_id: actor.staffId,
+    actor: actor.label,
+    action,
+    visitor_id: visitorId,
+    visit_id: visitId,
+    before_values: before ? JSON.stringify(before) : null,
+    after_values: after ? JSON.stringify(after) : null,
+    ip_address: req ? req.ip : null,
+  })
+    .then(({ id }) => id)
+    .catch((err) => {
+      logger.error(`Failed to write audit event '${action}':`, err.message);
+      return null;
+    });
+}
+
+module.exports = { recordAuditEvent, describeActor };
@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { run, get } = require("../repository/db");
+
+const TOKEN_MINUTES = Number(process.env.HISTORY_TOKEN_MINUTES) || 15;
+
+// Without a configured secret a random one is used, so tokens die with the process.
+const SECRET = process.env.HISTORY_TOKEN_SECRET
+  ? process.env.HISTORY_TOKEN_SECRET.trim()
+  : crypto.randomBytes(32).toString("hex");
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac("sha256", SECRET)
+    .update(encodedPayload)
+    .digest("base64url");
+}
+
+/**
+ * Decodes a token and checks its signature and expiry.
+ *
+ * @param {string} token - The "<payload>.<signature>" token string.
+ * @returns {object|null} The payload, or null when the token is not valid.
+ */
+function verifyHistoryToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const [encodedPayload, signature] = token.split(".");
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (payload.scope !== "history" || !payload.exp || payload.exp <= Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Issues a short-lived signed token granting access to the history endpoints.
+ * Every token is recorded in history_access_tokens so it can be revoked early.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} staff - The signed-in staff member ({ id, role }).
+ * @returns {Promise<{token: string, expires_at: string}>}
+ */
+async function issueHistoryToken(db, staff) {
+  const issuedAt = Date.now();
+  const payload = {
+    jti: crypto.randomUUID(),
+    staff_id: staff.id,
+    role: staff.role,
+    scope: "history",
+    exp: issuedAt + TOKEN_MINUTES * 60 * 1000,
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const token = `${encodedPayload}.${sign(encodedPayload)}`;
+  const expiresAt = new Date(payload.exp).toISOString();
+
+  await run(
+    db,
+    `INSERT INTO history_access_tokens (jti, staff_id, issued_at, expires_at) VALUES (?, ?, ?, ?)`,
+    [payload.jti, staff.id, new Date(issuedAt).toISOString(), expiresAt]
+  );
+  return { token, expires_at: expiresAt };
+}
+
+/**
+ * Revokes history tokens, either a single one by jti or all of a staff member's.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {{jti?: string, staffId?: number}} target - What to revoke.
+ * @returns {Promise<number>} The number of tokens revoked.
+ */
+async function revokeHistoryTokens(db, { jti, staffId }) {
+  const column = jti ? "jti" : "staff_id";
+  const result = await run(
+    db,
+    `UPDATE history_access_tokens SET revoked_at = ? WHERE ${column} = ? AND revoked_at IS NULL`,
+    [new Date().toISOString(), jti || staffId]
+  );
+  return result.changes;
+}
+
+/**
+ * Builds an Express middleware that requires a valid, unrevoked history token
+ * in the X-History-Token header. The decoded payload is attached as req.historyAccess
+ * and the staff member who authorized it as req.staff.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {Function} Express middleware.
+ */
+function requireHistoryToken(db, logger) {
+  return async (req, res, next) => {
+    const payload = verifyHistoryToken(req.headers["x-history-token"]);
+    if (!payload) {
+      logger.warn(
+        `Missing, invalid or expired history token for ${req.method} ${req.originalUrl} (401).`
+      );
+      return res.status(401).json({
+        message: "History access has expired. Please authorize again.",
+      });
+    }
+
+    let row;
+    try {
+      row = await get(
+        db,
+        `SELECT T1.revoked_at, T2.username FROM history_access_tokens AS T1
+         LEFT JOIN staff AS T2 ON T1.staff_id = T2.id
+         WHERE T1.jti = ?`,
+        [payload.jti]
+      );
+    } catch (err) {
+      logger.error("SQL Error checking history token:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    if (!row || row.revoked_at) {
+      logger.warn(
+        `Revoked history token used by staff ID ${payload.staff_id} (401).`
+      );
+      return res.status(401).json({
+        message: "History access has been revoked. Please authorize again.",
+      });
+    }
+    req.historyAccess = payload;
+    req.staff = { id: payload.staff_id, username: row.username, role: payload.role };
+    next();
+  };
+}
+
+module.exports = {
+  issueHistoryToken,
+  verifyHistoryToken,
+  revokeHistoryTokens,
+  requireHistoryToken,
+};
@@ -0,0 +1,194 @@
+// Failed sign-in attempts are counted per account and per IP address in the
+// login_attempts table, so the limits survive restarts without an external cache.
+const { run, get, all } = require("../repository/db");
+
+const MAX_ACCOUNT_ATTEMPTS = Number(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = Number(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures older than this no longer count towards a lockout.
+const ATTEMPT_WINDOW_MINUTES = LOCKOUT_MINUTES;
+// Each failure doubles the delay before the next attempt is checked, starting at this value (0 disables it).
+const BASE_DELAY_MS =
+  process.env.LOGIN_DELAY_BASE_MS !== undefined
+    ? Number(process.env.LOGIN_DELAY_BASE_MS)
+    : 500;
+const MAX_DELAY_MS = 8000;
+
+// Builds the (scope, identifier) pairs tracked for one sign-in attempt.
+function attemptKeys(ip, username) {
+  const keys = [{ scope: "ip", identifier: ip || "unknown", limit: MAX_IP_ATTEMPTS }];
+  if (username) {
+    keys.push({
+      scope: "account",
+      identifier: username.trim().toLowerCase(),
+      limit: MAX_ACCOUNT_ATTEMPTS,
+    });
+  }
+  return keys;
+}
+
+function getAttemptRow(db, scope, identifier) {
+  return get(db, `SELECT * FROM login_attempts WHERE scope = ? AND identifier = ?`, [scope, identifier]);
+}
+
+/**
+ * Checks whether the IP address or the account is currently locked out.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} ip - The client IP address.
+ * @param {string} username - The account being signed in to.
+ * @returns {Promise<{locked: boolean, scope?: string, locked_until?: string}>}
+ */
+async function checkLockout(db, ip, username) {
+  const now = new Date().toISOString();
+  for (const { scope, identifier } of attemptKeys(ip, username)) {
+    const row = await getAttemptRow(db, scope, identifier);
+    if (row && row.locked_until && row.locked_until > now) {
+      return { locked: true, scope, locked_until: row.locked_until };
+    }
+  }
+  return { locked: false };
+}
+
+// The failure count after this one: counting starts again once the window or a
+// previous lockout has passed. Refers to the row as it was before the update.
+const NEXT_COUNT_SQL = `CASE
+  WHEN last_failed_at < ? OR (locked_until IS NOT NULL AND locked_until <= ?) THEN 1
+  ELSE failed_count + 1
+END`;
+
+/**
+ * Counts a sign-in attempt as failed against both the IP address and the account,
+ * locking either one once it reaches its limit. It is counted before the password is
+ * checked, in one statement per key, so attempts sent in parallel each get their own
+ * count and cannot all slip in under the limit; recordSuccessfulAttempt takes it back.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} ip - The client IP address.
+ * @param {string} username - The account being signed in to.
+ * @returns {Promise<{delay_ms: number, lockout: {scope: string, locked_until: string}|null, over_limit: boolean}>}
+ *   How long to hold the attempt before checking the password (for the failures
+ *   before it), the lockout it reached (if any), and whether it came in after the
+ *   limit was already reached, when it must be refused without checking the password.
+ */
+async function recordFailedAttempt(db, ip, username) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const windowStart = new Date(
+    now.getTime() - ATTEMPT_WINDOW_MINUTES * 60 * 1000
+  ).toISOString();
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+  let delayCount = 1;
+  let lockout = null;
+  let overLimit = false;
+
+  for (const { scope, identifier, limit } of attemptKeys(ip, username)) {
+    const row = await get(
+      db,
+      `INSERT INTO login_attempts (scope, identifier, failed_count, last_failed_at, locked_until)
+       VALUES (?, ?, 1, ?, CASE WHEN 1 >= ? THEN ? ELSE NULL END)
+       ON CONFLICT (scope, identifier) DO UPDATE SET
+         failed_count = ${NEXT_COUNT_SQL},
+         last_failed_at = excluded.last_failed_at,
+         locked_until = CASE WHEN ${NEXT_COUNT_SQL} >= ? THEN ? ELSE NULL END
+       RETURNING failed_count, locked_until`,
+      [
+        scope,
+        identifier,
+        nowIso,
+        limit,
+        lockedUntil,
+        windowStart,
+        nowIso,
+        windowStart,
+        nowIso,
+        limit,
+        lockedUntil,
+      ]
+    );
+
+    // The per-account count drives the delay; the IP count is shared by everyone at the desk.
+    if (scope === "account") delayCount = row.failed_count;
+    if (row.locked_until) lockout = { scope, locked_until: row.locked_until };
+    if (row.failed_count > limit) overLimit = true;
+  }
+
+  const delay =
+    delayCount > 1 ? Math.min(BASE_DELAY_MS * 2 ** (delayCount - 2), MAX_DELAY_MS) : 0;
+  return { delay_ms: delay, lockout, over_limit: overLimit };
+}
+
+/**
+ * Clears the failure count for an account after a successful sign-in, and takes back
+ * the attempt recordFailedAttempt counted against the IP address for it. The rest of
+ * the IP count is left alone so one valid account cannot reset guessing at others.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} ip - The client IP address.
+ * @param {string} username - The account that signed in.
+ * @returns {Promise<void>}
+ */
+async function recordSuccessfulAttempt(db, ip, username) {
+  await run(db, `DELETE FROM login_attempts WHERE scope = 'account' AND identifier = ?`, [
+    username.trim().toLowerCase(),
+  ]);
+  await run(
+    db,
+    `UPDATE login_attempts
+     SET failed_count = failed_count - 1,
+         locked_until = CASE WHEN failed_count - 1 >= ? THEN locked_until ELSE NULL END
+     WHERE scope = 'ip' AND identifier = ? AND failed_count > 0`,
+    [MAX_IP_ATTEMPTS, ip || "unknown"]
+  );
+}
+
+/**
+ * Lists the IP addresses and accounts that are locked out right now.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @returns {Promise<Array<{id: number, scope: string, identifier: string, failed_count: number, locked_until: string}>>}
+ */
+function getActiveLockouts(db) {
+  return all(
+    db,
+    `SELECT id, scope, identifier, failed_count, locked_until FROM login_attempts
+     WHERE locked_until > ? ORDER BY locked_until DESC`,
+    [new Date().toISOString()]
+  );
+}
+
+/**
+ * Counts the IP addresses and accounts locked out right now, without saying which.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @returns {Promise<number>}
+ */
+async function countActiveLockouts(db) {
+  const row = await get(db, `SELECT COUNT(*) AS count FROM login_attempts WHERE locked_until > ?`, [
+    new Date().toISOString(),
+  ]);
+  return row.count;
+}
+
+/**
+ * Removes a lockout (and its failure count) so the IP or account can sign in again.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} id - The login_attempts row ID.
+ * @returns {Promise<object|null>} The cleared row, or null when it did not exist.
+ */
+async function clearLockout(db, id) {
+  const row = await get(db, `SELECT * FROM login_attempts WHERE id = ?`, [id]);
+  if (!row) return null;
+  await run(db, `DELETE FROM login_attempts WHERE id = ?`, [id]);
+  return row;
+}
+
+module.exports = {
+  checkLockout,
+  recordFailedAttempt,
+  recordSuccessfulAttempt,
+  getActiveLockouts,
+  countActiveLockouts,
+  clearLockout,
+};
@@ -0,0 +1,65 @@
+process.env.LOGIN_DELAY_BASE_MS = "100";
+process.env.LOGIN_MAX_IP_ATTEMPTS = "3";
+
+const {
+    checkLockout,
+    recordFailedAttempt,
+    getActiveLockouts,
+    countActiveLockouts,
+} = require("./login_throttle");
+const { initializeDatabase } = require("../db_management");
+
+let mockDb;
+
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+});
+
+afterEach((done) => {
+    mockDb.run(`DELETE FROM login_attempts`, done);
+});
+
+afterAll((done) => {
+    mockDb.close(done);
+});
+
+describe('Login throttle', () => {
+    test('should double the delay after each failure for the same account', async () => {
+        const first = await recordFailedAttempt(mockDb, "10.0.0.1", "manager1");
+        const second = await recordFailedAttempt(mockDb, "10.0.0.2", "manager1");
+        const third = await recordFailedAttempt(mockDb, "10.0.0.3", "Manager1 ");
+        const fourth = await recordFailedAttempt(mockDb, "10.0.0.4", "manager1");
+
+        expect([first.delay_ms, second.delay_ms, third.delay_ms, fourth.delay_ms]).toEqual([0, 100, 200, 400]);
+    });
+
+    test('should give parallel attempts a count each, refusing those past the limit', async () => {
+        const attempts = await Promise.all(
+            Array.from({ length: 6 }, () => recordFailedAttempt(mockDb, "10.0.0.20", "manager1"))
+        );
+
+        const row = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT failed_count FROM login_attempts WHERE scope = 'ip' AND identifier = '10.0.0.20'`, (err, found) => (err ? reject(err) : resolve(found)));
+        });
+        expect(row.failed_count).toBe(6);
+        expect(attempts.filter((attempt) => attempt.over_limit)).toHaveLength(3);
+    });
+
+    test('should lock an IP address that guesses across many accounts', async () => {
+        await recordFailedAttempt(mockDb, "10.0.0.9", "a");
+        await recordFailedAttempt(mockDb, "10.0.0.9", "b");
+        const third = await recordFailedAttempt(mockDb, "10.0.0.9", "c");
+
+        expect(third.lockout).toEqual(expect.objectContaining({ scope: "ip" }));
+
+        // Any account is refused from that address, other addresses are not
+        expect((await checkLockout(mockDb, "10.0.0.9", "d")).locked).toBe(true);
+        expect((await checkLockout(mockDb, "10.0.0.10", "d")).locked).toBe(false);
+
+        const lockouts = await getActiveLockouts(mockDb);
+        expect(lockouts).toHaveLength(1);
+        expect(lockouts[0].identifier).toBe("10.0.0.9");
+        expect(await countActiveLockouts(mockDb)).toBe(1);
+    });
+});
@@ -1,6 +1,35 @@
 const express = require("express");
+const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
+const { recordAuditEvent, describeActor } = require("../audit_trail");
+const {
+  findWatchlistMatches,
+  watchlistWarning,
+  isWatchlistAcknowledged,
+} = require("../watchlist");
+const { hashImageFile, findSimilarBannedPhotos, savePhotoHash } = require("../photo_hash");
+const { findRegistrationRestriction, unitRestrictedResponse } = require("../unit_restrictions");
+const { resolveVisitUnit, CHOOSE_UNIT_MESSAGE } = require("../units");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { resolveVisitHost } = require("../hosts");
+const { notifyHostOfArrival } = require("../host_notifications");
+const {
+  resolveVisitorType,
+  visitDetailsProblem,
+  resolveExpectedDuration,
+  CHOOSE_VISITOR_TYPE_MESSAGE,
+} = require("../visitor_types");
+const {
+  resolveAcceptedVersions,
+  findOutstandingAgreement,
+  outstandingAgreementResponse,
+  readSignature,
+  saveSignature,
+  discardSignature,
+  UNREADABLE_SIGNATURE_MESSAGE,
+} = require("../agreements");
+const { withTransaction, visitors, visits, dependents } = require("../repository");
 
 /**
  * Creates and configures a router for handling new visitor registrations.
@@ -11,136 +40,280 @@ const multer = require("multer");
 function createRegistrationRouter(db, upload,logger) {
   const router = express.Router();
 
+  // Hashes the uploaded photo and compares it with banned visitors' photos.
+  // A photo that can not be hashed is still registered, just without the check.
+  const checkPhoto = (file) => {
+    if (!file) return Promise.resolve({ hash: null, matches: [] });
+    return hashImageFile(file.path)
+      .then((hash) =>
+        hash
+          ? findSimilarBannedPhotos(db, logger, hash).then((matches) => ({ hash, matches }))
+          : { hash: null, matches: [] }
+      )
+      .catch((photoErr) => {
+        logger.warn(`Photo similarity check skipped: ${photoErr.message}`);
+        return { hash: null, matches: [] };
+      });
+  };
+
+  // The photo multer saved belongs to the new profile only; a registration that is
+  // refused or fails for any reason deletes it once the response is sent.
+  const discardUnusedPhoto = (req, res, next) => {
+    res.on("finish", () => {
+      if (!req.file || res.statusCode === 201) return;
+      try {
+        fs.rmSync(req.file.path, { force: true });
+      } catch (unlinkErr) {
+        logger.warn(`Could not delete unused photo ${req.file.path}: ${unlinkErr.message}`);
+      }
+    });
+    next();
+  };
+
   // Handle visitor registration
-  router.post("/register-visitor", upload.single("photo"), (req, res) => {
+  router.post("/register-visitor", upload.single("photo"), discardUnusedPhoto, async (req, res) => {
     const {
       first_name,
       last_name,
       known_as,
       address,
       phone_number,
-      unit,
-      reason_for_visit,
+      unit_id,
       type,
-      company_name,
-      mandatory_acknowledgment_taken,
       additional_dependents,
+      watchlist_acknowledged,
     } = req.body;
     const photo_path = req.file
       ? path.join("uploads", path.basename(req.file.path))
       : null;
-    // SQL to check if a visitor with the same full name exists
-    const checkSql = `SELECT id FROM visitors WHERE first_name = ? AND last_name = ?`;
 
-    db.get(checkSql, [first_name, last_name], (err, row) => {
-      if (err) {
-        logger.error("SQL Error during duplicate check:", err.message);
-        return res.status(500).json({ error: err.message });
+    let dependentsArray = [];
+    if (additional_dependents) {
+      try {
+        dependentsArray = JSON.parse(additional_dependents);
+      } catch (parseError) {
+        return res
+          .status(400)
+          .json({ error: "Invalid dependents JSON format." });
       }
+    }
+    const signature = readSignature(req.body.signature);
+    if (signature.invalid) {
+      logger.warn(`Registration of ${first_name} ${last_name} refused: Unreadable signature (400).`);
+      return res.status(400).json({ message: UNREADABLE_SIGNATURE_MESSAGE });
+    }
 
-      // If a row is found, it means the visitor already exists.
-      if (row) {
+    // Check if a visitor with the same full name exists, that the unit is one on
+    // the list of the site they are registering at and any host is in its directory,
+    // that the details are the ones their visitor type asks for, that the agreements
+    // shown are current and that the type's agreement is accepted if leaving it
+    // unsigned blocks sign-in
+    let site;
+    let visitUnit;
+    let visitHost;
+    let visitorType;
+    let expectedDuration;
+    let accepted;
+    let outstanding;
+    try {
+      const existing = await visitors.findByName(db, first_name, last_name);
+      if (existing) {
         const message = `A visitor named ${first_name} ${last_name} already exists . Please use the search bar to log them in.`;
-        return res.status(409).json({ message }); 
+        return res.status(409).json({ message });
       }
+      site = await resolveSite(db, req.body.site_id);
+      if (!site) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: No active site given (400).`);
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+      }
+      visitUnit = await resolveVisitUnit(db, { unit_id, unit: req.body.unit }, site.id);
+      if (!visitUnit) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: Unknown or inactive unit (400).`);
+        return res.status(400).json({ message: CHOOSE_UNIT_MESSAGE });
+      }
+      visitHost = await resolveVisitHost(db, req.body.host_id, site.id);
+      if (visitHost.problem) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: Unknown or inactive host (400).`);
+        return res.status(400).json({ message: visitHost.problem });
+      }
+      visitorType = await resolveVisitorType(db, type);
+      if (!visitorType) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: Unknown or inactive visitor type (400).`);
+        return res.status(400).json({ message: CHOOSE_VISITOR_TYPE_MESSAGE });
+      }
+      const problem = visitDetailsProblem(visitorType, req.body, dependentsArray);
+      if (problem) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: ${problem} (400).`);
+        return res.status(400).json({ message: problem });
+      }
+      expectedDuration = resolveExpectedDuration(visitorType, req.body.expected_duration_minutes);
+      if (expectedDuration.problem) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: ${expectedDuration.problem} (400).`);
+        return res.status(400).json({ message: expectedDuration.problem });
+      }
+      accepted = await resolveAcceptedVersions(db, visitorType, req.body, dependentsArray.length);
+      if (accepted.problem) {
+        logger.warn(`Registration of ${first_name} ${last_name} refused: Agreement shown is out of date (409).`);
+        return res.status(409).json({ message: accepted.problem });
+      }
+      outstanding = await findOutstandingAgreement(db, null, visitorType, accepted.agreementVersion);
+      if (outstanding && outstanding.enforcement === "block") {
+        logger.warn(
+          `Registration of ${first_name} ${last_name} refused: ${outstanding.name} not accepted (409).`
+        );
+        return res.status(409).json(outstandingAgreementResponse(outstanding));
+      }
+    } catch (err) {
+      logger.error("SQL Error during duplicate check:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
 
-        db.run("BEGIN TRANSACTION;");
-
-        const visitorSql = `INSERT INTO visitors (first_name, last_name, photo_path) VALUES (?, ?, ?)`;
-        db.run(visitorSql, [first_name, last_name, photo_path], function (err) {
-          if (err) {
-            db.run("ROLLBACK;");
-            logger.error("TRANSACTION FAILED (Visitor Insert):", err.message);
-            return res.status(500).json({ error: err.message });
-          }
-          const visitorId = this.lastID;
-
-          const visitsSql = `
-          INSERT INTO visits (
-            visitor_id, entry_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name ,mandatory_acknowledgment_taken
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-          const entry_time = new Date().toISOString();
-          db.run(
-            visitsSql,
-            [
-              visitorId,
-              entry_time,
-              known_as,
-              address,
-              phone_number,
-              unit,
-              reason_for_visit,
-              type,
-              company_name,
-              mandatory_acknowledgment_taken,
-            ],
-            function (err) {
-              if (err) {
-                db.run("ROLLBACK;");
-                logger.error("TRANSACTION FAILED (Visit Insert):", err.message);
-                return res.status(500).json({ error: err.message });
-              }
-              const visitId = this.lastID;
+    // Check the details and the photo against banned profiles, and the unit against
+    // restrictions on matching profiles, before anything is written
+    const unit = visitUnit.name;
+    const candidate = { first_name, last_name, known_as, address, phone_number };
+    let watchlistMatches;
+    let photoCheck;
+    try {
+      let restriction;
+      [watchlistMatches, photoCheck, restriction] = await Promise.all([
+        findWatchlistMatches(db, candidate),
+        checkPhoto(req.file),
+        findRegistrationRestriction(db, candidate, visitUnit),
+      ]);
+      if (restriction) {
+        logger.warn(
+          `Registration of ${first_name} ${last_name} refused: matches visitor ID ${restriction.visitor_id}, who may not visit unit ${restriction.unit} (403).`
+        );
+        return res.status(403).json(unitRestrictedResponse(restriction));
+      }
+    } catch (checkErr) {
+      logger.error("SQL Error during unit restriction or watchlist check:", checkErr.message);
+      return res.status(500).json({ error: checkErr.message });
+    }
 
-              if (additional_dependents) {
-                let dependentsArray = [];
-                try {
-                  dependentsArray = JSON.parse(additional_dependents);
-                } catch (parseError) {
-                  db.run("ROLLBACK;");
-                  return res
-                    .status(400)
-                    .json({ error: "Invalid dependents JSON format." });
-                }
+    if (watchlistMatches.length > 0 && !isWatchlistAcknowledged(watchlist_acknowledged)) {
+      logger.warn(
+        `Registration of ${first_name} ${last_name} held: ${watchlistMatches.length} watchlist match(es) (409).`
+      );
+      await recordAuditEvent(db, logger, req, {
+        action: "visitor.watchlist_warning",
+        after: {
+          first_name,
+          last_name,
+          matches: watchlistMatches.map(({ visitor_id, matched_on }) => ({ visitor_id, matched_on })),
+        },
+      });
+      return res.status(409).json(watchlistWarning(req, watchlistMatches));
+    }
+    const watchlistOverride = watchlistMatches.map((match) => match.visitor_id);
+    const photoMatches = photoCheck.matches;
 
-                if (dependentsArray.length > 0) {
-                  const dependentPromises = dependentsArray.map(
-                    (dependent) =>
-                      new Promise((resolve, reject) => {
-                        db.run(
-                          `INSERT INTO dependents (full_name, age, visit_id) VALUES (?, ?, ?)`,
-                          [dependent.full_name, dependent.age, visitId],
-                          function (err) {
-                            if (err) reject(err);
-                            else resolve();
-                          }
-                        );
-                      })
-                  );
+    // Profile with its first version of contact details, first visit, dependents with
+    // the agreement versions accepted, signature, photo hash and audit event are saved together
+    const { agreementVersion, childAgreementVersion } = accepted;
+    const { host } = visitHost;
+    let visitorId;
+    let visitId;
+    let entry_time;
+    let signature_path = null;
+    try {
+      visitorId = await withTransaction(db, async () => {
+        const newVisitorId = await visitors.create(db, { first_name, last_name, photo_path });
+        const { version } = await visitors.saveContactDetails(
+          db,
+          newVisitorId,
+          visitors.pickContactDetails(req.body),
+          { source: "registration", actor: describeActor(req) }
+        );
+        entry_time = new Date().toISOString();
+        signature_path = signature.image ? await saveSignature(signature.image) : null;
+        visitId = await visits.create(db, {
+          ...visits.pickDetails(req.body),
+          unit,
+          unit_id: visitUnit.id,
+          host_id: host && host.id,
+          host_name: host && host.name,
+          type: visitorType.code,
+          visitor_id: newVisitorId,
+          site_id: site.id,
+          entry_time,
+          details_version: version,
+          agreement_version_id: agreementVersion && agreementVersion.version_id,
+          signature_path,
+          expected_duration_minutes: expectedDuration.minutes,
+        });
+        await dependents.addToVisit(
+          db,
+          visitId,
+          dependentsArray,
+          childAgreementVersion && childAgreementVersion.version_id
+        );
 
-                  Promise.all(dependentPromises)
-                    .then(() => {
-                      db.run("COMMIT;");
-                      res.status(201).json({
-                        message: "Visitor registered successfully!",
-                        id: visitorId,
-                      });
-                    })
-                    .catch((promiseErr) => {
-                      db.run("ROLLBACK;");
-                      logger.error("TRANSACTION FAILED (Dependents Insert):", promiseErr.message);
-                      res.status(500).json({
-                        error: "Failed to save dependents.",
-                        detail: promiseErr.message,
-                      });
-                    });
-                } else {
-                  db.run("COMMIT;");
-                  res.status(201).json({
-                    message: "Visitor registered successfully!",
-                    id: visitorId,
-                  });
-                }
-              } else {
-                db.run("COMMIT;");
-                res.status(201).json({
-                  message: "Visitor registered successfully!",
-                  id: visitorId,
-                });
-              }
-            }
+        if (photoCheck.hash) {
+          await savePhotoHash(db, newVisitorId, photo_path, photoCheck.hash).catch((hashErr) =>
+            logger.error("SQL Error saving photo hash:", hashErr.message)
           );
+        }
+        await recordAuditEvent(db, logger, req, {
+          action: "visitor.register",
+          visitorId: newVisitorId,
+          visitId,
+          after: {
+            first_name,
+            last_name,
+            known_as,
+            site_id: site.id,
+            unit,
+            type: visitorType.code,
+            host_id: host && host.id,
+            entry_time,
+            expected_duration_minutes: expectedDuration.minutes,
+            agreement_version_id: agreementVersion && agreementVersion.version_id,
+            ...(signature_path && { signature_path }),
+            ...(outstanding && { agreement_outstanding: outstanding.outstanding }),
+            ...(watchlistOverride.length > 0 && { watchlist_override: watchlistOverride }),
+            ...(photoMatches.length > 0 && {
+              photo_matches: photoMatches.map((match) => match.visitor_id),
+            }),
+          },
         });
+        return newVisitorId;
+      });
+    } catch (err) {
+      logger.error("TRANSACTION FAILED (Registration):", err.message);
+      if (signature_path) await discardSignature(logger, signature_path);
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (photoMatches.length > 0) {
+      logger.warn(
+        `Visitor ID ${visitorId} registered; photo resembles ${photoMatches.length} banned visitor(s), flagged for staff review.`
+      );
+    }
+    if (outstanding) {
+      logger.warn(`Visitor ID ${visitorId} registered without accepting the ${outstanding.name}.`);
+    }
+    if (host) {
+      notifyHostOfArrival(db, logger, req, {
+        host,
+        visitId,
+        visitorId,
+        visitorName: `${first_name} ${last_name}`,
+        siteName: site.name,
+        unit,
+        entryTime: entry_time,
+      });
+    }
+    // Likely photo matches are flagged for staff to review, not blocked
+    res.status(201).json({
+      message: "Visitor registered successfully!",
+      id: visitorId,
+      ...(outstanding && { agreement_warning: outstanding.message }),
+      photo_matches: photoMatches.map((match) => ({
+        ...match,
+        photo_path: `${req.protocol}://${req.get("host")}/${match.photo_path}`,
+      })),
     });
   });
 
@@ -1,10 +1,15 @@
 const request = require('supertest');
 const express = require('express');
-const sqlite3 = require('sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
 const createRegistrationRouter = require('./registration');
+const { computeImageHash } = require('../photo_hash');
+const { initializeDatabase } = require("../db_management");
 
-// Mock the database for testing
-const mockDb = new sqlite3.Database(':memory:');
+let mockDb;
+let app;
 
 // --- Mock Upload Object ---
 const mockUpload = {
@@ -15,49 +20,58 @@ const mockUpload = {
 };
 // --- End Mock Upload ---
 
+const loggerMock = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
 
-mockDb.serialize(() => {
-    mockDb.run(`CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        first_name TEXT,
-        last_name TEXT,
-        photo_path TEXT,
-        is_banned INTEGER DEFAULT 0 
-    )`);
-    mockDb.run(`CREATE TABLE visits (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        visitor_id INTEGER,
-        entry_time TEXT,
-        known_as TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT,
-        reason_for_visit TEXT,
-        type TEXT,
-        company_name TEXT,
-        mandatory_acknowledgment_taken TEXT
-    )`);
-    mockDb.run(`CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        full_name TEXT,
-        age INTEGER,
-        visit_id INTEGER
-    )`);
+// Runs a statement on the test database
+const runDb = (sql, params = []) => new Promise((resolve, reject) => {
+    mockDb.run(sql, params, (err) => (err ? reject(err) : resolve()));
 });
 
-// Create a mock Express app
-const app = express();
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+    // The visitor types and agreements seeded by the migrations are replaced with known ones
+    await runDb(`DELETE FROM visitor_types`);
+    await runDb(`DELETE FROM agreement_versions`);
+    await runDb(`DELETE FROM agreements`);
+    await runDb(`INSERT INTO agreements (id, name, created_at) VALUES
+        (1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z'),
+        (3, 'Child Agreement & Disclaimer', '2025-01-01T00:00:00.000Z')`);
+    await runDb(`INSERT INTO agreement_versions (id, agreement_id, version, body, published_at) VALUES
+        (1, 1, 1, 'Visitor agreement text.', '2025-01-01T00:00:00.000Z'),
+        (2, 2, 1, 'Contractor briefing text.', '2025-01-01T00:00:00.000Z'),
+        (3, 3, 1, 'Child agreement text.', '2025-01-01T00:00:00.000Z')`);
+    await runDb(`INSERT INTO visitor_types (id, code, name, company_field, address_field, allows_dependents, agreement, created_at) VALUES
+        (1, 'visitor', 'Guest', 'hidden', 'optional', 1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'contractor', 'Contractor', 'required', 'hidden', 0, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z')`);
+    await runDb(`INSERT INTO units (id, site_id, name, is_active, created_at) VALUES
+        (1, 1, '101', 1, '2025-01-01T00:00:00.000Z'),
+        (2, 1, 'Flat 9', 1, '2025-01-01T00:00:00.000Z'),
+        (3, 1, '10', 1, '2025-01-01T00:00:00.000Z'),
+        (4, 1, '12', 1, '2025-01-01T00:00:00.000Z'),
+        (5, 1, 'Old Annexe', 0, '2025-01-01T00:00:00.000Z')`);
+
+    // Create a mock Express app
+    app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
 
-// Attach the registration router using the mock upload middleware
-app.use('/', createRegistrationRouter(mockDb, mockUpload)); 
+    // Attach the registration router using the mock upload middleware
+    app.use('/', createRegistrationRouter(mockDb, mockUpload, loggerMock));
+});
 
 // Clean up the test database after each test
 afterEach(() => {
     mockDb.run(`DELETE FROM visitors`);
+    mockDb.run(`DELETE FROM visitor_details_history`);
     mockDb.run(`DELETE FROM visits`);
     mockDb.run(`DELETE FROM dependents`);
+    mockDb.run(`DELETE FROM unit_restrictions`);
 });
 
 describe('POST /', () => {
@@ -84,5 +98,282 @@ describe('POST /', () => {
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty('message', "Visitor registered successfully!"); 
         expect(response.body).toHaveProperty('id');
+
+        // The registration is recorded in the audit trail as a kiosk action
+        const event = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT * FROM audit_events WHERE action = 'visitor.register'`, (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+        expect(event.actor).toBe('kiosk');
+        expect(event.visitor_id).toBe(response.body.id);
+        expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ first_name: 'Jamal', unit: '101' }));
+
+        // The contact details are the profile's first version, which the visit refers to
+        const profile = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT T1.known_as, T1.details_version, T2.details_version AS visit_version, T3.source
+                FROM visitors T1 JOIN visits T2 ON T2.visitor_id = T1.id
+                JOIN visitor_details_history T3 ON T3.visitor_id = T1.id
+                WHERE T1.id = ?`, [response.body.id], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+        expect(profile).toEqual({ known_as: 'miky', details_version: 1, visit_version: 1, source: 'registration' });
+    });
+
+    test('should record the unit chosen from the list and refuse one that is not on it', async () => {
+        const registrationData = { first_name: 'Nina', last_name: 'Shaw', unit_id: 2, unit: 'whatever', type: 'Visitor' };
+
+        const response = await request(app).post('/register-visitor').send(registrationData);
+
+        expect(response.status).toBe(201);
+        const visit = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT unit, unit_id FROM visits WHERE visitor_id = ?`, [response.body.id], (err, row) => (err ? reject(err) : resolve(row)));
+        });
+        expect(visit).toEqual({ unit: 'Flat 9', unit_id: 2 });
+
+        // A retired unit, or a name that is not a unit, is refused before anything is written
+        const retired = await request(app).post('/register-visitor').send({ ...registrationData, first_name: 'Ned', unit_id: 5 });
+        const unknown = await request(app).post('/register-visitor').send({ first_name: 'Ned', last_name: 'Shaw', unit: 'Penthouse', type: 'Visitor' });
+
+        expect(retired.status).toBe(400);
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.message).toBe('Please choose a unit from the list.');
+        const neds = await new Promise((resolve, reject) => {
+            mockDb.all(`SELECT * FROM visitors WHERE first_name = 'Ned'`, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+        expect(neds).toHaveLength(0);
+    });
+
+    test('should record the visitor type and refuse details the type does not allow', async () => {
+        const response = await request(app).post('/register-visitor').send({ first_name: 'Tia', last_name: 'Shaw', unit: '101', type: 'Visitor' });
+
+        expect(response.status).toBe(201);
+        const visit = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT type FROM visits WHERE visitor_id = ?`, [response.body.id], (err, row) => (err ? reject(err) : resolve(row)));
+        });
+        expect(visit.type).toBe('visitor');
+
+        // Contractors must give a company and can not bring dependents; unknown types are refused
+        const noCompany = await request(app).post('/register-visitor').send({ first_name: 'Ned', last_name: 'Shaw', unit: '101', type: 'contractor' });
+        const withDependents = await request(app).post('/register-visitor').send({
+            first_name: 'Ned',
+            last_name: 'Shaw',
+            unit: '101',
+            type: 'contractor',
+            company_name: 'Acme Ltd',
+            additional_dependents: JSON.stringify([{ full_name: 'Kid', age: 5 }]),
+        });
+        const unknownType = await request(app).post('/register-visitor').send({ first_name: 'Ned', last_name: 'Shaw', unit: '101', type: 'inspector' });
+
+        expect(noCompany.status).toBe(400);
+        expect(noCompany.body.message).toBe('A company name is required for Contractor visitors.');
+        expect(withDependents.status).toBe(400);
+        expect(withDependents.body.message).toBe('Contractor visitors can not bring dependents.');
+        expect(unknownType.status).toBe(400);
+        expect(unknownType.body.message).toBe('Please choose a visitor type from the list.');
+        const neds = await new Promise((resolve, reject) => {
+            mockDb.all(`SELECT * FROM visitors WHERE first_name = 'Ned'`, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+        expect(neds).toHaveLength(0);
+    });
+
+    test('should record the agreement versions accepted and the signature drawn', async () => {
+        const signature = `data:image/png;base64,${PNG.sync.write(new PNG({ width: 4, height: 4 })).toString('base64')}`;
+        const response = await request(app).post('/register-visitor').send({
+            first_name: 'Amy',
+            last_name: 'Cole',
+            unit: '101',
+            type: 'visitor',
+            additional_dependents: JSON.stringify([{ full_name: 'Kid', age: 5 }]),
+            agreement_version_id: 1,
+            child_agreement_version_id: 3,
+            signature,
+        });
+
+        expect(response.status).toBe(201);
+        const visit = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT id, agreement_version_id, signature_path FROM visits WHERE visitor_id = ?`, [response.body.id], (err, row) => (err ? reject(err) : resolve(row)));
+        });
+        const dependent = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT agreement_version_id FROM dependents WHERE visit_id = ?`, [visit.id], (err, row) => (err ? reject(err) : resolve(row)));
+        });
+        expect(visit.agreement_version_id).toBe(1);
+        expect(dependent.agreement_version_id).toBe(3);
+        expect(visit.signature_path).toMatch(/^uploads\/signatures\/signature-[0-9a-f]{32}\.png$/);
+        const signatureFile = path.join(__dirname, '..', visit.signature_path);
+        expect(fs.existsSync(signatureFile)).toBe(true);
+        fs.unlinkSync(signatureFile);
+
+        // A version the kiosk showed that has since been replaced, or a signature that is not a PNG, is refused
+        const outdated = await request(app).post('/register-visitor').send({ first_name: 'Ben', last_name: 'Cole', unit: '101', type: 'visitor', agreement_version_id: 2 });
+        const badSignature = await request(app).post('/register-visitor').send({ first_name: 'Ben', last_name: 'Cole', unit: '101', type: 'visitor', signature: 'data:image/png;base64,aGVsbG8=' });
+
+        expect(outdated.status).toBe(409);
+        expect(outdated.body.message).toBe('The Visitor Agreement & Disclaimer has changed since it was shown (it is now version 1). Please ask the visitor to read the current version.');
+        expect(badSignature.status).toBe(400);
+        expect(badSignature.body.message).toBe('The signature could not be read. Please ask the visitor to sign again.');
+    });
+
+    test('should delete the signature file when the registration is rolled back', async () => {
+        const signature = `data:image/png;base64,${PNG.sync.write(new PNG({ width: 4, height: 4 })).toString('base64')}`;
+        const signaturesDir = path.join(__dirname, '..', 'uploads', 'signatures');
+        fs.mkdirSync(signaturesDir, { recursive: true });
+        const filesBefore = fs.readdirSync(signaturesDir);
+        // The visit insert fails after the signature has been written
+        await runDb(`CREATE TEMP TRIGGER fail_visit_insert BEFORE INSERT ON visits BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END`);
+
+        try {
+            const response = await request(app).post('/register-visitor').send({
+                first_name: 'Cal',
+                last_name: 'Reed',
+                unit: '101',
+                type: 'visitor',
+                agreement_version_id: 1,
+                signature,
+            });
+
+            expect(response.status).toBe(500);
+            expect(fs.readdirSync(signaturesDir)).toEqual(filesBefore);
+        } finally {
+            await runDb(`DROP TRIGGER fail_visit_insert`);
+        }
+    });
+
+    test('should return a watchlist warning instead of registering someone who matches a banned visitor', async () => {
+        await new Promise((resolve) => mockDb.run(`INSERT INTO visitors (id, first_name, last_name, is_banned) VALUES (50, 'John', 'Doe', 1)`, resolve));
+        await new Promise((resolve) => mockDb.run(`INSERT INTO visitor_details_history (visitor_id, version, known_as, address, source, changed_at, changed_by) VALUES (50, 1, 'Johnny', '12 High Street, Portsmouth', 'registration', '2025-01-01T10:00:00.000Z', 'kiosk')`, resolve));
+
+        const registrationData = {
+            first_name: 'Jon',
+            last_name: 'Doe',
+            known_as: 'johnny',
+            address: '12 High St, Portsmouth',
+            phone_number: '07700900123',
+            unit: '101',
+            type: 'Visitor',
+        };
+
+        const warning = await request(app).post('/register-visitor').send(registrationData);
+
+        expect(warning.status).toBe(409);
+        expect(warning.body.watchlist_matches).toHaveLength(1);
+        expect(warning.body.watchlist_matches[0]).toEqual(expect.objectContaining({
+            visitor_id: 50,
+            matched_on: ['name', 'known_as', 'address'],
+        }));
+
+        // Once staff confirm the warning the visitor is registered and the override is audited
+        const response = await request(app)
+            .post('/register-visitor')
+            .send({ ...registrationData, watchlist_acknowledged: 'true' });
+
+        expect(response.status).toBe(201);
+        const event = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT * FROM audit_events WHERE action = 'visitor.register' AND visitor_id = ?`, [response.body.id], (err, row) => {
+                if (err) return reject(err);
+                resolve(row);
+            });
+        });
+        expect(JSON.parse(event.after_values).watchlist_override).toEqual([50]);
+    });
+
+    test('should refuse to register someone matching a profile restricted from the unit', async () => {
+        await new Promise((resolve) => mockDb.run(`INSERT INTO visitors (id, first_name, last_name) VALUES (70, 'Robert', 'Lane')`, resolve));
+        await new Promise((resolve) => mockDb.run(`INSERT INTO unit_restrictions (visitor_id, unit, created_by, created_at) VALUES (70, 'Flat 9', 'manager1', '2025-01-01T10:00:00.000Z')`, resolve));
+
+        const registrationData = { first_name: 'Rob', last_name: 'Lane', unit: '9', type: 'Visitor' };
+        const refused = await request(app).post('/register-visitor').send(registrationData);
+
+        expect(refused.status).toBe(403);
+        expect(refused.body.restricted_unit).toBe('Flat 9');
+        const visitors = await new Promise((resolve, reject) => {
+            mockDb.all(`SELECT * FROM visitors WHERE first_name = 'Rob'`, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+        expect(visitors).toHaveLength(0);
+
+        // The same person visiting another unit registers as normal
+        const allowed = await request(app).post('/register-visitor').send({ ...registrationData, unit: '10' });
+        expect(allowed.status).toBe(201);
+    });
+
+    test('should flag a photo that resembles a banned visitor for staff review', async () => {
+        // A grey gradient stands in for a portrait; the banned copy is slightly darker
+        const makePortrait = (offset) => {
+            const png = new PNG({ width: 64, height: 80 });
+            for (let i = 0; i < png.data.length; i += 4) {
+                const x = (i / 4) % 64;
+                const y = Math.floor(i / 4 / 64);
+                png.data[i] = png.data[i + 1] = png.data[i + 2] = Math.min(255, x * 2 + Math.abs(40 - y) * 3 + offset);
+                png.data[i + 3] = 255;
+            }
+            return png;
+        };
+        const photoFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'registration-')), 'photo-1.png');
+        fs.writeFileSync(photoFile, PNG.sync.write(makePortrait(10)));
+
+        await new Promise((resolve) => mockDb.run(`INSERT INTO visitors (id, first_name, last_name, photo_path, is_banned) VALUES (60, 'Banned', 'Person', 'uploads/banned.png', 1)`, resolve));
+        await new Promise((resolve) => mockDb.run(
+            `INSERT INTO photo_hashes (visitor_id, photo_path, hash, computed_at) VALUES (60, 'uploads/banned.png', ?, '2025-01-01T00:00:00.000Z')`,
+            [computeImageHash(makePortrait(0))],
+            resolve
+        ));
+
+        // Upload stand-in that hands the router a stored photo, as multer would
+        const photoApp = express();
+        photoApp.use(express.json());
+        const photoUpload = { single: () => (req, res, next) => { req.file = { path: photoFile }; next(); } };
+        photoApp.use('/', createRegistrationRouter(mockDb, photoUpload, loggerMock));
+
+        const response = await request(photoApp)
+            .post('/register-visitor')
+            .send({ first_name: 'Alex', last_name: 'Morgan', unit: '12', type: 'Visitor' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.photo_matches).toHaveLength(1);
+        expect(response.body.photo_matches[0]).toEqual(expect.objectContaining({ visitor_id: 60 }));
+        expect(response.body.photo_matches[0].photo_path).toMatch(/\/uploads\/banned\.png$/);
+
+        // The new visitor's photo hash is stored for later comparisons
+        const stored = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT * FROM photo_hashes WHERE visitor_id = ?`, [response.body.id], (err, row) => (err ? reject(err) : resolve(row)));
+        });
+        expect(stored.photo_path).toBe(path.join('uploads', 'photo-1.png'));
+
+        fs.rmSync(path.dirname(photoFile), { recursive: true, force: true });
+    });
+
+    test('should delete the uploaded photo when the registration is refused', async () => {
+        const photoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registration-'));
+        let photoFile;
+        // Upload stand-in that saves a new photo for each request, as multer would
+        const photoApp = express();
+        photoApp.use(express.json());
+        const photoUpload = {
+            single: () => (req, res, next) => {
+                photoFile = path.join(photoDir, `photo-${Date.now()}.png`);
+                fs.writeFileSync(photoFile, 'not really a png');
+                req.file = { path: photoFile };
+                next();
+            },
+        };
+        photoApp.use('/', createRegistrationRouter(mockDb, photoUpload, loggerMock));
+        await runDb(`INSERT INTO visitors (first_name, last_name) VALUES ('Alex', 'Morgan')`);
+
+        const duplicate = await request(photoApp)
+            .post('/register-visitor')
+            .send({ first_name: 'Alex', last_name: 'Morgan', unit: '12', type: 'Visitor' });
+        expect(duplicate.status).toBe(409);
+        expect(fs.existsSync(photoFile)).toBe(false);
+
+        const badDependents = await request(photoApp)
+            .post('/register-visitor')
+            .send({ first_name: 'Sam', last_name: 'Morgan', unit: '12', type: 'Visitor', additional_dependents: '{not json' });
+        expect(badDependents.status).toBe(400);
+        expect(fs.existsSync(photoFile)).toBe(false);
+
+        fs.rmSync(photoDir, { recursive: true, force: true });
     });
 });
@@ -0,0 +1,251 @@
+const crypto = require("crypto");
+const { run, get } = require("../repository/db");
+
+// Roles in ascending order of privilege.
+const STAFF_ROLES = ["receptionist", "manager", "admin"];
+
+// Shortcuts used by the routers when declaring who may call them.
+const ANY_STAFF = STAFF_ROLES;
+const MANAGERS = ["manager", "admin"];
+const ADMINS = ["admin"];
+
+const SESSION_HOURS = Number(process.env.STAFF_SESSION_HOURS) || 12;
+
+// Sent back when staff act on visits, evacuations or appointments of another site
+const OTHER_SITE_MESSAGE = "You can only do this for your own site.";
+
+/**
+ * Hashes a staff password with scrypt and a random salt.
+ * The result is stored as "scrypt$<salt>$<hash>" so it can be verified later.
+ *
+ * @param {string} password - The plain text password.
+ * @returns {string} The encoded password hash.
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Checks a plain text password against a hash produced by hashPassword.
+ *
+ * @param {string} password - The plain text password.
+ * @param {string} storedHash - The encoded hash from the staff table.
+ * @returns {boolean} True when the password matches.
+ */
+function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+  const [scheme, salt, hash] = storedHash.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Session tokens are only ever stored as a SHA-256 digest.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Opens a new session for a staff member and returns the raw bearer token.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} staffId - The staff member signing in.
+ * @returns {Promise<{token: string, expires_at: string}>}
+ */
+async function createStaffSession(db, staffId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const createdAt = new Date();
+  const expiresAt = new Date(
+    createdAt.getTime() + SESSION_HOURS * 60 * 60 * 1000
+  ).toISOString();
+
+  await run(
+    db,
+    `INSERT INTO staff_sessions (staff_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)`,
+    [staffId, hashToken(token), createdAt.toISOString(), expiresAt]
+  );
+  return { token, expires_at: expiresAt };
+}
+
+/**
+ * Marks a session as revoked so its token can no longer be used.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} token - The raw bearer token.
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+async function revokeStaffSession(db, token) {
+  const result = await run(
+    db,
+    `UPDATE staff_sessions SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL`,
+    [new Date().toISOString(), hashToken(token)]
+  );
+  return result.changes;
+}
+
+/**
+ * Extracts the bearer token from the Authorization header, if any.
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme && scheme.toLowerCase() === "bearer" && token ? token : null;
+}
+
+/**
+ * Builds an Express middleware that only lets signed-in staff with one of the
+ * given roles through. On success the staff member is attached as req.staff.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @param {string[]} allowedRoles - Roles permitted to call the route.
+ * @returns {Function} Express middleware.
+ */
+function requireStaffRole(db, logger, allowedRoles = ANY_STAFF) {
+  return async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      logger.warn(
+        `Staff sign-in required for ${req.method} ${req.originalUrl} (401).`
+      );
+      return res.status(401).json({ message: "Staff sign-in required." });
+    }
+
+    const sql = `
+      SELECT T2.id, T2.username, T2.display_name, T2.role, T2.site_id
+      FROM staff_sessions AS T1
+      JOIN staff AS T2 ON T1.staff_id = T2.id
+      WHERE T1.token_hash = ?
+        AND T1.revoked_at IS NULL
+        AND T1.expires_at > ?
+        AND T2.is_active = 1
+    `;
+    let staff;
+    try {
+      staff = await get(db, sql, [hashToken(token), new Date().toISOString()]);
+    } catch (err) {
+      logger.error("SQL Error checking staff session:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (!staff) {
+      logger.warn(
+        `Expired or unknown staff session used for ${req.method} ${req.originalUrl} (401).`
+      );
+      return res
+        .status(401)
+        .json({ message: "Your session has expired. Please sign in again." });
+    }
+
+    if (!allowedRoles.includes(staff.role)) {
+      logger.warn(
+        `Staff ${staff.username} (${staff.role}) denied ${req.method} ${req.originalUrl} (403 Forbidden).`
+      );
+      return res.status(403).json({
+        message: `Your role (${staff.role}) is not permitted to perform this action.`,
+      });
+    }
+
+    req.staff = staff;
+    req.staffToken = token;
+    next();
+  };
+}
+
+/**
+ * The site a staff member is limited to: staff.site_id for receptionists. Managers and
+ * admins, and staff with no site, work across every site.
+ *
+ * @param {object} staff - req.staff.
+ * @returns {number|null} The site ID, or null when they are not limited to one.
+ */
+function staffSiteId(staff) {
+  if (!staff || !staff.site_id || MANAGERS.includes(staff.role)) return null;
+  return staff.site_id;
+}
+
+/**
+ * Refuses a request about another site's records with a 403, for staff limited to
+ * their own site (see staffSiteId). Call it once the site of the record is known.
+ *
+ * @param {object} req - The Express request, after requireStaffRole.
+ * @param {object} res - The Express response.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @param {number|string} siteId - The site the request is about.
+ * @returns {boolean} True when the request was refused and the response sent.
+ */
+function refuseOtherSite(req, res, logger, siteId) {
+  const ownSite = staffSiteId(req.staff);
+  if (ownSite === null || ownSite === Number(siteId)) return false;
+  logger.warn(
+    `Staff ${req.staff.username} (site ${ownSite}) denied ${req.method} ${req.originalUrl} at site ${siteId} (403 Forbidden).`
+  );
+  res.status(403).json({ message: OTHER_SITE_MESSAGE });
+  return true;
+}
+
+/**
+ * Creates the first admin account from STAFF_ADMIN_USERNAME / STAFF_ADMIN_PASSWORD
+ * when the staff table is still empty.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {Promise<boolean>} True when an admin account was created.
+ */
+async function seedInitialAdmin(db, logger) {
+  const username = process.env.STAFF_ADMIN_USERNAME
+    ? process.env.STAFF_ADMIN_USERNAME.trim()
+    : null;
+  const password = process.env.STAFF_ADMIN_PASSWORD
+    ? process.env.STAFF_ADMIN_PASSWORD.trim()
+    : null;
+
+  let count;
+  try {
+    ({ count } = await get(db, `SELECT COUNT(*) AS count FROM staff`));
+  } catch (err) {
+    logger.error("SQL Error counting staff accounts:", err.message);
+    return false;
+  }
+  if (count > 0) return false;
+
+  if (!username || !password) {
+    logger.warn(
+      "No staff accounts exist. Set STAFF_ADMIN_USERNAME and STAFF_ADMIN_PASSWORD to create the first admin."
+    );
+    return false;
+  }
+
+  try {
+    await run(
+      db,
+      `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES (?, ?, ?, 'admin', ?)`,
+      [username, username, hashPassword(password), new Date().toISOString()]
+    );
+  } catch (insertErr) {
+    logger.error("Failed to create initial admin:", insertErr.message);
+    return false;
+  }
+  logger.info(`Initial admin account '${username}' created.`);
+  return true;
+}
+
+module.exports = {
+  STAFF_ROLES,
+  ANY_STAFF,
+  MANAGERS,
+  ADMINS,
+  OTHER_SITE_MESSAGE,
+  hashPassword,
+  verifyPassword,
+  createStaffSession,
+  revokeStaffSession,
+  requireStaffRole,
+  staffSiteId,
+  refuseOtherSite,
+  seedInitialAdmin,
+};
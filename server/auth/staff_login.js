@@ -0,0 +1,367 @@
+const express = require("express");
+const {
+  STAFF_ROLES,
+  ADMINS,
+  MANAGERS,
+  ANY_STAFF,
+  hashPassword,
+  verifyPassword,
+  createStaffSession,
+  revokeStaffSession,
+  requireStaffRole,
+} = require("./staff_auth");
+const { revokeHistoryTokens } = require("./history_token");
+const {
+  checkLockout,
+  recordFailedAttempt,
+  recordSuccessfulAttempt,
+  getActiveLockouts,
+  clearLockout,
+} = require("./login_throttle");
+const { recordAuditEvent } = require("../audit_trail");
+const { findSite } = require("../sites");
+const { run, get, all, withTransaction } = require("../repository/db");
+
+/**
+ * Creates and configures a router for staff sign-in, sign-out and account management.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the staff endpoints.
+ */
+function createStaffLoginRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint for a staff member to sign in and receive a session token. The attempt is
+  // counted as a failure and held back for the failures before it before the password
+  // is checked, so parallel guesses cannot get past the lockout or the delay.
+  router.post("/staff/login", async (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      logger.warn("Staff sign-in failed: Missing username or password (400).");
+      return res
+        .status(400)
+        .json({ message: "Username and password are required." });
+    }
+
+    let attempt;
+    try {
+      const lockout = await checkLockout(db, req.ip, username);
+      if (lockout.locked) {
+        return rejectLockedOut(res, lockout, username, req.ip);
+      }
+      attempt = await recordFailedAttempt(db, req.ip, username);
+    } catch (err) {
+      logger.error("SQL Error checking sign-in lockout:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    if (attempt.over_limit) {
+      return rejectLockedOut(res, attempt.lockout, username, req.ip);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, attempt.delay_ms));
+    verifyCredentials(req, res, username.trim(), password, attempt);
+  });
+
+  // Responds 429 while an IP address or account is locked out
+  function rejectLockedOut(res, lockout, username, ip) {
+    const retryAfter = Math.ceil(
+      (new Date(lockout.locked_until).getTime() - Date.now()) / 1000
+    );
+    logger.warn(
+      `Staff sign-in blocked for '${username}' from ${ip}: ${lockout.scope} locked until ${lockout.locked_until} (429).`
+    );
+    res.set("Retry-After", String(Math.max(retryAfter, 1)));
+    return res.status(429).json({
+      message: `Too many failed sign-in attempts. Try again after ${new Date(
+        lockout.locked_until
+      ).toLocaleTimeString()}.`,
+      locked_until: lockout.locked_until,
+    });
+  }
+
+  // Checks the password of an attempt already counted as failed, taking the count
+  // back when it is right
+  async function verifyCredentials(req, res, username, password, attempt) {
+    let staff;
+    try {
+      staff = await get(
+        db,
+        `SELECT id, username, display_name, role, site_id, password_hash, is_active FROM staff WHERE username = ?`,
+        [username]
+      );
+    } catch (err) {
+      logger.error("SQL Error in staff sign-in:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (!staff || staff.is_active !== 1 || !verifyPassword(password, staff.password_hash)) {
+      logger.warn(`Staff sign-in failed for '${username}' from ${req.ip} (401).`);
+      try {
+        await recordAuditEvent(db, logger, req, {
+          action: "staff.sign_in_failed",
+          after: { username, locked_until: attempt.lockout ? attempt.lockout.locked_until : null },
+        });
+      } catch (auditErr) {
+        logger.error("SQL Error recording failed sign-in:", auditErr.message);
+        return res.status(500).json({ error: auditErr.message });
+      }
+      if (attempt.lockout) return rejectLockedOut(res, attempt.lockout, username, req.ip);
+      return res.status(401).json({ message: "Incorrect username or password." });
+    }
+
+    try {
+      await recordSuccessfulAttempt(db, req.ip, username);
+      const { token, expires_at } = await createStaffSession(db, staff.id);
+      await recordAuditEvent(db, logger, req, {
+        action: "staff.sign_in",
+        actor: { staffId: staff.id, label: staff.username },
+      });
+      logger.info(
+        `Staff ${staff.username} (${staff.role}) signed in.`
+      );
+      res.status(200).json({
+        message: `Signed in as ${staff.display_name}.`,
+        token,
+        expires_at,
+        staff: {
+          id: staff.id,
+          username: staff.username,
+          display_name: staff.display_name,
+          role: staff.role,
+          site_id: staff.site_id,
+        },
+      });
+    } catch (sessionErr) {
+      logger.error("Failed to create staff session:", sessionErr.message);
+      res.status(500).json({ error: sessionErr.message });
+    }
+  }
+
+  // Endpoint to end the current staff session (and any history access it opened)
+  router.post("/staff/logout", requireStaffRole(db, logger, ANY_STAFF), (req, res) => {
+    revokeStaffSession(db, req.staffToken)
+      .then(() => revokeHistoryTokens(db, { staffId: req.staff.id }))
+      .then(() => recordAuditEvent(db, logger, req, { action: "staff.sign_out" }))
+      .then(() => {
+        logger.info(`Staff ${req.staff.username} signed out.`);
+        res.status(200).json({ message: "Signed out." });
+      })
+      .catch((err) => {
+        logger.error("SQL Error revoking staff session:", err.message);
+        res.status(500).json({ error: err.message });
+      });
+  });
+
+  // Endpoint returning the staff member behind the current session
+  router.get("/staff/me", requireStaffRole(db, logger, ANY_STAFF), (req, res) => {
+    res.status(200).json({ staff: req.staff });
+  });
+
+  // Endpoint for admins to list staff accounts
+  router.get("/staff", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    try {
+      const rows = await all(
+        db,
+        `SELECT id, username, display_name, role, site_id, is_active, created_at FROM staff ORDER BY display_name`
+      );
+      res.status(200).json(rows);
+    } catch (err) {
+      logger.error("SQL Error listing staff:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint for admins to create a staff account, at one site (site_id) or,
+  // when site_id is left out, at every site
+  router.post("/staff", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { username, display_name, password, role, site_id } = req.body;
+
+    if (!username || !display_name || !password || !STAFF_ROLES.includes(role)) {
+      logger.warn("Staff account creation failed: Invalid fields (400).");
+      return res.status(400).json({
+        message: `Username, display name, password and a role (${STAFF_ROLES.join(", ")}) are required.`,
+      });
+    }
+
+    if (site_id) {
+      let site;
+      try {
+        site = await findSite(db, site_id);
+      } catch (siteErr) {
+        logger.error("SQL Error checking staff site:", siteErr.message);
+        return res.status(500).json({ error: siteErr.message });
+      }
+      if (!site || !site.is_active) {
+        logger.warn(`Staff account creation failed: Site ID ${site_id} is not an active site (400).`);
+        return res.status(400).json({ message: "Please choose an active site." });
+      }
+    }
+
+    const sql = `INSERT INTO staff (username, display_name, password_hash, role, site_id, created_at) VALUES (?, ?, ?, ?, ?, ?)`;
+    const params = [
+      username.trim(),
+      display_name.trim(),
+      hashPassword(password),
+      role,
+      site_id ? Number(site_id) : null,
+      new Date().toISOString(),
+    ];
+    let staffId;
+    try {
+      ({ lastID: staffId } = await run(db, sql, params));
+    } catch (err) {
+      if (err.message.includes("UNIQUE")) {
+        logger.warn(`Staff account creation failed: '${username}' already exists (409).`);
+        return res
+          .status(409)
+          .json({ message: `A staff account named ${username} already exists.` });
+      }
+      logger.error("SQL Error creating staff account:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    await recordAuditEvent(db, logger, req, {
+      action: "staff.create",
+      after: { staff_id: staffId, username: username.trim(), role, site_id: site_id ? Number(site_id) : null },
+    });
+    logger.info(
+      `Staff account '${username}' (${role}) created by ${req.staff.username}.`
+    );
+    res
+      .status(201)
+      .json({ message: "Staff account created.", id: staffId });
+  });
+
+  // Endpoint for admins to deactivate a staff account and end its sessions
+  router.post("/staff/:id/deactivate", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+
+    let deactivated;
+    try {
+      deactivated = await withTransaction(db, async () => {
+        const result = await run(db, `UPDATE staff SET is_active = 0 WHERE id = ?`, [id]);
+        if (result.changes === 0) return false;
+        await run(
+          db,
+          `UPDATE staff_sessions SET revoked_at = ? WHERE staff_id = ? AND revoked_at IS NULL`,
+          [new Date().toISOString(), id]
+        );
+        return true;
+      });
+    } catch (err) {
+      logger.error("SQL Error deactivating staff account:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    if (!deactivated) {
+      logger.warn(`Staff deactivation failed: ID ${id} not found (404).`);
+      return res.status(404).json({ message: "Staff account not found." });
+    }
+    revokeHistoryTokens(db, { staffId: Number(id) }).catch((historyErr) =>
+      logger.error("SQL Error revoking history tokens:", historyErr.message)
+    );
+    await recordAuditEvent(db, logger, req, {
+      action: "staff.deactivate",
+      before: { staff_id: Number(id), is_active: 1 },
+      after: { staff_id: Number(id), is_active: 0 },
+    });
+    logger.info(`Staff ID ${id} deactivated by ${req.staff.username}.`);
+    res.status(200).json({ message: "Staff account deactivated." });
+  });
+
+  // Endpoint to change a staff password: a staff member's own, given their current
+  // password, or anyone's by an admin. Every session of the account is ended (with any
+  // history access it opened), so whoever knew the old password is signed out.
+  router.post("/staff/:id/password", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const { current_password, new_password } = req.body || {};
+    const own = req.staff.id === Number(id);
+
+    if (!own && !ADMINS.includes(req.staff.role)) {
+      logger.warn(`Staff ${req.staff.username} denied changing the password of staff ID ${id} (403 Forbidden).`);
+      return res.status(403).json({ message: "You can only change your own password." });
+    }
+    if (!new_password || !String(new_password).trim()) {
+      logger.warn(`Password change for staff ID ${id} failed: No new password (400).`);
+      return res.status(400).json({ message: "A new password is required." });
+    }
+
+    let changed;
+    try {
+      const staff = await get(db, `SELECT id, username, password_hash FROM staff WHERE id = ?`, [id]);
+      if (!staff) {
+        logger.warn(`Password change failed: Staff ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Staff account not found." });
+      }
+      if (own && !verifyPassword(current_password, staff.password_hash)) {
+        logger.warn(`Password change for staff ${staff.username} refused: Wrong current password (403).`);
+        return res.status(403).json({ message: "The current password is not correct." });
+      }
+
+      changed = await withTransaction(db, async () => {
+        await run(db, `UPDATE staff SET password_hash = ? WHERE id = ?`, [hashPassword(new_password), staff.id]);
+        const revoked = await run(
+          db,
+          `UPDATE staff_sessions SET revoked_at = ? WHERE staff_id = ? AND revoked_at IS NULL`,
+          [new Date().toISOString(), staff.id]
+        );
+        await recordAuditEvent(db, logger, req, {
+          action: "staff.password_change",
+          after: { staff_id: staff.id, username: staff.username, sessions_revoked: revoked.changes },
+        });
+        return staff;
+      });
+    } catch (err) {
+      logger.error("SQL Error changing staff password:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+    revokeHistoryTokens(db, { staffId: changed.id }).catch((historyErr) =>
+      logger.error("SQL Error revoking history tokens:", historyErr.message)
+    );
+    logger.info(`Password of staff ${changed.username} changed by ${req.staff.username}; sessions ended.`);
+    res.status(200).json({ message: "Password changed. Please sign in again with the new password." });
+  });
+
+  // Endpoint for managers to see which IP addresses and accounts are locked out
+  router.get("/staff/lockouts", requireStaffRole(db, logger, MANAGERS), (req, res) => {
+    getActiveLockouts(db)
+      .then((lockouts) => res.status(200).json(lockouts))
+      .catch((err) => {
+        logger.error("SQL Error listing lockouts:", err.message);
+        res.status(500).json({ error: err.message });
+      });
+  });
+
+  // Endpoint for managers to lift a lockout early
+  router.post("/staff/lockouts/:id/clear", requireStaffRole(db, logger, MANAGERS), (req, res) => {
+    const { id } = req.params;
+
+    clearLockout(db, id)
+      .then((cleared) => {
+        if (!cleared) {
+          logger.warn(`Lockout clear failed: ID ${id} not found (404).`);
+          return res.status(404).json({ message: "Lockout not found." });
+        }
+        return recordAuditEvent(db, logger, req, {
+          action: "lockout.clear",
+          before: {
+            scope: cleared.scope,
+            identifier: cleared.identifier,
+            failed_count: cleared.failed_count,
+            locked_until: cleared.locked_until,
+          },
+        }).then(() => {
+          logger.info(`SUCCESS: Lockout ID ${id} cleared by ${req.staff.username}.`);
+          res.status(200).json({ message: "Lockout cleared." });
+        });
+      })
+      .catch((err) => {
+        logger.error("SQL Error clearing lockout:", err.message);
+        res.status(500).json({ error: err.message });
+      });
+  });
+
+  return router;
+}
+
+module.exports = createStaffLoginRouter;
@@ -0,0 +1,419 @@
+// Failed sign-ins are not held back in these tests
+process.env.LOGIN_DELAY_BASE_MS = "0";
+
+const request = require("supertest");
+const express = require("express");
+const createStaffLoginRouter = require("./staff_login");
+const { hashPassword, verifyPassword } = require("./staff_auth");
+const { issueHistoryToken } = require("./history_token");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// Helper to insert a staff member with a known password
+const insertStaff = (username, role, password = "secret123", isActive = 1) =>
+    runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, is_active, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [username, `${username} name`, hashPassword(password), role, isActive, new Date().toISOString()]);
+
+// Helper to sign in and return the session token
+const signIn = async (username, password = "secret123") => {
+    const response = await request(app).post("/staff/login").send({ username, password });
+    return response.body.token;
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use("/", createStaffLoginRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    await runDb(mockDb, `DELETE FROM login_attempts`);
+    await runDb(mockDb, `DELETE FROM history_access_tokens`);
+    await runDb(mockDb, `DELETE FROM staff_sessions`);
+    await runDb(mockDb, `DELETE FROM staff`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+    mockDb.close((err) => {
+        if (err) console.error(err.message);
+        done();
+    });
+});
+
+describe('Password hashing', () => {
+    test('should verify the original password and reject any other', () => {
+        const stored = hashPassword("correct horse");
+
+        expect(stored).toMatch(/^scrypt\$/);
+        expect(verifyPassword("correct horse", stored)).toBe(true);
+        expect(verifyPassword("wrong horse", stored)).toBe(false);
+        expect(verifyPassword("correct horse", "not-a-hash")).toBe(false);
+    });
+});
+
+describe('POST /staff/login', () => {
+    test('should sign in with correct credentials and return a token', async () => {
+        await insertStaff("reception1", "receptionist");
+
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "reception1", password: "secret123" });
+
+        expect(response.status).toBe(200);
+        expect(response.body.token).toEqual(expect.any(String));
+        expect(response.body.staff).toEqual(expect.objectContaining({ username: "reception1", role: "receptionist" }));
+        expect(response.body.staff.password_hash).toBeUndefined();
+
+        // Only a digest of the token is stored
+        const session = await getDb(mockDb, `SELECT token_hash FROM staff_sessions`);
+        expect(session.token_hash).not.toBe(response.body.token);
+
+        const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'staff.sign_in'`);
+        expect(event.actor).toBe("reception1");
+    });
+
+    test('should return 401 for a wrong password', async () => {
+        await insertStaff("reception1", "receptionist");
+
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "reception1", password: "nope" });
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe("Incorrect username or password.");
+        expect(loggerMock.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return 401 for a deactivated account', async () => {
+        await insertStaff("former", "manager", "secret123", 0);
+
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "former", password: "secret123" });
+
+        expect(response.status).toBe(401);
+    });
+
+    test('should return 400 when fields are missing', async () => {
+        const response = await request(app).post("/staff/login").send({ username: "reception1" });
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('Staff sessions', () => {
+    test('GET /staff/me should return the signed-in staff member', async () => {
+        await insertStaff("manager1", "manager");
+        const token = await signIn("manager1");
+
+        const response = await request(app).get("/staff/me").set("Authorization", `Bearer ${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.staff).toEqual(expect.objectContaining({ username: "manager1", role: "manager" }));
+    });
+
+    test('POST /staff/logout should revoke the token', async () => {
+        await insertStaff("manager1", "manager");
+        const token = await signIn("manager1");
+
+        const logout = await request(app).post("/staff/logout").set("Authorization", `Bearer ${token}`);
+        expect(logout.status).toBe(200);
+
+        const response = await request(app).get("/staff/me").set("Authorization", `Bearer ${token}`);
+        expect(response.status).toBe(401);
+    });
+
+    test('POST /staff/logout should also revoke history tokens opened by that staff member', async () => {
+        const manager = await insertStaff("manager1", "manager");
+        const token = await signIn("manager1");
+        await issueHistoryToken(mockDb, { id: manager.lastID, role: "manager" });
+
+        await request(app).post("/staff/logout").set("Authorization", `Bearer ${token}`);
+
+        const grant = await getDb(mockDb, `SELECT revoked_at FROM history_access_tokens WHERE staff_id = ?`, [manager.lastID]);
+        expect(grant.revoked_at).not.toBeNull();
+    });
+
+    test('should reject an expired session', async () => {
+        await insertStaff("manager1", "manager");
+        const token = await signIn("manager1");
+        await runDb(mockDb, `UPDATE staff_sessions SET expires_at = '2000-01-01T00:00:00.000Z'`);
+
+        const response = await request(app).get("/staff/me").set("Authorization", `Bearer ${token}`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe("Your session has expired. Please sign in again.");
+    });
+});
+
+describe('Staff account management', () => {
+    test('POST /staff should let an admin create an account', async () => {
+        await insertStaff("admin1", "admin");
+        const token = await signIn("admin1");
+
+        const response = await request(app)
+            .post("/staff")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ username: "reception2", display_name: "Reception Two", password: "pw", role: "receptionist" });
+
+        expect(response.status).toBe(201);
+        const created = await getDb(mockDb, `SELECT role, password_hash FROM staff WHERE username = 'reception2'`);
+        expect(created.role).toBe("receptionist");
+        expect(verifyPassword("pw", created.password_hash)).toBe(true);
+    });
+
+    test('POST /staff should reject an unknown role with 400', async () => {
+        await insertStaff("admin1", "admin");
+        const token = await signIn("admin1");
+
+        const response = await request(app)
+            .post("/staff")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ username: "x", display_name: "X", password: "pw", role: "owner" });
+
+        expect(response.status).toBe(400);
+    });
+
+    test('POST /staff should return 409 for a duplicate username', async () => {
+        await insertStaff("admin1", "admin");
+        const token = await signIn("admin1");
+
+        const response = await request(app)
+            .post("/staff")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ username: "admin1", display_name: "Again", password: "pw", role: "manager" });
+
+        expect(response.status).toBe(409);
+    });
+
+    test('POST /staff should be forbidden for a manager', async () => {
+        await insertStaff("manager1", "manager");
+        const token = await signIn("manager1");
+
+        const response = await request(app)
+            .post("/staff")
+            .set("Authorization", `Bearer ${token}`)
+            .send({ username: "x", display_name: "X", password: "pw", role: "admin" });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('POST /staff/:id/deactivate should end the account sessions', async () => {
+        await insertStaff("admin1", "admin");
+        const receptionist = await insertStaff("reception1", "receptionist");
+        const adminToken = await signIn("admin1");
+        const receptionToken = await signIn("reception1");
+
+        const response = await request(app)
+            .post(`/staff/${receptionist.lastID}/deactivate`)
+            .set("Authorization", `Bearer ${adminToken}`);
+        expect(response.status).toBe(200);
+
+        const me = await request(app).get("/staff/me").set("Authorization", `Bearer ${receptionToken}`);
+        expect(me.status).toBe(401);
+    });
+});
+
+describe('POST /staff/:id/password', () => {
+    test('should let staff change their own password with the current one, ending their sessions', async () => {
+        const receptionist = await insertStaff("reception1", "receptionist");
+        const token = await signIn("reception1");
+        const otherToken = await signIn("reception1");
+
+        const wrongCurrent = await request(app)
+            .post(`/staff/${receptionist.lastID}/password`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ current_password: "guess", new_password: "n3w-secret" });
+        expect(wrongCurrent.status).toBe(403);
+        const noNew = await request(app)
+            .post(`/staff/${receptionist.lastID}/password`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ current_password: "secret123", new_password: "  " });
+        expect(noNew.status).toBe(400);
+
+        const response = await request(app)
+            .post(`/staff/${receptionist.lastID}/password`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ current_password: "secret123", new_password: "n3w-secret" });
+        expect(response.status).toBe(200);
+
+        for (const oldToken of [token, otherToken]) {
+            const me = await request(app).get("/staff/me").set("Authorization", `Bearer ${oldToken}`);
+            expect(me.status).toBe(401);
+        }
+        expect(await signIn("reception1", "secret123")).toBeUndefined();
+        expect(await signIn("reception1", "n3w-secret")).toEqual(expect.any(String));
+
+        const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'staff.password_change'`);
+        expect(event.actor).toBe("reception1");
+        expect(JSON.parse(event.after_values)).toEqual({ staff_id: receptionist.lastID, username: "reception1", sessions_revoked: 2 });
+        expect(event.after_values).not.toContain("n3w-secret");
+    });
+
+    test('should let an admin reset anyone else\'s password, and no one else', async () => {
+        await insertStaff("admin1", "admin");
+        await insertStaff("manager1", "manager");
+        const receptionist = await insertStaff("reception1", "receptionist");
+        const adminToken = await signIn("admin1");
+        const managerToken = await signIn("manager1");
+        const receptionToken = await signIn("reception1");
+
+        const byManager = await request(app)
+            .post(`/staff/${receptionist.lastID}/password`)
+            .set("Authorization", `Bearer ${managerToken}`)
+            .send({ new_password: "n3w-secret" });
+        expect(byManager.status).toBe(403);
+        expect(byManager.body.message).toBe("You can only change your own password.");
+
+        const byAdmin = await request(app)
+            .post(`/staff/${receptionist.lastID}/password`)
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ new_password: "n3w-secret" });
+        expect(byAdmin.status).toBe(200);
+        const me = await request(app).get("/staff/me").set("Authorization", `Bearer ${receptionToken}`);
+        expect(me.status).toBe(401);
+        // The admin's own session is untouched
+        const adminMe = await request(app).get("/staff/me").set("Authorization", `Bearer ${adminToken}`);
+        expect(adminMe.status).toBe(200);
+
+        const missing = await request(app)
+            .post(`/staff/9999/password`)
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ new_password: "n3w-secret" });
+        expect(missing.status).toBe(404);
+    });
+});
+
+describe('Sign-in lockout', () => {
+    // Helper to fail a number of sign-ins for one account
+    const failSignIns = async (username, times) => {
+        for (let i = 0; i < times; i++) {
+            await request(app).post("/staff/login").send({ username, password: "wrong" });
+        }
+    };
+
+    test('should lock an account after five failed attempts, even for the right password', async () => {
+        await insertStaff("manager1", "manager");
+        await failSignIns("manager1", 5);
+
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "manager1", password: "secret123" });
+
+        expect(response.status).toBe(429);
+        expect(response.headers["retry-after"]).toBeDefined();
+        expect(response.body.locked_until).toEqual(expect.any(String));
+    });
+
+    test('should lock an account against parallel guesses', async () => {
+        await insertStaff("manager1", "manager");
+        const responses = await Promise.all(
+            Array.from({ length: 30 }, () =>
+                request(app).post("/staff/login").send({ username: "manager1", password: "wrong" })
+            )
+        );
+        expect(responses.filter((response) => response.status === 401)).toHaveLength(4);
+
+        const account = await getDb(mockDb, `SELECT failed_count FROM login_attempts WHERE scope = 'account'`);
+        expect(account.failed_count).toBe(30);
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "manager1", password: "secret123" });
+        expect(response.status).toBe(429);
+    });
+
+    test('should reset the account count after a successful sign-in', async () => {
+        await insertStaff("manager1", "manager");
+        await failSignIns("manager1", 4);
+        await signIn("manager1");
+
+        const account = await getDb(mockDb, `SELECT * FROM login_attempts WHERE scope = 'account'`);
+        expect(account).toBeUndefined();
+
+        // The IP count is kept
+        const ip = await getDb(mockDb, `SELECT failed_count FROM login_attempts WHERE scope = 'ip'`);
+        expect(ip.failed_count).toBe(4);
+    });
+
+    test('should start counting again once a lockout has passed', async () => {
+        await insertStaff("manager1", "manager");
+        await failSignIns("manager1", 5);
+        await runDb(mockDb, `UPDATE login_attempts SET locked_until = '2000-01-01T00:00:00.000Z'`);
+
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "manager1", password: "secret123" });
+
+        expect(response.status).toBe(200);
+    });
+
+    test('GET /staff/lockouts and POST /staff/lockouts/:id/clear should let a manager lift a lockout', async () => {
+        await insertStaff("manager1", "manager");
+        await insertStaff("reception1", "receptionist");
+        const token = await signIn("manager1");
+        await failSignIns("reception1", 5);
+
+        const list = await request(app).get("/staff/lockouts").set("Authorization", `Bearer ${token}`);
+        expect(list.status).toBe(200);
+        expect(list.body).toHaveLength(1);
+        expect(list.body[0]).toEqual(expect.objectContaining({ scope: "account", identifier: "reception1" }));
+
+        const clear = await request(app)
+            .post(`/staff/lockouts/${list.body[0].id}/clear`)
+            .set("Authorization", `Bearer ${token}`);
+        expect(clear.status).toBe(200);
+
+        const response = await request(app)
+            .post("/staff/login")
+            .send({ username: "reception1", password: "secret123" });
+        expect(response.status).toBe(200);
+    });
+
+    test('POST /staff/lockouts/:id/clear should be forbidden for a receptionist', async () => {
+        await insertStaff("reception1", "receptionist");
+        const token = await signIn("reception1");
+
+        const response = await request(app)
+            .post("/staff/lockouts/1/clear")
+            .set("Authorization", `Bearer ${token}`);
+
+        expect(response.status).toBe(403);
+    });
+});
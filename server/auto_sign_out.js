@@ -0,0 +1,89 @@
+// End-of-day sign-out: people often leave without being signed out, which would keep
+// them on the on-site list for days. Any visit still open at the closing time is
+// signed out by the server at that time and marked auto_signed_out, so staff can put
+// in the real exit time from the exceptions report the next morning.
+//
+// AUTO_SIGN_OUT_TIME sets the closing time as HH:MM in the server's local time
+// (23:00 when unset or unreadable); "off" turns automatic sign-out off.
+const { recordAuditEvent } = require("./audit_trail");
+const { withTransaction, visits } = require("./repository");
+
+const DEFAULT_CLOSING_TIME = { hours: 23, minutes: 0 };
+
+/**
+ * Reads a closing time such as "22:30".
+ *
+ * @param {string} [value] - The AUTO_SIGN_OUT_TIME setting.
+ * @returns {{hours: number, minutes: number}|null} null when automatic sign-out is off.
+ */
+function parseClosingTime(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim().toLowerCase();
+  if (text === "off") return null;
+  const match = text.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : DEFAULT_CLOSING_TIME;
+}
+
+const CLOSING_TIME = parseClosingTime(process.env.AUTO_SIGN_OUT_TIME);
+
+/**
+ * The first closing time after a visit started: the same day's, or the next day's for
+ * a visit that started after closing.
+ *
+ * @param {string} entryTime - ISO timestamp the visit started.
+ * @param {{hours: number, minutes: number}} closing - From parseClosingTime.
+ * @returns {Date}
+ */
+function closingTimeAfter(entryTime, closing) {
+  const entry = new Date(entryTime);
+  const closingAt = new Date(entryTime);
+  closingAt.setHours(closing.hours, closing.minutes, 0, 0);
+  if (closingAt <= entry) closingAt.setDate(closingAt.getDate() + 1);
+  return closingAt;
+}
+
+/**
+ * Signs out every visit whose closing time has passed, with that closing time as its
+ * exit time. Each one is recorded as a system visit.auto_sign_out audit event. Safe to
+ * run as often as wanted; a visit left open while the server was down is closed at
+ * the closing time of the day it started.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @param {object} [options] - { now (Date), closing (from parseClosingTime; AUTO_SIGN_OUT_TIME by default) }.
+ * @returns {Promise<number>} How many visits were signed out.
+ */
+async function signOutOpenVisits(db, logger, { now = new Date(), closing = CLOSING_TIME } = {}) {
+  if (!closing) return 0;
+  const open = await visits.listOpen(db);
+
+  let signedOut = 0;
+  for (const visit of open) {
+    const exit_time = closingTimeAfter(visit.entry_time, closing).toISOString();
+    if (exit_time > now.toISOString()) continue;
+
+    await withTransaction(db, async () => {
+      // Skipped when staff signed the visitor out in the meantime
+      if (!(await visits.autoSignOut(db, visit.id, exit_time))) return;
+      signedOut++;
+      await recordAuditEvent(db, logger, null, {
+        action: "visit.auto_sign_out",
+        visitorId: visit.visitor_id,
+        visitId: visit.id,
+        before: { exit_time: null },
+        after: { exit_time, auto_signed_out: 1 },
+      });
+    });
+  }
+
+  if (signedOut > 0) {
+    logger.info(`${signedOut} visit(s) still open at closing time were signed out automatically.`);
+  }
+  return signedOut;
+}
+
+module.exports = {
+  CLOSING_TIME,
+  parseClosingTime,
+  closingTimeAfter,
+  signOutOpenVisits,
+};
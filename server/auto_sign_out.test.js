@@ -0,0 +1,76 @@
+const { initializeDatabase } = require("./db_management");
+const { parseClosingTime, closingTimeAfter, signOutOpenVisits } = require("./auto_sign_out");
+
+let mockDb;
+let loggerMock;
+
+// Helper functions to promisify db.run and db.all
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const allDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+};
+
+// Times are the server's local time, as the closing time is
+const localTime = (day, hours, minutes = 0) => new Date(2025, 2, day, hours, minutes).toISOString();
+
+beforeAll(async () => {
+    mockDb = await initializeDatabase(":memory:");
+    loggerMock = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    await runDb(mockDb, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Early', 'Leaver'), (2, 'Late', 'Arrival'), (3, 'Signed', 'Out')`);
+});
+
+afterAll((done) => {
+    mockDb.close(done);
+});
+
+describe("end-of-day sign-out", () => {
+    test("should read the closing time setting, defaulting to 23:00", () => {
+        expect(parseClosingTime("21:30")).toEqual({ hours: 21, minutes: 30 });
+        expect(parseClosingTime(undefined)).toEqual({ hours: 23, minutes: 0 });
+        expect(parseClosingTime("half past nine")).toEqual({ hours: 23, minutes: 0 });
+        expect(parseClosingTime("OFF")).toBeNull();
+    });
+
+    test("should close a visit at the closing time of the day it started, or the next day's after closing", () => {
+        const closing = { hours: 22, minutes: 0 };
+        expect(closingTimeAfter(localTime(3, 9), closing).toISOString()).toBe(localTime(3, 22));
+        expect(closingTimeAfter(localTime(3, 22, 30), closing).toISOString()).toBe(localTime(4, 22));
+    });
+
+    test("should sign out visits whose closing time has passed and mark them as auto signed out", async () => {
+        await runDb(mockDb, `INSERT INTO visits (id, visitor_id, entry_time, unit, type) VALUES (1, 1, ?, 'A101', 'visitor')`, [localTime(3, 9)]);
+        await runDb(mockDb, `INSERT INTO visits (id, visitor_id, entry_time, unit, type) VALUES (2, 2, ?, 'A102', 'visitor')`, [localTime(4, 7)]);
+        await runDb(mockDb, `INSERT INTO visits (id, visitor_id, entry_time, exit_time, unit, type) VALUES (3, 3, ?, ?, 'A103', 'visitor')`, [localTime(3, 10), localTime(3, 12)]);
+
+        // The morning after the first visit, before the second one's closing time
+        const now = new Date(2025, 2, 4, 8, 0);
+        const count = await signOutOpenVisits(mockDb, loggerMock, { now, closing: { hours: 22, minutes: 0 } });
+
+        expect(count).toBe(1);
+        const visits = await allDb(mockDb, `SELECT id, exit_time, auto_signed_out FROM visits ORDER BY id`);
+        expect(visits).toEqual([
+            { id: 1, exit_time: localTime(3, 22), auto_signed_out: 1 },
+            // Still on site: today's closing time has not come yet
+            { id: 2, exit_time: null, auto_signed_out: 0 },
+            { id: 3, exit_time: localTime(3, 12), auto_signed_out: 0 },
+        ]);
+        const events = await allDb(mockDb, `SELECT actor, visit_id, after_values FROM audit_events WHERE action = 'visit.auto_sign_out'`);
+        expect(events).toEqual([{ actor: "system", visit_id: 1, after_values: JSON.stringify({ exit_time: localTime(3, 22), auto_signed_out: 1 }) }]);
+
+        // Nothing happens when it is turned off
+        expect(await signOutOpenVisits(mockDb, loggerMock, { now: new Date(2025, 2, 9), closing: null })).toBe(0);
+    });
+});
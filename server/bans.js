@@ -0,0 +1,210 @@
+// Ban records: each ban keeps its reason, category, author and optional expiry in
+// the bans table. visitors.is_banned stays as the quick "banned right now" flag and
+// is cleared once a visitor has no active ban left. Bans requested by a receptionist
+// start as 'pending' and only take effect once a manager approves them.
+const { recordAuditEvent } = require("./audit_trail");
+const { run, get, all, withTransaction } = require("./repository");
+
+const BAN_CATEGORIES = [
+  "violence",
+  "threatening_behaviour",
+  "theft",
+  "safeguarding",
+  "drugs_alcohol",
+  "property_damage",
+  "other",
+];
+
+// SQL condition for a ban that is still in force (T1 is the bans table).
+// status is pending (awaiting a manager), active, or rejected.
+const ACTIVE_BAN_SQL = `T1.status = 'active' AND T1.lifted_at IS NULL AND (T1.expires_at IS NULL OR T1.expires_at > ?)`;
+
+/**
+ * Lifts every ban whose expiry date has passed and clears visitors.is_banned
+ * for visitors left with no active ban. Each lift is recorded as a system unban.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {Promise<number>} How many bans were lifted.
+ */
+async function liftExpiredBans(db, logger) {
+  const now = new Date().toISOString();
+
+  const expired = await all(
+    db,
+    `SELECT * FROM bans WHERE status = 'active' AND lifted_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ?`,
+    [now]
+  );
+
+  for (const ban of expired) {
+    await withTransaction(db, async () => {
+      await run(
+        db,
+        `UPDATE bans SET lifted_at = ?, lifted_by = 'system', lift_reason = 'Ban expired.' WHERE id = ?`,
+        [now, ban.id]
+      );
+
+      const cleared = await run(
+        db,
+        `UPDATE visitors SET is_banned = 0
+         WHERE id = ? AND NOT EXISTS (SELECT 1 FROM bans AS T1 WHERE T1.visitor_id = ? AND ${ACTIVE_BAN_SQL})`,
+        [ban.visitor_id, ban.visitor_id, now]
+      );
+
+      await recordAuditEvent(db, logger, null, {
+        action: "visitor.unban",
+        visitorId: ban.visitor_id,
+        before: { is_banned: 1, ban_id: ban.id, expires_at: ban.expires_at },
+        after: { is_banned: cleared.changes > 0 ? 0 : 1, ban_id: ban.id, lift_reason: "Ban expired." },
+      });
+    });
+    logger.info(`Ban ID ${ban.id} for visitor ID ${ban.visitor_id} expired and was lifted.`);
+  }
+
+  return expired.length;
+}
+
+/**
+ * Lists every ban a visitor has had, newest first, with who issued, approved and lifted it.
+ * Pending and rejected requests are included so staff can see them too.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @returns {Promise<Array<object>>} Ban rows, each with an is_active flag.
+ */
+function getBanHistory(db, visitorId) {
+  return all(
+    db,
+    `SELECT T1.*, CASE WHEN ${ACTIVE_BAN_SQL} THEN 1 ELSE 0 END AS is_active
+     FROM bans AS T1 WHERE T1.visitor_id = ? ORDER BY T1.starts_at DESC, T1.id DESC`,
+    [new Date().toISOString(), visitorId]
+  );
+}
+
+/**
+ * Records a ban or a ban request.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} ban - { visitor_id, category, reason, issued_by_staff_id, issued_by, status,
+ *   starts_at, expires_at, reviewed_by_staff_id, reviewed_by, reviewed_at }.
+ * @returns {Promise<number>} The new ban ID.
+ */
+async function createBan(db, ban) {
+  const result = await run(
+    db,
+    `INSERT INTO bans (visitor_id, category, reason, issued_by_staff_id, issued_by, status, starts_at, expires_at, reviewed_by_staff_id, reviewed_by, reviewed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      ban.visitor_id,
+      ban.category,
+      ban.reason,
+      ban.issued_by_staff_id,
+      ban.issued_by,
+      ban.status,
+      ban.starts_at,
+      ban.expires_at,
+      ban.reviewed_by_staff_id,
+      ban.reviewed_by,
+      ban.reviewed_at,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Loads a ban with its visitor's current is_banned value.
+ *
+ * @returns {Promise<object|undefined>}
+ */
+function findBan(db, banId) {
+  return get(
+    db,
+    `SELECT T1.*, T2.is_banned FROM bans AS T1 JOIN visitors AS T2 ON T1.visitor_id = T2.id WHERE T1.id = ?`,
+    [banId]
+  );
+}
+
+/**
+ * Ban requests waiting for a manager, oldest first, with the visitor's name and photo.
+ */
+function listPendingBans(db) {
+  return all(
+    db,
+    `SELECT T1.*, T2.first_name, T2.last_name, T2.photo_path
+     FROM bans AS T1
+     JOIN visitors AS T2 ON T1.visitor_id = T2.id
+     WHERE T1.status = 'pending'
+     ORDER BY T1.starts_at ASC`
+  );
+}
+
+/**
+ * Approves (status 'active', in force from now) or rejects a pending ban request.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} banId - The ban ID.
+ * @param {object} review - { status: 'active'|'rejected', staff: { id, username }, note, at }.
+ * @returns {Promise<number>} Rows changed (0 when the request was no longer pending).
+ */
+async function reviewBan(db, banId, { status, staff, note, at }) {
+  const startsAt = status === "active" ? ", starts_at = ?" : "";
+  const result = await run(
+    db,
+    `UPDATE bans SET status = ?${startsAt}, reviewed_by_staff_id = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?
+     WHERE id = ? AND status = 'pending'`,
+    [status, ...(startsAt ? [at] : []), staff.id, staff.username, at, note, banId]
+  );
+  return result.changes;
+}
+
+/**
+ * Lifts every active ban a visitor has, recording who lifted them and why.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @param {object} lift - { staff: { id, username }, reason, at }.
+ * @returns {Promise<number>} How many bans were lifted.
+ */
+async function liftActiveBans(db, visitorId, { staff, reason, at }) {
+  const result = await run(
+    db,
+    `UPDATE bans SET lifted_at = ?, lifted_by_staff_id = ?, lifted_by = ?, lift_reason = ?
+     WHERE visitor_id = ? AND status = 'active' AND lifted_at IS NULL`,
+    [at, staff.id, staff.username, reason, visitorId]
+  );
+  return result.changes;
+}
+
+/**
+ * Rejects every ban request still pending for a visitor, so a request made before
+ * the visitor was unbanned can not be approved afterwards.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @param {object} review - { staff: { id, username }, note, at }.
+ * @returns {Promise<Array<object>>} The requests rejected.
+ */
+async function rejectPendingBans(db, visitorId, { staff, note, at }) {
+  const pending = await all(
+    db,
+    `SELECT * FROM bans WHERE visitor_id = ? AND status = 'pending' ORDER BY id`,
+    [visitorId]
+  );
+  for (const ban of pending) {
+    await reviewBan(db, ban.id, { status: "rejected", staff, note, at });
+  }
+  return pending;
+}
+
+module.exports = {
+  BAN_CATEGORIES,
+  ACTIVE_BAN_SQL,
+  liftExpiredBans,
+  getBanHistory,
+  createBan,
+  findBan,
+  listPendingBans,
+  reviewBan,
+  liftActiveBans,
+  rejectPendingBans,
+};
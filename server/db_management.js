@@ -1,6 +1,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require("fs");
 const path = require("path");
+const { verifyChain } = require("./audit_log_chain");
+const { runMigrations } = require("./schema_migrations");
 
 /**
  * Helper function to query table schema information using PRAGMA table_info.
@@ -15,87 +17,23 @@ function getTableSchema(db, tableName) {
 }
 
 /**
- * Initializes the SQLite database and ensures all necessary tables are created.
+ * Opens a SQLite database and applies every pending schema migration, so the tests
+ * work on exactly the schema the server runs on.
+ * @param {string} [dbPath] - Database file, or ':memory:' (the default) for tests.
+ * @param {object} [logger] - The logging instance; quiet when omitted.
+ * @returns {Promise<object>} The open database instance.
  */
-function initializeDatabase(dbPath = ':memory:') {
+function initializeDatabase(dbPath = ':memory:', logger) {
     return new Promise((resolve, reject) => {
-        // We create the DB instance first
+        // Statements queue until the database is open; a failed open fails the migrations too.
+        // Foreign keys are left unenforced, as on the server.
         const db = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                console.error('Error opening database:', err.message);
-                return reject(err);
-            }
+            if (err) console.error('Error opening database:', err.message);
         });
 
-        // Use db.serialize to ensure sequential execution
-        db.serialize(() => {
-            // Enable foreign keys
-            db.run('PRAGMA foreign_keys = ON;', (pragmaErr) => {
-                if (pragmaErr) {
-                    console.error('Error enabling foreign keys:', pragmaErr.message);
-                    return reject(pragmaErr);
-                }
-            });
-
-            db.run(`
-                CREATE TABLE IF NOT EXISTS visitors (
-                    id INTEGER PRIMARY KEY,
-                    first_name TEXT NOT NULL,
-                    last_name TEXT,
-                    is_banned INTEGER DEFAULT 0
-                )
-            `, (err) => {
-                if (err) return reject(new Error('Failed to create visitors table: ' + err.message));
-            });
-
-            db.run(`
-                CREATE TABLE IF NOT EXISTS visits (
-                    id INTEGER PRIMARY KEY,
-                    visitor_id INTEGER NOT NULL,
-                    entry_time TEXT NOT NULL,
-                    exit_time TEXT,
-                    known_as TEXT,
-                    address TEXT,
-                    phone_number TEXT,
-                    unit TEXT,
-                    reason_for_visit TEXT,
-                    type TEXT,
-                    company_name TEXT,
-                    mandatory_acknowledgment_taken TEXT,
-                    FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-                )
-            `, (err) => {
-                if (err) return reject(new Error('Failed to create visits table: ' + err.message));
-            });
-
-            db.run(`
-                CREATE TABLE IF NOT EXISTS dependents (
-                    id INTEGER PRIMARY KEY,
-                    visit_id INTEGER NOT NULL,
-                    full_name TEXT NOT NULL,
-                    age INTEGER,
-                    FOREIGN KEY (visit_id) REFERENCES visits(id)
-                )
-            `, (err) => {
-                if (err) return reject(new Error('Failed to create dependents table: ' + err.message));
-            });
-
-            db.run(`
-                CREATE TABLE IF NOT EXISTS audit_logs (
-                    id INTEGER PRIMARY KEY,
-                    event_name TEXT NOT NULL,
-                    timestamp TEXT NOT NULL,
-                    status TEXT NOT NULL,
-                    profiles_deleted INTEGER,
-                    visits_deleted INTEGER,
-                    dependents_deleted INTEGER
-                )
-            `, (err) => {
-                if (err) return reject(new Error('Failed to create audit_logs table: ' + err.message));
-                // Resolve the promise with the DB instance only after everything is done
-                resolve(db);
-            });
-        });
+        runMigrations(db, logger)
+            .then(() => resolve(db))
+            .catch(reject);
     });
 }
 
@@ -179,6 +117,51 @@ function checkDatabaseIntegrity(dbFilePath, logger) {
   });
 }
 
+// How each chained table is named in the log.
+const CHAIN_LABELS = {
+    audit_logs: "Audit log chain",
+    audit_events: "Audit event chain",
+};
+
+async function checkChain(db, logger, table) {
+    const label = CHAIN_LABELS[table];
+    try {
+        const result = await verifyChain(db, table);
+        if (result.valid) {
+            logger.info(`${label} verified (${result.rows_checked} row(s)).`);
+        } else {
+            logger.error(
+                `${label} broken at row ${result.first_broken.id}: ${result.first_broken.reason}`
+            );
+        }
+        return result;
+    } catch (error) {
+        logger.error(`Error checking the ${label.toLowerCase()}:`, error.message);
+        return {
+            valid: false,
+            rows_checked: 0,
+            first_broken: null,
+            error: error.message,
+            checked_at: new Date().toISOString(),
+        };
+    }
+}
+
+/**
+ * Checks the audit_logs and audit_events hash chains so edited or deleted cleanup
+ * records and staff actions are noticed at start-up. Rows written before a chain
+ * existed were sealed by the migration that added its hash columns (002 and 014),
+ * so a row without a hash is reported as a broken link.
+ * @param {object} db - The open SQLite database instance.
+ * @returns {Promise<{audit_logs: object, audit_events: object}>} Each chain's verification
+ *   result ({ valid, rows_checked, first_broken, checked_at }).
+ */
+async function checkAuditChains(db, logger) {
+    const auditLogs = await checkChain(db, logger, "audit_logs");
+    const auditEvents = await checkChain(db, logger, "audit_events");
+    return { audit_logs: auditLogs, audit_events: auditEvents };
+}
+
 /**
  * Restores the latest good backup.
  */
@@ -253,6 +236,7 @@ module.exports = {
     initializeDatabase,
     getTableSchema,
     checkDatabaseIntegrity,
+    checkAuditChains,
     restoreFromBackup,
     createBackup,
 };
\ No newline at end of file
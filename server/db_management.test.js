@@ -49,6 +49,12 @@ jest.mock('sqlite3', () => {
 // --- 2. MOCK FS MODULE ---
 jest.mock('fs');
 
+// The migrations have their own tests against a real database (schema_migrations.test.js)
+jest.mock('./schema_migrations', () => ({
+    runMigrations: jest.fn(() => Promise.resolve({ version: 2, applied: [1, 2] })),
+}));
+const { runMigrations } = require('./schema_migrations');
+
 // --- 3. MOCK LOGGER ---
 const mockLogger = {
     info: jest.fn(),
@@ -62,25 +68,19 @@ describe('Database Management System', () => {
     });
 
     describe('initializeDatabase', () => {
-        it('should initialize database and attempt to create tables', async () => {
+        it('should open the database and apply the schema migrations to it', async () => {
             // ACT
-            const db = await dbManagement.initializeDatabase(':memory:');
+            const db = await dbManagement.initializeDatabase(':memory:', mockLogger);
 
             // ASSERT
-            // 1. Verify foreign keys were turned on
-            expect(mockRun).toHaveBeenCalledWith(
-                expect.stringContaining('PRAGMA foreign_keys = ON'), 
-                expect.any(Function)
-            );
+            expect(runMigrations).toHaveBeenCalledWith(mockDbInstance, mockLogger);
+            expect(db).toBe(mockDbInstance);
+        });
 
-            // 2. Verify table creations were called
-            expect(mockRun).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS visitors'), expect.any(Function));
-            expect(mockRun).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS visits'), expect.any(Function));
-            expect(mockRun).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS dependents'), expect.any(Function));
-            expect(mockRun).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS audit_logs'), expect.any(Function));
+        it('should reject when a migration fails', async () => {
+            runMigrations.mockImplementationOnce(() => Promise.reject(new Error('Migration 2_bad failed: boom')));
 
-            // 3. Verify it returns our mock DB object
-            expect(db).toBe(mockDbInstance);
+            await expect(dbManagement.initializeDatabase(':memory:')).rejects.toThrow('Migration 2_bad failed');
         });
     });
 
@@ -0,0 +1,203 @@
+// Evacuations: the fire roll call for a site. Starting one snapshots everyone the
+// on-site list shows (open visits at the site, as GET /visitors lists them) with each
+// dependent as a headcount line of their own, named with who they came with. Each
+// person is unaccounted until staff mark them safe; the roll call is kept once ended.
+// Names and visit details are copied in, so the record stands after the visits are
+// signed out or cleaned up.
+const { run, get, all } = require("./repository/db");
+
+// What a person on the roll call can be marked as
+const PERSON_STATUSES = ["unaccounted", "safe"];
+
+// Longest notes accepted when a roll call is ended
+const MAX_EVACUATION_NOTES_LENGTH = 1000;
+
+// An evacuation with its site's name and the numbers on its roll call
+const evacuationSql = (condition) => `
+  SELECT
+    E.*,
+    S.name AS site_name,
+    (SELECT COUNT(*) FROM evacuation_people AS P WHERE P.evacuation_id = E.id) AS headcount,
+    (SELECT COUNT(*) FROM evacuation_people AS P WHERE P.evacuation_id = E.id AND P.status = 'safe') AS safe_count
+  FROM evacuations AS E
+  LEFT JOIN sites AS S ON S.id = E.site_id
+  WHERE ${condition}`;
+
+/**
+ * Lists a site's evacuations, newest first.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} [siteId] - Only this site's; every site's when left out.
+ * @returns {Promise<Array<object>>} Evacuation rows with site_name, headcount and safe_count.
+ */
+function listEvacuations(db, siteId = null) {
+  return all(
+    db,
+    `${evacuationSql(siteId === null ? "1 = 1" : "E.site_id = ?")} ORDER BY E.started_at DESC, E.id DESC`,
+    siteId === null ? [] : [siteId]
+  );
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} evacuationId - The evacuation ID.
+ * @returns {Promise<object|undefined>} The evacuation with site_name, headcount and safe_count.
+ */
+function findEvacuation(db, evacuationId) {
+  return get(db, evacuationSql("E.id = ?"), [evacuationId]);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number} siteId - The site.
+ * @returns {Promise<object|undefined>} The site's evacuation still under way, if any.
+ */
+function findActiveEvacuation(db, siteId) {
+  return get(db, `${evacuationSql("E.site_id = ? AND E.ended_at IS NULL")} ORDER BY E.id DESC LIMIT 1`, [siteId]);
+}
+
+/**
+ * The roll call: each visitor followed by the dependents who came with them, visitors
+ * in surname order.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} evacuationId - The evacuation ID.
+ * @returns {Promise<Array<object>>} evacuation_people rows.
+ */
+function listPeople(db, evacuationId) {
+  return all(db, `SELECT * FROM evacuation_people WHERE evacuation_id = ? ORDER BY id ASC`, [evacuationId]);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} evacuationId - The evacuation the person must be on.
+ * @param {number|string} personId - The roll call line.
+ * @returns {Promise<object|undefined>} The evacuation_people row.
+ */
+function findPerson(db, evacuationId, personId) {
+  return get(db, `SELECT * FROM evacuation_people WHERE id = ? AND evacuation_id = ?`, [personId, evacuationId]);
+}
+
+/**
+ * Starts an evacuation at a site and takes its roll call from the open visits there.
+ * Call inside withTransaction, so nobody signing in or out meanwhile is half-copied.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} evacuation - { site_id, started_at, started_by }.
+ * @returns {Promise<{id: number, headcount: number}>} The new evacuation ID and the number of people on it.
+ */
+async function startEvacuation(db, { site_id, started_at, started_by }) {
+  const result = await run(
+    db,
+    `INSERT INTO evacuations (site_id, started_at, started_by) VALUES (?, ?, ?)`,
+    [site_id, started_at, started_by]
+  );
+  const evacuationId = result.lastID;
+
+  const onSite = await all(
+    db,
+    `SELECT V.id AS visit_id, V.visitor_id, P.first_name, P.last_name, V.unit, V.type,
+            V.company_name, V.host_name, V.entry_time
+     FROM visits AS V
+     JOIN visitors AS P ON P.id = V.visitor_id
+     WHERE V.exit_time IS NULL AND V.site_id = ?
+     ORDER BY P.last_name COLLATE NOCASE ASC, P.first_name COLLATE NOCASE ASC, V.id ASC`,
+    [site_id]
+  );
+  const accompanying = await all(
+    db,
+    `SELECT D.id, D.visit_id, D.full_name, D.age
+     FROM dependents AS D
+     JOIN visits AS V ON V.id = D.visit_id
+     WHERE V.exit_time IS NULL AND V.site_id = ? AND TRIM(COALESCE(D.full_name, '')) != ''
+     ORDER BY D.id ASC`,
+    [site_id]
+  );
+
+  const addPerson = (person) =>
+    run(
+      db,
+      `INSERT INTO evacuation_people (evacuation_id, visit_id, visitor_id, dependent_id, name, age, accompanied_by,
+         unit, type, company_name, host_name, entry_time, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'unaccounted')`,
+      [
+        evacuationId,
+        person.visit_id,
+        person.visitor_id,
+        person.dependent_id,
+        person.name,
+        person.age,
+        person.accompanied_by,
+        person.unit,
+        person.type,
+        person.company_name,
+        person.host_name,
+        person.entry_time,
+      ]
+    );
+
+  let headcount = 0;
+  for (const visit of onSite) {
+    const name = `${visit.first_name} ${visit.last_name}`;
+    await addPerson({ ...visit, dependent_id: null, name, age: null, accompanied_by: null });
+    headcount += 1;
+    for (const dependent of accompanying.filter((dep) => dep.visit_id === visit.visit_id)) {
+      await addPerson({
+        ...visit,
+        dependent_id: dependent.id,
+        name: dependent.full_name,
+        age: dependent.age,
+        accompanied_by: name,
+        company_name: null,
+      });
+      headcount += 1;
+    }
+  }
+  return { id: evacuationId, headcount };
+}
+
+/**
+ * Marks a person on a roll call safe, or back to unaccounted after a mistake.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} personId - The roll call line.
+ * @param {object} mark - { status, marked_at, marked_by }, the time and staff member null for unaccounted.
+ */
+async function markPerson(db, personId, { status, marked_at, marked_by }) {
+  await run(db, `UPDATE evacuation_people SET status = ?, marked_at = ?, marked_by = ? WHERE id = ?`, [
+    status,
+    marked_at,
+    marked_by,
+    personId,
+  ]);
+}
+
+/**
+ * Ends an evacuation, keeping its roll call as it stands.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} evacuationId - The evacuation ID.
+ * @param {object} end - { ended_at, ended_by, notes }.
+ * @returns {Promise<number>} Rows changed: 0 when it had already ended.
+ */
+async function endEvacuation(db, evacuationId, { ended_at, ended_by, notes }) {
+  const result = await run(
+    db,
+    `UPDATE evacuations SET ended_at = ?, ended_by = ?, notes = ? WHERE id = ? AND ended_at IS NULL`,
+    [ended_at, ended_by, notes, evacuationId]
+  );
+  return result.changes;
+}
+
+module.exports = {
+  PERSON_STATUSES,
+  MAX_EVACUATION_NOTES_LENGTH,
+  listEvacuations,
+  findEvacuation,
+  findActiveEvacuation,
+  listPeople,
+  findPerson,
+  startEvacuation,
+  markPerson,
+  endEvacuation,
+};
@@ -0,0 +1,253 @@
+// Host notifications: when a visitor signs in to see a host from the directory, the
+// host is told through the channel their entry names (hosts.notify_by). Channels are
+// pluggable: each is a function sending one notification to one host, registered
+// under a name with registerChannel. Two are built in:
+//
+//   email   - a plain-text message through the SMTP server in SMTP_HOST (SMTP_PORT,
+//             25 by default; sent from SMTP_FROM). Left unset, email notifications
+//             are skipped.
+//   webhook - the arrival as JSON, POSTed to the host's webhook_url.
+//
+// Notifying never holds up or fails a sign-in; whether it was sent, failed or
+// skipped is recorded as a visit.host_notify audit event.
+const net = require("net");
+const os = require("os");
+const { recordAuditEvent } = require("./audit_trail");
+
+// How long an SMTP server or webhook has to answer before the notification fails
+const NOTIFY_TIMEOUT_MS = 10000;
+
+// notify_by for a host who does not want to be told
+const NO_NOTIFICATION = "none";
+
+// Drops line breaks from a header value, so a name can not add headers of its own
+const headerText = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+// A header value, encoded (RFC 2047) when it is not plain ASCII
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+/**
+ * Builds a plain-text email, ready for the SMTP DATA command: CRLF line endings, and
+ * lines starting with "." doubled (dot-stuffing) so none can end the message early.
+ *
+ * @param {object} mail - { from, to, subject, text }.
+ * @returns {string} The message without the terminating ".".
+ */
+function formatMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: <${headerText(from)}>`,
+    `To: <${headerText(to)}>`,
+    `Subject: ${encodeHeader(headerText(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const body = String(text)
+    .split(/\r?\n/)
+    .map((line) => (line.startsWith(".") ? `.${line}` : line));
+  return [...headers, "", ...body].join("\r\n");
+}
+
+/**
+ * Sends one email through an SMTP server: EHLO, MAIL FROM, RCPT TO, DATA, QUIT.
+ * Only what a relay on the local network needs; no TLS or authentication.
+ *
+ * @param {object} server - { host, port, timeoutMs }.
+ * @param {object} mail - { from, to, subject, text }.
+ * @returns {Promise<void>} Resolves once the server has accepted the message; rejects
+ *   on a refusal, a dropped connection or the timeout.
+ */
+function sendMail({ host, port, timeoutMs = NOTIFY_TIMEOUT_MS }, mail) {
+  // Each reply the server sends, the class of reply it must be (2xx, 3xx) and what
+  // is sent back
+  const conversation = [
+    { expect: 2, send: `EHLO ${os.hostname()}` },
+    { expect: 2, send: `MAIL FROM:<${headerText(mail.from)}>` },
+    { expect: 2, send: `RCPT TO:<${headerText(mail.to)}>` },
+    { expect: 2, send: "DATA" },
+    { expect: 3, send: `${formatMessage(mail)}\r\n.` },
+    { expect: 2, send: "QUIT" },
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = "";
+    let reply = [];
+    let step = 0;
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      if (err) {
+        socket.destroy();
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+
+    socket.setEncoding("utf8");
+    socket.setTimeout(timeoutMs, () => finish(new Error(`SMTP server ${host}:${port} did not answer in time.`)));
+    socket.on("error", (err) => finish(err));
+    socket.on("close", () => finish(new Error(`SMTP server ${host}:${port} closed the connection.`)));
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, lineEnd).replace(/\r$/, "");
+        buffer = buffer.slice(lineEnd + 1);
+        reply.push(line);
+        // "250-..." continues a reply; "250 ..." (or a bare "250") is its last line
+        if (line.charAt(3) === "-") continue;
+
+        const code = Number(line.slice(0, 3));
+        const text = reply.join(" ");
+        reply = [];
+        if (step === conversation.length) {
+          // The reply to QUIT; the message was accepted before it was sent
+          socket.end();
+          return;
+        }
+        const { expect, send } = conversation[step];
+        if (Math.floor(code / 100) !== expect) {
+          finish(new Error(`SMTP server refused the message: ${text}`));
+          return;
+        }
+        step += 1;
+        socket.write(`${send}\r\n`);
+        if (send === "QUIT") finish();
+      }
+    });
+  });
+}
+
+/**
+ * The email channel, sending through an SMTP server.
+ *
+ * @param {object} settings - { host, port, from }.
+ * @returns {function} A channel, or null when no SMTP server is set.
+ */
+function createEmailChannel({ host, port, from }) {
+  if (!host) return null;
+  return (recipient, notification) => {
+    if (!recipient.email) return Promise.reject(new Error("The host has no email address."));
+    return sendMail(
+      { host, port },
+      { from, to: recipient.email, subject: notification.subject, text: notification.text }
+    );
+  };
+}
+
+/**
+ * The webhook channel: POSTs the arrival to the host's webhook_url as JSON. Any
+ * reply other than 2xx is a failure.
+ */
+async function sendWebhook(recipient, notification) {
+  if (!recipient.webhook_url) throw new Error("The host has no webhook URL.");
+  const response = await fetch(recipient.webhook_url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(notification.data),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`Webhook answered ${response.status}.`);
+}
+
+const channels = {
+  email: createEmailChannel({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 25,
+    from: process.env.SMTP_FROM || `visitor-tracker@${os.hostname()}`,
+  }),
+  webhook: sendWebhook,
+};
+
+/**
+ * Adds a notification channel, or replaces one (null switches it off).
+ *
+ * @param {string} name - The notify_by value that picks it.
+ * @param {function|null} send - Called with (host row, { subject, text, data });
+ *   resolves once sent, rejects when it could not be.
+ */
+function registerChannel(name, send) {
+  channels[name] = send;
+}
+
+/**
+ * @returns {Array<string>} The notify_by values a host can have.
+ */
+function notifyByOptions() {
+  return [NO_NOTIFICATION, ...Object.keys(channels)];
+}
+
+/**
+ * Tells a host their visitor has arrived and records the outcome. Never rejects, so
+ * callers need not wait for it.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance.
+ * @param {object} req - The sign-in request, for the audit actor.
+ * @param {object} arrival - { host (the host row), visitId, visitorId, visitorName,
+ *   siteName, unit, entryTime }.
+ * @returns {Promise<string|null>} sent, failed or skipped; null when the host does not
+ *   want to be told.
+ */
+async function notifyHostOfArrival(db, logger, req, arrival) {
+  const { host, visitId, visitorId, visitorName, siteName, unit, entryTime } = arrival;
+  const channel = host.notify_by || NO_NOTIFICATION;
+  if (channel === NO_NOTIFICATION) return null;
+
+  const signedInAt = new Date(entryTime).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  const notification = {
+    subject: `Your visitor ${visitorName} has arrived`,
+    text: `${visitorName} signed in at ${siteName} at ${signedInAt} to see you (unit ${unit}).`,
+    data: {
+      event: "visitor.arrived",
+      host: { id: host.id, name: host.name },
+      visitor: { id: Number(visitorId), name: visitorName },
+      visit_id: visitId,
+      site: siteName,
+      unit,
+      entry_time: entryTime,
+    },
+  };
+
+  let status;
+  let error = null;
+  const send = channels[channel];
+  if (!send) {
+    status = "skipped";
+    error = `No ${channel} channel is set up.`;
+    logger.warn(`Host ID ${host.id} not told of visit ID ${visitId}: ${error}`);
+  } else {
+    try {
+      await send(host, notification);
+      status = "sent";
+      logger.info(`Host ID ${host.id} told of visit ID ${visitId} by ${channel}.`);
+    } catch (sendErr) {
+      status = "failed";
+      error = sendErr.message;
+      logger.error(`Notifying host ID ${host.id} of visit ID ${visitId} by ${channel} failed:`, sendErr.message);
+    }
+  }
+
+  await recordAuditEvent(db, logger, req, {
+    action: "visit.host_notify",
+    visitorId: Number(visitorId),
+    visitId,
+    after: { host_id: host.id, channel, status, ...(error && { error }) },
+  });
+  return status;
+}
+
+module.exports = {
+  NO_NOTIFICATION,
+  sendMail,
+  createEmailChannel,
+  registerChannel,
+  notifyByOptions,
+  notifyHostOfArrival,
+};
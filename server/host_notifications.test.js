@@ -0,0 +1,206 @@
+const net = require("net");
+const http = require("http");
+const { initializeDatabase } = require("./db_management");
+const {
+    sendMail,
+    createEmailChannel,
+    registerChannel,
+    notifyHostOfArrival,
+} = require("./host_notifications");
+
+let mockDb;
+let loggerMock;
+let smtpServer;
+let smtpPort;
+let webhookServer;
+let webhookUrl;
+let mailbox;
+let webhookCalls;
+
+// Helper functions to promisify db.get
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// A local SMTP server standing in for the mail relay: accepts every message, except
+// to addresses at refused.example, and keeps what it was sent
+const startSmtpStandIn = () => new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+        let buffer = "";
+        let message = null;
+        const envelope = {};
+        socket.write("220 stand-in ESMTP ready\r\n");
+        socket.on("data", (chunk) => {
+            buffer += chunk.toString("utf8");
+            let lineEnd;
+            while ((lineEnd = buffer.indexOf("\r\n")) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                if (message !== null) {
+                    if (line === ".") {
+                        mailbox.push({ ...envelope, message: message.join("\r\n") });
+                        message = null;
+                        socket.write("250 2.0.0 Queued\r\n");
+                    } else {
+                        message.push(line);
+                    }
+                } else if (line.startsWith("EHLO")) {
+                    socket.write("250-stand-in greets you\r\n250-SIZE 1000000\r\n250 8BITMIME\r\n");
+                } else if (line.startsWith("MAIL FROM:")) {
+                    envelope.from = line.slice(10);
+                    socket.write("250 OK\r\n");
+                } else if (line.startsWith("RCPT TO:")) {
+                    envelope.to = line.slice(8);
+                    socket.write(line.includes("@refused.example") ? "550 No such user\r\n" : "250 OK\r\n");
+                } else if (line === "DATA") {
+                    message = [];
+                    socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+                } else if (line === "QUIT") {
+                    socket.end("221 Bye\r\n");
+                } else {
+                    socket.write("500 Unknown command\r\n");
+                }
+            }
+        });
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+});
+
+// A local webhook receiver: answers 500 on /broken, 204 otherwise
+const startWebhookReceiver = () => new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => {
+            webhookCalls.push({ url: req.url, contentType: req.headers["content-type"], body: JSON.parse(body) });
+            res.statusCode = req.url === "/broken" ? 500 : 204;
+            res.end();
+        });
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+});
+
+const arrival = (host) => ({
+    host,
+    visitId: 7,
+    visitorId: 3,
+    visitorName: "Vic Visitor",
+    siteName: "Main Site",
+    unit: "Flat 4",
+    entryTime: "2025-06-02T09:15:00.000Z",
+});
+
+const lastNotifyEvent = async () => {
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visit.host_notify' ORDER BY id DESC LIMIT 1`);
+    return { ...event, after: JSON.parse(event.after_values) };
+};
+
+beforeAll(async () => {
+    mockDb = await initializeDatabase(":memory:");
+    loggerMock = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    smtpServer = await startSmtpStandIn();
+    smtpPort = smtpServer.address().port;
+    webhookServer = await startWebhookReceiver();
+    webhookUrl = `http://127.0.0.1:${webhookServer.address().port}`;
+    registerChannel("email", createEmailChannel({ host: "127.0.0.1", port: smtpPort, from: "visitors@example.com" }));
+});
+
+beforeEach(() => {
+    mailbox = [];
+    webhookCalls = [];
+});
+
+afterAll(async () => {
+    registerChannel("email", null);
+    await new Promise((resolve) => smtpServer.close(resolve));
+    await new Promise((resolve) => webhookServer.close(resolve));
+    await new Promise((resolve) => mockDb.close(resolve));
+});
+
+describe("host notifications", () => {
+    test("should send an email through the SMTP server, dot-stuffing lines that start with a dot", async () => {
+        await sendMail(
+            { host: "127.0.0.1", port: smtpPort },
+            { from: "visitors@example.com", to: "sam@example.com", subject: "Café visit", text: "Hello\n.hidden\nBye" }
+        );
+
+        expect(mailbox).toHaveLength(1);
+        expect(mailbox[0].from).toBe("<visitors@example.com>");
+        expect(mailbox[0].to).toBe("<sam@example.com>");
+        expect(mailbox[0].message).toContain("To: <sam@example.com>");
+        expect(mailbox[0].message).toContain(`Subject: =?UTF-8?B?${Buffer.from("Café visit").toString("base64")}?=`);
+        expect(mailbox[0].message).toContain("\r\n\r\nHello\r\n..hidden\r\nBye");
+    });
+
+    test("should fail when the SMTP server refuses the recipient or can not be reached", async () => {
+        await expect(
+            sendMail({ host: "127.0.0.1", port: smtpPort }, { from: "visitors@example.com", to: "sam@refused.example", subject: "Hi", text: "Hi" })
+        ).rejects.toThrow("SMTP server refused the message: 550 No such user");
+        expect(mailbox).toHaveLength(0);
+
+        const closed = net.createServer();
+        await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+        const { port } = closed.address();
+        await new Promise((resolve) => closed.close(resolve));
+        await expect(
+            sendMail({ host: "127.0.0.1", port }, { from: "visitors@example.com", to: "sam@example.com", subject: "Hi", text: "Hi" })
+        ).rejects.toThrow();
+    });
+
+    test("should email a host their visitor has arrived and audit it", async () => {
+        const status = await notifyHostOfArrival(mockDb, loggerMock, null, arrival({ id: 1, name: "Sam Resident", notify_by: "email", email: "sam@example.com" }));
+
+        expect(status).toBe("sent");
+        expect(mailbox).toHaveLength(1);
+        expect(mailbox[0].message).toContain("Subject: Your visitor Vic Visitor has arrived");
+        expect(mailbox[0].message).toContain("Vic Visitor signed in at Main Site at");
+        const event = await lastNotifyEvent();
+        expect(event).toEqual(expect.objectContaining({ actor: "system", visitor_id: 3, visit_id: 7 }));
+        expect(event.after).toEqual({ host_id: 1, channel: "email", status: "sent" });
+
+        const refused = await notifyHostOfArrival(mockDb, loggerMock, null, arrival({ id: 2, name: "Gone", notify_by: "email", email: "gone@refused.example" }));
+        expect(refused).toBe("failed");
+        expect((await lastNotifyEvent()).after).toEqual({
+            host_id: 2,
+            channel: "email",
+            status: "failed",
+            error: "SMTP server refused the message: 550 No such user",
+        });
+    });
+
+    test("should post the arrival to a host's webhook and record a failed delivery", async () => {
+        const status = await notifyHostOfArrival(mockDb, loggerMock, null, arrival({ id: 1, name: "Sam Resident", notify_by: "webhook", webhook_url: `${webhookUrl}/arrivals` }));
+
+        expect(status).toBe("sent");
+        expect(webhookCalls).toEqual([{
+            url: "/arrivals",
+            contentType: "application/json",
+            body: {
+                event: "visitor.arrived",
+                host: { id: 1, name: "Sam Resident" },
+                visitor: { id: 3, name: "Vic Visitor" },
+                visit_id: 7,
+                site: "Main Site",
+                unit: "Flat 4",
+                entry_time: "2025-06-02T09:15:00.000Z",
+            },
+        }]);
+
+        const broken = await notifyHostOfArrival(mockDb, loggerMock, null, arrival({ id: 1, name: "Sam Resident", notify_by: "webhook", webhook_url: `${webhookUrl}/broken` }));
+        expect(broken).toBe("failed");
+        expect((await lastNotifyEvent()).after.error).toBe("Webhook answered 500.");
+    });
+
+    test("should skip a channel that is not set up and do nothing for hosts who want no notification", async () => {
+        expect(await notifyHostOfArrival(mockDb, loggerMock, null, arrival({ id: 1, name: "Sam Resident", notify_by: "none" }))).toBeNull();
+
+        registerChannel("sms", null);
+        expect(await notifyHostOfArrival(mockDb, loggerMock, null, arrival({ id: 1, name: "Sam Resident", notify_by: "sms" }))).toBe("skipped");
+        expect((await lastNotifyEvent()).after).toEqual({ host_id: 1, channel: "sms", status: "skipped", error: "No sms channel is set up." });
+    });
+});
@@ -0,0 +1,109 @@
+// Hosts: the people directory of staff and residents a visitor can come to see, per
+// site. Admins keep the directory and say how each host wants to hear that their
+// visitor has arrived (notify_by, with the email address or webhook URL it needs);
+// a host who has left is retired rather than deleted, so visits keep their host.
+const { run, get, all } = require("./repository/db");
+
+// Longest name, email address or webhook URL accepted
+const MAX_HOST_FIELD_LENGTH = 200;
+
+// Sent back when a sign-in names a host that is not in the site's active directory
+const CHOOSE_HOST_MESSAGE = "Please choose a host from the directory.";
+
+/**
+ * Lists hosts, active ones first, then by name.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} [siteId] - Only this site's hosts; every site's when left out.
+ * @returns {Promise<Array<object>>} Host rows with unit_name.
+ */
+function listHosts(db, siteId = null) {
+  return all(
+    db,
+    `SELECT H.*, U.name AS unit_name
+     FROM hosts AS H
+     LEFT JOIN units AS U ON U.id = H.unit_id
+     ${siteId === null ? "" : "WHERE H.site_id = ?"}
+     ORDER BY H.is_active DESC, H.name COLLATE NOCASE ASC, H.id ASC`,
+    siteId === null ? [] : [siteId]
+  );
+}
+
+/**
+ * The directory as the kiosk sees it: who can be chosen, without how to reach them.
+ *
+ * @param {object} host - A host row.
+ * @returns {object} { id, site_id, name, unit_id, unit_name, is_active }.
+ */
+function publicHost({ id, site_id, name, unit_id, unit_name, is_active }) {
+  return { id, site_id, name, unit_id, unit_name, is_active };
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} hostId - The host ID.
+ * @returns {Promise<object|undefined>} The host row, active or not.
+ */
+function findHost(db, hostId) {
+  return get(db, `SELECT * FROM hosts WHERE id = ?`, [hostId]);
+}
+
+/**
+ * Works out the host a sign-in names. No host is fine: not every visit has one.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} [hostId] - The host_id sent.
+ * @param {number} siteId - The site the visitor is signing in at.
+ * @returns {Promise<{host: object|null, problem: string|null}>} problem is set when a
+ *   host was named that is not active at the site.
+ */
+async function resolveVisitHost(db, hostId, siteId) {
+  if (hostId === undefined || hostId === null || hostId === "") {
+    return { host: null, problem: null };
+  }
+  const host = Number.isInteger(Number(hostId)) ? await findHost(db, hostId) : null;
+  if (!host || !host.is_active || host.site_id !== siteId) {
+    return { host: null, problem: CHOOSE_HOST_MESSAGE };
+  }
+  return { host, problem: null };
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} host - { site_id, name, unit_id, notify_by, email, webhook_url, created_at }.
+ * @returns {Promise<number>} The new host ID.
+ */
+async function addHost(db, host) {
+  const result = await run(
+    db,
+    `INSERT INTO hosts (site_id, name, unit_id, notify_by, email, webhook_url, is_active, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, 1, ?)`,
+    [host.site_id, host.name, host.unit_id, host.notify_by, host.email, host.webhook_url, host.created_at]
+  );
+  return result.lastID;
+}
+
+/**
+ * Saves a host's name, unit, notification settings and active flag.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} host - The full host row with the new values.
+ */
+async function updateHost(db, host) {
+  await run(
+    db,
+    `UPDATE hosts SET name = ?, unit_id = ?, notify_by = ?, email = ?, webhook_url = ?, is_active = ? WHERE id = ?`,
+    [host.name, host.unit_id, host.notify_by, host.email, host.webhook_url, host.is_active ? 1 : 0, host.id]
+  );
+}
+
+module.exports = {
+  MAX_HOST_FIELD_LENGTH,
+  CHOOSE_HOST_MESSAGE,
+  listHosts,
+  publicHost,
+  findHost,
+  resolveVisitHost,
+  addHost,
+  updateHost,
+};
@@ -0,0 +1,182 @@
+// The schema as it stood when migrations were introduced. Every statement is
+// CREATE TABLE IF NOT EXISTS, so databases created before then keep their data
+// and only gain the tables they are missing.
+const { run } = require("./helpers");
+
+const visitorsSql = `CREATE TABLE IF NOT EXISTS visitors (
+  id INTEGER PRIMARY KEY,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  photo_path TEXT,
+  is_banned BOOLEAN DEFAULT 0
+)`;
+
+const visitsSql = `CREATE TABLE IF NOT EXISTS visits (
+  id INTEGER PRIMARY KEY,
+  visitor_id INTEGER NOT NULL,
+  entry_time TEXT NOT NULL,
+  exit_time TEXT,
+  known_as TEXT,
+  address TEXT,
+  phone_number TEXT,
+  unit TEXT NOT NULL,
+  reason_for_visit TEXT,
+  type TEXT NOT NULL,
+  company_name TEXT,
+  mandatory_acknowledgment_taken BOOLEAN DEFAULT 0,
+  FOREIGN KEY (visitor_id) REFERENCES visitors(id)
+)`;
+
+const dependentsSql = `CREATE TABLE IF NOT EXISTS dependents (
+  id INTEGER PRIMARY KEY,
+  full_name TEXT NOT NULL,
+  age INTEGER NOT NULL,
+  visit_id INTEGER NOT NULL,
+  FOREIGN KEY (visit_id) REFERENCES visits(id)
+)`;
+
+const auditLogsSql = `CREATE TABLE IF NOT EXISTS audit_logs (
+  id INTEGER PRIMARY KEY,
+  event_name TEXT NOT NULL,
+  timestamp TEXT NOT NULL,
+  status TEXT NOT NULL,
+  profiles_deleted INTEGER,
+  visits_deleted INTEGER,
+  dependents_deleted INTEGER,
+  prev_hash TEXT,
+  row_hash TEXT
+)`;
+
+const staffSql = `CREATE TABLE IF NOT EXISTS staff (
+  id INTEGER PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  display_name TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('receptionist', 'manager', 'admin')),
+  is_active INTEGER DEFAULT 1,
+  created_at TEXT NOT NULL
+)`;
+
+const staffSessionsSql = `CREATE TABLE IF NOT EXISTS staff_sessions (
+  id INTEGER PRIMARY KEY,
+  staff_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  FOREIGN KEY (staff_id) REFERENCES staff(id)
+)`;
+
+const historyAccessTokensSql = `CREATE TABLE IF NOT EXISTS history_access_tokens (
+  id INTEGER PRIMARY KEY,
+  jti TEXT NOT NULL UNIQUE,
+  staff_id INTEGER NOT NULL,
+  issued_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  FOREIGN KEY (staff_id) REFERENCES staff(id)
+)`;
+const loginAttemptsSql = `CREATE TABLE IF NOT EXISTS login_attempts (
+  id INTEGER PRIMARY KEY,
+  scope TEXT NOT NULL CHECK (scope IN ('ip', 'account')),
+  identifier TEXT NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TEXT NOT NULL,
+  locked_until TEXT,
+  UNIQUE (scope, identifier)
+)`;
+const auditEventsSql = `CREATE TABLE IF NOT EXISTS audit_events (
+  id INTEGER PRIMARY KEY,
+  occurred_at TEXT NOT NULL,
+  actor_staff_id INTEGER,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  visitor_id INTEGER,
+  visit_id INTEGER,
+  before_values TEXT,
+  after_values TEXT,
+  ip_address TEXT,
+  FOREIGN KEY (actor_staff_id) REFERENCES staff(id)
+)`;
+const bansSql = `CREATE TABLE IF NOT EXISTS bans (
+  id INTEGER PRIMARY KEY,
+  visitor_id INTEGER NOT NULL,
+  category TEXT NOT NULL,
+  reason TEXT,
+  issued_by_staff_id INTEGER,
+  issued_by TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('pending', 'active', 'rejected')),
+  starts_at TEXT NOT NULL,
+  expires_at TEXT,
+  reviewed_by_staff_id INTEGER,
+  reviewed_by TEXT,
+  reviewed_at TEXT,
+  review_note TEXT,
+  lifted_at TEXT,
+  lifted_by_staff_id INTEGER,
+  lifted_by TEXT,
+  lift_reason TEXT,
+  FOREIGN KEY (visitor_id) REFERENCES visitors(id),
+  FOREIGN KEY (issued_by_staff_id) REFERENCES staff(id),
+  FOREIGN KEY (reviewed_by_staff_id) REFERENCES staff(id),
+  FOREIGN KEY (lifted_by_staff_id) REFERENCES staff(id)
+)`;
+const photoHashesSql = `CREATE TABLE IF NOT EXISTS photo_hashes (
+  visitor_id INTEGER PRIMARY KEY,
+  photo_path TEXT NOT NULL,
+  hash TEXT NOT NULL,
+  computed_at TEXT NOT NULL,
+  FOREIGN KEY (visitor_id) REFERENCES visitors(id)
+)`;
+const visitorFlagsSql = `CREATE TABLE IF NOT EXISTS visitor_flags (
+  id INTEGER PRIMARY KEY,
+  visitor_id INTEGER NOT NULL,
+  flag_text TEXT NOT NULL,
+  created_by_staff_id INTEGER,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT,
+  removed_at TEXT,
+  removed_by_staff_id INTEGER,
+  removed_by TEXT,
+  FOREIGN KEY (visitor_id) REFERENCES visitors(id),
+  FOREIGN KEY (created_by_staff_id) REFERENCES staff(id),
+  FOREIGN KEY (removed_by_staff_id) REFERENCES staff(id)
+)`;
+const unitRestrictionsSql = `CREATE TABLE IF NOT EXISTS unit_restrictions (
+  id INTEGER PRIMARY KEY,
+  visitor_id INTEGER NOT NULL,
+  unit TEXT NOT NULL,
+  reason TEXT,
+  created_by_staff_id INTEGER,
+  created_by TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  removed_at TEXT,
+  removed_by_staff_id INTEGER,
+  removed_by TEXT,
+  FOREIGN KEY (visitor_id) REFERENCES visitors(id),
+  FOREIGN KEY (created_by_staff_id) REFERENCES staff(id),
+  FOREIGN KEY (removed_by_staff_id) REFERENCES staff(id)
+)`;
+
+async function up(db) {
+  for (const sql of [
+    visitorsSql,
+    visitsSql,
+    dependentsSql,
+    auditLogsSql,
+    staffSql,
+    staffSessionsSql,
+    historyAccessTokensSql,
+    loginAttemptsSql,
+    auditEventsSql,
+    bansSql,
+    photoHashesSql,
+    visitorFlagsSql,
+    unitRestrictionsSql,
+  ]) {
+    await run(db, sql);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,13 @@
+// audit_logs gained prev_hash and row_hash with the tamper-evident hash chain.
+// Databases from before then have the table without them; their rows are sealed
+// into the chain here, once, so a row found without a hash later is a broken link.
+const { addColumnIfMissing } = require("./helpers");
+const { sealUnchainedRows } = require("../audit_log_chain");
+
+async function up(db) {
+  await addColumnIfMissing(db, "audit_logs", "prev_hash", "TEXT");
+  await addColumnIfMissing(db, "audit_logs", "row_hash", "TEXT");
+  await sealUnchainedRows(db, "audit_logs");
+}
+
+module.exports = { up };
@@ -0,0 +1,72 @@
+// known_as, address and phone_number move from every visits row to the visitor
+// profile. Each change to them is kept as a numbered version in
+// visitor_details_history, and a visit records the version in force when it
+// started (visits.details_version) instead of its own copy.
+//
+// Existing visits are replayed oldest first: the first visit of each visitor is
+// version 1 and every visit whose details differ from the one before adds a version.
+const { run, all, addColumnIfMissing } = require("./helpers");
+
+const historySql = `CREATE TABLE IF NOT EXISTS visitor_details_history (
+  id INTEGER PRIMARY KEY,
+  visitor_id INTEGER NOT NULL,
+  version INTEGER NOT NULL,
+  known_as TEXT,
+  address TEXT,
+  phone_number TEXT,
+  source TEXT NOT NULL,
+  changed_at TEXT NOT NULL,
+  changed_by_staff_id INTEGER,
+  changed_by TEXT NOT NULL,
+  UNIQUE (visitor_id, version),
+  FOREIGN KEY (visitor_id) REFERENCES visitors(id)
+)`;
+
+const DETAILS = ["known_as", "address", "phone_number"];
+
+async function up(db) {
+  await run(db, historySql);
+  for (const column of DETAILS) {
+    await addColumnIfMissing(db, "visitors", column, "TEXT");
+  }
+  await addColumnIfMissing(db, "visitors", "details_version", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "visits", "details_version", "INTEGER");
+
+  const visits = await all(
+    db,
+    `SELECT id, visitor_id, entry_time, known_as, address, phone_number
+     FROM visits ORDER BY visitor_id, entry_time, id`
+  );
+
+  const latest = new Map(); // visitor_id -> { version, details }
+  for (const visit of visits) {
+    const previous = latest.get(visit.visitor_id);
+    const changed = !previous || DETAILS.some((key) => previous.details[key] !== visit[key]);
+    const version = changed ? (previous ? previous.version + 1 : 1) : previous.version;
+
+    if (changed) {
+      await run(
+        db,
+        `INSERT INTO visitor_details_history (visitor_id, version, known_as, address, phone_number, source, changed_at, changed_by)
+         VALUES (?, ?, ?, ?, ?, 'visit', ?, 'migration')`,
+        [visit.visitor_id, version, visit.known_as, visit.address, visit.phone_number, visit.entry_time]
+      );
+      latest.set(visit.visitor_id, { version, details: visit });
+    }
+    await run(db, `UPDATE visits SET details_version = ? WHERE id = ?`, [version, visit.id]);
+  }
+
+  for (const [visitorId, { version, details }] of latest) {
+    await run(
+      db,
+      `UPDATE visitors SET known_as = ?, address = ?, phone_number = ?, details_version = ? WHERE id = ?`,
+      [details.known_as, details.address, details.phone_number, version, visitorId]
+    );
+  }
+
+  for (const column of DETAILS) {
+    await run(db, `ALTER TABLE visits DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,62 @@
+// Units become a managed list instead of whatever was typed at sign-in. A visit
+// refers to its unit by visits.unit_id; visits.unit keeps the unit's name as it
+// was at the time, for the history and reports.
+//
+// Existing free-text values are mapped onto units: spellings that are the same
+// unit ("Flat 4", "flat4", "4") become one unit, named after its most used
+// spelling, and their visits are rewritten to that name. Values with no letters
+// or digits ("--") are left without a unit.
+const { run, all, addColumnIfMissing } = require("./helpers");
+
+const unitsSql = `CREATE TABLE IF NOT EXISTS units (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  building TEXT,
+  floor TEXT,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL
+)`;
+
+// The comparison unit_restrictions.js used when this migration was written;
+// copied so the migration keeps doing the same thing if that one changes.
+function unitKey(unit) {
+  return String(unit || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/^(unit|flat|room)(?=.)/, "");
+}
+
+async function up(db) {
+  await run(db, unitsSql);
+  await addColumnIfMissing(db, "visits", "unit_id", "INTEGER");
+
+  const spellings = await all(
+    db,
+    `SELECT TRIM(unit) AS unit, COUNT(*) AS uses, MIN(entry_time) AS first_used
+     FROM visits WHERE unit IS NOT NULL
+     GROUP BY TRIM(unit)
+     ORDER BY uses DESC, first_used`
+  );
+
+  const groups = new Map(); // key -> spellings, most used first
+  for (const spelling of spellings) {
+    const key = unitKey(spelling.unit);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(spelling.unit);
+  }
+
+  const createdAt = new Date().toISOString();
+  for (const [, [name, ...others]] of groups) {
+    const unit = await run(db, `INSERT INTO units (name, created_at) VALUES (?, ?)`, [name, createdAt]);
+    for (const spelling of [name, ...others]) {
+      await run(db, `UPDATE visits SET unit_id = ?, unit = ? WHERE TRIM(unit) = ?`, [
+        unit.lastID,
+        name,
+        spelling,
+      ]);
+    }
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,35 @@
+// Sites: the centres the organisation runs. Visits, units and staff each belong to
+// a site, so every centre keeps its own on-site list and units while reporting can
+// still look across all of them. Visitor profiles, bans and flags stay shared.
+//
+// Everything recorded before sites existed belongs to one site, named from
+// DEFAULT_SITE_NAME ("Main Site" when unset), which admins can rename later.
+const { run, all, addColumnIfMissing } = require("./helpers");
+
+const sitesSql = `CREATE TABLE IF NOT EXISTS sites (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL
+)`;
+
+async function up(db) {
+  await run(db, sitesSql);
+  await addColumnIfMissing(db, "visits", "site_id", "INTEGER REFERENCES sites(id)");
+  await addColumnIfMissing(db, "units", "site_id", "INTEGER REFERENCES sites(id)");
+  await addColumnIfMissing(db, "staff", "site_id", "INTEGER REFERENCES sites(id)");
+
+  let [site] = await all(db, `SELECT id FROM sites ORDER BY id LIMIT 1`);
+  if (!site) {
+    const created = await run(db, `INSERT INTO sites (name, created_at) VALUES (?, ?)`, [
+      process.env.DEFAULT_SITE_NAME || "Main Site",
+      new Date().toISOString(),
+    ]);
+    site = { id: created.lastID };
+  }
+  for (const table of ["visits", "units", "staff"]) {
+    await run(db, `UPDATE ${table} SET site_id = ? WHERE site_id IS NULL`, [site.id]);
+  }
+}
+
+module.exports = { up };
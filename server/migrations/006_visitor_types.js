@@ -0,0 +1,50 @@
+// Visitor types become configuration instead of the three types written into the
+// forms. Each type says which optional fields it asks for or requires, whether
+// dependents may come along, which agreement must be signed and how long a visit
+// of that type usually lasts. visits.type keeps the type's code.
+//
+// The three types in use until now are created with the settings the forms had.
+const { run, all } = require("./helpers");
+
+const visitorTypesSql = `CREATE TABLE IF NOT EXISTS visitor_types (
+  id INTEGER PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  company_field TEXT NOT NULL DEFAULT 'hidden',
+  reason_field TEXT NOT NULL DEFAULT 'optional',
+  address_field TEXT NOT NULL DEFAULT 'hidden',
+  allows_dependents INTEGER NOT NULL DEFAULT 0,
+  agreement TEXT NOT NULL,
+  default_duration_minutes INTEGER,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL
+)`;
+
+const VISITOR_AGREEMENT = "Visitor Agreement & Disclaimer";
+
+const defaultTypes = [
+  ["visitor", "Guest", "hidden", "optional", "optional", 1, VISITOR_AGREEMENT, 120, 1],
+  ["contractor", "Contractor", "optional", "optional", "hidden", 0, "Contractor H&S and Site Risk Assessment", 240, 2],
+  ["professional", "Professional", "optional", "optional", "hidden", 0, VISITOR_AGREEMENT, 60, 3],
+];
+
+async function up(db) {
+  await run(db, visitorTypesSql);
+
+  const [{ count }] = await all(db, `SELECT COUNT(*) AS count FROM visitor_types`);
+  if (count > 0) return;
+
+  const createdAt = new Date().toISOString();
+  for (const type of defaultTypes) {
+    await run(
+      db,
+      `INSERT INTO visitor_types (code, name, company_field, reason_field, address_field, allows_dependents,
+         agreement, default_duration_minutes, sort_order, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...type, createdAt]
+    );
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,68 @@
+// Agreements: the documents visitors sign (the visitor disclaimer, the child agreement,
+// the contractor H&S briefing), each kept as numbered versions that are never edited.
+// A visit records the version of its visitor type's agreement that was accepted, each
+// dependent the version of the child agreement, and a visit may keep an image of the
+// signature drawn on screen, so it can be shown which text someone agreed to.
+//
+// Every agreement the visitor types name, and the child agreement, starts with a
+// version 1 standing for the paper form in use until now, whose text was not kept.
+// Visits whose acknowledgment was taken are recorded as accepting it.
+const { run, all, addColumnIfMissing } = require("./helpers");
+
+const agreementsSql = `CREATE TABLE IF NOT EXISTS agreements (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL
+)`;
+
+const agreementVersionsSql = `CREATE TABLE IF NOT EXISTS agreement_versions (
+  id INTEGER PRIMARY KEY,
+  agreement_id INTEGER NOT NULL REFERENCES agreements(id),
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  published_at TEXT NOT NULL,
+  published_by TEXT,
+  UNIQUE (agreement_id, version)
+)`;
+
+const CHILD_AGREEMENT_NAME = "Child Agreement & Disclaimer";
+const PAPER_FORM_TEXT =
+  "The paper form signed at the desk before agreements were kept in the system. Its text was not recorded.";
+
+async function up(db) {
+  await run(db, agreementsSql);
+  await run(db, agreementVersionsSql);
+  await addColumnIfMissing(db, "visits", "agreement_version_id", "INTEGER REFERENCES agreement_versions(id)");
+  await addColumnIfMissing(db, "visits", "signature_path", "TEXT");
+  await addColumnIfMissing(db, "dependents", "agreement_version_id", "INTEGER REFERENCES agreement_versions(id)");
+
+  const [{ count }] = await all(db, `SELECT COUNT(*) AS count FROM agreements`);
+  if (count > 0) return;
+
+  const now = new Date().toISOString();
+  const typeAgreements = await all(db, `SELECT DISTINCT agreement FROM visitor_types ORDER BY agreement`);
+  const names = [...typeAgreements.map((row) => row.agreement), CHILD_AGREEMENT_NAME];
+  for (const name of [...new Set(names)]) {
+    const agreement = await run(db, `INSERT INTO agreements (name, created_at) VALUES (?, ?)`, [name, now]);
+    await run(
+      db,
+      `INSERT INTO agreement_versions (agreement_id, version, body, published_at) VALUES (?, 1, ?, ?)`,
+      [agreement.lastID, PAPER_FORM_TEXT, now]
+    );
+  }
+
+  await run(
+    db,
+    `UPDATE visits
+     SET agreement_version_id = (
+       SELECT AV.id
+       FROM visitor_types VT
+       JOIN agreements A ON A.name = VT.agreement
+       JOIN agreement_versions AV ON AV.agreement_id = A.id AND AV.version = 1
+       WHERE LOWER(VT.code) = LOWER(visits.type)
+     )
+     WHERE mandatory_acknowledgment_taken = 1 AND agreement_version_id IS NULL`
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,23 @@
+// Renewal rules for agreements. A returning visitor no longer signs on every visit;
+// an agreement is due again when it was never signed, when the signature is older
+// than valid_for_days, or, with resign_on_new_version, when a newer version has been
+// published since. enforcement says whether sign-in is refused ('block') or goes
+// ahead with a warning ('warn') while it is due.
+//
+// The contractor H&S briefing is valid for a year and blocks sign-in once due; the
+// other agreements warn when a new version has not been signed.
+const { run, addColumnIfMissing } = require("./helpers");
+
+const CONTRACTOR_AGREEMENT_NAME = "Contractor H&S and Site Risk Assessment";
+
+async function up(db) {
+  await addColumnIfMissing(db, "agreements", "valid_for_days", "INTEGER");
+  await addColumnIfMissing(db, "agreements", "resign_on_new_version", "INTEGER NOT NULL DEFAULT 1");
+  await addColumnIfMissing(db, "agreements", "enforcement", "TEXT NOT NULL DEFAULT 'warn'");
+
+  await run(db, `UPDATE agreements SET valid_for_days = 365, enforcement = 'block' WHERE name = ?`, [
+    CONTRACTOR_AGREEMENT_NAME,
+  ]);
+}
+
+module.exports = { up };
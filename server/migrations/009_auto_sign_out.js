@@ -0,0 +1,12 @@
+// End-of-day sign-out. Visits still open at the closing time are signed out by the
+// server with auto_signed_out = 1, so nobody stays on the on-site list for days. Staff
+// then correct the exit time from the exceptions report, which records who did so.
+const { addColumnIfMissing } = require("./helpers");
+
+async function up(db) {
+  await addColumnIfMissing(db, "visits", "auto_signed_out", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing(db, "visits", "exit_corrected_at", "TEXT");
+  await addColumnIfMissing(db, "visits", "exit_corrected_by", "TEXT");
+}
+
+module.exports = { up };
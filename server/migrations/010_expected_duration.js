@@ -0,0 +1,10 @@
+// Each visit records how long it is expected to last, in minutes, as given at sign-in
+// or the visitor type's usual length. The on-site list uses it to show who has stayed
+// longer than expected. NULL when neither said, so the visit is never overdue.
+const { addColumnIfMissing } = require("./helpers");
+
+async function up(db) {
+  await addColumnIfMissing(db, "visits", "expected_duration_minutes", "INTEGER");
+}
+
+module.exports = { up };
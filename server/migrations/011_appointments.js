@@ -0,0 +1,34 @@
+// Appointments: visitors booked in advance, such as contractors and professionals,
+// expected at a site within a time window. Reception sees the day's list and signs
+// an expected visitor in with one click, which creates their profile when they have
+// none and links the visit made (status arrived). Cancelled appointments are kept.
+const { run } = require("./helpers");
+
+const appointmentsSql = `CREATE TABLE IF NOT EXISTS appointments (
+  id INTEGER PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id),
+  visitor_id INTEGER REFERENCES visitors(id),
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  phone_number TEXT,
+  company_name TEXT,
+  type TEXT NOT NULL,
+  host TEXT,
+  unit_id INTEGER REFERENCES units(id),
+  unit TEXT NOT NULL,
+  expected_from TEXT NOT NULL,
+  expected_until TEXT NOT NULL,
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'booked',
+  visit_id INTEGER REFERENCES visits(id),
+  created_at TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  cancelled_at TEXT,
+  cancelled_by TEXT
+)`;
+
+async function up(db) {
+  await run(db, appointmentsSql);
+}
+
+module.exports = { up };
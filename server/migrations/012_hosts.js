@@ -0,0 +1,27 @@
+// Hosts: the people directory of staff and residents a visitor can come to see, per
+// site. A visit records its host (host_id, with host_name as it was at the time) and
+// the host is told the visitor has arrived through the channel their entry names
+// (notify_by: email, webhook or none; see host_notifications.js). Appointments can
+// name a host from the directory too.
+const { run, addColumnIfMissing } = require("./helpers");
+
+const hostsSql = `CREATE TABLE IF NOT EXISTS hosts (
+  id INTEGER PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id),
+  name TEXT NOT NULL,
+  unit_id INTEGER REFERENCES units(id),
+  notify_by TEXT NOT NULL DEFAULT 'none',
+  email TEXT,
+  webhook_url TEXT,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL
+)`;
+
+async function up(db) {
+  await run(db, hostsSql);
+  await addColumnIfMissing(db, "visits", "host_id", "INTEGER REFERENCES hosts(id)");
+  await addColumnIfMissing(db, "visits", "host_name", "TEXT");
+  await addColumnIfMissing(db, "appointments", "host_id", "INTEGER REFERENCES hosts(id)");
+}
+
+module.exports = { up };
@@ -0,0 +1,41 @@
+// Evacuations: a fire roll call. Starting one snapshots everyone on site at a site
+// (each visitor, and each dependent who came with them, as a line of the headcount)
+// into evacuation_people; staff then mark each person safe at the assembly point.
+// The roll call is kept once ended, as the record of the evacuation.
+const { run } = require("./helpers");
+
+const evacuationsSql = `CREATE TABLE IF NOT EXISTS evacuations (
+  id INTEGER PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id),
+  started_at TEXT NOT NULL,
+  started_by TEXT NOT NULL,
+  ended_at TEXT,
+  ended_by TEXT,
+  notes TEXT
+)`;
+
+const evacuationPeopleSql = `CREATE TABLE IF NOT EXISTS evacuation_people (
+  id INTEGER PRIMARY KEY,
+  evacuation_id INTEGER NOT NULL REFERENCES evacuations(id),
+  visit_id INTEGER REFERENCES visits(id),
+  visitor_id INTEGER REFERENCES visitors(id),
+  dependent_id INTEGER REFERENCES dependents(id),
+  name TEXT NOT NULL,
+  age INTEGER,
+  accompanied_by TEXT,
+  unit TEXT,
+  type TEXT,
+  company_name TEXT,
+  host_name TEXT,
+  entry_time TEXT,
+  status TEXT NOT NULL DEFAULT 'unaccounted',
+  marked_at TEXT,
+  marked_by TEXT
+)`;
+
+async function up(db) {
+  await run(db, evacuationsSql);
+  await run(db, evacuationPeopleSql);
+}
+
+module.exports = { up };
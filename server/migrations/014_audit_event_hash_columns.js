@@ -0,0 +1,13 @@
+// audit_events joins the tamper-evident hash chain kept for audit_logs, so staff
+// actions can not be edited or removed unnoticed either. Events recorded before
+// then are sealed into the chain here, once.
+const { addColumnIfMissing } = require("./helpers");
+const { sealUnchainedRows } = require("../audit_log_chain");
+
+async function up(db) {
+  await addColumnIfMissing(db, "audit_events", "prev_hash", "TEXT");
+  await addColumnIfMissing(db, "audit_events", "row_hash", "TEXT");
+  await sealUnchainedRows(db, "audit_events");
+}
+
+module.exports = { up };
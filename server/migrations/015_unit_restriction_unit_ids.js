@@ -0,0 +1,56 @@
+// Unit restrictions name a unit from the managed list by unit_restrictions.unit_id,
+// so renaming a unit keeps its restrictions and a unit of the same name at another
+// site is not caught by them. unit keeps the name as it was when the restriction
+// was added.
+//
+// Existing restrictions are mapped onto units the way 004 mapped visits: a restriction
+// whose unit is the same unit as a listed one ("unit4" and "Flat 4") gets its ID.
+// When units at several sites share that name the restriction is copied to each, so
+// no restriction is loosened. Restrictions on a unit that is not on the list keep
+// no unit_id and are still compared by name.
+const { run, all, addColumnIfMissing } = require("./helpers");
+
+// The comparison unit_restrictions.js used when this migration was written;
+// copied so the migration keeps doing the same thing if that one changes.
+function unitKey(unit) {
+  return String(unit || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/^(unit|flat|room)(?=.)/, "");
+}
+
+async function up(db) {
+  await addColumnIfMissing(db, "unit_restrictions", "unit_id", "INTEGER REFERENCES units(id)");
+
+  const units = await all(db, `SELECT id, name FROM units ORDER BY id`);
+  const restrictions = await all(db, `SELECT * FROM unit_restrictions WHERE unit_id IS NULL ORDER BY id`);
+
+  for (const restriction of restrictions) {
+    const key = unitKey(restriction.unit);
+    const [first, ...others] = units.filter((unit) => key && unitKey(unit.name) === key);
+    if (!first) continue;
+
+    await run(db, `UPDATE unit_restrictions SET unit_id = ? WHERE id = ?`, [first.id, restriction.id]);
+    for (const unit of others) {
+      await run(
+        db,
+        `INSERT INTO unit_restrictions (visitor_id, unit_id, unit, reason, created_by_staff_id, created_by, created_at, removed_at, removed_by_staff_id, removed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          restriction.visitor_id,
+          unit.id,
+          restriction.unit,
+          restriction.reason,
+          restriction.created_by_staff_id,
+          restriction.created_by,
+          restriction.created_at,
+          restriction.removed_at,
+          restriction.removed_by_staff_id,
+          restriction.removed_by,
+        ]
+      );
+    }
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,25 @@
+// Helpers for the migration files. run and all are the repository's promise wrappers.
+const { run, all } = require("../repository/db");
+
+/**
+ * Adds a column unless the table already has it, so a migration can be applied to
+ * databases created both before and after the column was part of the schema.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} table - Table name.
+ * @param {string} column - Column name.
+ * @param {string} definition - Column type and constraints, e.g. "TEXT" or "INTEGER DEFAULT 0".
+ * @returns {Promise<boolean>} True when the column was added.
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  if (columns.some((existing) => existing.name === column)) return false;
+  await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+module.exports = {
+  run,
+  all,
+  addColumnIfMissing,
+};
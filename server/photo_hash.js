@@ -0,0 +1,200 @@
+// Photo similarity: a perceptual "difference hash" (dHash) of each visitor photo,
+// worked out locally on the CPU. Photos of the same face taken a little
+// differently (re-saved, resized, lighter or darker) give hashes only a few bits
+// apart, so a new registration photo can be compared with banned visitors' photos.
+// No image ever leaves the server.
+const fs = require("fs");
+const path = require("path");
+const jpeg = require("jpeg-js");
+const { PNG } = require("pngjs");
+const { run, all } = require("./repository/db");
+
+// The hash compares each cell of a 9x8 greyscale thumbnail with its right-hand neighbour: 64 bits.
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// Photos at most this many bits apart are flagged as a likely match.
+const PHOTO_MATCH_MAX_DISTANCE = 10;
+
+// Upper bound on decoded image size, so a hostile upload can not exhaust memory.
+const MAX_RESOLUTION_MP = 50;
+
+/**
+ * Reads a PNG's width and height from its IHDR chunk, which must come first, so
+ * the size is known before anything is decompressed.
+ */
+function readPngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString("ascii", 12, 16) !== "IHDR") {
+    throw new Error("PNG has no IHDR chunk.");
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Decodes a JPEG or PNG buffer into RGBA pixels. Other formats (e.g. GIF) return null.
+ * Images over MAX_RESOLUTION_MP are refused with an error before they are decoded.
+ */
+function decodeImage(buffer) {
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_RESOLUTION_MP });
+  }
+  if (buffer.length > 8 && buffer.toString("hex", 0, 8) === "89504e470d0a1a0a") {
+    const { width, height } = readPngSize(buffer);
+    if (width * height > MAX_RESOLUTION_MP * 1000 * 1000) {
+      throw new Error(`PNG of ${width}x${height} is over the ${MAX_RESOLUTION_MP} MP limit.`);
+    }
+    return PNG.sync.read(buffer);
+  }
+  return null;
+}
+
+/**
+ * Shrinks an image to HASH_WIDTH x HASH_HEIGHT greyscale cells by averaging
+ * every source pixel that falls into each cell.
+ */
+function toGreyscaleThumbnail({ width, height, data }) {
+  const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor((y * HASH_HEIGHT) / height) * HASH_WIDTH;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const cell = cellRow + Math.floor((x * HASH_WIDTH) / width);
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell]++;
+    }
+  }
+  return Array.from(sums, (sum, cell) => (counts[cell] ? sum / counts[cell] : 0));
+}
+
+/**
+ * Computes the difference hash of decoded image pixels.
+ *
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels.
+ * @returns {string} The 64-bit hash as 16 hex characters.
+ */
+function computeImageHash(image) {
+  const cells = toGreyscaleThumbnail(image);
+  let hex = "";
+  let nibble = 0;
+  let bit = 0;
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = cells[y * HASH_WIDTH + x];
+      const right = cells[y * HASH_WIDTH + x + 1];
+      nibble = (nibble << 1) | (left < right ? 1 : 0);
+      if (++bit % 4 === 0) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+/**
+ * Reads and hashes an image file.
+ *
+ * @param {string} filePath - Absolute path of the photo.
+ * @returns {Promise<string|null>} The hash, or null when the format can not be hashed.
+ */
+async function hashImageFile(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const image = decodeImage(buffer);
+  return image ? computeImageHash(image) : null;
+}
+
+/**
+ * Number of bits that differ between two hashes (0 = identical, 64 = opposite).
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Stores (or replaces) the hash of a visitor's photo.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} visitorId - The visitor the photo belongs to.
+ * @param {string} photoPath - The visitors.photo_path the hash was computed from.
+ * @param {string} hash - Result of hashImageFile.
+ * @returns {Promise<void>}
+ */
+async function savePhotoHash(db, visitorId, photoPath, hash) {
+  const sql = `
+    INSERT INTO photo_hashes (visitor_id, photo_path, hash, computed_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(visitor_id) DO UPDATE SET photo_path = excluded.photo_path, hash = excluded.hash, computed_at = excluded.computed_at
+  `;
+  await run(db, sql, [visitorId, photoPath, hash, new Date().toISOString()]);
+}
+
+/**
+ * Compares a photo hash with the photo of every banned visitor. Banned photos
+ * without a stored hash (taken before hashing existed, or replaced since) are
+ * hashed from uploads/ on the way and the hash is kept for next time.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @param {string} hash - Hash of the new photo.
+ * @param {string} [baseDir] - Directory the stored photo_path values are relative to.
+ * @returns {Promise<Array<object>>} Likely matches, closest first:
+ *   { visitor_id, first_name, last_name, photo_path, distance, similarity }.
+ */
+async function findSimilarBannedPhotos(db, logger, hash, baseDir = __dirname) {
+  const banned = await all(
+    db,
+    `SELECT T1.id, T1.first_name, T1.last_name, T1.photo_path, T2.hash, T2.photo_path AS hashed_path
+     FROM visitors AS T1
+     LEFT JOIN photo_hashes AS T2 ON T1.id = T2.visitor_id
+     WHERE T1.is_banned = 1 AND T1.photo_path IS NOT NULL`
+  );
+
+  const matches = [];
+  for (const visitor of banned) {
+    let bannedHash = visitor.hashed_path === visitor.photo_path ? visitor.hash : null;
+
+    if (!bannedHash) {
+      try {
+        bannedHash = await hashImageFile(path.join(baseDir, visitor.photo_path));
+        if (bannedHash) await savePhotoHash(db, visitor.id, visitor.photo_path, bannedHash);
+      } catch (err) {
+        logger.warn(`Could not hash the photo of banned visitor ID ${visitor.id}: ${err.message}`);
+      }
+    }
+    if (!bannedHash) continue;
+
+    const distance = hammingDistance(hash, bannedHash);
+    if (distance <= PHOTO_MATCH_MAX_DISTANCE) {
+      matches.push({
+        visitor_id: visitor.id,
+        first_name: visitor.first_name,
+        last_name: visitor.last_name,
+        photo_path: visitor.photo_path,
+        distance,
+        similarity: Math.round((1 - distance / HASH_BITS) * 100),
+      });
+    }
+  }
+
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+  PHOTO_MATCH_MAX_DISTANCE,
+  computeImageHash,
+  hashImageFile,
+  hammingDistance,
+  savePhotoHash,
+  findSimilarBannedPhotos,
+};
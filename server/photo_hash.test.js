@@ -0,0 +1,120 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PNG } = require("pngjs");
+const {
+    computeImageHash,
+    hashImageFile,
+    hammingDistance,
+    findSimilarBannedPhotos,
+} = require("./photo_hash");
+const { initializeDatabase } = require("./db_management");
+
+let mockDb;
+let photoDir;
+
+const loggerMock = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+// Helper function to promisify db.run
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+// Builds an RGBA image whose grey level at (x, y) comes from shade(x, y) (0-255)
+const makeImage = (width, height, shade) => {
+    const png = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const value = Math.max(0, Math.min(255, Math.round(shade(x / width, y / height))));
+            png.data[i] = png.data[i + 1] = png.data[i + 2] = value;
+            png.data[i + 3] = 255;
+        }
+    }
+    return png;
+};
+
+// A rough "face": a bright oval on a darker background
+const portrait = (brightness = 0) => (x, y) =>
+    ((x - 0.5) ** 2) / 0.09 + ((y - 0.45) ** 2) / 0.16 < 1 ? 200 + brightness - y * 60 : 60 + brightness + x * 40;
+
+// Something else entirely: diagonal stripes
+const stripes = (x, y) => (Math.floor((x + y) * 6) % 2 ? 230 : 20);
+
+beforeAll(async () => {
+    photoDir = fs.mkdtempSync(path.join(os.tmpdir(), "photo-hash-"));
+    fs.mkdirSync(path.join(photoDir, "uploads"));
+    fs.writeFileSync(path.join(photoDir, "uploads", "banned.png"), PNG.sync.write(makeImage(120, 160, portrait())));
+
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+    await runDb(mockDb, `INSERT INTO visitors (id, first_name, last_name, photo_path, is_banned) VALUES (1, 'Banned', 'Person', 'uploads/banned.png', 1)`);
+});
+
+afterAll((done) => {
+    fs.rmSync(photoDir, { recursive: true, force: true });
+    mockDb.close(done);
+});
+
+describe("photo similarity hashing", () => {
+    test("should give a resized, brightened copy a nearby hash and a different picture a distant one", () => {
+        const original = computeImageHash(makeImage(120, 160, portrait()));
+        const copy = computeImageHash(makeImage(300, 400, portrait(25)));
+        const other = computeImageHash(makeImage(120, 160, stripes));
+
+        expect(original).toMatch(/^[0-9a-f]{16}$/);
+        expect(hammingDistance(original, copy)).toBeLessThanOrEqual(4);
+        expect(hammingDistance(original, other)).toBeGreaterThan(20);
+    });
+
+    test("should return null for formats it can not decode", async () => {
+        const gifPath = path.join(photoDir, "photo.gif");
+        fs.writeFileSync(gifPath, Buffer.from("GIF89a not really a gif"));
+
+        await expect(hashImageFile(gifPath)).resolves.toBeNull();
+    });
+
+    test("should refuse a PNG over the size limit before decoding it", async () => {
+        // Only the signature and IHDR chunk: a 20000x20000 PNG would need 1.6 GB decoded
+        const header = Buffer.alloc(33);
+        Buffer.from("89504e470d0a1a0a", "hex").copy(header, 0);
+        header.writeUInt32BE(13, 8);
+        header.write("IHDR", 12, "ascii");
+        header.writeUInt32BE(20000, 16);
+        header.writeUInt32BE(20000, 20);
+        header[24] = 8; // bit depth
+        header[25] = 6; // RGBA
+        const bombPath = path.join(photoDir, "bomb.png");
+        fs.writeFileSync(bombPath, header);
+
+        await expect(hashImageFile(bombPath)).rejects.toThrow("PNG of 20000x20000 is over the 50 MP limit.");
+    });
+
+    test("should flag a banned visitor's photo and keep its hash for next time", async () => {
+        const newPhoto = computeImageHash(makeImage(240, 320, portrait(15)));
+
+        const matches = await findSimilarBannedPhotos(mockDb, loggerMock, newPhoto, photoDir);
+
+        expect(matches).toEqual([
+            expect.objectContaining({ visitor_id: 1, photo_path: "uploads/banned.png" }),
+        ]);
+        expect(matches[0].similarity).toBeGreaterThan(90);
+
+        const stored = await new Promise((resolve, reject) => {
+            mockDb.get(`SELECT * FROM photo_hashes WHERE visitor_id = 1`, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+        expect(stored.photo_path).toBe("uploads/banned.png");
+
+        const unrelated = computeImageHash(makeImage(120, 160, stripes));
+        await expect(findSimilarBannedPhotos(mockDb, loggerMock, unrelated, photoDir)).resolves.toEqual([]);
+    });
+});
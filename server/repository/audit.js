@@ -0,0 +1,220 @@
+// Audit records: audit_events (who did what, written through recordAuditEvent in
+// audit_trail.js) and the compliance cleanup runs kept in audit_logs. Both tables
+// are hash-chained; the hashes are worked out in audit_log_chain.js.
+const { run, get, all } = require("./db");
+
+// The tables kept in a hash chain. Table names can not be bound as parameters, so
+// the chain helpers below only accept these.
+const CHAINED_TABLES = ["audit_logs", "audit_events"];
+
+function chainedTable(table) {
+  if (!CHAINED_TABLES.includes(table)) throw new Error(`${table} is not a hash-chained table.`);
+  return table;
+}
+
+/**
+ * Inserts one audit_events row.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} event - { occurred_at, actor_staff_id, actor, action, visitor_id, visit_id,
+ *   before_values, after_values, ip_address, prev_hash, row_hash }, with before/after
+ *   already JSON strings.
+ * @returns {Promise<number>} The new event ID.
+ */
+async function insertEvent(db, event) {
+  const result = await run(
+    db,
+    `INSERT INTO audit_events (
+      occurred_at, actor_staff_id, actor, action, visitor_id, visit_id, before_values, after_values, ip_address,
+      prev_hash, row_hash
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      event.occurred_at,
+      event.actor_staff_id,
+      event.actor,
+      event.action,
+      event.visitor_id,
+      event.visit_id,
+      event.before_values,
+      event.after_values,
+      event.ip_address,
+      event.prev_hash,
+      event.row_hash,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Inserts one audit_logs row (a compliance cleanup run).
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} entry - { event_name, timestamp, status, profiles_deleted, visits_deleted,
+ *   dependents_deleted, prev_hash, row_hash }.
+ * @returns {Promise<number>} The new row ID.
+ */
+async function insertCleanupRun(db, entry) {
+  const result = await run(
+    db,
+    `INSERT INTO audit_logs (
+      event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted, prev_hash, row_hash
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.event_name,
+      entry.timestamp,
+      entry.status,
+      entry.profiles_deleted,
+      entry.visits_deleted,
+      entry.dependents_deleted,
+      entry.prev_hash,
+      entry.row_hash,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * The row_hash of the last row of a chained table.
+ *
+ * @returns {Promise<string|null>} Null when the table is empty or its last row is unhashed.
+ */
+async function findLastRowHash(db, table) {
+  const row = await get(db, `SELECT row_hash FROM ${chainedTable(table)} ORDER BY id DESC LIMIT 1`);
+  return row ? row.row_hash : null;
+}
+
+/**
+ * Counts the rows of a chained table that carry a hash.
+ *
+ * @returns {Promise<number>}
+ */
+async function countHashedRows(db, table) {
+  const row = await get(db, `SELECT COUNT(*) AS hashed FROM ${chainedTable(table)} WHERE row_hash IS NOT NULL`);
+  return row.hashed;
+}
+
+/**
+ * Lists every row of a chained table in insertion order.
+ *
+ * @returns {Promise<Array<object>>}
+ */
+function listChainRows(db, table) {
+  return all(db, `SELECT * FROM ${chainedTable(table)} ORDER BY id`);
+}
+
+/**
+ * Stores the hashes of a row sealed into its table's chain.
+ *
+ * @returns {Promise<void>}
+ */
+async function setRowHashes(db, table, id, prevHash, rowHash) {
+  await run(db, `UPDATE ${chainedTable(table)} SET prev_hash = ?, row_hash = ? WHERE id = ?`, [
+    prevHash,
+    rowHash,
+    id,
+  ]);
+}
+
+/**
+ * Lists audit events, newest first, with the visitor's name.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} filters - { action (exact, or a prefix ending in "."), actor, visitor_id,
+ *   visitor (part of the name), visit_id, from, to (a YYYY-MM-DD "to" covers the whole day) }.
+ * @param {{limit: number, offset: number}} page
+ * @returns {Promise<{events: Array<object>, total: number}>} Events with before/after parsed.
+ */
+async function listEvents(db, filters, { limit, offset }) {
+  const { action, actor, visitor_id, visitor, visit_id, from, to } = filters;
+  const whereClauses = [];
+  const queryParams = [];
+
+  if (action) {
+    if (action.endsWith(".")) {
+      whereClauses.push(`T1.action LIKE ?`);
+      queryParams.push(`${action}%`);
+    } else {
+      whereClauses.push(`T1.action = ?`);
+      queryParams.push(action);
+    }
+  }
+  if (actor) {
+    whereClauses.push(`T1.actor = ?`);
+    queryParams.push(actor);
+  }
+  if (visitor_id) {
+    whereClauses.push(`T1.visitor_id = ?`);
+    queryParams.push(visitor_id);
+  }
+  if (visitor) {
+    whereClauses.push(`LOWER(T2.first_name || ' ' || T2.last_name) LIKE ?`);
+    queryParams.push(`%${visitor.toLowerCase()}%`);
+  }
+  if (visit_id) {
+    whereClauses.push(`T1.visit_id = ?`);
+    queryParams.push(visit_id);
+  }
+  if (from) {
+    whereClauses.push(`T1.occurred_at >= ?`);
+    queryParams.push(from);
+  }
+  if (to) {
+    whereClauses.push(`T1.occurred_at <= ?`);
+    queryParams.push(to.length === 10 ? `${to}T23:59:59.999Z` : to);
+  }
+  const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
+
+  const countRow = await get(
+    db,
+    `SELECT COUNT(*) AS total FROM audit_events AS T1
+     LEFT JOIN visitors AS T2 ON T1.visitor_id = T2.id
+     ${whereClause}`,
+    queryParams
+  );
+  const rows = await all(
+    db,
+    `SELECT T1.*, T2.first_name || ' ' || T2.last_name AS visitor_name
+     FROM audit_events AS T1
+     LEFT JOIN visitors AS T2 ON T1.visitor_id = T2.id
+     ${whereClause}
+     ORDER BY T1.occurred_at DESC, T1.id DESC
+     LIMIT ? OFFSET ?`,
+    [...queryParams, limit, offset]
+  );
+
+  const events = rows.map((row) => ({
+    ...row,
+    before_values: row.before_values ? JSON.parse(row.before_values) : null,
+    after_values: row.after_values ? JSON.parse(row.after_values) : null,
+  }));
+  return { events, total: countRow.total };
+}
+
+/**
+ * Lists the compliance cleanup runs, newest first.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {{limit: number, offset: number}} page
+ * @returns {Promise<{runs: Array<object>, total: number}>}
+ */
+async function listCleanupRuns(db, { limit, offset }) {
+  const countRow = await get(db, `SELECT COUNT(*) AS total FROM audit_logs`);
+  const runs = await all(
+    db,
+    `SELECT * FROM audit_logs ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+  return { runs, total: countRow.total };
+}
+
+module.exports = {
+  CHAINED_TABLES,
+  insertEvent,
+  insertCleanupRun,
+  findLastRowHash,
+  countHashedRows,
+  listChainRows,
+  setRowHashes,
+  listEvents,
+  listCleanupRuns,
+};
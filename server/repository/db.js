@@ -0,0 +1,120 @@
+// Promise wrappers around the sqlite3 callback API, and the transaction helper every
+// write that touches more than one row goes through. Statements always pass an
+// explicit params array so db.run/get/all see the same (sql, params, callback) call.
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Runs a statement straight away on the connection.
+function execute(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      // this is the sqlite3 Statement (missing when a stubbed db calls back directly)
+      const statement = this || {};
+      resolve({ lastID: statement.lastID, changes: statement.changes || 0 });
+    });
+  });
+}
+
+/**
+ * Runs a write. Inside a transaction's work it runs in that transaction; anywhere
+ * else it waits its turn on the connection's transaction queue, so it never lands
+ * inside another request's open transaction and is rolled back with it.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} sql - The statement.
+ * @param {Array} [params] - Its parameters.
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+function run(db, sql, params = []) {
+  if (inTransaction(db)) return execute(db, sql, params);
+  return enqueue(db, () => execute(db, sql, params));
+}
+
+function get(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+// The server shares one connection, so transactions on it are queued: a second
+// BEGIN while one is open would fail (SQLite transactions do not nest), and a write
+// from outside run while one is open would commit or roll back with it.
+const transactionQueues = new WeakMap();
+
+// The transaction the current async call chain is running in, so a withTransaction
+// call made from inside another's work can join it instead of waiting behind it.
+const openTransaction = new AsyncLocalStorage();
+
+function inTransaction(db) {
+  const open = openTransaction.getStore();
+  return Boolean(open && open.db === db && open.active);
+}
+
+// Runs task once everything queued on the connection before it has finished.
+function enqueue(db, task) {
+  const previous = transactionQueues.get(db) || Promise.resolve();
+  const result = previous.then(task);
+  transactionQueues.set(db, result.catch(() => {}));
+  return result;
+}
+
+function runInScope(db, work) {
+  const scope = { db, active: true, joined: Promise.resolve() };
+  return openTransaction.run(scope, async () => {
+    try {
+      return await work();
+    } finally {
+      scope.active = false;
+    }
+  });
+}
+
+/**
+ * Runs work inside BEGIN/COMMIT. When work throws (or COMMIT fails) the transaction
+ * is rolled back and the error is passed on, so no path can leave a transaction open.
+ * Called from inside another transaction's work on the same db, the work joins that
+ * transaction (one joined call at a time) and commits or rolls back with it.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {function(): Promise<*>} work - The statements to run; its result is returned.
+ * @returns {Promise<*>} What work resolved with, once committed.
+ */
+function withTransaction(db, work) {
+  if (inTransaction(db)) {
+    const open = openTransaction.getStore();
+    const joined = open.joined.then(() => runInScope(db, work));
+    open.joined = joined.catch(() => {});
+    return joined;
+  }
+
+  return enqueue(db, async () => {
+    await execute(db, "BEGIN TRANSACTION;");
+    try {
+      const value = await runInScope(db, work);
+      await execute(db, "COMMIT;");
+      return value;
+    } catch (err) {
+      await execute(db, "ROLLBACK;").catch(() => {});
+      throw err;
+    }
+  });
+}
+
+module.exports = {
+  run,
+  get,
+  all,
+  withTransaction,
+};
@@ -0,0 +1,111 @@
+const sqlite3 = require("sqlite3").verbose();
+const { run, get, all, withTransaction } = require("./db");
+
+let db;
+
+beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await run(db, `CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)`);
+});
+
+afterEach((done) => {
+    db.close(() => done());
+});
+
+describe("Repository transactions", () => {
+    test("should commit the work and return its result", async () => {
+        const id = await withTransaction(db, async () => {
+            const result = await run(db, `INSERT INTO items (name) VALUES (?)`, ['first']);
+            return result.lastID;
+        });
+
+        expect(await get(db, `SELECT name FROM items WHERE id = ?`, [id])).toEqual({ name: 'first' });
+    });
+
+    test("should roll back every statement and pass the error on when the work fails", async () => {
+        await expect(
+            withTransaction(db, async () => {
+                await run(db, `INSERT INTO items (name) VALUES (?)`, ['kept?']);
+                await run(db, `INSERT INTO items (name) VALUES (?)`, [null]); // NOT NULL
+            })
+        ).rejects.toThrow(/NOT NULL/);
+
+        expect(await all(db, `SELECT * FROM items`)).toEqual([]);
+
+        // The connection is usable again: no transaction was left open
+        await withTransaction(db, () => run(db, `INSERT INTO items (name) VALUES (?)`, ['after']));
+        expect(await all(db, `SELECT name FROM items`)).toEqual([{ name: 'after' }]);
+    });
+
+    test("should queue transactions started at the same time on one connection", async () => {
+        const order = [];
+        const slow = withTransaction(db, async () => {
+            await run(db, `INSERT INTO items (name) VALUES (?)`, ['slow']);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            order.push('slow');
+        });
+        const failing = withTransaction(db, async () => {
+            order.push('failing');
+            throw new Error('Nope');
+        });
+        const fast = withTransaction(db, async () => {
+            await run(db, `INSERT INTO items (name) VALUES (?)`, ['fast']);
+            order.push('fast');
+        });
+
+        await slow;
+        await expect(failing).rejects.toThrow('Nope');
+        await fast;
+
+        expect(order).toEqual(['slow', 'failing', 'fast']);
+        expect((await all(db, `SELECT name FROM items ORDER BY id`)).map((row) => row.name)).toEqual(['slow', 'fast']);
+    });
+
+    test("should keep a write from outside out of a transaction that rolls back", async () => {
+        let started;
+        const begun = new Promise((resolve) => { started = resolve; });
+        const failing = withTransaction(db, async () => {
+            await run(db, `INSERT INTO items (name) VALUES (?)`, ['undone']);
+            started();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            throw new Error('Nope');
+        });
+        await begun;
+        const outside = run(db, `INSERT INTO items (name) VALUES (?)`, ['kept']);
+
+        await expect(failing).rejects.toThrow('Nope');
+        expect((await outside).changes).toBe(1);
+        expect((await all(db, `SELECT name FROM items`)).map((row) => row.name)).toEqual(['kept']);
+    });
+
+    test("should join a transaction already open when called from inside its work", async () => {
+        await withTransaction(db, async () => {
+            await run(db, `INSERT INTO items (name) VALUES (?)`, ['outer']);
+            await withTransaction(db, () => run(db, `INSERT INTO items (name) VALUES (?)`, ['inner']));
+        });
+        expect((await all(db, `SELECT name FROM items ORDER BY id`)).map((row) => row.name)).toEqual(['outer', 'inner']);
+
+        // The joined work rolls back with the transaction it joined
+        await expect(
+            withTransaction(db, async () => {
+                await withTransaction(db, () => run(db, `INSERT INTO items (name) VALUES (?)`, ['undone']));
+                throw new Error('Nope');
+            })
+        ).rejects.toThrow('Nope');
+        expect(await get(db, `SELECT id FROM items WHERE name = ?`, ['undone'])).toBeUndefined();
+    });
+
+    test("should run joined work one call at a time", async () => {
+        const order = [];
+        await withTransaction(db, async () => {
+            await Promise.all(['first', 'second'].map((name) =>
+                withTransaction(db, async () => {
+                    order.push(`${name} started`);
+                    await run(db, `INSERT INTO items (name) VALUES (?)`, [name]);
+                    order.push(`${name} done`);
+                })
+            ));
+        });
+        expect(order).toEqual(['first started', 'first done', 'second started', 'second done']);
+    });
+});
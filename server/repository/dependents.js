@@ -0,0 +1,60 @@
+// Dependents: the people (usually children) who came with a visitor on a visit.
+const { run } = require("./db");
+
+/**
+ * Parses the GROUP_CONCAT of json_object('full_name', ..., 'age', ...) that the visit
+ * queries return, dropping the empty entry a LEFT JOIN gives a visit without dependents.
+ *
+ * @param {string|null} json - Comma-separated JSON objects, with or without brackets.
+ * @returns {Array<{full_name: string, age: number|null}>}
+ */
+function parseDependentsJson(json) {
+  if (!json) return [];
+  const trimmed = json.trim();
+  const list = JSON.parse(trimmed.startsWith("[") ? trimmed : `[${trimmed}]`);
+  return list.filter((dep) => dep && dep.full_name && String(dep.full_name).trim() !== "");
+}
+
+/**
+ * Links dependents to a visit, one row each. Call inside withTransaction so a failed
+ * insert leaves none of them (or the visit) behind.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} visitId - The visit they came on.
+ * @param {Array<{full_name: string, age: number|null}>} dependents
+ * @param {number|null} [agreementVersionId] - The child agreement version accepted for them.
+ * @returns {Promise<number>} How many were added.
+ */
+async function addToVisit(db, visitId, dependents, agreementVersionId = null) {
+  for (const dependent of dependents) {
+    await run(
+      db,
+      `INSERT INTO dependents (visit_id, full_name, age, agreement_version_id) VALUES (?, ?, ?, ?)`,
+      [visitId, dependent.full_name, dependent.age, agreementVersionId]
+    );
+  }
+  return dependents.length;
+}
+
+/**
+ * Deletes the dependents of visits that started before the cutoff (retention cleanup).
+ *
+ * @returns {Promise<number>} Rows deleted.
+ */
+async function deleteForVisitsBefore(db, cutoff) {
+  const result = await run(
+    db,
+    `DELETE FROM dependents
+     WHERE visit_id IN (
+       SELECT id FROM visits WHERE entry_time < ?
+     );`,
+    [cutoff]
+  );
+  return result.changes;
+}
+
+module.exports = {
+  parseDependentsJson,
+  addToVisit,
+  deleteForVisitsBefore,
+};
@@ -0,0 +1,26 @@
+// Data access for the routers: promise-based queries grouped by table, and the
+// transaction helper. Every function takes the db as its first argument, so the
+// same code runs against database.db and a test's :memory: database.
+//
+//   const { withTransaction, visits, dependents } = require("../repository");
+//   const visitId = await withTransaction(db, async () => {
+//     const id = await visits.create(db, visit);
+//     await dependents.addToVisit(db, id, visit.dependents);
+//     return id;
+//   });
+const { run, get, all, withTransaction } = require("./db");
+const visitors = require("./visitors");
+const visits = require("./visits");
+const dependents = require("./dependents");
+const audit = require("./audit");
+
+module.exports = {
+  run,
+  get,
+  all,
+  withTransaction,
+  visitors,
+  visits,
+  dependents,
+  audit,
+};
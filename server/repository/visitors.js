@@ -0,0 +1,224 @@
+// Visitor profiles: the visitors table with the visitor's contact details, the
+// numbered versions of those details in visitor_details_history, and the profile
+// joined with their most recent visit, which is what search, drill-down and sign-in show.
+const { run, get, all } = require("./db");
+const { parseDependentsJson } = require("./dependents");
+
+// Contact details kept on the profile; every change adds a version to visitor_details_history
+const CONTACT_DETAILS = ["known_as", "address", "phone_number"];
+
+/**
+ * Copies the CONTACT_DETAILS fields out of a row or request body.
+ */
+function pickContactDetails(source) {
+  return Object.fromEntries(CONTACT_DETAILS.map((key) => [key, source[key]]));
+}
+
+// Profile with their latest visit (T2) and that visit's dependents (T3), one row per visitor
+const latestVisitSql = (condition) => `
+  SELECT
+    T1.id,
+    T1.first_name,
+    T1.last_name,
+    T1.photo_path,
+    T1.is_banned,
+    T1.known_as,
+    T1.address,
+    T1.phone_number,
+    T1.details_version,
+    T2.unit,
+    T2.unit_id,
+    T2.reason_for_visit,
+    T2.company_name,
+    T2.type,
+    T2.mandatory_acknowledgment_taken,
+    T2.host_id,
+    T2.host_name,
+    GROUP_CONCAT(json_object('full_name', T3.full_name, 'age', T3.age), ',') AS dependents_json
+  FROM visitors AS T1
+  LEFT JOIN (
+    SELECT *, ROW_NUMBER() OVER(PARTITION BY visitor_id ORDER BY entry_time DESC) as rn
+    FROM visits
+  ) AS T2 ON T1.id = T2.visitor_id AND T2.rn = 1
+  LEFT JOIN dependents AS T3 ON T2.id = T3.visit_id
+  WHERE ${condition}
+  GROUP BY T1.id`;
+
+// Replaces dependents_json with the parsed dependents array
+function withDependents({ dependents_json, ...row }) {
+  return { ...row, dependents: parseDependentsJson(dependents_json) };
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} id - The visitor ID.
+ * @returns {Promise<object|undefined>} The visitors row.
+ */
+function findById(db, id) {
+  return get(db, `SELECT * FROM visitors WHERE id = ?`, [id]);
+}
+
+/**
+ * Finds a visitor registered under exactly this name (the duplicate check at registration).
+ *
+ * @returns {Promise<object|undefined>} { id } of the existing visitor.
+ */
+function findByName(db, firstName, lastName) {
+  return get(db, `SELECT id FROM visitors WHERE first_name = ? AND last_name = ?`, [
+    firstName,
+    lastName,
+  ]);
+}
+
+/**
+ * Loads a visitor with the details and dependents of their most recent visit.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} id - The visitor ID.
+ * @returns {Promise<object|null>} The profile with a dependents array, or null when unknown.
+ */
+async function findWithLatestVisit(db, id) {
+  const row = await get(db, latestVisitSql("T1.id = ?"), [id]);
+  return row ? withDependents(row) : null;
+}
+
+/**
+ * Finds visitors whose first or last name contains every one of the terms.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {Array<string>} terms - Words of the search, e.g. ["john", "sm"].
+ * @returns {Promise<Array<object>>} Profiles as returned by findWithLatestVisit.
+ */
+async function search(db, terms) {
+  const conditions = terms.map(() => `(T1.first_name LIKE ? OR T1.last_name LIKE ?)`);
+  const params = terms.flatMap((term) => [`%${term}%`, `%${term}%`]);
+  const rows = await all(db, latestVisitSql(conditions.join(" AND ")), params);
+  return rows.map(withDependents);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} visitor - { first_name, last_name, photo_path }.
+ * @returns {Promise<number>} The new visitor ID.
+ */
+async function create(db, { first_name, last_name, photo_path = null }) {
+  const result = await run(
+    db,
+    `INSERT INTO visitors (first_name, last_name, photo_path) VALUES (?, ?, ?)`,
+    [first_name, last_name, photo_path]
+  );
+  return result.lastID;
+}
+
+/**
+ * Saves a visitor's contact details. When they differ from the profile (or the
+ * profile has none recorded yet) they become the next version in
+ * visitor_details_history; unchanged details add nothing. Call inside withTransaction.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} id - The visitor ID.
+ * @param {object} details - { known_as, address, phone_number }; empty strings are stored as null.
+ * @param {object} change - { source: 'registration'|'sign_in'|'profile_edit'|'appointment', actor: { staffId, label } }.
+ * @returns {Promise<{version: number, changed: boolean, previous: object}|null>} The version now
+ *   in force and the details before the change, or null when the visitor does not exist.
+ */
+async function saveContactDetails(db, id, details, { source, actor }) {
+  const visitor = await get(
+    db,
+    `SELECT ${CONTACT_DETAILS.join(", ")}, details_version FROM visitors WHERE id = ?`,
+    [id]
+  );
+  if (!visitor) return null;
+
+  const previous = pickContactDetails(visitor);
+  const next = Object.fromEntries(
+    CONTACT_DETAILS.map((key) => {
+      const value = details[key] === undefined ? previous[key] : details[key];
+      return [key, value === "" || value === undefined ? null : value];
+    })
+  );
+  const changed =
+    visitor.details_version === 0 || CONTACT_DETAILS.some((key) => next[key] !== previous[key]);
+  if (!changed) return { version: visitor.details_version, changed, previous };
+
+  const version = visitor.details_version + 1;
+  await run(
+    db,
+    `INSERT INTO visitor_details_history (visitor_id, version, known_as, address, phone_number, source, changed_at, changed_by_staff_id, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      version,
+      next.known_as,
+      next.address,
+      next.phone_number,
+      source,
+      new Date().toISOString(),
+      actor.staffId,
+      actor.label,
+    ]
+  );
+  await run(
+    db,
+    `UPDATE visitors SET known_as = ?, address = ?, phone_number = ?, details_version = ? WHERE id = ?`,
+    [next.known_as, next.address, next.phone_number, version, id]
+  );
+  return { version, changed, previous };
+}
+
+/**
+ * Every version of a visitor's contact details, newest first.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} id - The visitor ID.
+ * @returns {Promise<Array<object>>} visitor_details_history rows.
+ */
+function listContactDetailsHistory(db, id) {
+  return all(
+    db,
+    `SELECT * FROM visitor_details_history WHERE visitor_id = ? ORDER BY version DESC`,
+    [id]
+  );
+}
+
+/**
+ * Sets or clears the quick "banned right now" flag.
+ *
+ * @returns {Promise<number>} Rows changed (0 when the visitor does not exist).
+ */
+async function setBanned(db, id, isBanned) {
+  const result = await run(db, `UPDATE visitors SET is_banned = ? WHERE id = ?`, [
+    isBanned ? 1 : 0,
+    id,
+  ]);
+  return result.changes;
+}
+
+/**
+ * Deletes profiles with no visits left, except banned ones (used by the retention cleanup).
+ *
+ * @returns {Promise<number>} Profiles deleted.
+ */
+async function deleteWithoutVisits(db) {
+  const result = await run(
+    db,
+    `DELETE FROM visitors
+     WHERE id NOT IN (SELECT visitor_id FROM visits)
+     AND is_banned = 0;`
+  );
+  return result.changes;
+}
+
+module.exports = {
+  CONTACT_DETAILS,
+  pickContactDetails,
+  findById,
+  findByName,
+  findWithLatestVisit,
+  search,
+  create,
+  saveContactDetails,
+  listContactDetailsHistory,
+  setBanned,
+  deleteWithoutVisits,
+};
@@ -0,0 +1,460 @@
+// Visits: one row per time a visitor is on site, holding the details given at sign-in.
+// unit_id is the unit visited (see units.js); unit keeps its name at the time.
+// Every visit belongs to the site it was made at (site_id, see sites.js).
+// Contact details live on the visitor profile; a visit records which version of
+// them was in force (details_version, see visitor_details_history), and the version of
+// the agreement accepted with any signature drawn for it (see agreements.js).
+// Visits left open at closing time are signed out by the server (auto_signed_out, see
+// auto_sign_out.js) until staff correct the exit time (exit_corrected_at/_by).
+// An open visit is overdue once it has lasted longer than expected_duration_minutes.
+// host_id is who the visitor came to see (see hosts.js); host_name keeps their name at the time.
+const { run, get, all } = require("./db");
+const { parseDependentsJson } = require("./dependents");
+const { activeFlagSql } = require("../visitor_flags");
+
+// The details a visit carries over from one sign-in to the next
+const VISIT_DETAILS = [
+  "unit",
+  "unit_id",
+  "reason_for_visit",
+  "type",
+  "company_name",
+  "mandatory_acknowledgment_taken",
+  "host_id",
+  "host_name",
+];
+
+/**
+ * Copies the VISIT_DETAILS fields out of a row or request body.
+ */
+function pickDetails(source) {
+  return Object.fromEntries(VISIT_DETAILS.map((key) => [key, source[key]]));
+}
+
+/**
+ * Inserts a visit. exit_time is only set for visits recorded after the fact.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} visit - { visitor_id, site_id, entry_time, exit_time?, details_version,
+ *   agreement_version_id?, signature_path?, expected_duration_minutes?, ...VISIT_DETAILS }.
+ * @returns {Promise<number>} The new visit ID.
+ */
+async function create(db, visit) {
+  const columns = [
+    "visitor_id",
+    "site_id",
+    "entry_time",
+    ...(visit.exit_time ? ["exit_time"] : []),
+    "details_version",
+    "agreement_version_id",
+    "signature_path",
+    "expected_duration_minutes",
+    ...VISIT_DETAILS,
+  ];
+  const result = await run(
+    db,
+    `INSERT INTO visits (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+    columns.map((column) => (visit[column] === undefined ? null : visit[column]))
+  );
+  return result.lastID;
+}
+
+/**
+ * The details of a visitor's most recent visit, to pre-fill the next one.
+ *
+ * @returns {Promise<object|undefined>} The VISIT_DETAILS columns, or undefined before a first visit.
+ */
+function findLatestDetails(db, visitorId) {
+  return get(
+    db,
+    `SELECT ${VISIT_DETAILS.join(", ")}
+     FROM visits
+     WHERE visitor_id = ?
+     ORDER BY entry_time DESC
+     LIMIT 1`,
+    [visitorId]
+  );
+}
+
+/**
+ * The visit a visitor is currently signed in on, with their name.
+ *
+ * @returns {Promise<object|undefined>} { visit_id, first_name, last_name }.
+ */
+function findActive(db, visitorId) {
+  return get(
+    db,
+    "SELECT T1.id AS visit_id, T2.first_name, T2.last_name FROM visits T1 JOIN visitors T2 ON T1.visitor_id = T2.id WHERE T1.visitor_id = ? AND T1.exit_time IS NULL ORDER BY T1.entry_time DESC LIMIT 1",
+    [visitorId]
+  );
+}
+
+/**
+ * @returns {Promise<number>} Rows changed.
+ */
+async function signOut(db, visitId, exitTime) {
+  const result = await run(db, `UPDATE visits SET exit_time = ? WHERE id = ?`, [exitTime, visitId]);
+  return result.changes;
+}
+
+/**
+ * Every visit still open, at any site, oldest first.
+ *
+ * @returns {Promise<Array<object>>} { id, visitor_id, entry_time }.
+ */
+function listOpen(db) {
+  return all(
+    db,
+    `SELECT id, visitor_id, entry_time FROM visits WHERE exit_time IS NULL ORDER BY entry_time ASC`
+  );
+}
+
+/**
+ * Signs out a visit left open at closing time, unless it was signed out meanwhile.
+ *
+ * @returns {Promise<number>} Rows changed.
+ */
+async function autoSignOut(db, visitId, exitTime) {
+  const result = await run(
+    db,
+    `UPDATE visits SET exit_time = ?, auto_signed_out = 1 WHERE id = ? AND exit_time IS NULL`,
+    [exitTime, visitId]
+  );
+  return result.changes;
+}
+
+/**
+ * A visit with its visitor's name.
+ *
+ * @returns {Promise<object|undefined>} The visits row with first_name and last_name.
+ */
+function findById(db, visitId) {
+  return get(
+    db,
+    `SELECT T2.*, T1.first_name, T1.last_name
+     FROM visits AS T2 JOIN visitors AS T1 ON T1.id = T2.visitor_id
+     WHERE T2.id = ?`,
+    [visitId]
+  );
+}
+
+/**
+ * The visits signed out automatically at closing time, newest first: the exceptions
+ * report staff work through to put in the real exit times.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} filters - { site_id (every site when left out), date (YYYY-MM-DD the
+ *   visit started), include_corrected (also list those already corrected) }.
+ * @returns {Promise<Array<object>>} { visit_id, visitor_id, first_name, last_name, site_id,
+ *   site_name, unit, type, entry_time, exit_time, exit_corrected_at, exit_corrected_by }.
+ */
+function listAutoSignedOut(db, { site_id, date, include_corrected } = {}) {
+  const whereClauses = ["T2.auto_signed_out = 1"];
+  const queryParams = [];
+  if (!include_corrected) whereClauses.push("T2.exit_corrected_at IS NULL");
+  if (site_id) {
+    whereClauses.push("T2.site_id = ?");
+    queryParams.push(site_id);
+  }
+  if (date) {
+    whereClauses.push("T2.entry_time >= ? AND T2.entry_time <= ?");
+    queryParams.push(date, `${date}T23:59:59Z`);
+  }
+  return all(
+    db,
+    `SELECT
+        T2.id AS visit_id,
+        T2.visitor_id,
+        T1.first_name,
+        T1.last_name,
+        T2.site_id,
+        T6.name AS site_name,
+        T2.unit,
+        T2.type,
+        T2.entry_time,
+        T2.exit_time,
+        T2.exit_corrected_at,
+        T2.exit_corrected_by
+    FROM visits AS T2
+    JOIN visitors AS T1 ON T1.id = T2.visitor_id
+    LEFT JOIN sites AS T6 ON T6.id = T2.site_id
+    WHERE ${whereClauses.join(" AND ")}
+    ORDER BY T2.entry_time DESC`,
+    queryParams
+  );
+}
+
+/**
+ * Puts in the real exit time of a visit signed out automatically.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} visitId - The visit ID.
+ * @param {object} correction - { exit_time, exit_corrected_at, exit_corrected_by }.
+ * @returns {Promise<number>} Rows changed.
+ */
+async function correctExitTime(db, visitId, { exit_time, exit_corrected_at, exit_corrected_by }) {
+  const result = await run(
+    db,
+    `UPDATE visits SET exit_time = ?, exit_corrected_at = ?, exit_corrected_by = ? WHERE id = ?`,
+    [exit_time, exit_corrected_at, exit_corrected_by, visitId]
+  );
+  return result.changes;
+}
+
+// Whole minutes an open visit (T2) has run past its expected length at the time bound
+// to the placeholder; zero or less while it is not overdue, NULL with no expected length
+const MINUTES_OVER_SQL = `CAST((julianday(?) - julianday(T2.entry_time)) * 1440 AS INTEGER) - T2.expected_duration_minutes`;
+
+/**
+ * Everyone currently signed in at a site, newest first, with their open visit, its dependents
+ * (additional_dependents, as the raw GROUP_CONCAT the dashboard parses) and their active flags.
+ * overdue is true once the visit has lasted longer than expected, by minutes_over; both are
+ * false and 0 until then, and overdue is false with minutes_over null when no length is expected.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number} siteId - The site whose on-site list is wanted.
+ * @returns {Promise<Array<object>>}
+ */
+async function listOnSite(db, siteId) {
+  const now = new Date().toISOString();
+  const rows = await all(
+    db,
+    `SELECT
+        T1.id,
+        T1.first_name,
+        T1.last_name,
+        T1.photo_path,
+        T1.is_banned,
+        T2.site_id,
+        T2.entry_time,
+        T2.exit_time,
+        T1.known_as,
+        T1.address,
+        T1.phone_number,
+        T2.unit,
+        T2.reason_for_visit,
+        T2.company_name,
+        T2.type,
+        T2.mandatory_acknowledgment_taken,
+        T2.host_id,
+        T2.host_name,
+        T2.expected_duration_minutes,
+        ${MINUTES_OVER_SQL} AS minutes_over,
+        GROUP_CONCAT(json_object('full_name', T3.full_name, 'age', T3.age)) AS additional_dependents,
+        (
+            SELECT json_group_array(json_object('id', T4.id, 'flag_text', T4.flag_text, 'expires_at', T4.expires_at))
+            FROM visitor_flags AS T4
+            WHERE T4.visitor_id = T1.id AND ${activeFlagSql("T4")}
+        ) AS flags_json
+    FROM visitors AS T1
+    JOIN visits AS T2
+        ON T1.id = T2.visitor_id
+    LEFT JOIN dependents AS T3
+        ON T2.id = T3.visit_id
+    WHERE T2.exit_time IS NULL AND T2.site_id = ?
+    GROUP BY T1.id, T2.id
+    ORDER BY T2.entry_time DESC`,
+    [now, now, siteId]
+  );
+  return rows.map(({ flags_json, minutes_over, ...row }) => ({
+    ...row,
+    overdue: minutes_over !== null && minutes_over > 0,
+    minutes_over: minutes_over === null ? null : Math.max(minutes_over, 0),
+    flags: flags_json ? JSON.parse(flags_json) : [],
+  }));
+}
+
+/**
+ * How many open visits, at every site, have lasted longer than expected.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @returns {Promise<number>}
+ */
+async function countOverdue(db) {
+  const row = await get(
+    db,
+    `SELECT COUNT(*) AS count FROM visits AS T2 WHERE T2.exit_time IS NULL AND ${MINUTES_OVER_SQL} > 0`,
+    [new Date().toISOString()]
+  );
+  return row.count;
+}
+
+// WHERE clause for the history filters; T1 is visitors and T2 is visits
+function historyFilterSql({ search, start_date, end_date, site_id } = {}) {
+  const whereClauses = [];
+  const queryParams = [];
+
+  if (search) {
+    const searchParam = `%${search.toLowerCase()}%`;
+    whereClauses.push(`(LOWER(T1.first_name) LIKE ? OR LOWER(T1.last_name) LIKE ?)`);
+    queryParams.push(searchParam, searchParam);
+  }
+  if (start_date) {
+    whereClauses.push(`T2.entry_time >= ?`);
+    queryParams.push(start_date);
+  }
+  if (end_date) {
+    whereClauses.push(`T2.entry_time <= ?`);
+    queryParams.push(`${end_date}T23:59:59Z`);
+  }
+  if (site_id) {
+    whereClauses.push(`T2.site_id = ?`);
+    queryParams.push(site_id);
+  }
+  return {
+    whereClause: whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "",
+    queryParams,
+  };
+}
+
+/**
+ * Every visit with its visitor, site and dependents, newest first, for the history view.
+ * Contact details are the version the visit was made under, not the current profile.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} filters - { search (part of a name), start_date, end_date (YYYY-MM-DD, inclusive),
+ *   site_id (one site; every site when left out) }.
+ * @returns {Promise<Array<object>>} Rows with a dependents array.
+ */
+async function listHistory(db, filters = {}) {
+  const { whereClause, queryParams } = historyFilterSql(filters);
+
+  const rows = await all(
+    db,
+    `SELECT
+        T1.id AS visitor_id,
+        T1.first_name,
+        T1.last_name,
+        T1.photo_path,
+        T1.is_banned,
+        T2.id AS visit_id,
+        T2.site_id,
+        T6.name AS site_name,
+        T5.known_as,
+        T2.entry_time,
+        T2.exit_time,
+        T5.address,
+        T5.phone_number,
+        T2.unit,
+        T2.reason_for_visit,
+        T2.company_name,
+        T2.type,
+        T2.mandatory_acknowledgment_taken,
+        T2.host_id,
+        T2.host_name,
+        T2.agreement_version_id,
+        T8.name AS agreement_name,
+        T7.version AS agreement_version,
+        T2.signature_path,
+        T2.auto_signed_out,
+        T2.exit_corrected_at,
+        GROUP_CONCAT(
+          CASE
+            WHEN T3.full_name IS NOT NULL AND T3.full_name != ''
+            THEN JSON_OBJECT(
+              'full_name', T3.full_name,
+              'age', T3.age,
+              'agreement_version', (SELECT version FROM agreement_versions WHERE id = T3.agreement_version_id)
+            )
+            ELSE NULL
+          END
+        ) AS dependents_json
+    FROM visitors AS T1
+    JOIN visits AS T2
+        ON T1.id = T2.visitor_id
+    LEFT JOIN dependents AS T3
+        ON T2.id = T3.visit_id
+    LEFT JOIN visitor_details_history AS T5
+        ON T5.visitor_id = T2.visitor_id AND T5.version = T2.details_version
+    LEFT JOIN sites AS T6
+        ON T6.id = T2.site_id
+    LEFT JOIN agreement_versions AS T7
+        ON T7.id = T2.agreement_version_id
+    LEFT JOIN agreements AS T8
+        ON T8.id = T7.agreement_id
+    ${whereClause}
+    GROUP BY T1.id, T2.id
+    ORDER BY T2.entry_time DESC`,
+    queryParams
+  );
+  return rows.map(({ dependents_json, ...row }) => ({
+    ...row,
+    dependents: parseDependentsJson(dependents_json),
+  }));
+}
+
+/**
+ * Totals per site for the same filters as listHistory, for reporting across sites.
+ * Sites with no matching visits are listed with zeros.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} filters - As for listHistory.
+ * @returns {Promise<Array<object>>} { site_id, site_name, visits, visitors, on_site } per site, by name.
+ */
+function listSiteTotals(db, filters = {}) {
+  const { whereClause, queryParams } = historyFilterSql(filters);
+  return all(
+    db,
+    `SELECT
+        T6.id AS site_id,
+        T6.name AS site_name,
+        COUNT(V.id) AS visits,
+        COUNT(DISTINCT V.visitor_id) AS visitors,
+        COALESCE(SUM(CASE WHEN V.id IS NOT NULL AND V.exit_time IS NULL THEN 1 ELSE 0 END), 0) AS on_site
+    FROM sites AS T6
+    LEFT JOIN (
+        SELECT T2.id, T2.visitor_id, T2.exit_time, T2.site_id
+        FROM visits AS T2
+        JOIN visitors AS T1 ON T1.id = T2.visitor_id
+        ${whereClause}
+    ) AS V ON V.site_id = T6.id
+    GROUP BY T6.id
+    ORDER BY T6.name COLLATE NOCASE ASC`,
+    queryParams
+  );
+}
+
+/**
+ * The signature images of visits that started before the cutoff, so the retention
+ * cleanup can delete the files along with the visits.
+ *
+ * @returns {Promise<Array<string>>} signature_path values.
+ */
+async function listSignaturesBefore(db, cutoff) {
+  const rows = await all(
+    db,
+    `SELECT signature_path FROM visits WHERE entry_time < ? AND signature_path IS NOT NULL`,
+    [cutoff]
+  );
+  return rows.map((row) => row.signature_path);
+}
+
+/**
+ * Deletes visits that started before the cutoff (retention cleanup).
+ *
+ * @returns {Promise<number>} Rows deleted.
+ */
+async function deleteBefore(db, cutoff) {
+  const result = await run(db, `DELETE FROM visits WHERE entry_time < ?`, [cutoff]);
+  return result.changes;
+}
+
+module.exports = {
+  VISIT_DETAILS,
+  pickDetails,
+  create,
+  findLatestDetails,
+  findActive,
+  signOut,
+  listOpen,
+  autoSignOut,
+  findById,
+  listAutoSignedOut,
+  correctExitTime,
+  listOnSite,
+  countOverdue,
+  listHistory,
+  listSiteTotals,
+  listSignaturesBefore,
+  deleteBefore,
+};
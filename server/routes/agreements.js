@@ -0,0 +1,247 @@
+const express = require("express");
+const { requireStaffRole, ANY_STAFF, ADMINS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  listAgreements,
+  findAgreement,
+  findAgreementByName,
+  listVersions,
+  addAgreement,
+  publishVersion,
+  updateRules,
+  agreementStatuses,
+  CHILD_AGREEMENT_NAME,
+  ENFORCEMENTS,
+} = require("../agreements");
+const { withTransaction } = require("../repository");
+
+// Longest agreement name, and the longest text, accepted
+const MAX_AGREEMENT_NAME_LENGTH = 100;
+const MAX_AGREEMENT_TEXT_LENGTH = 20000;
+
+// Longest an acceptance can be valid for, in days (ten years)
+const MAX_VALID_FOR_DAYS = 3650;
+
+// Checks the text of an agreement version; returns the error message or null
+function validateAgreementText(body) {
+  if (!body) return "The agreement text is required.";
+  if (body.length > MAX_AGREEMENT_TEXT_LENGTH) {
+    return `The agreement text must be ${MAX_AGREEMENT_TEXT_LENGTH} characters or fewer.`;
+  }
+  return null;
+}
+
+// Checks an agreement's renewal rules; returns the error message or null
+function validateRules(agreement) {
+  const days = agreement.valid_for_days;
+  if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_VALID_FOR_DAYS)) {
+    return `Valid for must be a whole number of days from 1 to ${MAX_VALID_FOR_DAYS}, or blank for no expiry.`;
+  }
+  if (!ENFORCEMENTS.includes(agreement.enforcement)) {
+    return `Enforcement must be one of ${ENFORCEMENTS.join(", ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Creates and configures a router for the agreements visitors accept at sign-in. The
+ * kiosk reads the current text of each to show the visitor, and where a returning
+ * visitor stands with each; admins publish new versions and set the renewal rules. A
+ * version is never edited or deleted, since visits record which one was accepted.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the agreement endpoints.
+ */
+function createAgreementsRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing every agreement with its current version
+  router.get("/agreements", async (req, res) => {
+    try {
+      res.status(200).json(await listAgreements(db));
+    } catch (err) {
+      logger.error("SQL Error fetching agreements:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint listing every version of an agreement, to show the text a visit accepted
+  router.get("/agreements/:id/versions", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const agreement = await findAgreement(db, id);
+      if (!agreement) {
+        logger.warn(`Agreement versions lookup failed: Agreement ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Agreement not found." });
+      }
+      res.status(200).json(await listVersions(db, id));
+    } catch (err) {
+      logger.error("SQL Error fetching agreement versions:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint showing which agreements a visitor has accepted, when those run out and
+  // which must be accepted again at this sign-in
+  router.get("/visitors/:id/agreements", async (req, res) => {
+    try {
+      res.status(200).json(await agreementStatuses(db, req.params.id));
+    } catch (err) {
+      logger.error("SQL Error fetching visitor agreements:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to add an agreement with the text of its first version
+  router.post("/agreements", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const name = String((req.body || {}).name || "").trim();
+    const body = String((req.body || {}).body || "").trim();
+
+    const invalid = !name
+      ? "An agreement name is required."
+      : name.length > MAX_AGREEMENT_NAME_LENGTH
+      ? `Agreement name must be ${MAX_AGREEMENT_NAME_LENGTH} characters or fewer.`
+      : validateAgreementText(body);
+    if (invalid) {
+      logger.warn(`Agreement creation failed: ${invalid} (400).`);
+      return res.status(400).json({ message: invalid });
+    }
+
+    try {
+      if (await findAgreementByName(db, name)) {
+        logger.warn(`Agreement creation failed: ${name} already exists (409).`);
+        return res.status(409).json({ message: `An agreement named ${name} already exists.` });
+      }
+
+      const agreement = {
+        name,
+        body,
+        published_at: new Date().toISOString(),
+        published_by: req.staff.username,
+      };
+      await withTransaction(db, async () => {
+        agreement.id = await addAgreement(db, agreement);
+        await recordAuditEvent(db, logger, req, {
+          action: "agreement.create",
+          after: { id: agreement.id, name, version: 1 },
+        });
+      });
+
+      logger.info(`Agreement ${name} (ID ${agreement.id}) added by ${req.staff.username}.`);
+      res.status(201).json({ message: `Agreement ${name} added.`, id: agreement.id });
+    } catch (err) {
+      logger.error("SQL Error adding agreement:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to publish a new version of an agreement's text. Visitors accept it
+  // from then on; visits already recorded keep the version they accepted.
+  router.post("/agreements/:id/versions", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+    const body = String((req.body || {}).body || "").trim();
+
+    const invalid = validateAgreementText(body);
+    if (invalid) {
+      logger.warn(`Agreement ID ${id} publish failed: ${invalid} (400).`);
+      return res.status(400).json({ message: invalid });
+    }
+
+    try {
+      const before = await findAgreement(db, id);
+      if (!before) {
+        logger.warn(`Agreement publish failed: Agreement ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Agreement not found." });
+      }
+
+      let published;
+      await withTransaction(db, async () => {
+        published = await publishVersion(db, before.id, {
+          body,
+          published_at: new Date().toISOString(),
+          published_by: req.staff.username,
+        });
+        await recordAuditEvent(db, logger, req, {
+          action: "agreement.publish",
+          before: { id: before.id, name: before.name, version: before.version },
+          after: { id: before.id, name: before.name, version: published.version },
+        });
+      });
+
+      logger.info(`Agreement ${before.name} version ${published.version} published by ${req.staff.username}.`);
+      res.status(201).json({
+        message: `${before.name} version ${published.version} published.`,
+        version_id: published.id,
+        version: published.version,
+      });
+    } catch (err) {
+      logger.error("SQL Error publishing agreement version:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to set an agreement's renewal rules: how many days an acceptance is valid
+  // for, whether a new version must be accepted again and whether sign-in is refused
+  // or only warned about while it is outstanding
+  router.post("/agreements/:id", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+      const before = await findAgreement(db, id);
+      if (!before) {
+        logger.warn(`Agreement update failed: Agreement ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Agreement not found." });
+      }
+      if (before.name === CHILD_AGREEMENT_NAME) {
+        logger.warn(`Agreement ID ${id} update failed: The child agreement has no renewal rules (400).`);
+        return res.status(400).json({
+          message: `The ${CHILD_AGREEMENT_NAME} is accepted at every visit with dependents and has no renewal rules.`,
+        });
+      }
+
+      const rules = ({ valid_for_days, resign_on_new_version, enforcement }) => ({
+        valid_for_days,
+        resign_on_new_version,
+        enforcement,
+      });
+      const after = {
+        ...rules(before),
+        ...(body.valid_for_days !== undefined && {
+          valid_for_days:
+            body.valid_for_days === null || body.valid_for_days === "" ? null : Number(body.valid_for_days),
+        }),
+        ...(body.resign_on_new_version !== undefined && {
+          resign_on_new_version: body.resign_on_new_version ? 1 : 0,
+        }),
+        ...(body.enforcement !== undefined && { enforcement: body.enforcement }),
+      };
+
+      const invalid = validateRules(after);
+      if (invalid) {
+        logger.warn(`Agreement ID ${id} update failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+
+      await withTransaction(db, async () => {
+        await updateRules(db, { ...after, id: before.id });
+        await recordAuditEvent(db, logger, req, {
+          action: "agreement.update",
+          before: { id: before.id, name: before.name, ...rules(before) },
+          after: { id: before.id, name: before.name, ...after },
+        });
+      });
+
+      logger.info(`Agreement ${before.name} renewal rules updated by ${req.staff.username}.`);
+      res.status(200).json({ message: `${before.name} renewal rules updated.` });
+    } catch (err) {
+      logger.error("SQL Error updating agreement:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAgreementsRouter;
@@ -0,0 +1,208 @@
+const request = require("supertest");
+const express = require("express");
+const createAgreementsRouter = require("./agreements");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let adminToken;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const admin = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('admin1', 'Admin One', 'unused', 'admin', ?)`, [now]);
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: adminToken } = await createStaffSession(mockDb, admin.lastID));
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createAgreementsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM agreement_versions WHERE version > 1 OR agreement_id IN (SELECT id FROM agreements WHERE name = 'Parking Rules')`);
+    await runDb(mockDb, `DELETE FROM agreements WHERE name = 'Parking Rules'`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+describe("Agreements", () => {
+  test("should start with a paper form version of each agreement the types name and the child agreement", async () => {
+    const list = await request(app).get("/agreements");
+
+    expect(list.status).toBe(200);
+    expect(list.body.map((agreement) => agreement.name)).toEqual([
+      "Child Agreement & Disclaimer",
+      "Contractor H&S and Site Risk Assessment",
+      "Visitor Agreement & Disclaimer",
+    ]);
+    expect(list.body[0]).toEqual(expect.objectContaining({ version: 1, body: expect.stringContaining("paper form") }));
+  });
+
+  test("should let an admin publish a new version that becomes the current one", async () => {
+    const { id } = await getDb(mockDb, `SELECT id FROM agreements WHERE name = 'Visitor Agreement & Disclaimer'`);
+
+    const response = await request(app)
+      .post(`/agreements/${id}/versions`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ body: "  I agree to follow the house rules.  " });
+
+    expect(response.status).toBe(201);
+    expect(response.body.version).toBe(2);
+    const list = await request(app).get("/agreements");
+    expect(list.body.find((agreement) => agreement.id === id)).toEqual(
+      expect.objectContaining({ version_id: response.body.version_id, version: 2, body: "I agree to follow the house rules.", published_by: "admin1" })
+    );
+
+    // Earlier versions stay readable, so a visit's accepted text can be shown
+    const versions = await request(app)
+      .get(`/agreements/${id}/versions`)
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(versions.status).toBe(200);
+    expect(versions.body.map((version) => version.version)).toEqual([2, 1]);
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'agreement.publish'`);
+    expect(event.actor).toBe("admin1");
+    expect(JSON.parse(event.before_values).version).toBe(1);
+    expect(JSON.parse(event.after_values).version).toBe(2);
+
+    const blank = await request(app)
+      .post(`/agreements/${id}/versions`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ body: " " });
+    expect(blank.status).toBe(400);
+
+    const missing = await request(app)
+      .post(`/agreements/999/versions`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ body: "Text" });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should show where a visitor stands with each agreement under the renewal rules an admin sets", async () => {
+    const { id } = await getDb(mockDb, `SELECT id FROM agreements WHERE name = 'Contractor H&S and Site Risk Assessment'`);
+    const visitor = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Ann', 'Builder')`);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, unit, type, agreement_version_id) VALUES (?, '2025-03-01T09:00:00.000Z', 'A101', 'contractor', (SELECT id FROM agreement_versions WHERE agreement_id = ?))`, [visitor.lastID, id]);
+
+    try {
+      const statuses = await request(app).get(`/visitors/${visitor.lastID}/agreements`);
+      expect(statuses.status).toBe(200);
+      expect(statuses.body.map((status) => status.name)).toEqual([
+        "Contractor H&S and Site Risk Assessment",
+        "Visitor Agreement & Disclaimer",
+      ]);
+      // The briefing is valid for a year from the migration's rules
+      expect(statuses.body[0]).toEqual(expect.objectContaining({
+        accepted_version: 1,
+        accepted_at: "2025-03-01T09:00:00.000Z",
+        expires_at: "2026-03-01T09:00:00.000Z",
+        enforcement: "block",
+        outstanding: "expired",
+      }));
+      expect(statuses.body[1]).toEqual(expect.objectContaining({ accepted_version: null, outstanding: "never_signed" }));
+
+      const receptionist = await request(app)
+        .post(`/agreements/${id}`)
+        .set("Authorization", `Bearer ${receptionToken}`)
+        .send({ valid_for_days: null });
+      expect(receptionist.status).toBe(403);
+
+      const invalid = await request(app)
+        .post(`/agreements/${id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ valid_for_days: 0 });
+      expect(invalid.status).toBe(400);
+
+      const response = await request(app)
+        .post(`/agreements/${id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ valid_for_days: "", enforcement: "warn" });
+      expect(response.status).toBe(200);
+      const renewed = await request(app).get(`/visitors/${visitor.lastID}/agreements`);
+      expect(renewed.body[0]).toEqual(expect.objectContaining({ expires_at: null, enforcement: "warn", outstanding: null }));
+
+      const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'agreement.update'`);
+      expect(JSON.parse(event.before_values)).toEqual(expect.objectContaining({ valid_for_days: 365, enforcement: "block" }));
+      expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ valid_for_days: null, enforcement: "warn" }));
+
+      const child = await getDb(mockDb, `SELECT id FROM agreements WHERE name = 'Child Agreement & Disclaimer'`);
+      const childRules = await request(app)
+        .post(`/agreements/${child.id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ valid_for_days: 30 });
+      expect(childRules.status).toBe(400);
+    } finally {
+      await runDb(mockDb, `UPDATE agreements SET valid_for_days = 365, enforcement = 'block' WHERE id = ?`, [id]);
+      await runDb(mockDb, `DELETE FROM visits WHERE visitor_id = ?`, [visitor.lastID]);
+      await runDb(mockDb, `DELETE FROM visitors WHERE id = ?`, [visitor.lastID]);
+    }
+  });
+
+  test("should let only admins add an agreement, with a name no other has", async () => {
+    const receptionist = await request(app)
+      .post("/agreements")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ name: "Parking Rules", body: "Park in marked bays only." });
+    expect(receptionist.status).toBe(403);
+
+    const response = await request(app)
+      .post("/agreements")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Parking Rules", body: "Park in marked bays only." });
+    expect(response.status).toBe(201);
+    expect(await getDb(mockDb, `SELECT version, body FROM agreement_versions WHERE agreement_id = ?`, [response.body.id])).toEqual({
+      version: 1,
+      body: "Park in marked bays only.",
+    });
+
+    const duplicate = await request(app)
+      .post("/agreements")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "parking rules", body: "Again." });
+    expect(duplicate.status).toBe(409);
+  });
+});
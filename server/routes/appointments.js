@@ -0,0 +1,373 @@
+const express = require("express");
+const { requireStaffRole, staffSiteId, refuseOtherSite, ANY_STAFF } = require("../auth/staff_auth");
+const { recordAuditEvent, describeActor } = require("../audit_trail");
+const {
+  APPOINTMENT_STATUSES,
+  MAX_APPOINTMENT_TEXT_LENGTH,
+  MAX_NOTES_LENGTH,
+  listAppointments,
+  findAppointment,
+  addAppointment,
+  updateAppointment,
+  linkAppointmentVisitor,
+  markAppointmentArrived,
+} = require("../appointments");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { resolveVisitUnit, CHOOSE_UNIT_MESSAGE } = require("../units");
+const { resolveVisitorType, CHOOSE_VISITOR_TYPE_MESSAGE } = require("../visitor_types");
+const { resolveVisitHost } = require("../hosts");
+const { signInReturningVisitor } = require("../sign_in");
+const { withTransaction, visitors } = require("../repository");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The appointment fields staff can set, besides the site
+const TEXT_FIELDS = ["first_name", "last_name", "phone_number", "company_name", "type", "host", "unit", "notes"];
+
+// Trims a text field; missing or blank values become null
+function cleanText(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text === "" ? null : text;
+}
+
+// Reads a time as an ISO string; blank becomes null and anything unreadable "invalid"
+function cleanTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? "invalid" : time.toISOString();
+}
+
+/**
+ * Creates and configures a router for appointments: visitors booked in advance, the
+ * day's list reception works from and signing a booked visitor in from it. Signing in
+ * goes through the same checks as POST /login (see sign_in.js), with the unit, type and
+ * company of the appointment instead of the last visit's.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the appointment endpoints.
+ */
+function createAppointmentsRouter(db, logger) {
+  const router = express.Router();
+
+  // Checks an appointment's names, text lengths and time window; returns the error message or null
+  const validateAppointment = (appointment) => {
+    if (!appointment.first_name || !appointment.last_name) return "A first and last name are required.";
+    const texts = ["first_name", "last_name", "phone_number", "company_name", "host", "unit"];
+    if (texts.some((field) => appointment[field] && appointment[field].length > MAX_APPOINTMENT_TEXT_LENGTH)) {
+      return `Names, phone number, company, host and unit must be ${MAX_APPOINTMENT_TEXT_LENGTH} characters or fewer.`;
+    }
+    if (appointment.notes && appointment.notes.length > MAX_NOTES_LENGTH) {
+      return `Notes must be ${MAX_NOTES_LENGTH} characters or fewer.`;
+    }
+    const { expected_from, expected_until } = appointment;
+    if (!expected_from || !expected_until || expected_from === "invalid" || expected_until === "invalid" ||
+        expected_until <= expected_from) {
+      return "The expected time window needs a start and an end, with the end after the start.";
+    }
+    return null;
+  };
+
+  // Fills in the visitor type's code, the unit chosen from the site's list and the name
+  // of any host chosen from its directory, and checks a linked profile exists; returns
+  // the error message or null
+  const resolveDetails = async (appointment) => {
+    const visitorType = await resolveVisitorType(db, appointment.type);
+    if (!visitorType) return CHOOSE_VISITOR_TYPE_MESSAGE;
+    const unit = await resolveVisitUnit(db, appointment, appointment.site_id);
+    if (!unit) return CHOOSE_UNIT_MESSAGE;
+    const { host, problem } = await resolveVisitHost(db, appointment.host_id, appointment.site_id);
+    if (problem) return problem;
+    if (appointment.visitor_id && !(await visitors.findById(db, appointment.visitor_id))) {
+      return "The visitor linked to the appointment was not found.";
+    }
+    appointment.type = visitorType.code;
+    appointment.unit_id = unit.id;
+    appointment.unit = unit.name;
+    if (host) appointment.host = host.name;
+    return null;
+  };
+
+  // Endpoint listing the appointments of a day (?date=YYYY-MM-DD, today when left out)
+  // at one site (?site_id=) or every site, optionally only those with one ?status=.
+  // Staff limited to a site see only its appointments.
+  router.get("/appointments", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { status } = req.query;
+    const site_id = req.query.site_id || staffSiteId(req.staff);
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!DATE_PATTERN.test(date)) {
+      logger.warn(`Appointment list failed: Invalid date '${date}' (400).`);
+      return res.status(400).json({ message: "The date must be given as YYYY-MM-DD." });
+    }
+    if (status && !APPOINTMENT_STATUSES.includes(status)) {
+      logger.warn(`Appointment list failed: Invalid status '${status}' (400).`);
+      return res.status(400).json({ message: `The status must be one of ${APPOINTMENT_STATUSES.join(", ")}.` });
+    }
+    if (site_id && refuseOtherSite(req, res, logger, site_id)) return;
+
+    try {
+      res.status(200).json(
+        await listAppointments(db, { date, site_id: site_id ? Number(site_id) : null, status })
+      );
+    } catch (err) {
+      logger.error("SQL Error fetching appointments:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to book a visitor in. visitor_id links an existing profile, whose name
+  // is used when none is given.
+  router.post("/appointments", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const body = req.body || {};
+
+    try {
+      const site = await resolveSite(db, body.site_id);
+      if (!site) {
+        logger.warn(`Appointment creation failed: No active site given (400).`);
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+      }
+      if (refuseOtherSite(req, res, logger, site.id)) return;
+      const visitor = body.visitor_id ? await visitors.findById(db, body.visitor_id) : null;
+
+      const appointment = {
+        ...Object.fromEntries(TEXT_FIELDS.map((field) => [field, cleanText(body[field])])),
+        site_id: site.id,
+        visitor_id: visitor ? visitor.id : cleanText(body.visitor_id),
+        unit_id: cleanText(body.unit_id),
+        host_id: cleanText(body.host_id),
+        expected_from: cleanTime(body.expected_from),
+        expected_until: cleanTime(body.expected_until),
+      };
+      if (visitor) {
+        appointment.first_name = appointment.first_name || visitor.first_name;
+        appointment.last_name = appointment.last_name || visitor.last_name;
+      }
+
+      const invalid = validateAppointment(appointment) || (await resolveDetails(appointment));
+      if (invalid) {
+        logger.warn(`Appointment creation failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+
+      appointment.created_at = new Date().toISOString();
+      appointment.created_by = req.staff.username;
+      await withTransaction(db, async () => {
+        appointment.id = await addAppointment(db, appointment);
+        await recordAuditEvent(db, logger, req, {
+          action: "appointment.create",
+          visitorId: appointment.visitor_id,
+          after: appointment,
+        });
+      });
+
+      const fullName = `${appointment.first_name} ${appointment.last_name}`;
+      logger.info(`Appointment ID ${appointment.id} for ${fullName} booked by ${req.staff.username}.`);
+      res.status(201).json({ message: `Appointment for ${fullName} booked.`, id: appointment.id });
+    } catch (err) {
+      logger.error("SQL Error adding appointment:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to change a booked appointment. Only the fields sent are changed; an
+  // appointment stays at its site.
+  router.post("/appointments/:id", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+      const before = await findAppointment(db, id);
+      if (!before) {
+        logger.warn(`Appointment update failed: Appointment ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Appointment not found." });
+      }
+      if (refuseOtherSite(req, res, logger, before.site_id)) return;
+      if (before.status !== "booked") {
+        logger.warn(`Appointment update failed: Appointment ID ${id} is ${before.status} (409).`);
+        return res.status(409).json({ message: `This appointment is ${before.status} and can no longer be changed.` });
+      }
+
+      const after = { ...before };
+      TEXT_FIELDS.filter((field) => body[field] !== undefined).forEach((field) => {
+        after[field] = cleanText(body[field]);
+      });
+      // A unit name sent on its own is matched again, not kept with the old unit_id
+      if (body.unit_id !== undefined || body.unit !== undefined) after.unit_id = cleanText(body.unit_id);
+      if (body.visitor_id !== undefined) after.visitor_id = cleanText(body.visitor_id);
+      if (body.host_id !== undefined) after.host_id = cleanText(body.host_id);
+      if (body.expected_from !== undefined) after.expected_from = cleanTime(body.expected_from);
+      if (body.expected_until !== undefined) after.expected_until = cleanTime(body.expected_until);
+
+      const invalid = validateAppointment(after) || (await resolveDetails(after));
+      if (invalid) {
+        logger.warn(`Appointment ID ${id} update failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+
+      await withTransaction(db, async () => {
+        await updateAppointment(db, after);
+        await recordAuditEvent(db, logger, req, {
+          action: "appointment.update",
+          visitorId: after.visitor_id,
+          before,
+          after,
+        });
+      });
+
+      logger.info(`Appointment ID ${id} updated by ${req.staff.username}.`);
+      res.status(200).json({ message: `Appointment for ${after.first_name} ${after.last_name} updated.` });
+    } catch (err) {
+      logger.error("SQL Error updating appointment:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to cancel a booked appointment. It stays on the day's list as cancelled.
+  router.post("/appointments/:id/cancel", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const before = await findAppointment(db, id);
+      if (!before) {
+        logger.warn(`Appointment cancellation failed: Appointment ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Appointment not found." });
+      }
+      if (refuseOtherSite(req, res, logger, before.site_id)) return;
+      if (before.status !== "booked") {
+        logger.warn(`Appointment cancellation failed: Appointment ID ${id} is ${before.status} (409).`);
+        return res.status(409).json({ message: `This appointment is ${before.status} and can no longer be cancelled.` });
+      }
+
+      const after = {
+        ...before,
+        status: "cancelled",
+        cancelled_at: new Date().toISOString(),
+        cancelled_by: req.staff.username,
+      };
+      await withTransaction(db, async () => {
+        await updateAppointment(db, after);
+        await recordAuditEvent(db, logger, req, {
+          action: "appointment.cancel",
+          visitorId: before.visitor_id,
+          before: { status: before.status },
+          after: { status: after.status, cancelled_at: after.cancelled_at },
+        });
+      });
+
+      logger.info(`Appointment ID ${id} cancelled by ${req.staff.username}.`);
+      res.status(200).json({ message: `Appointment for ${before.first_name} ${before.last_name} cancelled.` });
+    } catch (err) {
+      logger.error("SQL Error cancelling appointment:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to sign in the visitor of a booked appointment. Someone without a profile
+  // gets one (or is matched to one under exactly their name), then signs in as POST
+  // /login does, at the appointment's site with its unit, type, company and host. The body
+  // takes the agreement, signature, watchlist and expected length fields of POST /login.
+  router.post("/appointments/:id/sign-in", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    let appointment;
+    let visitorId;
+    try {
+      appointment = await findAppointment(db, id);
+      if (!appointment) {
+        logger.warn(`Appointment sign-in failed: Appointment ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Appointment not found." });
+      }
+      if (refuseOtherSite(req, res, logger, appointment.site_id)) return;
+      if (appointment.status !== "booked") {
+        logger.warn(`Appointment sign-in failed: Appointment ID ${id} is ${appointment.status} (409).`);
+        return res.status(409).json({ message: `This appointment is ${appointment.status}.` });
+      }
+
+      const existing = appointment.visitor_id
+        ? { id: appointment.visitor_id }
+        : await visitors.findByName(db, appointment.first_name, appointment.last_name);
+      visitorId = existing && existing.id;
+      if (visitorId && !appointment.visitor_id) {
+        await linkAppointmentVisitor(db, appointment.id, visitorId);
+      }
+    } catch (err) {
+      logger.error("SQL Error preparing appointment sign-in:", err.message);
+      return res.status(500).json({ error: err.message });
+    }
+
+    const signIn = (id) =>
+      signInReturningVisitor(
+        db,
+        logger,
+        req,
+        { ...body, id, site_id: appointment.site_id },
+        {
+          details: {
+            unit: appointment.unit,
+            unit_id: appointment.unit_id,
+            type: appointment.type,
+            host_id: appointment.host_id,
+            ...(appointment.company_name && { company_name: appointment.company_name }),
+          },
+          dependents: [],
+          audit: { appointment_id: appointment.id },
+          onVisit: async (visitId) => {
+            if ((await markAppointmentArrived(db, appointment.id, visitId)) === 0) {
+              throw new Error(`Appointment ID ${appointment.id} is no longer booked.`);
+            }
+          },
+          holdHostNotice: true,
+        }
+      );
+
+    // A new profile is made in the same transaction as the sign-in, so a sign-in that is
+    // refused leaves no profile behind
+    let outcome;
+    if (visitorId) {
+      outcome = await signIn(visitorId);
+    } else {
+      try {
+        outcome = await withTransaction(db, async () => {
+          const newVisitorId = await visitors.create(db, appointment);
+          await visitors.saveContactDetails(
+            db,
+            newVisitorId,
+            { phone_number: appointment.phone_number },
+            { source: "appointment", actor: describeActor(req) }
+          );
+          await linkAppointmentVisitor(db, appointment.id, newVisitorId);
+          await recordAuditEvent(db, logger, req, {
+            action: "visitor.register",
+            visitorId: newVisitorId,
+            after: { first_name: appointment.first_name, last_name: appointment.last_name, appointment_id: appointment.id },
+          });
+          const signedIn = await signIn(newVisitorId);
+          if (signedIn.status !== 200) {
+            const refused = new Error(`Sign-in refused (${signedIn.status}).`);
+            refused.outcome = signedIn;
+            throw refused;
+          }
+          return signedIn;
+        });
+        logger.info(
+          `Visitor ID ${outcome.body.visitorData.id} created for ${appointment.first_name} ${appointment.last_name} from appointment ID ${id}.`
+        );
+      } catch (err) {
+        if (!err.outcome) {
+          logger.error("SQL Error creating visitor for appointment sign-in:", err.message);
+          return res.status(500).json({ error: err.message });
+        }
+        outcome = err.outcome;
+      }
+    }
+
+    const { status, body: result, notifyHost } = outcome;
+    if (notifyHost) notifyHost();
+    res.status(status).json(status === 200 ? { ...result, appointment_id: appointment.id } : result);
+  });
+
+  return router;
+}
+
+module.exports = createAppointmentsRouter;
@@ -0,0 +1,278 @@
+const request = require("supertest");
+const express = require("express");
+const createAppointmentsRouter = require("./appointments");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+    await runDb(mockDb, `INSERT INTO units (id, site_id, name, is_active, created_at) VALUES (1, 1, 'Plant Room', 1, ?)`, [now]);
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createAppointmentsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM appointments`);
+    await runDb(mockDb, `DELETE FROM dependents`);
+    await runDb(mockDb, `DELETE FROM visits`);
+    await runDb(mockDb, `DELETE FROM visitor_details_history`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+// Books an appointment through the API and returns its ID
+const book = async (details) => {
+  const response = await request(app)
+    .post("/appointments")
+    .set("Authorization", `Bearer ${receptionToken}`)
+    .send({
+      first_name: "Pat",
+      last_name: "Plumber",
+      type: "contractor",
+      company_name: "Pipes Ltd",
+      unit_id: 1,
+      expected_from: "2025-06-02T09:00:00.000Z",
+      expected_until: "2025-06-02T11:00:00.000Z",
+      ...details,
+    });
+  expect(response.status).toBe(201);
+  return response.body.id;
+};
+
+describe("Appointments", () => {
+  test("should let staff book, list, change and cancel appointments", async () => {
+    const kiosk = await request(app).get("/appointments");
+    expect(kiosk.status).toBe(401);
+
+    const id = await book({ host: "Facilities", notes: "Boiler service" });
+    await book({ first_name: "Next", last_name: "Day", expected_from: "2025-06-03T09:00:00.000Z", expected_until: "2025-06-03T10:00:00.000Z" });
+
+    const list = await request(app)
+      .get("/appointments?date=2025-06-02&site_id=1")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body).toEqual([
+      expect.objectContaining({ id, first_name: "Pat", unit: "Plant Room", type: "contractor", host: "Facilities", status: "booked", site_name: "Main Site", created_by: "reception1" }),
+    ]);
+
+    const backwards = await request(app)
+      .post(`/appointments/${id}`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ expected_until: "2025-06-02T08:00:00.000Z" });
+    expect(backwards.status).toBe(400);
+    const unknownType = await request(app)
+      .post(`/appointments/${id}`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ type: "astronaut" });
+    expect(unknownType.status).toBe(400);
+    expect(unknownType.body.message).toBe("Please choose a visitor type from the list.");
+
+    const moved = await request(app)
+      .post(`/appointments/${id}`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ expected_until: "2025-06-02T12:00:00.000Z", notes: "" });
+    expect(moved.status).toBe(200);
+    expect(await getDb(mockDb, `SELECT expected_until, notes FROM appointments WHERE id = ?`, [id])).toEqual({
+      expected_until: "2025-06-02T12:00:00.000Z",
+      notes: null,
+    });
+
+    const cancelled = await request(app)
+      .post(`/appointments/${id}/cancel`)
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(cancelled.status).toBe(200);
+    const again = await request(app)
+      .post(`/appointments/${id}/cancel`)
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(again.status).toBe(409);
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'appointment.cancel'`);
+    expect(event.actor).toBe("reception1");
+    expect(JSON.parse(event.after_values).status).toBe("cancelled");
+  });
+
+  test("should sign in someone new from their appointment, creating their profile", async () => {
+    const id = await book({ type: "professional", phone_number: "07700 900123" });
+
+    const response = await request(app)
+      .post(`/appointments/${id}/sign-in`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ message: "Visitor signed in successfully!", appointment_id: id }));
+    const visitor = await getDb(mockDb, `SELECT * FROM visitors WHERE first_name = 'Pat' AND last_name = 'Plumber'`);
+    expect(visitor.phone_number).toBe("07700 900123");
+    const visit = await getDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitor.id]);
+    expect(visit).toEqual(expect.objectContaining({
+      site_id: 1,
+      unit: "Plant Room",
+      unit_id: 1,
+      type: "professional",
+      company_name: "Pipes Ltd",
+      exit_time: null,
+      expected_duration_minutes: 60,
+    }));
+    expect(await getDb(mockDb, `SELECT status, visitor_id, visit_id FROM appointments WHERE id = ?`, [id])).toEqual({
+      status: "arrived",
+      visitor_id: visitor.id,
+      visit_id: visit.id,
+    });
+    const signIn = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visit.sign_in'`);
+    expect(JSON.parse(signIn.after_values).appointment_id).toBe(id);
+
+    const twice = await request(app)
+      .post(`/appointments/${id}/sign-in`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({});
+    expect(twice.status).toBe(409);
+  });
+
+  test("should leave no profile behind when someone new is refused at sign-in", async () => {
+    const id = await book();
+
+    // The contractor briefing has never been signed, and it blocks sign-in
+    const blocked = await request(app)
+      .post(`/appointments/${id}/sign-in`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({});
+
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.outstanding_agreement).toEqual(expect.objectContaining({ outstanding: "never_signed" }));
+    const profiles = await getDb(mockDb, `SELECT COUNT(*) AS count FROM visitors`);
+    expect(profiles.count).toBe(0);
+    expect(await getDb(mockDb, `SELECT status, visitor_id FROM appointments WHERE id = ?`, [id])).toEqual({
+      status: "booked",
+      visitor_id: null,
+    });
+    expect(await getDb(mockDb, `SELECT id FROM audit_events WHERE action = 'visitor.register'`)).toBeUndefined();
+  });
+
+  test("should refuse to sign in a visitor who is already on site", async () => {
+    const visitor = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Pat', 'Plumber')`);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, unit, unit_id, type) VALUES (?, 1, ?, 'Plant Room', 1, 'professional')`, [visitor.lastID, new Date().toISOString()]);
+    const id = await book({ type: "professional" });
+
+    const response = await request(app)
+      .post(`/appointments/${id}/sign-in`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({});
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe("Pat Plumber is already signed in. Please sign them out before signing them in again.");
+    const open = await getDb(mockDb, `SELECT COUNT(*) AS count FROM visits WHERE visitor_id = ? AND exit_time IS NULL`, [visitor.lastID]);
+    expect(open.count).toBe(1);
+    expect(await getDb(mockDb, `SELECT status FROM appointments WHERE id = ?`, [id])).toEqual({ status: "booked" });
+  });
+
+  test("should sign in an existing visitor through the same checks as a login", async () => {
+    const visitor = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Pat', 'Plumber')`);
+    const id = await book();
+
+    // The contractor briefing has never been signed, and it blocks sign-in
+    const blocked = await request(app)
+      .post(`/appointments/${id}/sign-in`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({});
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.outstanding_agreement).toEqual(expect.objectContaining({ outstanding: "never_signed" }));
+    expect(await getDb(mockDb, `SELECT status, visitor_id FROM appointments WHERE id = ?`, [id])).toEqual({
+      status: "booked",
+      visitor_id: visitor.lastID,
+    });
+
+    const { id: versionId } = await getDb(mockDb, `SELECT V.id FROM agreement_versions V JOIN agreements A ON A.id = V.agreement_id WHERE A.name = 'Contractor H&S and Site Risk Assessment'`);
+    const accepted = await request(app)
+      .post(`/appointments/${id}/sign-in`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ agreement_version_id: versionId, expected_duration_minutes: 90 });
+    expect(accepted.status).toBe(200);
+    const visit = await getDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitor.lastID]);
+    expect(visit).toEqual(expect.objectContaining({ agreement_version_id: versionId, expected_duration_minutes: 90, type: "contractor" }));
+    const profiles = await getDb(mockDb, `SELECT COUNT(*) AS count FROM visitors`);
+    expect(profiles.count).toBe(1);
+  });
+
+  test("should keep staff of one site to that site's appointments", async () => {
+    const now = new Date().toISOString();
+    await runDb(mockDb, `INSERT OR IGNORE INTO sites (id, name, is_active, created_at) VALUES (2, 'Annex', 1, ?)`, [now]);
+    await runDb(mockDb, `INSERT OR IGNORE INTO units (id, site_id, name, is_active, created_at) VALUES (2, 2, 'Annex Office', 1, ?)`, [now]);
+    const annexReception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, site_id, created_at) VALUES ('annex-reception', 'Annex Reception', 'unused', 'receptionist', 2, ?)`, [now]);
+    const { token: annexToken } = await createStaffSession(mockDb, annexReception.lastID);
+    const mainId = await book({ site_id: 1 });
+    const annexId = await book({ site_id: 2, unit_id: 2, first_name: "Annie" });
+
+    const asAnnex = (req) => req.set("Authorization", `Bearer ${annexToken}`);
+    // Their list is of their own site when no site is named, and another site's is refused
+    const list = await asAnnex(request(app).get("/appointments?date=2025-06-02"));
+    expect(list.status).toBe(200);
+    expect(list.body.map((appointment) => appointment.id)).toEqual([annexId]);
+    expect((await asAnnex(request(app).get("/appointments?date=2025-06-02&site_id=1"))).status).toBe(403);
+
+    const booked = await asAnnex(request(app).post("/appointments")).send({
+      first_name: "Pat", last_name: "Plumber", type: "contractor", unit_id: 1, site_id: 1,
+      expected_from: "2025-06-02T09:00:00.000Z", expected_until: "2025-06-02T11:00:00.000Z",
+    });
+    expect(booked.status).toBe(403);
+    expect(booked.body.message).toBe("You can only do this for your own site.");
+    expect((await asAnnex(request(app).post(`/appointments/${mainId}`)).send({ notes: "Moved" })).status).toBe(403);
+    expect((await asAnnex(request(app).post(`/appointments/${mainId}/cancel`))).status).toBe(403);
+    expect((await asAnnex(request(app).post(`/appointments/${mainId}/sign-in`)).send({})).status).toBe(403);
+    const untouched = await getDb(mockDb, `SELECT status, notes FROM appointments WHERE id = ?`, [mainId]);
+    expect(untouched).toEqual({ status: "booked", notes: null });
+
+    expect((await asAnnex(request(app).post(`/appointments/${annexId}/cancel`))).status).toBe(200);
+  });
+});
@@ -3,82 +3,165 @@ const router = express.Router();
 const logger = require("../logger");
 const { initializeDatabase } = require("../db_management");
 const { updateStatus } = require("../status_tracker");
+const { requireStaffRole, MANAGERS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const { verifyChain } = require("../audit_log_chain");
+const { audit } = require("../repository");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Anyone can report a client error, so what goes into the audit trail is cut to size:
+// the name and status, the message, the first lines of the stack and client_info
+// (as JSON) are each kept to at most this many characters.
+const MAX_CLIENT_NAME_LENGTH = 100;
+const MAX_CLIENT_TEXT_LENGTH = 500;
+const MAX_CLIENT_INFO_LENGTH = 1000;
+
+// A reported value as text of at most max characters, marked when cut short
+const clip = (value, max) => {
+  if (value === undefined || value === null) return value;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > max ? `${text.slice(0, max)}... [truncated]` : text;
+};
 
 module.exports = (db, logger) => {
   /**
    * POST /api/audit/log-error
-   * Endpoint to receive client-side error reports and log them to the audit_logs table.
+   * Endpoint to receive client-side error reports and record them as client.error audit events.
    */
   router.post("/log-error", (req, res) => {
     // The data structure is defined in frontend error-logging.js utility
-    const {
-      event_name,
-      timestamp,
-      status,
-      client_message,
-      client_stack,
-      client_info,
-    } = req.body;
+    const body = req.body || {};
 
-    if (!event_name || !timestamp || !status) {
+    if (!body.event_name || !body.timestamp || !body.status) {
       logger.warn("Received incomplete client error log data.");
       return res.status(400).send({ message: "Missing required log fields." });
     }
 
-    const sql = `
-            INSERT INTO audit_logs (
-                event_name, 
-                timestamp, 
-                status, 
-                profiles_deleted, 
-                visits_deleted, 
-                dependents_deleted
-            ) VALUES (?, ?, ?, ?, ?, ?)
-        `;
+    const event_name = clip(body.event_name, MAX_CLIENT_NAME_LENGTH);
+    const timestamp = clip(body.timestamp, MAX_CLIENT_NAME_LENGTH);
+    const status = clip(body.status, MAX_CLIENT_NAME_LENGTH);
+    const client_message = clip(body.client_message, MAX_CLIENT_TEXT_LENGTH);
+    // client_info is kept as sent when it is small enough, else as cut-down JSON text
+    const infoText = clip(body.client_info, Infinity);
+    const client_info =
+      infoText && infoText.length > MAX_CLIENT_INFO_LENGTH
+        ? clip(infoText, MAX_CLIENT_INFO_LENGTH)
+        : body.client_info;
 
-    // Use the visitor_id from the client_info if available, or 0/null if not
-    const params = [
-      event_name,
-      timestamp,
-      status,
-      0, // profiles_deleted (Not applicable for client errors)
-      0, // visits_deleted (Not applicable for client errors)
-      0, // dependents_deleted (Not applicable for client errors)
-    ];
+    // Keep only the first 2 or 3 lines of the stack trace
+    const shortStack = body.client_stack
+      ? clip(String(body.client_stack).split("\n").slice(0, 3).join("\n"), MAX_CLIENT_TEXT_LENGTH)
+      : "No stack trace";
 
-    // Execute the insertion
-    db.run(sql, params, function (err) {
-      if (err) {
-        // If logging fails, log the failure but still send 200/202 to the client
+    recordAuditEvent(db, logger, req, {
+      action: "client.error",
+      after: {
+        event_name,
+        status,
+        client_timestamp: timestamp,
+        client_message,
+        client_stack: shortStack,
+        client_info,
+      },
+    }).then((eventId) => {
+      if (!eventId) {
+        // If logging fails, log the failure but still send 202 to the client
         // so the client's error handling doesn't get stuck in a loop.
-        logger.error(
-          `Failed to insert client error into audit_logs: ${err.message}`,
-          {
-            client_error: { client_message, client_stack, client_info },
-          }
-        );
-        // Use 202 Accepted, regardless of success.
-        return res
-          .status(202)
-          .send({
-            message: "Log request accepted, but backend insertion failed.",
-          });
+        logger.error(`Failed to record client error ${event_name}.`, {
+          client_error: { client_message, client_stack: shortStack, client_info },
+        });
+        return res.status(202).send({
+          message: "Log request accepted, but backend insertion failed.",
+        });
       }
       // This pushes the message "API_VISITORS_FAIL" directly to the Health Widget
       updateStatus("last_error", `Client Crash: ${event_name}`);
-      
-      // Get only the first 2 or 3 lines of the stack trace
-      const shortStack = client_stack
-        ? client_stack.split("\n").slice(0, 3).join("\n")
-        : "No stack trace";
-      logger.info(
-        `[ID: ${this.lastID}] ${event_name}: ${client_message}\n${shortStack}`
-      );
+
+      logger.info(`[ID: ${eventId}] ${event_name}: ${client_message}\n${shortStack}`);
       return res
         .status(201)
-        .send({ message: "Client error logged successfully", id: this.lastID });
+        .send({ message: "Client error logged successfully", id: eventId });
     });
   });
 
+  /**
+   * GET /api/audit/events
+   * Lists audit events, newest first, for managers and admins.
+   * Filters: action (exact, or a prefix ending in "." such as "visit."), actor (staff username),
+   * visitor_id, visitor (part of the visitor's name), visit_id,
+   * from / to (ISO dates, "to" is inclusive of the whole day), limit, offset.
+   */
+  router.get("/events", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      const { events, total } = await audit.listEvents(db, req.query, { limit, offset });
+      res.status(200).json({ events, total, limit, offset });
+    } catch (err) {
+      logger.error("SQL Error listing audit events:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/audit/cleanup-runs
+   * Lists the compliance cleanup job runs recorded in audit_logs, newest first.
+   * Supports limit and offset.
+   */
+  router.get("/cleanup-runs", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      const { runs, total } = await audit.listCleanupRuns(db, { limit, offset });
+      res.status(200).json({ runs, total, limit, offset });
+    } catch (err) {
+      logger.error("SQL Error listing cleanup runs:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * GET /api/audit/verify-chain
+   * Re-checks the audit_logs and audit_events hash chains and reports the first broken
+   * link of each, if any. The results also replace audit_chain and audit_events_chain
+   * in /api/status.
+   */
+  router.get("/verify-chain", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    try {
+      const auditLogs = await verifyChain(db, "audit_logs");
+      const auditEvents = await verifyChain(db, "audit_events");
+      updateStatus("audit_chain", auditLogs);
+      updateStatus("audit_events_chain", auditEvents);
+      [
+        ["Audit log chain", auditLogs],
+        ["Audit event chain", auditEvents],
+      ].forEach(([label, result]) => {
+        if (!result.valid) {
+          logger.error(
+            `${label} broken at row ${result.first_broken.id} (checked by ${req.staff.username}).`
+          );
+        }
+      });
+      res.status(200).json({
+        valid: auditLogs.valid && auditEvents.valid,
+        audit_logs: auditLogs,
+        audit_events: auditEvents,
+      });
+    } catch (err) {
+      logger.error("SQL Error verifying audit chains:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   return router;
 };
@@ -0,0 +1,102 @@
+const express = require("express");
+const { requireStaffRole, staffSiteId, refuseOtherSite, ANY_STAFF } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const { withTransaction, visits } = require("../repository");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Creates and configures a router for the exceptions report of visits signed out
+ * automatically at closing time (see auto_sign_out.js), and for staff to put in the
+ * real exit time of each.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the auto sign-out endpoints.
+ */
+function createAutoSignOutRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing the visits signed out automatically that are still to be corrected
+  // (?site_id= for one site, ?date=YYYY-MM-DD for visits started that day,
+  // ?include_corrected=1 to list the corrected ones too). Staff limited to a site see
+  // only its visits.
+  router.get("/visits/auto-signed-out", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { date, include_corrected } = req.query;
+    const site_id = req.query.site_id || staffSiteId(req.staff);
+    if (date && !DATE_PATTERN.test(date)) {
+      logger.warn(`Auto sign-out report failed: Invalid date '${date}' (400).`);
+      return res.status(400).json({ message: "The date must be given as YYYY-MM-DD." });
+    }
+    if (site_id && refuseOtherSite(req, res, logger, site_id)) return;
+
+    try {
+      res.status(200).json(
+        await visits.listAutoSignedOut(db, {
+          site_id: site_id ? Number(site_id) : null,
+          date,
+          include_corrected: include_corrected === "1" || include_corrected === "true",
+        })
+      );
+    } catch (err) {
+      logger.error("SQL Error fetching auto signed-out visits:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to put in the real exit time of a visit signed out automatically. Sending
+  // the closing time it already has confirms it, which also takes it off the report.
+  router.post("/visits/:id/exit-time", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const exitTime = new Date((req.body || {}).exit_time || NaN);
+    const now = new Date().toISOString();
+
+    try {
+      const before = await visits.findById(db, id);
+      if (!before) {
+        logger.warn(`Exit time correction failed: Visit ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Visit not found." });
+      }
+      if (refuseOtherSite(req, res, logger, before.site_id)) return;
+      if (!before.auto_signed_out) {
+        logger.warn(`Exit time correction of visit ID ${id} refused: Not signed out automatically (409).`);
+        return res
+          .status(409)
+          .json({ message: "Only visits signed out automatically at closing time can be corrected here." });
+      }
+      if (isNaN(exitTime.getTime()) || exitTime.toISOString() <= before.entry_time || exitTime.toISOString() > now) {
+        logger.warn(`Exit time correction of visit ID ${id} failed: Invalid exit time (400).`);
+        return res
+          .status(400)
+          .json({ message: "The exit time must be after the visitor signed in and not in the future." });
+      }
+
+      const correction = {
+        exit_time: exitTime.toISOString(),
+        exit_corrected_at: now,
+        exit_corrected_by: req.staff.username,
+      };
+      await withTransaction(db, async () => {
+        await visits.correctExitTime(db, before.id, correction);
+        await recordAuditEvent(db, logger, req, {
+          action: "visit.exit_correct",
+          visitorId: before.visitor_id,
+          visitId: before.id,
+          before: { exit_time: before.exit_time, exit_corrected_at: before.exit_corrected_at },
+          after: { exit_time: correction.exit_time, exit_corrected_at: now },
+        });
+      });
+
+      const fullName = `${before.first_name} ${before.last_name}`;
+      logger.info(`Exit time of visit ID ${id} (${fullName}) corrected by ${req.staff.username}.`);
+      res.status(200).json({ message: `Exit time for ${fullName} saved.` });
+    } catch (err) {
+      logger.error("SQL Error correcting exit time:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAutoSignOutRouter;
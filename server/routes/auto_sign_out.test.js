@@ -0,0 +1,153 @@
+const request = require("supertest");
+const express = require("express");
+const createAutoSignOutRouter = require("./auto_sign_out");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    await runDb(mockDb, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Early', 'Leaver'), (2, 'Signed', 'Out')`);
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createAutoSignOutRouter(mockDb, loggerMock));
+});
+
+beforeEach(async () => {
+    await runDb(mockDb, `INSERT INTO visits (id, visitor_id, site_id, entry_time, exit_time, auto_signed_out, unit, type) VALUES
+        (1, 1, 1, '2025-03-03T09:00:00.000Z', '2025-03-03T23:00:00.000Z', 1, 'A101', 'visitor'),
+        (2, 2, 1, '2025-03-03T10:00:00.000Z', '2025-03-03T12:00:00.000Z', 0, 'A102', 'visitor')`);
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM visits`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+describe("Automatic sign-out exceptions", () => {
+  test("should list the visits signed out at closing time for staff only", async () => {
+    const kiosk = await request(app).get("/visits/auto-signed-out");
+    expect(kiosk.status).toBe(401);
+
+    const response = await request(app)
+      .get("/visits/auto-signed-out?date=2025-03-03")
+      .set("Authorization", `Bearer ${receptionToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([
+      expect.objectContaining({
+        visit_id: 1,
+        first_name: "Early",
+        site_name: "Main Site",
+        exit_time: "2025-03-03T23:00:00.000Z",
+        exit_corrected_at: null,
+      }),
+    ]);
+
+    const otherDay = await request(app)
+      .get("/visits/auto-signed-out?date=2025-03-04")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(otherDay.body).toEqual([]);
+
+    const badDate = await request(app)
+      .get("/visits/auto-signed-out?date=yesterday")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(badDate.status).toBe(400);
+  });
+
+  test("should save the real exit time, take the visit off the report and audit the change", async () => {
+    const response = await request(app)
+      .post("/visits/1/exit-time")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ exit_time: "2025-03-03T16:45:00.000Z" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe("Exit time for Early Leaver saved.");
+    const visit = await getDb(mockDb, `SELECT exit_time, auto_signed_out, exit_corrected_by FROM visits WHERE id = 1`);
+    expect(visit).toEqual({ exit_time: "2025-03-03T16:45:00.000Z", auto_signed_out: 1, exit_corrected_by: "reception1" });
+
+    const report = await request(app)
+      .get("/visits/auto-signed-out")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(report.body).toEqual([]);
+    const withCorrected = await request(app)
+      .get("/visits/auto-signed-out?include_corrected=1")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(withCorrected.body).toHaveLength(1);
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visit.exit_correct'`);
+    expect(event.actor).toBe("reception1");
+    expect(JSON.parse(event.before_values).exit_time).toBe("2025-03-03T23:00:00.000Z");
+    expect(JSON.parse(event.after_values).exit_time).toBe("2025-03-03T16:45:00.000Z");
+  });
+
+  test("should refuse an exit time before sign-in and a visit staff signed out themselves", async () => {
+    const beforeEntry = await request(app)
+      .post("/visits/1/exit-time")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ exit_time: "2025-03-03T08:00:00.000Z" });
+    expect(beforeEntry.status).toBe(400);
+
+    const signedOutByStaff = await request(app)
+      .post("/visits/2/exit-time")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ exit_time: "2025-03-03T11:00:00.000Z" });
+    expect(signedOutByStaff.status).toBe(409);
+
+    const missing = await request(app)
+      .post("/visits/999/exit-time")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ exit_time: "2025-03-03T11:00:00.000Z" });
+    expect(missing.status).toBe(404);
+  });
+});
@@ -1,18 +1,53 @@
 const express = require("express");
+const { requireStaffRole, ANY_STAFF, MANAGERS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  BAN_CATEGORIES,
+  getBanHistory,
+  createBan,
+  findBan,
+  listPendingBans,
+  reviewBan,
+} = require("../bans");
+const { withTransaction, visitors } = require("../repository");
 
 /**
  * Creates and configures a router for handling visitor banning.
+ * Managers and admins ban directly; receptionists can only request a ban,
+ * which stays pending until a manager approves it.
  *
  * @param {object} db - The SQLite database instance.
- * @returns {express.Router} - An Express router with the ban endpoint.
+ * @returns {express.Router} - An Express router with the ban endpoints.
  * * @param {object} logger - The logging instance injected for testing/production.
  */
 function createBanVisitorRouter(db, logger) {
   const router = express.Router();
 
-  // Endpoint to ban a visitor by updating their is_banned status to 1
-  router.post("/ban-visitor/:id", (req, res) => {
+  // Puts a ban into force: sets is_banned and records the audit event.
+  // Runs inside the caller's withTransaction.
+  async function activateBan(req, { visitorId, wasBanned, ban }) {
+    await visitors.setBanned(db, visitorId, true);
+    await recordAuditEvent(db, logger, req, {
+      action: "visitor.ban",
+      visitorId: Number(visitorId),
+      before: { is_banned: wasBanned },
+      after: {
+        is_banned: 1,
+        ban_id: ban.id,
+        category: ban.category,
+        reason: ban.reason,
+        expires_at: ban.expires_at,
+        requested_by: ban.issued_by,
+      },
+    });
+  }
+
+  // Endpoint to ban a visitor (managers) or to request a ban (receptionists)
+  router.post("/ban-visitor/:id", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
     const { id } = req.params;
+    const { category = "other", reason, expires_at = null } = req.body || {};
+    const trimmedReason = reason ? String(reason).trim() : "";
+    const isManager = MANAGERS.includes(req.staff.role);
 
     if (!id) {
       logger.warn(
@@ -21,25 +56,210 @@ function createBanVisitorRouter(db, logger) {
       return res.status(400).json({ message: "Visitor ID is required." });
     }
 
-    const sql = `UPDATE visitors SET is_banned = 1 WHERE id = ?`;
-    db.run(sql, [id], function (err) {
-      if (err) {
-        logger.error("SQL Error banning visitor:", err.message);
-        return res.status(500).json({ error: err.message });
-      }
+    if (!trimmedReason) {
+      logger.warn(`Ban attempt on visitor ID ${id} failed: Missing reason (400).`);
+      return res
+        .status(400)
+        .json({ message: "A reason is required to ban a visitor." });
+    }
+
+    if (!BAN_CATEGORIES.includes(category)) {
+      logger.warn(`Ban attempt failed: Unknown category '${category}' (400).`);
+      return res.status(400).json({
+        message: `Ban category must be one of: ${BAN_CATEGORIES.join(", ")}.`,
+      });
+    }
 
-      // Check if any rows were actually changed (if the visitor ID existed)
-      if (this.changes === 0) {
+    const startsAt = new Date().toISOString();
+    const expiresAt = expires_at ? new Date(expires_at) : null;
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt.toISOString() <= startsAt)) {
+      logger.warn(`Ban attempt failed: Invalid expiry date '${expires_at}' (400).`);
+      return res
+        .status(400)
+        .json({ message: "The ban expiry must be a valid date in the future." });
+    }
+
+    try {
+      // Read the current status first so the audit trail has the before value
+      const visitor = await visitors.findById(db, id);
+      if (!visitor) {
         logger.warn(
           `Ban failed: Visitor ID ${id} not found or already banned (404).`
         );
         return res.status(404).json({ message: "Visitor not found." });
       }
-      logger.info(`Visitor ID ${id} successfully banned.`);
+
+      // A manager's own ban counts as reviewed by them
+      const ban = {
+        visitor_id: id,
+        category,
+        reason: trimmedReason,
+        issued_by_staff_id: req.staff.id,
+        issued_by: req.staff.username,
+        status: isManager ? "active" : "pending",
+        starts_at: startsAt,
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        reviewed_by_staff_id: isManager ? req.staff.id : null,
+        reviewed_by: isManager ? req.staff.username : null,
+        reviewed_at: isManager ? startsAt : null,
+      };
+
+      await withTransaction(db, async () => {
+        ban.id = await createBan(db, ban);
+
+        if (isManager) {
+          await activateBan(req, { visitorId: id, wasBanned: visitor.is_banned, ban });
+          return;
+        }
+        // Receptionists: the request waits for a manager
+        await recordAuditEvent(db, logger, req, {
+          action: "visitor.ban_request",
+          visitorId: Number(id),
+          after: {
+            ban_id: ban.id,
+            category: ban.category,
+            reason: ban.reason,
+            expires_at: ban.expires_at,
+          },
+        });
+      });
+
+      if (isManager) {
+        logger.info(
+          `Visitor ID ${id} successfully banned by ${req.staff.username}.`
+        );
+        return res.status(200).json({
+          message: "Visitor has been banned & sign it out.",
+          ban_id: ban.id,
+          status: "active",
+        });
+      }
+      logger.info(
+        `Ban of visitor ID ${id} requested by ${req.staff.username}; awaiting manager approval.`
+      );
+      res.status(202).json({
+        message: "Ban request recorded. A manager must approve it before it takes effect.",
+        ban_id: ban.id,
+        status: "pending",
+      });
+    } catch (err) {
+      logger.error("SQL Error banning visitor:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint for managers to list ban requests waiting for approval
+  router.get("/bans/pending", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    try {
+      res.status(200).json(await listPendingBans(db));
+    } catch (err) {
+      logger.error("SQL Error listing pending bans:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Loads a pending ban for approval or rejection. Answers 404/409 and returns null
+  // when it can't be reviewed.
+  async function findPendingBan(res, banId) {
+    const ban = await findBan(db, banId);
+    if (!ban) {
+      logger.warn(`Ban review failed: Ban ID ${banId} not found (404).`);
+      res.status(404).json({ message: "Ban request not found." });
+      return null;
+    }
+    if (ban.status !== "pending") {
+      logger.warn(`Ban review failed: Ban ID ${banId} is already ${ban.status} (409).`);
       res
-        .status(200)
-        .json({ message: `Visitor has been banned & sign it out.` });
-    });
+        .status(409)
+        .json({ message: `This ban request has already been ${ban.status === "active" ? "approved" : "rejected"}.` });
+      return null;
+    }
+    return ban;
+  }
+
+  // Endpoint for managers to approve a pending ban, putting it into force
+  router.post("/bans/:banId/approve", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    const { banId } = req.params;
+
+    try {
+      const ban = await findPendingBan(res, banId);
+      if (!ban) return;
+
+      const now = new Date().toISOString();
+      if (ban.expires_at && ban.expires_at <= now) {
+        logger.warn(`Ban approval failed: Ban ID ${banId} expired before it was approved (400).`);
+        return res
+          .status(400)
+          .json({ message: "This ban request expired before it was approved." });
+      }
+
+      const note = req.body && req.body.note ? String(req.body.note).trim() : null;
+      // The request may have been closed since it was read (by an unban, for one)
+      const approved = await withTransaction(db, async () => {
+        const changed = await reviewBan(db, banId, { status: "active", staff: req.staff, note, at: now });
+        if (!changed) return false;
+        await activateBan(req, { visitorId: ban.visitor_id, wasBanned: ban.is_banned, ban });
+        return true;
+      });
+      if (!approved) {
+        logger.warn(`Ban approval failed: Ban ID ${banId} is no longer pending (409).`);
+        return res.status(409).json({ message: "This ban request is no longer pending." });
+      }
+
+      logger.info(
+        `Visitor ID ${ban.visitor_id} successfully banned by ${req.staff.username}.`
+      );
+      res.status(200).json({
+        message: "Ban approved. The visitor is now banned.",
+        ban_id: ban.id,
+        status: "active",
+      });
+    } catch (err) {
+      logger.error("SQL Error approving ban:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint for managers to turn down a pending ban
+  router.post("/bans/:banId/reject", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    const { banId } = req.params;
+
+    try {
+      const ban = await findPendingBan(res, banId);
+      if (!ban) return;
+
+      const note = req.body && req.body.note ? String(req.body.note).trim() : null;
+      await withTransaction(db, async () => {
+        await reviewBan(db, banId, {
+          status: "rejected",
+          staff: req.staff,
+          note,
+          at: new Date().toISOString(),
+        });
+        await recordAuditEvent(db, logger, req, {
+          action: "visitor.ban_reject",
+          visitorId: ban.visitor_id,
+          before: { ban_id: ban.id, status: "pending", requested_by: ban.issued_by },
+          after: { ban_id: ban.id, status: "rejected", review_note: note },
+        });
+      });
+
+      logger.info(`Ban ID ${banId} rejected by ${req.staff.username}.`);
+      res.status(200).json({ message: "Ban request rejected." });
+    } catch (err) {
+      logger.error("SQL Error rejecting ban:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint listing a visitor's bans (active, expired, lifted, pending and rejected) for staff
+  router.get("/visitors/:id/bans", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    try {
+      res.status(200).json(await getBanHistory(db, req.params.id));
+    } catch (err) {
+      logger.error("SQL Error fetching ban history:", err.message);
+      res.status(500).json({ error: err.message });
+    }
   });
 
   return router;
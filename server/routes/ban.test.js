@@ -1,12 +1,15 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createBanVisitorRouter = require("./ban");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
 
 // Global variables for the mock environment
 let mockDb;
 let app;
 let loggerMock;
+let managerToken;
+let receptionistToken;
 
 // --- Database Helper Functions ---
 // Promisifies db.run for setup and updates/inserts
@@ -31,7 +34,8 @@ const getDb = (db, sql, params = []) => {
 
 // --- Test Setup and Teardown ---
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(':memory:');
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 1. Initialize the logger mock
     loggerMock = {
@@ -41,12 +45,13 @@ beforeAll(async () => {
     };
 
     // 2. Create the necessary table
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT,
-        is_banned INTEGER DEFAULT 0
-    )`);
+
+    // Managers ban directly; receptionists can only request a ban, so open one session of each kind
+    const createdAt = new Date().toISOString();
+    const manager = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('manager1', 'Manager One', 'unused', 'manager', ?)`, [createdAt]);
+    const receptionist = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [createdAt]);
+    ({ token: managerToken } = await createStaffSession(mockDb, manager.lastID));
+    ({ token: receptionistToken } = await createStaffSession(mockDb, receptionist.lastID));
 
     // 3. Create a mock Express app and inject dependencies
     app = express();
@@ -55,10 +60,11 @@ beforeAll(async () => {
     app.use("/", createBanVisitorRouter(mockDb, loggerMock));
 });
 
-
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM bans`);
     await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
     loggerMock.info.mockClear();
     loggerMock.warn.mockClear();
     loggerMock.error.mockClear();
@@ -72,25 +78,32 @@ afterAll((done) => {
   });
 });
 
+// --- Helper to Insert a Test Visitor ---
+const setupVisitor = async (isBanned = 0) => {
+  const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES (?, ?, ?)`, ['Mark', 'Zebra', isBanned]);
+  return visitorResult.lastID;
+};
 
-describe('POST /ban-visitor/:id', () => {
+// Sends a ban with a reason, as the modal always does
+const banVisitor = (visitorId, token, body = {}) =>
+  request(app)
+    .post(`/ban-visitor/${visitorId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason: 'Shouted at the front desk staff.', ...body });
 
-  // --- Helper to Insert a Test Visitor ---
-  const setupVisitor = async (isBanned = 0) => {
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES (?, ?, ?)`, ['Mark', 'Zebra', isBanned]);
-    return visitorResult.lastID;
-  };
+describe('POST /ban-visitor/:id', () => {
 
   // --- Success Tests ---
 
-  test('should successfully ban an unbanned visitor and return 200', async () => {
+  test('should let a manager ban an unbanned visitor and return 200', async () => {
     const visitorId = await setupVisitor(0); // 0 = not banned
 
     // 1. Send the request
-    const response = await request(app).post(`/ban-visitor/${visitorId}`);
+    const response = await banVisitor(visitorId, managerToken);
 
     expect(response.status).toBe(200);
     expect(response.body.message).toBe("Visitor has been banned & sign it out.");
+    expect(response.body.status).toBe("active");
 
     // 2. Verify database state
     const bannedVisitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
@@ -98,7 +111,83 @@ describe('POST /ban-visitor/:id', () => {
 
     // 3. Verify logging
     expect(loggerMock.info).toHaveBeenCalledTimes(1);
-    expect(loggerMock.info.mock.calls[0][0]).toMatch(`Visitor ID ${visitorId} successfully banned.`);
+    expect(loggerMock.info.mock.calls[0][0]).toMatch(`Visitor ID ${visitorId} successfully banned by manager1.`);
+
+    // 4. Verify the audit trail
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.ban'`);
+    expect(event.actor).toBe('manager1');
+    expect(event.visitor_id).toBe(visitorId);
+    expect(JSON.parse(event.before_values)).toEqual({ is_banned: 0 });
+    expect(JSON.parse(event.after_values)).toMatchObject({ is_banned: 1, category: 'other', reason: 'Shouted at the front desk staff.' });
+  });
+
+  test('should record the reason, category, author and expiry of the ban', async () => {
+    const visitorId = await setupVisitor(0);
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const response = await banVisitor(visitorId, managerToken, {
+      category: 'theft',
+      reason: 'Took items from the donations room.',
+      expires_at: expiresAt,
+    });
+
+    expect(response.status).toBe(200);
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE id = ?`, [response.body.ban_id]);
+    expect(ban).toMatchObject({
+      visitor_id: visitorId,
+      category: 'theft',
+      reason: 'Took items from the donations room.',
+      issued_by: 'manager1',
+      status: 'active',
+      reviewed_by: 'manager1',
+      expires_at: expiresAt,
+      lifted_at: null,
+    });
+  });
+
+  test('should record a pending ban when a receptionist asks, without banning yet', async () => {
+    const visitorId = await setupVisitor(0);
+
+    const response = await banVisitor(visitorId, receptionistToken);
+
+    expect(response.status).toBe(202);
+    expect(response.body.status).toBe('pending');
+
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE id = ?`, [response.body.ban_id]);
+    expect(ban).toMatchObject({ status: 'pending', issued_by: 'reception1', reviewed_by: null });
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.ban_request'`);
+    expect(event.actor).toBe('reception1');
+  });
+
+  // --- Validation Tests (400) ---
+
+  test('should return 400 when no reason is given', async () => {
+    const visitorId = await setupVisitor(0);
+
+    const response = await banVisitor(visitorId, managerToken, { reason: '   ' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("A reason is required to ban a visitor.");
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
+  });
+
+  test('should return 400 for an unknown category or an expiry in the past', async () => {
+    const visitorId = await setupVisitor(0);
+
+    const badCategory = await banVisitor(visitorId, managerToken, { category: 'rudeness' });
+    expect(badCategory.status).toBe(400);
+
+    const pastExpiry = await banVisitor(visitorId, managerToken, {
+      category: 'violence',
+      expires_at: '2020-01-01T00:00:00.000Z',
+    });
+    expect(pastExpiry.status).toBe(400);
+
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
   });
 
   // --- Failure Tests (404) ---
@@ -107,7 +196,7 @@ describe('POST /ban-visitor/:id', () => {
     const nonExistentId = 999;
     
     // 1. Send the request
-    const response = await request(app).post(`/ban-visitor/${nonExistentId}`);
+    const response = await banVisitor(nonExistentId, managerToken);
 
     expect(response.status).toBe(404);
     expect(response.body.message).toBe("Visitor not found.");
@@ -121,9 +210,9 @@ describe('POST /ban-visitor/:id', () => {
     const visitorId = await setupVisitor(1); // 1 = already banned
 
     // 1. Send the request
-    const response = await request(app).post(`/ban-visitor/${visitorId}`);
+    const response = await banVisitor(visitorId, managerToken);
 
-    // The router incorrectly returns 200 if the ban status doesn't change due to this.changes > 0
+    // A further ban is recorded alongside the existing one
     expect(response.status).toBe(200);
     expect(response.body.message).toBe("Visitor has been banned & sign it out.");
 
@@ -133,7 +222,7 @@ describe('POST /ban-visitor/:id', () => {
 
     // 3. Verify logging (The router logs INFO because it assumes success)
     expect(loggerMock.info).toHaveBeenCalledTimes(1);
-    expect(loggerMock.info.mock.calls[0][0]).toMatch(`Visitor ID ${visitorId} successfully banned.`);
+    expect(loggerMock.info.mock.calls[0][0]).toMatch(`Visitor ID ${visitorId} successfully banned by manager1.`);
     expect(loggerMock.warn).not.toHaveBeenCalled();
   });
 
@@ -152,10 +241,10 @@ describe('POST /ban-visitor/:id', () => {
         }
     });
 
-    // We still need a visitor ID to pass to the route
-    const visitorId = 1; 
+    // The visitor must exist so the route reaches the UPDATE
+    const visitorId = await setupVisitor(0);
 
-    const response = await request(app).post(`/ban-visitor/${visitorId}`);
+    const response = await banVisitor(visitorId, managerToken);
 
     expect(response.status).toBe(500);
     expect(response.body.error).toMatch(/Mock UPDATE error/);
@@ -167,5 +256,108 @@ describe('POST /ban-visitor/:id', () => {
     expect(loggerMock.error).toHaveBeenCalledTimes(1);
     expect(loggerMock.error.mock.calls[0][0]).toMatch(/SQL Error banning visitor/);
     expect(loggerMock.info).not.toHaveBeenCalled();
+
+    // The ban record is rolled back with the failed update
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE visitor_id = ?`, [visitorId]);
+    expect(ban).toBeUndefined();
   });
-});
\ No newline at end of file
+
+  // --- Authorization Tests (401) ---
+
+  test('should return 401 when no staff session is provided', async () => {
+    const visitorId = await setupVisitor(0);
+
+    const response = await request(app).post(`/ban-visitor/${visitorId}`).send({ reason: 'No session.' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe("Staff sign-in required.");
+
+    // The visitor must remain unbanned
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
+  });
+});
+
+describe('Pending ban review', () => {
+  const requestBan = async () => {
+    const visitorId = await setupVisitor(0);
+    const response = await banVisitor(visitorId, receptionistToken);
+    return { visitorId, banId: response.body.ban_id };
+  };
+
+  test('GET /bans/pending should list requests with the visitor name for managers', async () => {
+    const { banId } = await requestBan();
+
+    const response = await request(app)
+      .get('/bans/pending')
+      .set('Authorization', `Bearer ${managerToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0]).toMatchObject({ id: banId, first_name: 'Mark', issued_by: 'reception1' });
+  });
+
+  test('should ban the visitor once a manager approves the request', async () => {
+    const { visitorId, banId } = await requestBan();
+
+    const response = await request(app)
+      .post(`/bans/${banId}/approve`)
+      .set('Authorization', `Bearer ${managerToken}`);
+
+    expect(response.status).toBe(200);
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(1);
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE id = ?`, [banId]);
+    expect(ban).toMatchObject({ status: 'active', issued_by: 'reception1', reviewed_by: 'manager1' });
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.ban'`);
+    expect(JSON.parse(event.after_values).requested_by).toBe('reception1');
+
+    // A second review of the same request is refused
+    const again = await request(app)
+      .post(`/bans/${banId}/reject`)
+      .set('Authorization', `Bearer ${managerToken}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('should leave the visitor unbanned when a manager rejects the request', async () => {
+    const { visitorId, banId } = await requestBan();
+
+    const response = await request(app)
+      .post(`/bans/${banId}/reject`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ note: 'Spoke to the visitor; no further action.' });
+
+    expect(response.status).toBe(200);
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE id = ?`, [banId]);
+    expect(ban).toMatchObject({ status: 'rejected', review_note: 'Spoke to the visitor; no further action.' });
+  });
+
+  test('should return 403 when a receptionist tries to approve', async () => {
+    const { banId } = await requestBan();
+
+    const response = await request(app)
+      .post(`/bans/${banId}/approve`)
+      .set('Authorization', `Bearer ${receptionistToken}`);
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('GET /visitors/:id/bans', () => {
+  test('should list active and lifted bans newest first', async () => {
+    const visitorId = await setupVisitor(1);
+    await runDb(mockDb, `INSERT INTO bans (visitor_id, category, reason, issued_by, starts_at, lifted_at, lifted_by, lift_reason) VALUES (?, 'theft', 'Old ban', 'reception1', '2024-01-01T00:00:00.000Z', '2024-02-01T00:00:00.000Z', 'manager1', 'Apologised.')`, [visitorId]);
+    await runDb(mockDb, `INSERT INTO bans (visitor_id, category, reason, issued_by, starts_at) VALUES (?, 'violence', 'New ban', 'reception1', '2025-01-01T00:00:00.000Z')`, [visitorId]);
+
+    const response = await request(app)
+      .get(`/visitors/${visitorId}/bans`)
+      .set('Authorization', `Bearer ${receptionistToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+    expect(response.body[0]).toMatchObject({ reason: 'New ban', is_active: 1 });
+    expect(response.body[1]).toMatchObject({ reason: 'Old ban', is_active: 0, lifted_by: 'manager1' });
+  });
+});
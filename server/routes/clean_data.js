@@ -1,3 +1,8 @@
+const { recordAuditEvent } = require("../audit_trail");
+const { appendAuditLog } = require("../audit_log_chain");
+const { deleteSignature } = require("../agreements");
+const { run, withTransaction, visitors, visits, dependents } = require("../repository");
+
 /**
  * Executes the data retention compliance cleanup job.
  * Deletes records older than 2 years from dependents, visits, and finally visitors.
@@ -6,54 +11,65 @@
  * * @param {object} logger - The logging instance injected for testing/production.
  */
 async function runDataComplianceCleanup(db,logger) {
-    
-    // Custom dbRun helper to ensure the 'changes' property is always available, 
-    const dbRun = (sql, params = []) => {
-        return new Promise((resolve, reject) => {
-            db.run(sql, params, function (err) {
-                if (err) return reject(err);
-                resolve({ changes: this.changes || 0 }); 
-            });
-        });
-    };
 
     logger.info('--- Starting Data Retention Compliance Cleanup Job (Async/Await) ---');
 
     let deletedCounts = { dependents: 0, visits: 0, profiles: 0 };
+    let signaturePaths = [];
     const twoYearsAgo = new Date(Date.now() - 2 * 365 * 24 * 60 * 60 * 1000).toISOString();
     let auditStatus = 'OK';
     let auditEvent = 'Compliance Cleanup Succeeded';
     let errorMessage = '';
 
     try {
-        // --- 1. Deleting Dependents (where parent visit is old) ---
-        const deleteDependentsSql = `
-            DELETE FROM dependents
-            WHERE visit_id IN (
-                SELECT id FROM visits WHERE entry_time < ?
-            );
-        `;
-        // The custom dbRun 
-        const dependentResult = await dbRun(deleteDependentsSql, [twoYearsAgo]);
-        deletedCounts.dependents = dependentResult.changes;
-        logger.info(`Cleanup: Deleted ${deletedCounts.dependents} old dependent record(s).`);
+        // All or nothing: a failure part way rolls back, so the counts logged stay at 0
+        deletedCounts = await withTransaction(db, async () => {
+            const counts = {};
 
-        // --- 2. Deleting Visits (older than 2 years) ---
-        const deleteVisitsSql = `DELETE FROM visits WHERE entry_time < ?`;
-        const visitsResult = await dbRun(deleteVisitsSql, [twoYearsAgo]);
-        deletedCounts.visits = visitsResult.changes;
-        logger.info(`Cleanup: Deleted ${deletedCounts.visits} old visit record(s).`);
+            // --- 1. Deleting Dependents (where parent visit is old) ---
+            counts.dependents = await dependents.deleteForVisitsBefore(db, twoYearsAgo);
+
+            // --- 2. Deleting Visits (older than 2 years), noting their signature images ---
+            signaturePaths = await visits.listSignaturesBefore(db, twoYearsAgo);
+            counts.visits = await visits.deleteBefore(db, twoYearsAgo);
+
+            // --- 3. Deleting Visitor Profiles (who have no remaining visits) ---
+            counts.profiles = await visitors.deleteWithoutVisits(db);
+
+            // --- 4. Deleting ban history, photo hashes, flags and unit restrictions of the removed profiles ---
+            await run(db, `DELETE FROM bans WHERE visitor_id NOT IN (SELECT id FROM visitors)`);
+            await run(db, `DELETE FROM photo_hashes WHERE visitor_id NOT IN (SELECT id FROM visitors)`);
+            await run(db, `DELETE FROM visitor_flags WHERE visitor_id NOT IN (SELECT id FROM visitors)`);
+            await run(db, `DELETE FROM unit_restrictions WHERE visitor_id NOT IN (SELECT id FROM visitors)`);
+            await run(db, `DELETE FROM visitor_details_history WHERE visitor_id NOT IN (SELECT id FROM visitors)`);
+
+            // --- 5. Deleting appointments that ended before the cutoff, and unlinking removed profiles ---
+            await run(db, `DELETE FROM appointments WHERE expected_until < ?`, [twoYearsAgo]);
+            await run(db, `UPDATE appointments SET visitor_id = NULL WHERE visitor_id NOT IN (SELECT id FROM visitors)`);
 
-        // --- 3. Deleting Visitor Profiles (who have no remaining visits) ---
-        const deleteVisitorsSql = `
-            DELETE FROM visitors
-            WHERE id NOT IN (SELECT visitor_id FROM visits)
-            AND is_banned = 0;
-        `;
-        const visitorsResult = await dbRun(deleteVisitorsSql);
-        deletedCounts.profiles = visitorsResult.changes;
+            // --- 6. Deleting fire roll calls (and the names on them) that ended before the cutoff ---
+            const oldEvacuations = `SELECT id FROM evacuations WHERE ended_at IS NOT NULL AND ended_at < ?`;
+            await run(db, `DELETE FROM evacuation_people WHERE evacuation_id IN (${oldEvacuations})`, [twoYearsAgo]);
+            await run(db, `DELETE FROM evacuations WHERE id IN (${oldEvacuations})`, [twoYearsAgo]);
+
+            return counts;
+        });
+        logger.info(`Cleanup: Deleted ${deletedCounts.dependents} old dependent record(s).`);
+        logger.info(`Cleanup: Deleted ${deletedCounts.visits} old visit record(s).`);
         logger.info(`Cleanup: Deleted ${deletedCounts.profiles} inactive visitor profile(s).`);
 
+        // The signature files go once the visits are gone for good, so a rollback keeps them
+        let signaturesDeleted = 0;
+        for (const signaturePath of signaturePaths) {
+            try {
+                await deleteSignature(signaturePath);
+                signaturesDeleted++;
+            } catch (unlinkError) {
+                logger.warn(`Cleanup: Could not delete signature ${signaturePath}: ${unlinkError.message}`);
+            }
+        }
+        logger.info(`Cleanup: Deleted ${signaturesDeleted} signature image(s) of old visits.`);
+
     } catch (error) {
         auditStatus = 'ERROR';
         auditEvent = 'Compliance Cleanup Failed';
@@ -62,27 +78,34 @@ async function runDataComplianceCleanup(db,logger) {
     } finally {
         logger.info('--- Data Retention Compliance Cleanup Job Complete ---');
 
-        // --- 4. Writing Audit Log ---
-        const auditLogSql = `
-            INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `;
-        const timestamp = new Date().toISOString();
-        const auditParams = [
-            auditEvent,
-            timestamp,
-            auditStatus,
-            deletedCounts.profiles,
-            deletedCounts.visits,
-            deletedCounts.dependents
-        ];
+        // --- 7. Writing Audit Log (hash-chained to the previous run) ---
+        const auditEntry = {
+            event_name: auditEvent,
+            timestamp: new Date().toISOString(),
+            status: auditStatus,
+            profiles_deleted: deletedCounts.profiles,
+            visits_deleted: deletedCounts.visits,
+            dependents_deleted: deletedCounts.dependents
+        };
 
         try {
-            await dbRun(auditLogSql, auditParams);
+            await appendAuditLog(db, auditEntry);
             logger.info(`Audit Log written successfully: ${auditEvent}.`);
         } catch (auditError) {
             logger.error('FATAL: Could not write audit log:', auditError.message);
         }
+
+        // Also record the run in the audit trail, attributed to the system
+        await recordAuditEvent(db, logger, null, {
+            action: 'compliance.cleanup',
+            after: {
+                status: auditStatus,
+                profiles_deleted: deletedCounts.profiles,
+                visits_deleted: deletedCounts.visits,
+                dependents_deleted: deletedCounts.dependents,
+                error: errorMessage || null,
+            },
+        });
     }
 }
 
@@ -1,6 +1,9 @@
-const sqlite3 = require("sqlite3").verbose();
 const runDataComplianceCleanup = require("./clean_data");
+const { GENESIS_HASH, computeRowHash } = require("../audit_log_chain");
 const path = require("path");
+const fs = require("fs");
+const { saveSignature } = require("../agreements");
+const { initializeDatabase } = require("../db_management");
 
 // --- Mock Logger Setup ---
 let loggerMock;
@@ -35,12 +38,12 @@ const allDb = (db, sql, params = []) => {
     });
 };
 
-
 // Setup: Create the database and initialize the logger mock
 let mockDb;
 
-beforeAll(() => {
-    mockDb = new sqlite3.Database(":memory:");
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
     // Initialize the logger mock here
     loggerMock = {
         info: jest.fn(),
@@ -48,17 +51,6 @@ beforeAll(() => {
         error: jest.fn(),
         debug: jest.fn(),
     };
-
-    // Create tables needed for cleanup logic
-    return runDb(mockDb, `
-        CREATE TABLE visitors (id INTEGER PRIMARY KEY, first_name TEXT, last_name TEXT, is_banned INTEGER DEFAULT 0)
-    `).then(() => runDb(mockDb, `
-        CREATE TABLE visits (id INTEGER PRIMARY KEY, visitor_id INTEGER, entry_time TEXT, exit_time TEXT)
-    `)).then(() => runDb(mockDb, `
-        CREATE TABLE dependents (id INTEGER PRIMARY KEY, visit_id INTEGER, full_name TEXT, age INTEGER)
-    `)).then(() => runDb(mockDb, `
-        CREATE TABLE audit_logs (id INTEGER PRIMARY KEY, event_name TEXT, timestamp TEXT, status TEXT, profiles_deleted INTEGER, visits_deleted INTEGER, dependents_deleted INTEGER)
-    `));
 });
 
 afterEach(async () => {
@@ -66,7 +58,11 @@ afterEach(async () => {
     await runDb(mockDb, "DELETE FROM dependents");
     await runDb(mockDb, "DELETE FROM visits");
     await runDb(mockDb, "DELETE FROM visitors");
+    await runDb(mockDb, "DELETE FROM visitor_details_history");
+    await runDb(mockDb, "DELETE FROM evacuation_people");
+    await runDb(mockDb, "DELETE FROM evacuations");
     await runDb(mockDb, "DELETE FROM audit_logs");
+    await runDb(mockDb, "DELETE FROM audit_events");
     loggerMock.info.mockClear();
     loggerMock.error.mockClear();
     // Reset the run mock if it was used
@@ -79,7 +75,6 @@ afterAll((done) => {
     mockDb.close(done);
 });
 
-
 describe("runDataComplianceCleanup", () => {
     
     // Define a date 3 years ago (definitely older than 2 years)
@@ -93,14 +88,16 @@ describe("runDataComplianceCleanup", () => {
         // Visitor 1: Old and signed-out (will be deleted)
         let result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Old', 'Profile')`);
         const oldVisitorId = result.lastID;
-        result = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, ?)`, [oldVisitorId, oldDate, oldDate]);
+        result = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) VALUES (?, ?, ?, 'A101', 'visitor')`, [oldVisitorId, oldDate, oldDate]);
         const oldVisitId = result.lastID;
         await runDb(mockDb, `INSERT INTO dependents (visit_id, full_name, age) VALUES (?, 'Old Dependent', 5)`, [oldVisitId]);
+        await runDb(mockDb, `INSERT INTO visitor_details_history (visitor_id, version, address, source, changed_at, changed_by) VALUES (?, 1, '1 Old Road', 'registration', ?, 'kiosk')`, [oldVisitorId, oldDate]);
         
         // Visitor 2: New and signed-in (will remain)
         result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('New', 'Profile')`);
         const newVisitorId = result.lastID;
-        result = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, NULL)`, [newVisitorId, newDate]);
+        result = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) VALUES (?, ?, NULL, 'A101', 'visitor')`, [newVisitorId, newDate]);
+        await runDb(mockDb, `INSERT INTO visitor_details_history (visitor_id, version, address, source, changed_at, changed_by) VALUES (?, 1, '2 New Road', 'registration', ?, 'kiosk')`, [newVisitorId, newDate]);
         
         // 2. Execution: Pass the mock logger
         await runDataComplianceCleanup(mockDb, loggerMock); 
@@ -114,19 +111,55 @@ describe("runDataComplianceCleanup", () => {
         expect(remainingVisitors).toHaveLength(1); // New visitor remains
         expect(remainingVisits).toHaveLength(1); // New visit remains
         expect(remainingDependents).toHaveLength(0); // Old dependent deleted
+        // Only the remaining profile keeps its contact details history
+        const remainingDetails = await allDb(mockDb, "SELECT visitor_id FROM visitor_details_history");
+        expect(remainingDetails).toEqual([{ visitor_id: newVisitorId }]);
         
         expect(loggerMock.info).toHaveBeenCalledWith(expect.stringContaining('Starting Data Retention Compliance Cleanup Job'));
         expect(auditLog.status).toBe('OK');
         expect(auditLog.profiles_deleted).toBe(1);
         expect(auditLog.visits_deleted).toBe(1);
         expect(auditLog.dependents_deleted).toBe(1);
+        // The run is chained onto the (empty) audit log
+        expect(auditLog.prev_hash).toBe(GENESIS_HASH);
+        expect(auditLog.row_hash).toBe(computeRowHash(auditLog, GENESIS_HASH));
+    });
+
+    test("should delete the signature images of the visits it removes, and only those", async () => {
+        // A tiny PNG: only the file's presence matters here
+        const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+        let result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Old', 'Profile')`);
+        const oldSignature = await saveSignature(png);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type, signature_path) VALUES (?, ?, ?, 'A101', 'visitor', ?)`, [result.lastID, oldDate, oldDate, oldSignature]);
+        result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('New', 'Profile')`);
+        const newSignature = await saveSignature(png);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type, signature_path) VALUES (?, ?, NULL, 'A101', 'visitor', ?)`, [result.lastID, newDate, newSignature]);
+
+        await runDataComplianceCleanup(mockDb, loggerMock);
+
+        expect(fs.existsSync(path.join(__dirname, '..', oldSignature))).toBe(false);
+        expect(fs.existsSync(path.join(__dirname, '..', newSignature))).toBe(true);
+        expect(loggerMock.info).toHaveBeenCalledWith('Cleanup: Deleted 1 signature image(s) of old visits.');
+        fs.unlinkSync(path.join(__dirname, '..', newSignature));
+    });
+
+    test("should delete fire roll calls that ended before the retention window, with the names on them", async () => {
+        const oldEvacuation = await runDb(mockDb, `INSERT INTO evacuations (site_id, started_at, started_by, ended_at, ended_by) VALUES (1, ?, 'manager1', ?, 'manager1')`, [oldDate, oldDate]);
+        await runDb(mockDb, `INSERT INTO evacuation_people (evacuation_id, name, status) VALUES (?, 'Old Profile', 'safe')`, [oldEvacuation.lastID]);
+        const recentEvacuation = await runDb(mockDb, `INSERT INTO evacuations (site_id, started_at, started_by, ended_at, ended_by) VALUES (1, ?, 'manager1', ?, 'manager1')`, [newDate, newDate]);
+        await runDb(mockDb, `INSERT INTO evacuation_people (evacuation_id, name, status) VALUES (?, 'New Profile', 'safe')`, [recentEvacuation.lastID]);
+
+        await runDataComplianceCleanup(mockDb, loggerMock);
+
+        expect(await allDb(mockDb, "SELECT id FROM evacuations")).toEqual([{ id: recentEvacuation.lastID }]);
+        expect(await allDb(mockDb, "SELECT name FROM evacuation_people")).toEqual([{ name: 'New Profile' }]);
     });
 
     test("should handle case where no data needs to be deleted", async () => {
         // 1. Setup: Insert only new records
         let result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Recent', 'Visitor')`);
         const recentVisitorId = result.lastID;
-        result = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, NULL)`, [recentVisitorId, newDate]);
+        result = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) VALUES (?, ?, NULL, 'A101', 'visitor')`, [recentVisitorId, newDate]);
         
         // 2. Execution: Pass the mock logger
         await runDataComplianceCleanup(mockDb, loggerMock); 
@@ -1,8 +1,18 @@
 const express = require("express");
+const { requireStaffRole, MANAGERS } = require("../auth/staff_auth");
+const {
+  issueHistoryToken,
+  revokeHistoryTokens,
+  requireHistoryToken,
+} = require("../auth/history_token");
+const { recordAuditEvent } = require("../audit_trail");
+const { visits } = require("../repository");
 
 /**
  * Creates and configures a router for fetching historical visitor data
  * with optional filtering for the administrative dashboard view.
+ * A signed-in manager or admin authorizes first and receives a short-lived
+ * history token, which every history read (and export) must then present.
  *
  * @param {object} db - The SQLite database instance.
  * @returns {express.Router} - An Express router with the /history endpoint.
@@ -11,136 +21,90 @@ const express = require("express");
 function createHistoryRouter(db, logger) {
   const router = express.Router();
 
-  //Endpoint to use the password
-  router.post("/authorize-history", (req, res) => {
-    const { password } = req.body;
-
-    const masterPassword = process.env.MASTER_PASSWORD2
-      ? process.env.MASTER_PASSWORD2.trim()
-      : null;
+  // Endpoint to issue a history token to a signed-in manager or admin
+  router.post("/authorize-history", requireStaffRole(db, logger, MANAGERS), (req, res) => {
+    issueHistoryToken(db, req.staff)
+      .then(({ token, expires_at }) =>
+        recordAuditEvent(db, logger, req, {
+          action: "history.authorize",
+          after: { expires_at },
+        }).then(() => ({ token, expires_at }))
+      )
+      .then(({ token, expires_at }) => {
+        logger.info(
+          `History authorization successful for ${req.staff.username} (expires ${expires_at}).`
+        );
+        res.status(200).json({
+          success: true,
+          message: "Authorization successful.",
+          history_token: token,
+          expires_at,
+        });
+      })
+      .catch((err) => {
+        logger.error("Failed to issue history token:", err.message);
+        res.status(500).json({ error: err.message });
+      });
+  });
 
-    if (password === masterPassword) {
-      logger.info("History authorization successful.");
-      return res
+  // Endpoint to give up a history token before it expires
+  router.post("/revoke-history-access", requireHistoryToken(db, logger), (req, res) => {
+    revokeHistoryTokens(db, { jti: req.historyAccess.jti })
+      .then(() => {
+        logger.info(
+          `History token revoked by staff ID ${req.historyAccess.staff_id}.`
+        );
+        res.status(200).json({ message: "History access revoked." });
+      })
+      .catch((err) => {
+        logger.error("SQL Error revoking history token:", err.message);
+        res.status(500).json({ error: err.message });
+      });
+  });
 
-        .status(200)
+  // Endpoint to get all historical visits with optional filtering; every site's
+  // visits unless site_id names one
+  router.get("/history", requireHistoryToken(db, logger), async (req, res) => {
+    const { search, start_date, end_date, site_id } = req.query;
 
-        .json({ success: true, message: "Authorization successful." });
-    } else {
-      logger.warn(
-        "History authorization failed: Incorrect password provided (403)."
-      );
-      return res.status(403).json({ message: "Incorrect password." });
+    let rows;
+    try {
+      rows = await visits.listHistory(db, { search, start_date, end_date, site_id });
+    } catch (err) {
+      logger.error("SQL Error in GET /history:", err.message);
+      return res
+        .status(500)
+        .json({ error: "Failed to retrieve historical data." });
     }
+
+    const results = rows.map((row) => ({
+      ...row,
+      photo: row.photo_path
+        ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
+        : null,
+      photo_path: undefined,
+      signature: row.signature_path
+        ? `${req.protocol}://${req.get("host")}/${row.signature_path}`
+        : null,
+      signature_path: undefined,
+    }));
+    await recordAuditEvent(db, logger, req, {
+      action: "history.view",
+      after: { search, start_date, end_date, site_id, result_count: results.length },
+    });
+    res.json(results);
   });
 
-  // Endpoint to get all historical visits with optional filtering
-  router.get("/history", (req, res) => {
+  // Endpoint totalling visits, visitors and people on site per site, with the same
+  // filters as /history, for reporting across sites
+  router.get("/history/sites", requireHistoryToken(db, logger), async (req, res) => {
     const { search, start_date, end_date } = req.query;
-
-    let whereClauses = [];
-    let queryParams = [];
-
-    if (search) {
-      const searchParam = `%${search.toLowerCase()}%`;
-      whereClauses.push(
-        `(LOWER(T1.first_name) LIKE ? OR LOWER(T1.last_name) LIKE ?)`
-      );
-      queryParams.push(searchParam, searchParam);
-    }
-
-    if (start_date) {
-      whereClauses.push(`T2.entry_time >= ?`);
-      queryParams.push(start_date);
-    }
-    if (end_date) {
-      const endOfDay = `${end_date}T23:59:59Z`;
-      whereClauses.push(`T2.entry_time <= ?`);
-      queryParams.push(endOfDay);
+    try {
+      res.json(await visits.listSiteTotals(db, { search, start_date, end_date }));
+    } catch (err) {
+      logger.error("SQL Error in GET /history/sites:", err.message);
+      res.status(500).json({ error: "Failed to retrieve site totals." });
     }
-
-    const whereClause =
-      whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
-
-    const query = `
-        SELECT
-            T1.id AS visitor_id,
-            T1.first_name,
-            T1.last_name,
-            T1.photo_path,
-            T1.is_banned,
-            T2.id AS visit_id,
-            T2.known_as,
-            T2.entry_time,
-            T2.exit_time,
-            T2.address,
-            T2.phone_number,
-            T2.unit,
-            T2.reason_for_visit,
-            T2.company_name,
-            T2.type,
-            T2.mandatory_acknowledgment_taken,
-            GROUP_CONCAT(
-              CASE 
-                WHEN T3.full_name IS NOT NULL AND T3.full_name != '' 
-                THEN JSON_OBJECT('full_name', T3.full_name, 'age', T3.age)
-                ELSE NULL 
-              END
-            ) AS additional_dependents_json
-        FROM visitors AS T1
-        JOIN visits AS T2
-            ON T1.id = T2.visitor_id
-        LEFT JOIN dependents AS T3
-            ON T2.id = T3.visit_id
-        ${whereClause}
-        GROUP BY 
-            T1.id, T2.id, T1.first_name, T1.last_name, T1.photo_path, T1.is_banned, 
-            T2.known_as, T2.entry_time, T2.exit_time, 
-            T2.address, T2.phone_number, T2.unit, 
-            T2.reason_for_visit, T2.company_name, T2.type, T2.mandatory_acknowledgment_taken
-        ORDER BY T2.entry_time DESC
-    `;
-
-    db.all(query, queryParams, (err, rows) => {
-      if (err) {
-        logger.error("SQL Error in GET /history:", err.message);
-        return res
-          .status(500)
-          .json({ error: "Failed to retrieve historical data." });
-      }
-
-      const results = rows.map((row) => {
-        let dependents = [];
-        const recordId = row.visitor_id || "Unknown";
-
-        if (row.additional_dependents_json) {
-          try {
-            // Ensure we don't have a double-bracket situation
-            let jsonStr = row.additional_dependents_json.trim();
-            if (!jsonStr.startsWith("[")) jsonStr = `[${jsonStr}]`;
-
-            // Replacing any remaining actual newlines with a space before parsing
-            jsonStr = jsonStr.replace(/\n/g, "\\n").replace(/\r/g, "\\r");
-
-            dependents = JSON.parse(jsonStr);
-          } catch (e) {
-            logger.warn(`[ID: ${recordId}] Still failing: ${e.message}`);
-            dependents = [];
-          }
-        }
-
-        return {
-          ...row,
-          photo: row.photo_path
-            ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
-            : null,
-          dependents: dependents,
-          photo_path: undefined,
-          additional_dependents_json: undefined,
-        };
-      });
-      res.json(results);
-    });
   });
 
   return router;
@@ -1,51 +1,66 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createHistoryRouter = require("./display_history");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
 
-// --- Mock Database Setup ---
-const mockDb = new sqlite3.Database(':memory:');
-mockDb.serialize(() => {
-    mockDb.run(`CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        first_name TEXT,
-        last_name TEXT,
-        photo_path TEXT,
-        is_banned BOOLEAN DEFAULT 0
-    )`);
-    mockDb.run(`CREATE TABLE visits (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        visitor_id INTEGER,
-        known_as TEXT,
-        entry_time TEXT NOT NULL,
-        exit_time TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT,
-        reason_for_visit TEXT,
-        company_name TEXT,
-        type TEXT,
-        mandatory_acknowledgment_taken,
-        FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-    )`);
-    mockDb.run(`CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        full_name TEXT,
-        age INTEGER,
-        visit_id INTEGER,
-        FOREIGN KEY (visit_id) REFERENCES visits(id)
-    )`);
+// --- Mock Logger Setup ---
+const loggerMock = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+};
+
+let mockDb;
+let app;
+
+// Runs a statement on the test database
+const runDb = (sql, params = []) => new Promise((resolve, reject) => {
+    mockDb.run(sql, params, (err) => (err ? reject(err) : resolve()));
 });
 
-// Create a mock Express app to test the router
-const app = express();
-app.use(express.json());
-app.use((req, res, next) => {
-    req.protocol = 'http';
-    req.get = (header) => (header === 'host' ? 'test:3001' : null);
-    next();
+// History is restricted to managers and admins, who exchange their session for a history token
+let managerToken;
+let receptionistToken;
+let historyToken;
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+    // The agreements seeded by the migrations are replaced with known versions
+    await runDb(`DELETE FROM agreement_versions`);
+    await runDb(`DELETE FROM agreements`);
+    await runDb(`INSERT INTO agreements (id, name, created_at) VALUES
+        (1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z'),
+        (3, 'Child Agreement & Disclaimer', '2025-01-01T00:00:00.000Z')`);
+    await runDb(`INSERT INTO agreement_versions (id, agreement_id, version, body, published_at) VALUES
+        (1, 1, 1, 'Visitor agreement text.', '2025-01-01T00:00:00.000Z'),
+        (2, 2, 1, 'Contractor briefing text.', '2025-01-01T00:00:00.000Z'),
+        (3, 3, 1, 'Child agreement text.', '2025-01-01T00:00:00.000Z')`);
+    await runDb(`INSERT INTO staff (id, username, display_name, password_hash, role, created_at) VALUES
+        (1, 'manager1', 'Manager One', 'unused', 'manager', '2024-01-01T00:00:00Z'),
+        (2, 'reception1', 'Reception One', 'unused', 'receptionist', '2024-01-01T00:00:00Z')`);
+
+    // Create a mock Express app to test the router
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.protocol = 'http';
+        req.get = (header) => (header === 'host' ? 'test:3001' : null);
+        next();
+    });
+    app.use("/", createHistoryRouter(mockDb, loggerMock));
+
+    ({ token: managerToken } = await createStaffSession(mockDb, 1));
+    ({ token: receptionistToken } = await createStaffSession(mockDb, 2));
+    const response = await request(app)
+        .post('/authorize-history')
+        .set('Authorization', `Bearer ${managerToken}`);
+    historyToken = response.body.history_token;
 });
-app.use("/", createHistoryRouter(mockDb));
+
+// Helper to call GET /history with the manager's history token
+const getHistory = (url) => request(app).get(url).set('X-History-Token', historyToken);
 
 // --- Helper function to insert test data ---
 async function insertTestData() {
@@ -59,7 +74,7 @@ async function insertTestData() {
 
     // Visit 1 for Alice (has dependents)
     const visit1 = await new Promise((resolve, reject) => {
-        mockDb.run(`INSERT INTO visits (visitor_id, entry_time, type, unit) VALUES (?, '2024-05-01T10:00:00Z', 'Personal', 'A101')`, [v1], function(err) {
+        mockDb.run(`INSERT INTO visits (visitor_id, site_id, entry_time, type, unit) VALUES (?, 1, '2024-05-01T10:00:00Z', 'Personal', 'A101')`, [v1], function(err) {
             if (err) return reject(err);
             resolve(this.lastID);
         });
@@ -80,7 +95,7 @@ async function insertTestData() {
     });
     // Visit 2 for Bob
     await new Promise((resolve, reject) => {
-        mockDb.run(`INSERT INTO visits (visitor_id, entry_time, type, unit, exit_time) VALUES (?, '2024-05-02T11:00:00Z', 'Contractor', 'B202', '2024-05-02T12:00:00Z')`, [v2], function(err) {
+        mockDb.run(`INSERT INTO visits (visitor_id, site_id, entry_time, type, unit, exit_time) VALUES (?, 1, '2024-05-02T11:00:00Z', 'Contractor', 'B202', '2024-05-02T12:00:00Z')`, [v2], function(err) {
             if (err) return reject(err);
             resolve(this.lastID);
         });
@@ -94,6 +109,7 @@ afterEach(async () => {
     // Clean up tables
     await new Promise((resolve) => mockDb.run(`DELETE FROM dependents`, resolve));
     await new Promise((resolve) => mockDb.run(`DELETE FROM visits`, resolve));
+    await new Promise((resolve) => mockDb.run(`DELETE FROM visitor_details_history`, resolve));
     await new Promise((resolve) => mockDb.run(`DELETE FROM visitors`, resolve));
 });
 
@@ -107,7 +123,7 @@ afterAll((done) => {
 // --- Test Suite ---
 describe('GET /history', () => {
     test('should retrieve all history records with correct structure and sorting', async () => {
-        const response = await request(app).get('/history');
+        const response = await getHistory('/history');
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveLength(2);
@@ -120,8 +136,8 @@ describe('GET /history', () => {
         const aliceRecord = response.body.find(r => r.first_name === 'Alice');
         expect(aliceRecord.dependents).toHaveLength(2);
         expect(aliceRecord.dependents).toEqual(expect.arrayContaining([
-            { full_name: 'Kid A', age: 5 },
-            { full_name: 'Kid B', age: 8 }
+            { full_name: 'Kid A', age: 5, agreement_version: null },
+            { full_name: 'Kid B', age: 8, agreement_version: null }
         ]));
         
         // Ensure cleanup fields are removed
@@ -131,23 +147,62 @@ describe('GET /history', () => {
         // Check basic fields
         expect(aliceRecord.unit).toBe('A101');
         expect(aliceRecord.is_banned).toBe(0);
+
+        // The view is recorded against the manager who authorized it
+        const event = await new Promise((resolve) =>
+            mockDb.get(`SELECT * FROM audit_events WHERE action = 'history.view' ORDER BY id DESC`, (err, row) => resolve(row)));
+        expect(event.actor).toBe('manager1');
+        expect(JSON.parse(event.after_values).result_count).toBe(2);
+    });
+
+    test('should show each visit with the contact details in force at the time', async () => {
+        // Alice has since moved; her visit was made under version 1 of her details
+        await new Promise((resolve) => mockDb.run(`UPDATE visitors SET address = '9 New Road', details_version = 2 WHERE first_name = 'Alice'`, resolve));
+        await new Promise((resolve) => mockDb.run(`UPDATE visits SET details_version = 1 WHERE unit = 'A101'`, resolve));
+        await new Promise((resolve) => mockDb.run(`INSERT INTO visitor_details_history (visitor_id, version, address, source, changed_at, changed_by)
+            SELECT id, 1, '1 Old Road', 'registration', '2024-05-01T10:00:00Z', 'kiosk' FROM visitors WHERE first_name = 'Alice'`, resolve));
+
+        const response = await getHistory('/history?search=alice');
+
+        expect(response.status).toBe(200);
+        expect(response.body[0].address).toBe('1 Old Road');
+    });
+
+    test('should show the agreement versions accepted and the signature', async () => {
+        await new Promise((resolve) => mockDb.run(
+            `UPDATE visits SET agreement_version_id = 1, signature_path = 'uploads/signatures/signature-1.png' WHERE unit = 'A101'`, resolve));
+        await new Promise((resolve) => mockDb.run(`UPDATE dependents SET agreement_version_id = 3 WHERE full_name = 'Kid A'`, resolve));
+
+        const response = await getHistory('/history');
+
+        const aliceRecord = response.body.find(r => r.first_name === 'Alice');
+        expect(aliceRecord).toEqual(expect.objectContaining({
+            agreement_name: 'Visitor Agreement & Disclaimer',
+            agreement_version: 1,
+            signature: expect.stringMatching(/\/uploads\/signatures\/signature-1\.png$/),
+        }));
+        expect(aliceRecord.signature_path).toBeUndefined();
+        expect(aliceRecord.dependents.find(d => d.full_name === 'Kid A').agreement_version).toBe(1);
+
+        const bobRecord = response.body.find(r => r.first_name === 'Bob');
+        expect(bobRecord).toEqual(expect.objectContaining({ agreement_version: null, signature: null }));
     });
 
     test('should filter records by name search query (case-insensitive)', async () => {
-        const response = await request(app).get('/history?search=alice');
+        const response = await getHistory('/history?search=alice');
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveLength(1);
         expect(response.body[0].first_name).toBe('Alice');
 
-        const response2 = await request(app).get('/history?search=JOHNSON');
+        const response2 = await getHistory('/history?search=JOHNSON');
         expect(response2.status).toBe(200);
         expect(response2.body).toHaveLength(1);
         expect(response2.body[0].first_name).toBe('Bob');
     });
 
     test('should filter records by date range (start_date)', async () => {
-        const response = await request(app).get('/history?start_date=2024-05-02');
+        const response = await getHistory('/history?start_date=2024-05-02');
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveLength(1);
@@ -155,17 +210,121 @@ describe('GET /history', () => {
     });
 
     test('should filter records by date range (end_date)', async () => {
-        const response = await request(app).get('/history?end_date=2024-05-01');
+        const response = await getHistory('/history?end_date=2024-05-01');
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveLength(1);
         expect(response.body[0].first_name).toBe('Alice');
     });
 
+    test('should filter records by site and total them per site', async () => {
+        await new Promise((resolve) => mockDb.run(`INSERT INTO sites (id, name, is_active, created_at) VALUES (2, 'North Centre', 1, '2024-01-01T00:00:00Z')`, resolve));
+        await new Promise((resolve) => mockDb.run(`UPDATE visits SET site_id = 2 WHERE unit = 'B202'`, resolve));
+
+        try {
+            const response = await getHistory('/history?site_id=2');
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0]).toEqual(expect.objectContaining({ first_name: 'Bob', site_id: 2, site_name: 'North Centre' }));
+
+            // Leaving the site out reports across every site
+            const everySite = await getHistory('/history');
+            expect(everySite.body).toHaveLength(2);
+
+            const totals = await getHistory('/history/sites');
+            expect(totals.status).toBe(200);
+            expect(totals.body).toEqual([
+                { site_id: 1, site_name: 'Main Site', visits: 1, visitors: 1, on_site: 1 },
+                { site_id: 2, site_name: 'North Centre', visits: 1, visitors: 1, on_site: 0 },
+            ]);
+        } finally {
+            await new Promise((resolve) => mockDb.run(`DELETE FROM sites WHERE id = 2`, resolve));
+        }
+    });
+
     test('should return empty array if no records match', async () => {
-        const response = await request(app).get('/history?search=nonexistentname');
+        const response = await getHistory('/history?search=nonexistentname');
         
         expect(response.status).toBe(200);
         expect(response.body).toHaveLength(0);
     });
+
+    test('should return 401 when no history token is provided', async () => {
+        const response = await request(app).get('/history');
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe('History access has expired. Please authorize again.');
+    });
+
+    test('should return 401 when only a staff session is provided', async () => {
+        const response = await request(app)
+            .get('/history')
+            .set('Authorization', `Bearer ${managerToken}`);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('should return 401 for a tampered history token', async () => {
+        const [payload, signature] = historyToken.split('.');
+        const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        const forged = Buffer.from(JSON.stringify({ ...decoded, exp: decoded.exp + 3600000 })).toString('base64url');
+
+        const response = await request(app)
+            .get('/history')
+            .set('X-History-Token', `${forged}.${signature}`);
+
+        expect(response.status).toBe(401);
+    });
+
+    test('should return 401 for an expired history token', async () => {
+        const realNow = Date.now;
+        Date.now = () => realNow() + 24 * 60 * 60 * 1000; // One day later
+        try {
+            const response = await getHistory('/history');
+            expect(response.status).toBe(401);
+        } finally {
+            Date.now = realNow;
+        }
+    });
+});
+
+describe('POST /authorize-history', () => {
+    test('should issue a history token to a signed-in manager', async () => {
+        const response = await request(app)
+            .post('/authorize-history')
+            .set('Authorization', `Bearer ${managerToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.history_token).toEqual(expect.any(String));
+        expect(new Date(response.body.expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should reject a receptionist with 403', async () => {
+        const response = await request(app)
+            .post('/authorize-history')
+            .set('Authorization', `Bearer ${receptionistToken}`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('POST /revoke-history-access', () => {
+    test('should stop a revoked token from reading history', async () => {
+        const authorize = await request(app)
+            .post('/authorize-history')
+            .set('Authorization', `Bearer ${managerToken}`);
+        const token = authorize.body.history_token;
+
+        const revoke = await request(app)
+            .post('/revoke-history-access')
+            .set('X-History-Token', token);
+        expect(revoke.status).toBe(200);
+
+        const response = await request(app)
+            .get('/history')
+            .set('X-History-Token', token);
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe('History access has been revoked. Please authorize again.');
+    });
 });
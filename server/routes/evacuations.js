@@ -0,0 +1,247 @@
+const express = require("express");
+const { requireStaffRole, refuseOtherSite, ANY_STAFF, MANAGERS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  PERSON_STATUSES,
+  MAX_EVACUATION_NOTES_LENGTH,
+  listEvacuations,
+  findEvacuation,
+  findActiveEvacuation,
+  listPeople,
+  findPerson,
+  startEvacuation,
+  markPerson,
+  endEvacuation,
+} = require("../evacuations");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { withTransaction } = require("../repository");
+
+// Trims a text field; missing or blank values become null
+function cleanText(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text === "" ? null : text;
+}
+
+/**
+ * Creates and configures a router for evacuation mode: the fire roll call. Staff start
+ * an evacuation at their site, which takes the on-site list as it stands, then tick
+ * each person off as safe at the assembly point, from the kiosk, a phone or a printout.
+ * Any signed-in staff member can run a roll call at their own site; managers review
+ * past ones.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the evacuation endpoints.
+ */
+function createEvacuationsRouter(db, logger) {
+  const router = express.Router();
+
+  // The evacuation with its roll call, as every endpoint returns it
+  const withRollCall = async (evacuation) => ({
+    ...evacuation,
+    people: await listPeople(db, evacuation.id),
+  });
+
+  // Endpoint listing the evacuations of one site (?site_id=), or of every site, newest first
+  router.get("/evacuations", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    const { site_id } = req.query;
+    try {
+      res.status(200).json(await listEvacuations(db, site_id ? Number(site_id) : null));
+    } catch (err) {
+      logger.error("SQL Error fetching evacuations:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint for the evacuation under way at the kiosk's site, with its roll call;
+  // null when there is none
+  router.get("/evacuations/active", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    try {
+      const site = await resolveSite(db, req.query.site_id);
+      if (!site) {
+        logger.warn(`Active evacuation lookup failed: No active site given (400).`);
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+      }
+      if (refuseOtherSite(req, res, logger, site.id)) return;
+      const evacuation = await findActiveEvacuation(db, site.id);
+      res.status(200).json(evacuation ? await withRollCall(evacuation) : null);
+    } catch (err) {
+      logger.error("SQL Error fetching active evacuation:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint for one evacuation with its roll call, under way or ended
+  router.get("/evacuations/:id", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const evacuation = await findEvacuation(db, id);
+      if (!evacuation) {
+        logger.warn(`Evacuation lookup failed: Evacuation ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Evacuation not found." });
+      }
+      if (refuseOtherSite(req, res, logger, evacuation.site_id)) return;
+      res.status(200).json(await withRollCall(evacuation));
+    } catch (err) {
+      logger.error("SQL Error fetching evacuation:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to start an evacuation at a site, taking the roll call from everyone on
+  // site there now. Only one can be under way at a site.
+  router.post("/evacuations", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const body = req.body || {};
+
+    try {
+      const site = await resolveSite(db, body.site_id);
+      if (!site) {
+        logger.warn(`Evacuation start failed: No active site given (400).`);
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+      }
+      if (refuseOtherSite(req, res, logger, site.id)) return;
+      const active = await findActiveEvacuation(db, site.id);
+      if (active) {
+        logger.warn(`Evacuation start failed: Evacuation ID ${active.id} is under way at site ${site.id} (409).`);
+        return res.status(409).json({
+          message: `An evacuation of ${site.name} is already under way.`,
+          id: active.id,
+        });
+      }
+
+      const started_at = new Date().toISOString();
+      const started = await withTransaction(db, async () => {
+        const result = await startEvacuation(db, { site_id: site.id, started_at, started_by: req.staff.username });
+        await recordAuditEvent(db, logger, req, {
+          action: "evacuation.start",
+          after: { evacuation_id: result.id, site_id: site.id, started_at, headcount: result.headcount },
+        });
+        return result;
+      });
+
+      logger.warn(
+        `EVACUATION: Evacuation ID ${started.id} of site ${site.id} started by ${req.staff.username} with ${started.headcount} people on site.`
+      );
+      res.status(201).json({
+        message: `Evacuation of ${site.name} started: ${started.headcount} people on site.`,
+        ...(await withRollCall(await findEvacuation(db, started.id))),
+      });
+    } catch (err) {
+      logger.error("SQL Error starting evacuation:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to mark a person on the roll call safe ({ status: "safe" }), or
+  // unaccounted again after a mistake
+  router.post(
+    "/evacuations/:id/people/:personId",
+    requireStaffRole(db, logger, ANY_STAFF),
+    async (req, res) => {
+      const { id, personId } = req.params;
+      const status = (req.body || {}).status;
+      if (!PERSON_STATUSES.includes(status)) {
+        logger.warn(`Roll call mark failed: Invalid status '${status}' (400).`);
+        return res.status(400).json({ message: `The status must be one of ${PERSON_STATUSES.join(", ")}.` });
+      }
+
+      try {
+        const evacuation = await findEvacuation(db, id);
+        const person = evacuation && (await findPerson(db, evacuation.id, personId));
+        if (!person) {
+          logger.warn(`Roll call mark failed: Person ID ${personId} not on evacuation ID ${id} (404).`);
+          return res.status(404).json({ message: "This person is not on the roll call." });
+        }
+        if (refuseOtherSite(req, res, logger, evacuation.site_id)) return;
+        if (evacuation.ended_at) {
+          logger.warn(`Roll call mark failed: Evacuation ID ${id} has ended (409).`);
+          return res.status(409).json({ message: "This roll call has been completed and can no longer be changed." });
+        }
+
+        const safe = status === "safe";
+        const mark = {
+          status,
+          marked_at: safe ? new Date().toISOString() : null,
+          marked_by: safe ? req.staff.username : null,
+        };
+        await withTransaction(db, async () => {
+          await markPerson(db, person.id, mark);
+          await recordAuditEvent(db, logger, req, {
+            action: "evacuation.mark",
+            visitorId: person.visitor_id,
+            visitId: person.visit_id,
+            before: { status: person.status },
+            after: { evacuation_id: evacuation.id, person_id: person.id, name: person.name, ...mark },
+          });
+        });
+
+        logger.info(`Evacuation ID ${id}: ${person.name} (person ID ${person.id}) marked ${status} by ${req.staff.username}.`);
+        res.status(200).json({
+          message: safe ? `${person.name} is safe.` : `${person.name} is unaccounted for.`,
+          person: { ...person, ...mark },
+        });
+      } catch (err) {
+        logger.error("SQL Error marking roll call:", err.message);
+        res.status(500).json({ error: err.message });
+      }
+    }
+  );
+
+  // Endpoint to complete a roll call. It is kept as it stands, including anyone still
+  // unaccounted for, with optional notes (e.g. who the fire service was told about).
+  router.post("/evacuations/:id/end", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const notes = cleanText((req.body || {}).notes);
+    if (notes && notes.length > MAX_EVACUATION_NOTES_LENGTH) {
+      logger.warn(`Evacuation ID ${id} end failed: Notes too long (400).`);
+      return res.status(400).json({ message: `Notes must be ${MAX_EVACUATION_NOTES_LENGTH} characters or fewer.` });
+    }
+
+    try {
+      const evacuation = await findEvacuation(db, id);
+      if (!evacuation) {
+        logger.warn(`Evacuation end failed: Evacuation ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Evacuation not found." });
+      }
+      if (refuseOtherSite(req, res, logger, evacuation.site_id)) return;
+
+      const end = { ended_at: new Date().toISOString(), ended_by: req.staff.username, notes };
+      const ended = await withTransaction(db, async () => {
+        if ((await endEvacuation(db, evacuation.id, end)) === 0) return false;
+        await recordAuditEvent(db, logger, req, {
+          action: "evacuation.end",
+          after: {
+            evacuation_id: evacuation.id,
+            ...end,
+            headcount: evacuation.headcount,
+            safe_count: evacuation.safe_count,
+          },
+        });
+        return true;
+      });
+      if (!ended) {
+        logger.warn(`Evacuation end failed: Evacuation ID ${id} has already ended (409).`);
+        return res.status(409).json({ message: "This roll call has already been completed." });
+      }
+
+      const unaccounted = evacuation.headcount - evacuation.safe_count;
+      logger.warn(
+        `EVACUATION: Evacuation ID ${id} ended by ${req.staff.username}: ${evacuation.safe_count} of ${evacuation.headcount} safe.`
+      );
+      res.status(200).json({
+        message:
+          unaccounted > 0
+            ? `Roll call completed with ${unaccounted} still unaccounted for.`
+            : `Roll call completed: all ${evacuation.headcount} people are safe.`,
+        ...(await withRollCall(await findEvacuation(db, evacuation.id))),
+      });
+    } catch (err) {
+      logger.error("SQL Error ending evacuation:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEvacuationsRouter;
@@ -0,0 +1,218 @@
+const request = require("supertest");
+const express = require("express");
+const createEvacuationsRouter = require("./evacuations");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createEvacuationsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM evacuation_people`);
+    await runDb(mockDb, `DELETE FROM evacuations`);
+    await runDb(mockDb, `DELETE FROM dependents`);
+    await runDb(mockDb, `DELETE FROM visits`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+// Signs a visitor in at a site directly in the database and returns the visit ID
+const onSite = async (firstName, lastName, { siteId = 1, exitTime = null } = {}) => {
+  const visitor = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES (?, ?)`, [firstName, lastName]);
+  const visit = await runDb(
+    mockDb,
+    `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type, company_name) VALUES (?, ?, '2025-06-02T09:00:00.000Z', ?, 'Plant Room', 'visitor', NULL)`,
+    [visitor.lastID, siteId, exitTime]
+  );
+  return visit.lastID;
+};
+
+describe("Evacuations", () => {
+  test("should take the roll call from everyone on site, dependents included, and keep it once ended", async () => {
+    const parentVisit = await onSite("Sam", "Parent");
+    await runDb(mockDb, `INSERT INTO dependents (full_name, age, visit_id) VALUES ('Kim Parent', 7, ?)`, [parentVisit]);
+    await onSite("Alex", "Adams");
+    await onSite("Gone", "Home", { exitTime: "2025-06-02T10:00:00.000Z" });
+
+    const kiosk = await request(app).post("/evacuations").send({ site_id: 1 });
+    expect(kiosk.status).toBe(401);
+
+    const started = await request(app)
+      .post("/evacuations")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ site_id: 1 });
+    expect(started.status).toBe(201);
+    expect(started.body).toEqual(expect.objectContaining({ site_name: "Main Site", started_by: "reception1", headcount: 3, safe_count: 0, ended_at: null }));
+    expect(started.body.people.map((person) => [person.name, person.accompanied_by, person.status])).toEqual([
+      ["Alex Adams", null, "unaccounted"],
+      ["Sam Parent", null, "unaccounted"],
+      ["Kim Parent", "Sam Parent", "unaccounted"],
+    ]);
+
+    const twice = await request(app)
+      .post("/evacuations")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ site_id: 1 });
+    expect(twice.status).toBe(409);
+    expect(twice.body.id).toBe(started.body.id);
+
+    const kim = started.body.people[2];
+    const marked = await request(app)
+      .post(`/evacuations/${started.body.id}/people/${kim.id}`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ status: "safe" });
+    expect(marked.status).toBe(200);
+    expect(marked.body.person).toEqual(expect.objectContaining({ status: "safe", marked_by: "reception1" }));
+    const invalid = await request(app)
+      .post(`/evacuations/${started.body.id}/people/${kim.id}`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ status: "missing" });
+    expect(invalid.status).toBe(400);
+
+    const active = await request(app)
+      .get("/evacuations/active?site_id=1")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(active.status).toBe(200);
+    expect(active.body).toEqual(expect.objectContaining({ id: started.body.id, headcount: 3, safe_count: 1 }));
+
+    const ended = await request(app)
+      .post(`/evacuations/${started.body.id}/end`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ notes: "Fire service told about two missing." });
+    expect(ended.status).toBe(200);
+    expect(ended.body.message).toBe("Roll call completed with 2 still unaccounted for.");
+    expect(ended.body).toEqual(expect.objectContaining({ ended_by: "reception1", notes: "Fire service told about two missing." }));
+
+    const late = await request(app)
+      .post(`/evacuations/${started.body.id}/people/${started.body.people[0].id}`)
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ status: "safe" });
+    expect(late.status).toBe(409);
+    const none = await request(app)
+      .get("/evacuations/active?site_id=1")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(none.body).toBeNull();
+
+    // The record stands after the visits themselves are gone
+    await runDb(mockDb, `DELETE FROM dependents`);
+    await runDb(mockDb, `DELETE FROM visits`);
+    const record = await request(app)
+      .get(`/evacuations/${started.body.id}`)
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(record.status).toBe(200);
+    expect(record.body.people).toHaveLength(3);
+
+    const end = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'evacuation.end'`);
+    expect(JSON.parse(end.after_values)).toEqual(expect.objectContaining({ headcount: 3, safe_count: 1 }));
+    const mark = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'evacuation.mark'`);
+    expect(mark.visit_id).toBe(parentVisit);
+  });
+
+  test("should only count people signed in at the evacuated site", async () => {
+    await runDb(mockDb, `INSERT OR IGNORE INTO sites (id, name, is_active, created_at) VALUES (2, 'Annex', 1, ?)`, [new Date().toISOString()]);
+    await onSite("Main", "Person");
+    await onSite("Annex", "Person", { siteId: 2 });
+
+    const started = await request(app)
+      .post("/evacuations")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ site_id: 2 });
+    expect(started.status).toBe(201);
+    expect(started.body.people.map((person) => person.name)).toEqual(["Annex Person"]);
+
+    const history = await request(app)
+      .get("/evacuations?site_id=2")
+      .set("Authorization", `Bearer ${receptionToken}`);
+    expect(history.status).toBe(403);
+  });
+
+  test("should keep staff of one site to that site's evacuations, unless they are a manager", async () => {
+    const now = new Date().toISOString();
+    await runDb(mockDb, `INSERT OR IGNORE INTO sites (id, name, is_active, created_at) VALUES (2, 'Annex', 1, ?)`, [now]);
+    const mainReception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, site_id, created_at) VALUES ('main-reception', 'Main Reception', 'unused', 'receptionist', 1, ?)`, [now]);
+    const mainManager = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, site_id, created_at) VALUES ('main-manager', 'Main Manager', 'unused', 'manager', 1, ?)`, [now]);
+    const { token: mainReceptionToken } = await createStaffSession(mockDb, mainReception.lastID);
+    const { token: mainManagerToken } = await createStaffSession(mockDb, mainManager.lastID);
+    await onSite("Annex", "Person", { siteId: 2 });
+
+    const refusedStart = await request(app)
+      .post("/evacuations")
+      .set("Authorization", `Bearer ${mainReceptionToken}`)
+      .send({ site_id: 2 });
+    expect(refusedStart.status).toBe(403);
+    expect(refusedStart.body.message).toBe("You can only do this for your own site.");
+
+    const started = await request(app)
+      .post("/evacuations")
+      .set("Authorization", `Bearer ${mainManagerToken}`)
+      .send({ site_id: 2 });
+    expect(started.status).toBe(201);
+    const { id, people: [person] } = started.body;
+
+    const asReception = (req) => req.set("Authorization", `Bearer ${mainReceptionToken}`);
+    expect((await asReception(request(app).get("/evacuations/active?site_id=2"))).status).toBe(403);
+    expect((await asReception(request(app).get(`/evacuations/${id}`))).status).toBe(403);
+    expect((await asReception(request(app).post(`/evacuations/${id}/people/${person.id}`)).send({ status: "safe" })).status).toBe(403);
+    expect((await asReception(request(app).post(`/evacuations/${id}/end`))).status).toBe(403);
+    const untouched = await getDb(mockDb, `SELECT status FROM evacuation_people WHERE id = ?`, [person.id]);
+    expect(untouched.status).not.toBe("safe");
+
+    // Their own site is open to them
+    expect((await asReception(request(app).get("/evacuations/active?site_id=1"))).status).toBe(200);
+  });
+});
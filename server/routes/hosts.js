@@ -0,0 +1,168 @@
+const express = require("express");
+const { requireStaffRole, ADMINS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  MAX_HOST_FIELD_LENGTH,
+  listHosts,
+  publicHost,
+  findHost,
+  addHost,
+  updateHost,
+} = require("../hosts");
+const { notifyByOptions, NO_NOTIFICATION } = require("../host_notifications");
+const { findUnit } = require("../units");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { withTransaction } = require("../repository");
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+// Trims a text field; missing or blank values become null
+function cleanText(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text === "" ? null : text;
+}
+
+/**
+ * Creates and configures a router for the host directory: the staff and residents at
+ * each site that visitors come to see. The kiosk reads its site's directory, without
+ * anyone's contact details, to offer the host dropdown; only admins see the contact
+ * details or change the directory. A host who has left is retired (is_active = 0).
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the host endpoints.
+ */
+function createHostsRouter(db, logger) {
+  const router = express.Router();
+
+  // Checks a host's name, notification channel and the address it needs, and that
+  // any unit is at the host's site; returns the error message or null
+  const validateHost = async ({ site_id, name, unit_id, notify_by, email, webhook_url }) => {
+    if (!name) return "A host name is required.";
+    if ([name, email, webhook_url].some((value) => value && value.length > MAX_HOST_FIELD_LENGTH)) {
+      return `Host name, email and webhook URL must be ${MAX_HOST_FIELD_LENGTH} characters or fewer.`;
+    }
+    const channels = notifyByOptions();
+    if (!channels.includes(notify_by)) return `Notify by must be one of ${channels.join(", ")}.`;
+    if (email && !EMAIL_PATTERN.test(email)) return "Please give a valid email address.";
+    if (webhook_url && !URL_PATTERN.test(webhook_url)) return "The webhook URL must start with http:// or https://.";
+    if (notify_by === "email" && !email) return "An email address is needed to notify by email.";
+    if (notify_by === "webhook" && !webhook_url) return "A webhook URL is needed to notify by webhook.";
+    if (unit_id) {
+      const unit = await findUnit(db, unit_id);
+      if (!unit || unit.site_id !== site_id) return "Please choose a unit from the list.";
+    }
+    return null;
+  };
+
+  // Endpoint listing the active hosts of one site (?site_id=), or of every site, for
+  // the kiosk's host dropdown
+  router.get("/hosts", async (req, res) => {
+    const { site_id } = req.query;
+    try {
+      const hosts = await listHosts(db, site_id ? Number(site_id) : null);
+      res.status(200).json(hosts.filter((host) => host.is_active).map(publicHost));
+    } catch (err) {
+      logger.error("SQL Error fetching hosts:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint listing the whole directory of one site or every site, active and
+  // retired, with how each host is notified
+  router.get("/hosts/contacts", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { site_id } = req.query;
+    try {
+      res.status(200).json(await listHosts(db, site_id ? Number(site_id) : null));
+    } catch (err) {
+      logger.error("SQL Error fetching host contacts:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to add a host
+  router.post("/hosts", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const body = req.body || {};
+
+    try {
+      const site = await resolveSite(db, body.site_id);
+      if (!site) {
+        logger.warn(`Host creation failed: No active site given (400).`);
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+      }
+
+      const host = {
+        site_id: site.id,
+        name: cleanText(body.name),
+        unit_id: cleanText(body.unit_id),
+        notify_by: cleanText(body.notify_by) || NO_NOTIFICATION,
+        email: cleanText(body.email),
+        webhook_url: cleanText(body.webhook_url),
+      };
+      const invalid = await validateHost(host);
+      if (invalid) {
+        logger.warn(`Host creation failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+
+      host.created_at = new Date().toISOString();
+      await withTransaction(db, async () => {
+        host.id = await addHost(db, host);
+        await recordAuditEvent(db, logger, req, { action: "host.create", after: host });
+      });
+
+      logger.info(`Host ${host.name} (ID ${host.id}) added by ${req.staff.username}.`);
+      res.status(201).json({ message: `Host ${host.name} added.`, id: host.id });
+    } catch (err) {
+      logger.error("SQL Error adding host:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to change, retire or reactivate a host. Only the fields sent are changed;
+  // a host stays at their site. Visits already made keep the name they were made under.
+  router.post("/hosts/:id", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+      const before = await findHost(db, id);
+      if (!before) {
+        logger.warn(`Host update failed: Host ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Host not found." });
+      }
+
+      const after = {
+        ...before,
+        ...(body.name !== undefined && { name: cleanText(body.name) }),
+        ...(body.unit_id !== undefined && { unit_id: cleanText(body.unit_id) }),
+        ...(body.notify_by !== undefined && { notify_by: cleanText(body.notify_by) || NO_NOTIFICATION }),
+        ...(body.email !== undefined && { email: cleanText(body.email) }),
+        ...(body.webhook_url !== undefined && { webhook_url: cleanText(body.webhook_url) }),
+        ...(body.is_active !== undefined && { is_active: body.is_active ? 1 : 0 }),
+      };
+
+      const invalid = await validateHost(after);
+      if (invalid) {
+        logger.warn(`Host ID ${id} update failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+
+      await withTransaction(db, async () => {
+        await updateHost(db, after);
+        await recordAuditEvent(db, logger, req, { action: "host.update", before, after });
+      });
+
+      logger.info(`Host ID ${id} updated by ${req.staff.username}.`);
+      res.status(200).json({ message: `Host ${after.name} updated.` });
+    } catch (err) {
+      logger.error("SQL Error updating host:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHostsRouter;
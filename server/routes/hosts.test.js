@@ -0,0 +1,179 @@
+const request = require("supertest");
+const express = require("express");
+const createHostsRouter = require("./hosts");
+const createLoginRouter = require("./login");
+const { registerChannel } = require("../host_notifications");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let adminToken;
+let receptionToken;
+let sent;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// Host notifications are sent after the sign-in response; waits for the audit event
+const waitForAuditEvent = async (action) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = ?`, [action]);
+        if (event) return event;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return undefined;
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const admin = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('admin1', 'Admin One', 'unused', 'admin', ?)`, [now]);
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: adminToken } = await createStaffSession(mockDb, admin.lastID));
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+    await runDb(mockDb, `INSERT INTO units (id, site_id, name, is_active, created_at) VALUES (1, 1, 'Flat 4', 1, ?)`, [now]);
+
+    // A channel that only records what it was asked to send
+    registerChannel("test", async (host, notification) => {
+        sent.push({ host, notification });
+    });
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createHostsRouter(mockDb, loggerMock));
+    app.use("/", createLoginRouter(mockDb, loggerMock));
+});
+
+beforeEach(() => {
+    sent = [];
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM dependents`);
+    await runDb(mockDb, `DELETE FROM visits`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM hosts`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  registerChannel("test", null);
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+describe("Hosts", () => {
+  test("should let an admin keep the directory and show the kiosk no contact details", async () => {
+    const refused = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ site_id: 1, name: "Sam Resident" });
+    expect(refused.status).toBe(403);
+
+    const noEmail = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ site_id: 1, name: "Sam Resident", notify_by: "email" });
+    expect(noEmail.status).toBe(400);
+    expect(noEmail.body.message).toBe("An email address is needed to notify by email.");
+    const unknownChannel = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ site_id: 1, name: "Sam Resident", notify_by: "pigeon" });
+    expect(unknownChannel.status).toBe(400);
+
+    const created = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ site_id: 1, name: " Sam Resident ", unit_id: 1, notify_by: "email", email: "sam@example.com" });
+    expect(created.status).toBe(201);
+
+    const kiosk = await request(app).get("/hosts?site_id=1");
+    expect(kiosk.status).toBe(200);
+    expect(kiosk.body).toEqual([
+      { id: created.body.id, site_id: 1, name: "Sam Resident", unit_id: 1, unit_name: "Flat 4", is_active: 1 },
+    ]);
+
+    const retired = await request(app)
+      .post(`/hosts/${created.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ is_active: false });
+    expect(retired.status).toBe(200);
+    expect((await request(app).get("/hosts?site_id=1")).body).toEqual([]);
+
+    const contacts = await request(app)
+      .get("/hosts/contacts?site_id=1")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(contacts.body).toEqual([expect.objectContaining({ name: "Sam Resident", email: "sam@example.com", is_active: 0 })]);
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'host.update'`);
+    expect(event.actor).toBe("admin1");
+    expect(JSON.parse(event.after_values).is_active).toBe(0);
+  });
+
+  test("should record the host of a sign-in and notify them through their channel", async () => {
+    const now = new Date().toISOString();
+    const { lastID: hostId } = await runDb(mockDb, `INSERT INTO hosts (site_id, name, notify_by, created_at) VALUES (1, 'Sam Resident', 'test', ?)`, [now]);
+    const { lastID: visitorId } = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Vic', 'Visitor')`);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, unit_id, type) VALUES (?, 1, '2025-06-01T09:00:00.000Z', '2025-06-01T10:00:00.000Z', 'Flat 4', 1, 'visitor')`, [visitorId]);
+
+    const unknown = await request(app).post("/login").send({ id: visitorId, site_id: 1, host_id: 999 });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe("Please choose a host from the directory.");
+
+    const response = await request(app).post("/login").send({ id: visitorId, site_id: 1, host_id: hostId });
+    expect(response.status).toBe(200);
+    const visit = await getDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ? AND exit_time IS NULL`, [visitorId]);
+    expect(visit).toEqual(expect.objectContaining({ host_id: hostId, host_name: "Sam Resident" }));
+
+    const event = await waitForAuditEvent("visit.host_notify");
+    expect(event.visit_id).toBe(visit.id);
+    expect(JSON.parse(event.after_values)).toEqual({ host_id: hostId, channel: "test", status: "sent" });
+    expect(sent).toHaveLength(1);
+    expect(sent[0].host.id).toBe(hostId);
+    expect(sent[0].notification.subject).toBe("Your visitor Vic Visitor has arrived");
+    expect(sent[0].notification.data).toEqual(expect.objectContaining({
+      event: "visitor.arrived",
+      visitor: { id: visitorId, name: "Vic Visitor" },
+      visit_id: visit.id,
+      site: "Main Site",
+      unit: "Flat 4",
+    }));
+  });
+});
@@ -1,7 +1,7 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createLoginRouter = require("./login");
+const { initializeDatabase } = require("../db_management");
 
 // Global variables for the mock environment
 let mockDb;
@@ -38,7 +38,8 @@ const allDb = (db, sql, params = []) => {
 
 // --- Test Setup and Teardown ---
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(':memory:');
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 1. Initialize the logger mock
     loggerMock = {
@@ -47,35 +48,22 @@ beforeAll(async () => {
         error: jest.fn(),
     };
 
-    // 2. Create tables
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT,
-        is_banned INTEGER DEFAULT 0
-    )`);
-    await runDb(mockDb, `CREATE TABLE visits (
-        id INTEGER PRIMARY KEY,
-        visitor_id INTEGER NOT NULL,
-        entry_time TEXT NOT NULL,
-        exit_time TEXT,
-        known_as TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT,
-        reason_for_visit TEXT,
-        type TEXT,
-        company_name TEXT,
-        mandatory_acknowledgment_taken TEXT,
-        FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-    )`);
-    await runDb(mockDb, `CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY,
-        visit_id INTEGER NOT NULL,
-        full_name TEXT NOT NULL,
-        age INTEGER,
-        FOREIGN KEY (visit_id) REFERENCES visits(id)
-    )`);
+    // 2. Replace the visitor types and agreements seeded by the migrations with known ones
+    await runDb(mockDb, `DELETE FROM visitor_types`);
+    await runDb(mockDb, `DELETE FROM agreement_versions`);
+    await runDb(mockDb, `DELETE FROM agreements`);
+    await runDb(mockDb, `INSERT INTO visitor_types (id, code, name, company_field, address_field, allows_dependents, agreement, created_at) VALUES
+        (1, 'visitor', 'Guest', 'hidden', 'optional', 1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'contractor', 'Contractor', 'required', 'hidden', 0, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO agreements (id, name, created_at) VALUES
+        (1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z'),
+        (3, 'Child Agreement & Disclaimer', '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO agreement_versions (id, agreement_id, version, body, published_at) VALUES
+        (1, 1, 1, 'Visitor agreement text.', '2025-01-01T00:00:00.000Z'),
+        (2, 2, 1, 'Contractor briefing text.', '2025-01-01T00:00:00.000Z'),
+        (3, 3, 1, 'Child agreement text.', '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO units (id, site_id, name, is_active, created_at) VALUES (1, 1, 'A101', 1, '2025-01-01T00:00:00.000Z')`);
 
     // 3. Create a mock Express app and inject dependencies
     app = express();
@@ -83,10 +71,12 @@ beforeAll(async () => {
     app.use("/", createLoginRouter(mockDb, loggerMock));
 });
 
-
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM bans`);
+    await runDb(mockDb, `DELETE FROM unit_restrictions`);
     await runDb(mockDb, `DELETE FROM dependents`);
+    await runDb(mockDb, `DELETE FROM visitor_details_history`);
     await runDb(mockDb, `DELETE FROM visits`);
     await runDb(mockDb, `DELETE FROM visitors`);
     loggerMock.info.mockClear();
@@ -118,21 +108,26 @@ describe('POST /login', () => {
 
   // --- Helper to Insert a Test Visitor and Visit ---
   const setupVisitorWithHistory = async (isBanned = 0) => {
-    // 1. Create Visitor
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('John', 'Smith', ?)`, [isBanned]);
+    // 1. Create Visitor with the current (second) version of their contact details
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned, known_as, address, phone_number, details_version) VALUES ('John', 'Smith', ?, 'John Smith', '123 Main St', '555-1234', 2)`, [isBanned]);
     const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `
+      INSERT INTO visitor_details_history (visitor_id, version, known_as, address, phone_number, source, changed_at, changed_by)
+      VALUES (?, 1, 'Old Known', 'Old Address', NULL, 'registration', '2025-01-01T10:00:00.000Z', 'kiosk'),
+             (?, 2, 'John Smith', '123 Main St', '555-1234', 'sign_in', '2025-10-30T10:00:00.000Z', 'kiosk')`,
+      [visitorId, visitorId]);
 
     // 2. Insert Old Visit (to ensure the latest one is picked)
     await runDb(mockDb, `
-      INSERT INTO visits (visitor_id, entry_time, known_as, address, type) 
-      VALUES (?, ?, ?, ?, ?)`, 
-      [visitorId, '2025-01-01T10:00:00.000Z', 'Old Known', 'Old Address', 'Delivery']);
+      INSERT INTO visits (visitor_id, entry_time, exit_time, details_version, type, unit) 
+      VALUES (?, ?, ?, ?, ?, 'A101')`, 
+      [visitorId, '2025-01-01T10:00:00.000Z', '2025-01-01T11:00:00.000Z', 1, 'Delivery']);
 
     // 3. Insert Latest Visit with full details and dependents (this data should be inherited)
     const latestVisitResult = await runDb(mockDb, `
-      INSERT INTO visits (visitor_id, entry_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken) 
+      INSERT INTO visits (visitor_id, entry_time, exit_time, details_version, unit, unit_id, reason_for_visit, type, company_name, mandatory_acknowledgment_taken) 
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, 
-      [visitorId, '2025-10-30T10:00:00.000Z', 'John Smith', '123 Main St', '555-1234', 'A101', 'Meeting', 'Guest', 'Google', 'Yes']);
+      [visitorId, '2025-10-30T10:00:00.000Z', '2025-10-30T11:00:00.000Z', 2, 'A101', 1, 'Meeting', 'Guest', 'Google', 'Yes']);
     const latestVisitId = latestVisitResult.lastID;
 
     // 4. Insert Dependents for the latest visit
@@ -172,7 +167,8 @@ describe('POST /login', () => {
     
     const newVisitRecord = newVisits[0];
     expect(newVisitRecord.entry_time).toBe(mockEntryTime);
-    expect(newVisitRecord.known_as).toBe('John Smith'); // Should be inherited
+    expect(newVisitRecord.details_version).toBe(2); // The profile's current details, not a copy
+    expect(newVisitRecord.unit_id).toBe(1);
     
     const newVisitId = newVisitRecord.id;
 
@@ -186,7 +182,7 @@ describe('POST /login', () => {
     expect(loggerMock.info.mock.calls[0][0]).toMatch(`SUCCESS: Visitor ID ${visitorId} signed in successfully. New Visit ID: ${newVisitId}.`);
   });
 
-  test('should successfully log in a visitor with no previous visit history (using nulls/defaults)', async () => {
+  test('should refuse a visitor with no previous visit to repeat', async () => {
     // 1. Create a brand new visitor with no visits or dependents
     const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('New', 'Guest')`);
     const visitorId = visitorResult.lastID;
@@ -196,22 +192,37 @@ describe('POST /login', () => {
       .post('/login')
       .send({ id: visitorId });
 
-    expect(response.status).toBe(200);
-    
-    const vData = response.body.visitorData;
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/no previous visit to repeat/);
 
-    // 3. Verify response data uses defaults (null or '--')
-    expect(vData.known_as).toBeNull(); // known_as should be null/undefined since it comes from visits
-    expect(vData.unit).toBeNull();
-    expect(vData.dependents).toHaveLength(0);
+    // 3. Verify no visit was recorded
+    const newVisitRecord = await getDb(mockDb, `SELECT id FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(newVisitRecord).toBeUndefined();
+    expect(loggerMock.info).not.toHaveBeenCalled();
+  });
 
-    // 4. Verify database state (New Visit Inserted with nulls)
-    const newVisitRecord = await getDb(mockDb, `SELECT known_as, entry_time FROM visits WHERE visitor_id = ?`, [visitorId]);
-    expect(newVisitRecord.entry_time).toBe(mockEntryTime);
-    expect(newVisitRecord.known_as).toBeNull(); // Should be inserted as null
-    
-    // 5. Verify logging
-    expect(loggerMock.info).toHaveBeenCalledTimes(1);
+  test('should expect the visit to last the length given, or the visitor type\'s usual length', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Timed', 'Guest')`);
+    const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, unit_id, type) VALUES (?, '2025-10-30T10:00:00.000Z', '2025-10-30T11:00:00.000Z', 'A101', 1, 'visitor')`, [visitorId]);
+    await runDb(mockDb, `UPDATE visitor_types SET default_duration_minutes = 120 WHERE code = 'visitor'`);
+
+    try {
+      const usual = await request(app).post('/login').send({ id: visitorId });
+      expect(usual.status).toBe(200);
+      await runDb(mockDb, `UPDATE visits SET exit_time = ? WHERE visitor_id = ? AND exit_time IS NULL`, [mockEntryTime, visitorId]);
+      const given = await request(app).post('/login').send({ id: visitorId, expected_duration_minutes: '45' });
+      expect(given.status).toBe(200);
+      await runDb(mockDb, `UPDATE visits SET exit_time = ? WHERE visitor_id = ? AND exit_time IS NULL`, [mockEntryTime, visitorId]);
+      const invalid = await request(app).post('/login').send({ id: visitorId, expected_duration_minutes: 0 });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe("The expected visit length must be a whole number of minutes up to 1440.");
+
+      const newVisits = await allDb(mockDb, `SELECT expected_duration_minutes FROM visits WHERE visitor_id = ? AND entry_time = ? ORDER BY id`, [visitorId, mockEntryTime]);
+      expect(newVisits.map((visit) => visit.expected_duration_minutes)).toEqual([120, 45]);
+    } finally {
+      await runDb(mockDb, `UPDATE visitor_types SET default_duration_minutes = NULL WHERE code = 'visitor'`);
+    }
   });
 
   // --- Failure Tests (400, 403, 404) ---
@@ -256,6 +267,182 @@ describe('POST /login', () => {
     expect(loggerMock.info).not.toHaveBeenCalled(); // Ensure no sign-in occurs
   });
 
+  test('should return 409 if the visitor is already signed in, without opening a second visit', async () => {
+    const { visitorId } = await setupVisitorWithHistory();
+
+    const first = await request(app).post('/login').send({ id: visitorId });
+    expect(first.status).toBe(200);
+    const second = await request(app).post('/login').send({ id: visitorId });
+
+    expect(second.status).toBe(409);
+    expect(second.body).toEqual({ message: "John Smith is already signed in. Please sign them out before signing them in again." });
+    const openVisits = await allDb(mockDb, `SELECT id FROM visits WHERE visitor_id = ? AND exit_time IS NULL`, [visitorId]);
+    expect(openVisits).toHaveLength(1);
+    expect(loggerMock.warn.mock.calls[0][0]).toMatch(`Login of visitor ID ${visitorId} refused: Already signed in (visit ID ${openVisits[0].id}) (409).`);
+  });
+
+  test('should lift an expired ban and let the visitor sign in', async () => {
+    const { visitorId } = await setupVisitorWithHistory(1);
+    // The mocked "now" is 2025-11-02, so this ban ran out the day before
+    await runDb(mockDb, `INSERT INTO bans (visitor_id, category, issued_by, starts_at, expires_at) VALUES (?, 'other', 'reception1', '2025-10-01T00:00:00.000Z', '2025-11-01T00:00:00.000Z')`, [visitorId]);
+
+    const response = await request(app)
+      .post('/login')
+      .send({ id: visitorId });
+
+    expect(response.status).toBe(200);
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE visitor_id = ?`, [visitorId]);
+    expect(ban.lifted_by).toBe('system');
+    expect(ban.lift_reason).toBe('Ban expired.');
+  });
+
+  test('should hold the sign-in with a watchlist warning when the details match a banned visitor', async () => {
+    const { visitorId } = await setupVisitorWithHistory();
+    // A banned profile under a slightly different name, with the same phone number
+    const banned = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jon', 'Smyth', 1)`);
+    await runDb(mockDb, `INSERT INTO visitor_details_history (visitor_id, version, phone_number, source, changed_at, changed_by) VALUES (?, 1, ?, 'registration', ?, 'kiosk')`,
+      [banned.lastID, '555 1234', '2025-06-01T10:00:00.000Z']);
+
+    const warning = await request(app)
+      .post('/login')
+      .send({ id: visitorId });
+
+    expect(warning.status).toBe(409);
+    expect(warning.body.watchlist_matches).toEqual([
+      expect.objectContaining({ visitor_id: banned.lastID, matched_on: ['name', 'phone_number'] }),
+    ]);
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(2); // Nothing signed in yet
+
+    // Staff checked the match and go ahead
+    const response = await request(app)
+      .post('/login')
+      .send({ id: visitorId, watchlist_acknowledged: true });
+
+    expect(response.status).toBe(200);
+    const event = await getDb(mockDb, `SELECT after_values FROM audit_events WHERE action = 'visit.sign_in' AND visitor_id = ? ORDER BY id DESC`, [visitorId]);
+    expect(JSON.parse(event.after_values).watchlist_override).toEqual([banned.lastID]);
+  });
+
+  test('should refuse the sign-in with a 403 when the visitor may not visit their unit', async () => {
+    const { visitorId } = await setupVisitorWithHistory();
+    // The latest visit was to A101; the restriction is written differently
+    await runDb(mockDb, `INSERT INTO unit_restrictions (visitor_id, unit, reason, created_by, created_at) VALUES (?, 'Unit a-101', 'Resident request', 'manager1', '2025-10-31T10:00:00.000Z')`, [visitorId]);
+
+    const response = await request(app)
+      .post('/login')
+      .send({ id: visitorId });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({
+      message: 'This visitor may not visit unit Unit a-101 (Resident request). Please check with a manager.',
+      restricted_unit: 'Unit a-101',
+    });
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(2); // No new visit
+  });
+
+  test('should refuse the sign-in with a 409 when the last unit visited has been retired', async () => {
+    const { visitorId } = await setupVisitorWithHistory();
+    await runDb(mockDb, `UPDATE units SET is_active = 0 WHERE id = 1`);
+
+    const response = await request(app)
+      .post('/login')
+      .send({ id: visitorId });
+    await runDb(mockDb, `UPDATE units SET is_active = 1 WHERE id = 1`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/Unit A101 is no longer in use/);
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(2); // No new visit
+  });
+
+  test('should sign the visitor in at the site sent and refuse a unit at another site', async () => {
+    const { visitorId } = await setupVisitorWithHistory();
+    await runDb(mockDb, `INSERT INTO sites (id, name, is_active, created_at) VALUES (2, 'North Centre', 1, '2025-01-01T00:00:00.000Z')`);
+
+    try {
+      // With two sites open, the kiosk has to say which it is at
+      const noSite = await request(app).post('/login').send({ id: visitorId });
+      expect(noSite.status).toBe(400);
+      expect(noSite.body.message).toBe('Please choose a site.');
+
+      const elsewhere = await request(app).post('/login').send({ id: visitorId, site_id: 2 });
+      expect(elsewhere.status).toBe(409);
+      expect(elsewhere.body.message).toBe("Unit A101 is not at North Centre. Please update the visitor's details and choose a unit here.");
+
+      const here = await request(app).post('/login').send({ id: visitorId, site_id: 1 });
+      expect(here.status).toBe(200);
+      const visit = await getDb(mockDb, `SELECT site_id FROM visits WHERE visitor_id = ? ORDER BY id DESC LIMIT 1`, [visitorId]);
+      expect(visit.site_id).toBe(1);
+    } finally {
+      await runDb(mockDb, `DELETE FROM sites WHERE id = 2`);
+    }
+  });
+
+  test('should record the current agreement versions and refuse text that has since changed', async () => {
+    const { visitorId, latestVisitId } = await setupVisitorWithHistory();
+    await runDb(mockDb, `UPDATE visits SET type = 'visitor' WHERE id = ?`, [latestVisitId]);
+    await runDb(mockDb, `INSERT INTO agreement_versions (id, agreement_id, version, body, published_at) VALUES (4, 1, 2, 'New visitor agreement text.', '2025-06-01T00:00:00.000Z')`);
+
+    try {
+      const outdated = await request(app).post('/login').send({ id: visitorId, agreement_version_id: 1 });
+      expect(outdated.status).toBe(409);
+      expect(outdated.body.message).toBe('The Visitor Agreement & Disclaimer has changed since it was shown (it is now version 2). Please ask the visitor to read the current version.');
+
+      const response = await request(app).post('/login').send({ id: visitorId, agreement_version_id: 4, child_agreement_version_id: 3 });
+      expect(response.status).toBe(200);
+      const visit = await getDb(mockDb, `SELECT id, agreement_version_id, signature_path FROM visits WHERE visitor_id = ? ORDER BY id DESC LIMIT 1`, [visitorId]);
+      expect(visit).toEqual(expect.objectContaining({ agreement_version_id: 4, signature_path: null }));
+      const kids = await allDb(mockDb, `SELECT agreement_version_id FROM dependents WHERE visit_id = ?`, [visit.id]);
+      expect(kids).toEqual([{ agreement_version_id: 3 }, { agreement_version_id: 3 }]);
+    } finally {
+      await runDb(mockDb, `DELETE FROM agreement_versions WHERE id = 4`);
+    }
+  });
+
+  test('should refuse a contractor whose H&S briefing is outstanding and warn when a new version is unsigned', async () => {
+    const { visitorId, latestVisitId } = await setupVisitorWithHistory();
+    await runDb(mockDb, `UPDATE visits SET type = 'contractor' WHERE visitor_id = ?`, [visitorId]);
+    await runDb(mockDb, `UPDATE agreements SET valid_for_days = 365, enforcement = 'block' WHERE id = 2`);
+
+    try {
+      const neverSigned = await request(app).post('/login').send({ id: visitorId });
+      expect(neverSigned.status).toBe(409);
+      expect(neverSigned.body.message).toBe('The Contractor H&S and Site Risk Assessment has not been signed yet. Please ask the visitor to read and accept the current version before signing in.');
+      expect(neverSigned.body.outstanding_agreement).toEqual(expect.objectContaining({ agreement_id: 2, outstanding: 'never_signed', enforcement: 'block' }));
+
+      // Signed 400 days before the (mocked) sign-in time
+      await runDb(mockDb, `UPDATE visits SET agreement_version_id = 2, entry_time = '2024-09-28T09:30:00.000Z' WHERE id = ?`, [latestVisitId]);
+      const expired = await request(app).post('/login').send({ id: visitorId });
+      expect(expired.status).toBe(409);
+      expect(expired.body.outstanding_agreement.outstanding).toBe('expired');
+
+      // Accepting the current version at the desk lets them in, and counts from today
+      const renewed = await request(app).post('/login').send({ id: visitorId, agreement_version_id: 2 });
+      expect(renewed.status).toBe(200);
+      expect(renewed.body.agreement_warning).toBeUndefined();
+      await runDb(mockDb, `UPDATE visits SET exit_time = ? WHERE visitor_id = ? AND exit_time IS NULL`, [mockEntryTime, visitorId]);
+      const again = await request(app).post('/login').send({ id: visitorId });
+      expect(again.status).toBe(200);
+      await runDb(mockDb, `UPDATE visits SET exit_time = ? WHERE visitor_id = ? AND exit_time IS NULL`, [mockEntryTime, visitorId]);
+
+      // A new version only warns once the agreement is set to warn
+      await runDb(mockDb, `INSERT INTO agreement_versions (id, agreement_id, version, body, published_at) VALUES (5, 2, 2, 'New briefing text.', '2025-06-01T00:00:00.000Z')`);
+      await runDb(mockDb, `UPDATE agreements SET enforcement = 'warn' WHERE id = 2`);
+      const warned = await request(app).post('/login').send({ id: visitorId });
+      expect(warned.status).toBe(200);
+      expect(warned.body.agreement_warning).toBe('The Contractor H&S and Site Risk Assessment has changed since version 1 was signed (it is now version 2).');
+      const event = await getDb(mockDb, `SELECT after_values FROM audit_events WHERE action = 'visit.sign_in' AND visitor_id = ? ORDER BY id DESC`, [visitorId]);
+      expect(JSON.parse(event.after_values).agreement_outstanding).toBe('new_version');
+    } finally {
+      await runDb(mockDb, `DELETE FROM agreement_versions WHERE id = 5`);
+      await runDb(mockDb, `UPDATE agreements SET valid_for_days = NULL, enforcement = 'warn' WHERE id = 2`);
+    }
+  });
+
   // --- Error Tests (500) ---
 
   test('should return 500 on SQL error during the initial SELECT lookup', async () => {
@@ -312,4 +499,34 @@ describe('POST /login', () => {
     expect(loggerMock.error.mock.calls[0][0]).toMatch(/SQL Error inserting new visit/);
     expect(loggerMock.info).not.toHaveBeenCalled();
   });
+
+  test('should roll back the new visit when copying a dependent fails', async () => {
+    const { visitorId } = await setupVisitorWithHistory();
+    const visitsBefore = await allDb(mockDb, `SELECT id FROM visits WHERE visitor_id = ?`, [visitorId]);
+    const signInsBefore = await allDb(mockDb, `SELECT id FROM audit_events WHERE action = 'visit.sign_in'`);
+
+    // Fail the second dependent, after the visit and first dependent are inserted
+    const originalDbRun = mockDb.run;
+    let dependentInserts = 0;
+    mockDb.run = jest.fn(function(sql, params, callback) {
+        if (sql.includes('INSERT INTO dependents') && ++dependentInserts === 2) {
+            callback(new Error('Mock DEPENDENT INSERT error'));
+        } else {
+            originalDbRun.apply(this, [sql, params, callback]);
+        }
+    });
+
+    const response = await request(app).post(`/login`).send({ id: visitorId });
+    mockDb.run = originalDbRun;
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toMatch(/Mock DEPENDENT INSERT error/);
+
+    // Neither the visit nor the first dependent was kept
+    const visitsAfter = await allDb(mockDb, `SELECT id FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visitsAfter).toHaveLength(visitsBefore.length);
+    const signIns = await allDb(mockDb, `SELECT id FROM audit_events WHERE action = 'visit.sign_in'`);
+    expect(signIns).toHaveLength(signInsBefore.length);
+    expect(loggerMock.error.mock.calls[0][0]).toMatch(/SQL Error inserting new visit/);
+  });
 });
\ No newline at end of file
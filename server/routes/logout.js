@@ -1,4 +1,6 @@
 const express = require("express");
+const { recordAuditEvent } = require("../audit_trail");
+const { withTransaction, visits } = require("../repository");
 
 /**
  * Creates and configures a router for handling visitor sign-out.
@@ -11,18 +13,13 @@ function createLogoutRouter(db,logger) {
   const router = express.Router();
 
   // Endpoint to log out a visitor by setting their exit time
-  router.post("/exit-visitor/:id", (req, res) => {
+  router.post("/exit-visitor/:id", async (req, res) => {
     const { id } = req.params;
     const exit_time = new Date().toISOString();
 
-    // Find the single active visit to update for this visitor
-    const findSql =
-      "SELECT T1.id AS visit_id, T2.first_name, T2.last_name FROM visits T1 JOIN visitors T2 ON T1.visitor_id = T2.id WHERE T1.visitor_id = ? AND T1.exit_time IS NULL ORDER BY T1.entry_time DESC LIMIT 1";
-    db.get(findSql, [id], (err, row) => {
-      if (err) {
-        logger.error("SQL Error in exit-visitor:", err.message);
-        return res.status(500).json({ error: err.message });
-      }
+    try {
+      // Find the single active visit to update for this visitor
+      const row = await visits.findActive(db, id);
 
       // If no active visit is found, return a 404
       if (!row) {
@@ -32,19 +29,26 @@ function createLogoutRouter(db,logger) {
           .json({ message: "Visitor not found or already signed out." });
       }
 
-      const updateSql = `UPDATE visits SET exit_time = ? WHERE id = ?`;
-      db.run(updateSql, [exit_time, row.visit_id], function (err) {
-        if (err) {
-          logger.error("SQL Error in exit-visitor:", err.message);
-          return res.status(500).json({ error: err.message });
-        }
-        const fullName = `${row.first_name} ${row.last_name}`;
-        logger.info(`SUCCESS: Visitor ${fullName} (ID ${id}) signed out Visit ID ${row.visit_id}.`);
-        res
-          .status(200)
-          .json({ message: `${fullName} has been successfully signed out.` });
+      await withTransaction(db, async () => {
+        await visits.signOut(db, row.visit_id, exit_time);
+        await recordAuditEvent(db, logger, req, {
+          action: "visit.sign_out",
+          visitorId: Number(id),
+          visitId: row.visit_id,
+          before: { exit_time: null },
+          after: { exit_time },
+        });
       });
-    });
+
+      const fullName = `${row.first_name} ${row.last_name}`;
+      logger.info(`SUCCESS: Visitor ${fullName} (ID ${id}) signed out Visit ID ${row.visit_id}.`);
+      res
+        .status(200)
+        .json({ message: `${fullName} has been successfully signed out.` });
+    } catch (err) {
+      logger.error("SQL Error in exit-visitor:", err.message);
+      res.status(500).json({ error: err.message });
+    }
   });
 
   return router;
@@ -1,7 +1,7 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createLogoutRouter = require("./logout");
+const { initializeDatabase } = require("../db_management");
 
 // Global variables for the mock environment
 let mockDb;
@@ -31,7 +31,8 @@ const getDb = (db, sql, params = []) => {
 
 // --- Test Setup and Teardown ---
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(':memory:');
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 1. Initialize the logger mock
     loggerMock = {
@@ -40,30 +41,16 @@ beforeAll(async () => {
         error: jest.fn(),
     };
 
-    // 2. Create tables
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT
-    )`);
-    await runDb(mockDb, `CREATE TABLE visits (
-        id INTEGER PRIMARY KEY,
-        visitor_id INTEGER NOT NULL,
-        entry_time TEXT NOT NULL,
-        exit_time TEXT,
-        FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-    )`);
-
-    // 3. Create a mock Express app and inject dependencies
+    // 2. Create a mock Express app and inject dependencies
     app = express();
     app.use(express.json());
     // Pass the loggerMock
     app.use("/", createLogoutRouter(mockDb, loggerMock));
 });
 
-
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM audit_events`);
     await runDb(mockDb, `DELETE FROM visits`);
     await runDb(mockDb, `DELETE FROM visitors`);
     loggerMock.info.mockClear();
@@ -97,7 +84,7 @@ describe('POST /exit-visitor/:id', () => {
   const setupVisitorAndVisit = async (firstName, lastName, exitTime = null, entryTime = '2025-11-01T10:00:00.000Z') => {
     const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES (?, ?)`, [firstName, lastName]);
     const visitorId = visitorResult.lastID;
-    const visitResult = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, ?)`, [visitorId, entryTime, exitTime]);
+    const visitResult = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) VALUES (?, ?, ?, 'A101', 'visitor')`, [visitorId, entryTime, exitTime]);
     const visitId = visitResult.lastID;
     return { visitorId, visitId, fullName: `${firstName} ${lastName}` };
   };
@@ -109,15 +96,14 @@ describe('POST /exit-visitor/:id', () => {
     const { visitorId, fullName } = await setupVisitorAndVisit('John', 'Doe');
     
     // Insert an earlier, closed visit
-    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, ?)`, 
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) VALUES (?, ?, ?, 'A101', 'visitor')`, 
       [visitorId, '2025-10-31T09:00:00.000Z', '2025-10-31T11:00:00.000Z']);
 
     // Insert the active visit (most recent one to be logged out)
-    const activeVisitResult = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, ?)`, 
+    const activeVisitResult = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, unit, type) VALUES (?, ?, ?, 'A101', 'visitor')`, 
       [visitorId, '2025-11-01T14:00:00.000Z', null]);
     const activeVisitId = activeVisitResult.lastID;
 
-
     // 2. Send the request
     const response = await request(app).post(`/exit-visitor/${visitorId}`);
 
@@ -131,6 +117,12 @@ describe('POST /exit-visitor/:id', () => {
     // 4. Verify logging
     expect(loggerMock.info).toHaveBeenCalledTimes(1);
     expect(loggerMock.info.mock.calls[0][0]).toMatch(`SUCCESS: Visitor ${fullName} (ID ${visitorId}) signed out Visit ID ${activeVisitId}.`);
+
+    // 5. Verify the audit trail
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE visit_id = ?`, [activeVisitId]);
+    expect(event.action).toBe('visit.sign_out');
+    expect(event.actor).toBe('kiosk');
+    expect(JSON.parse(event.after_values)).toEqual({ exit_time: mockExitTime });
   });
 
   // --- Failure Tests (404) ---
@@ -1,7 +1,10 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createAuditRouter = require("./audit_logs"); 
+const { createStaffSession } = require("../auth/staff_auth");
+const { appendAuditLog } = require("../audit_log_chain");
+const { recordAuditEvent } = require("../audit_trail");
+const { initializeDatabase } = require("../db_management");
 
 // Global variables for the mock environment
 let mockDb;
@@ -18,9 +21,28 @@ const runDb = (db, sql, params = []) => {
     });
 };
 
+// Helper function to promisify db.all
+const allDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+};
+
+// Helper to insert an audit event directly
+const insertEvent = (action, actor, occurredAt, visitorId = null) =>
+    runDb(mockDb, `INSERT INTO audit_events (occurred_at, actor, action, visitor_id, after_values) VALUES (?, ?, ?, ?, ?)`,
+        [occurredAt, actor, action, visitorId, JSON.stringify({ note: action })]);
+
+let managerToken;
+let receptionistToken;
+
 // Setup
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(":memory:");
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
     
     // Initialize the logger mock
     loggerMock = {
@@ -31,17 +53,12 @@ beforeAll(async () => {
     };
 
     // Create the required table
-    await runDb(mockDb, `
-        CREATE TABLE audit_logs (
-            id INTEGER PRIMARY KEY,
-            event_name TEXT NOT NULL,
-            timestamp TEXT NOT NULL,
-            status TEXT NOT NULL,
-            profiles_deleted INTEGER,
-            visits_deleted INTEGER,
-            dependents_deleted INTEGER
-        )
-    `);
+
+    await runDb(mockDb, `INSERT INTO visitors (id, first_name, last_name) VALUES (7, 'Alice', 'Smith'), (8, 'Bob', 'Jones')`);
+    await runDb(mockDb, `INSERT INTO staff (id, username, display_name, password_hash, role, created_at) VALUES (1, 'manager1', 'Manager One', 'x', 'manager', '2025-01-01')`);
+    await runDb(mockDb, `INSERT INTO staff (id, username, display_name, password_hash, role, created_at) VALUES (2, 'reception1', 'Reception One', 'x', 'receptionist', '2025-01-01')`);
+    ({ token: managerToken } = await createStaffSession(mockDb, 1));
+    ({ token: receptionistToken } = await createStaffSession(mockDb, 2));
 
     // Initialize the Express app and router
     app = express();
@@ -53,6 +70,7 @@ beforeAll(async () => {
 // Clean up
 afterEach(async () => {
     await runDb(mockDb, "DELETE FROM audit_logs");
+    await runDb(mockDb, "DELETE FROM audit_events");
     loggerMock.info.mockClear();
     loggerMock.error.mockClear();
 });
@@ -73,41 +91,30 @@ describe("Audit Log Endpoint Integration Test", () => {
         status: "ERROR",
     };
 
-    test("POST /api/audit/log-error should insert a new entry into audit_logs table", async () => {
-        // 1. Ensure the table is empty
-        let logs = await new Promise((resolve, reject) => {
-            mockDb.all("SELECT * FROM audit_logs", (err, rows) => {
-                if (err) return reject(err);
-                resolve(rows);
-            });
-        });
-        expect(logs).toHaveLength(0);
-
-        // 2. Perform the POST request
+    test("POST /api/audit/log-error should record a client.error audit event", async () => {
+        // 1. Perform the POST request
         const response = await request(app)
             .post('/api/audit/log-error')
             .send(testErrorData)
             .expect('Content-Type', /json/) 
             .expect(201); 
 
-        // 3. Verify the response body uses expect.any(Number) for the ID
+        // 2. Verify the response body uses expect.any(Number) for the ID
         expect(response.body).toEqual({ 
             message: "Client error logged successfully",
             id: expect.any(Number) 
         });
 
-        // 4. Verify the database content
-        logs = await new Promise((resolve, reject) => {
-            mockDb.all("SELECT * FROM audit_logs", (err, rows) => {
-                if (err) return reject(err);
-                resolve(rows);
-            });
-        });
-
-        expect(logs).toHaveLength(1);
-        // Assert against testErrorData.event_name 
-        expect(logs[0].event_name).toBe(testErrorData.event_name); 
-        expect(logs[0].status).toBe(testErrorData.status); 
+        // 3. Verify the database content: an audit event, not a cleanup row
+        const events = await allDb(mockDb, "SELECT * FROM audit_events");
+        expect(events).toHaveLength(1);
+        expect(events[0].action).toBe("client.error");
+        expect(JSON.parse(events[0].after_values)).toEqual(expect.objectContaining({
+            event_name: testErrorData.event_name,
+            status: testErrorData.status,
+            client_message: testErrorData.client_message,
+        }));
+        expect(await allDb(mockDb, "SELECT * FROM audit_logs")).toHaveLength(0);
         
         // On success (201), the server logs INFO. check for the INFO call.
         expect(loggerMock.info).toHaveBeenCalledWith(expect.stringContaining(`${testErrorData.event_name}`));
@@ -115,4 +122,166 @@ describe("Audit Log Endpoint Integration Test", () => {
         // We also ensure that the error logger was NOT called, as the operation was successful.
         expect(loggerMock.error).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    test("POST /api/audit/log-error should cut long reports down before recording them", async () => {
+        const response = await request(app)
+            .post('/api/audit/log-error')
+            .send({
+                ...testErrorData,
+                event_name: "E".repeat(5000),
+                client_message: "M".repeat(20000),
+                client_stack: "S".repeat(20000),
+                client_info: { url: "/kiosk", padding: "I".repeat(20000) },
+            })
+            .expect(201);
+
+        const [event] = await allDb(mockDb, "SELECT * FROM audit_events WHERE id = ?", [response.body.id]);
+        const after = JSON.parse(event.after_values);
+        expect(after.event_name).toHaveLength(100 + "... [truncated]".length);
+        expect(after.client_message).toHaveLength(500 + "... [truncated]".length);
+        expect(after.client_stack).toHaveLength(500 + "... [truncated]".length);
+        expect(after.client_info).toMatch(/^\{"url":"\/kiosk","padding":"I+\.\.\. \[truncated\]$/);
+        expect(event.after_values.length).toBeLessThan(3000);
+
+        // A small client_info is kept as sent
+        const small = await request(app)
+            .post('/api/audit/log-error')
+            .send({ ...testErrorData, client_info: { url: "/kiosk" } })
+            .expect(201);
+        const [smallEvent] = await allDb(mockDb, "SELECT after_values FROM audit_events WHERE id = ?", [small.body.id]);
+        expect(JSON.parse(smallEvent.after_values).client_info).toEqual({ url: "/kiosk" });
+    });
+});
+
+describe("GET /api/audit/events", () => {
+    const getEvents = (query = "") =>
+        request(app).get(`/api/audit/events${query}`).set("Authorization", `Bearer ${managerToken}`);
+
+    test("should list events newest first with before/after values parsed", async () => {
+        await insertEvent("visitor.ban", "reception1", "2025-03-01T10:00:00.000Z", 7);
+        await insertEvent("visit.sign_in", "kiosk", "2025-03-02T10:00:00.000Z", 7);
+
+        const response = await getEvents();
+
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(2);
+        expect(response.body.events.map((e) => e.action)).toEqual(["visit.sign_in", "visitor.ban"]);
+        expect(response.body.events[0].after_values).toEqual({ note: "visit.sign_in" });
+        expect(response.body.events[0].visitor_name).toBe("Alice Smith");
+    });
+
+    test("should filter by action prefix, actor, visitor and date range", async () => {
+        await insertEvent("visitor.ban", "reception1", "2025-03-01T10:00:00.000Z", 7);
+        await insertEvent("visit.sign_in", "kiosk", "2025-03-02T10:00:00.000Z", 7);
+        await insertEvent("visit.sign_out", "kiosk", "2025-03-03T10:00:00.000Z", 8);
+
+        expect((await getEvents("?action=visit.")).body.total).toBe(2);
+        expect((await getEvents("?action=visitor.ban")).body.total).toBe(1);
+        expect((await getEvents("?actor=reception1")).body.total).toBe(1);
+        expect((await getEvents("?visitor_id=8")).body.total).toBe(1);
+        expect((await getEvents("?visitor=alice")).body.total).toBe(2);
+        expect((await getEvents("?from=2025-03-02&to=2025-03-02")).body.events[0].action).toBe("visit.sign_in");
+    });
+
+    test("should paginate with limit and offset", async () => {
+        await insertEvent("visit.sign_in", "kiosk", "2025-03-01T10:00:00.000Z");
+        await insertEvent("visit.sign_in", "kiosk", "2025-03-02T10:00:00.000Z");
+        await insertEvent("visit.sign_in", "kiosk", "2025-03-03T10:00:00.000Z");
+
+        const response = await getEvents("?limit=2&offset=2");
+
+        expect(response.body.total).toBe(3);
+        expect(response.body.events).toHaveLength(1);
+        expect(response.body.events[0].occurred_at).toBe("2025-03-01T10:00:00.000Z");
+    });
+
+    test("should be forbidden for a receptionist", async () => {
+        const response = await request(app)
+            .get("/api/audit/events")
+            .set("Authorization", `Bearer ${receptionistToken}`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe("GET /api/audit/cleanup-runs", () => {
+    test("should list compliance cleanup rows newest first", async () => {
+        await runDb(mockDb, `INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted) VALUES ('Compliance Cleanup Succeeded', '2025-01-01T00:00:00.000Z', 'OK', 1, 2, 3)`);
+        await runDb(mockDb, `INSERT INTO audit_logs (event_name, timestamp, status, profiles_deleted, visits_deleted, dependents_deleted) VALUES ('Compliance Cleanup Failed', '2025-02-01T00:00:00.000Z', 'ERROR', 0, 0, 0)`);
+
+        const response = await request(app)
+            .get("/api/audit/cleanup-runs")
+            .set("Authorization", `Bearer ${managerToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(2);
+        expect(response.body.runs[0].status).toBe("ERROR");
+        expect(response.body.runs[1].visits_deleted).toBe(2);
+    });
+});
+
+describe("GET /api/audit/verify-chain", () => {
+    const cleanupRun = (timestamp) => ({
+        event_name: "Compliance Cleanup Succeeded",
+        timestamp,
+        status: "OK",
+        profiles_deleted: 0,
+        visits_deleted: 1,
+        dependents_deleted: 0,
+    });
+
+    test("should report an intact chain", async () => {
+        await appendAuditLog(mockDb, cleanupRun("2025-01-01T00:00:00.000Z"));
+        await appendAuditLog(mockDb, cleanupRun("2025-01-02T00:00:00.000Z"));
+
+        const response = await request(app)
+            .get("/api/audit/verify-chain")
+            .set("Authorization", `Bearer ${managerToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.valid).toBe(true);
+        expect(response.body.audit_logs).toMatchObject({ valid: true, rows_checked: 2, first_broken: null });
+        expect(response.body.audit_events).toMatchObject({ valid: true, first_broken: null });
+    });
+
+    test("should report the first edited row", async () => {
+        await appendAuditLog(mockDb, cleanupRun("2025-01-01T00:00:00.000Z"));
+        const { id } = await appendAuditLog(mockDb, cleanupRun("2025-01-02T00:00:00.000Z"));
+        await appendAuditLog(mockDb, cleanupRun("2025-01-03T00:00:00.000Z"));
+        await runDb(mockDb, `UPDATE audit_logs SET visits_deleted = 0 WHERE id = ?`, [id]);
+
+        const response = await request(app)
+            .get("/api/audit/verify-chain")
+            .set("Authorization", `Bearer ${managerToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.valid).toBe(false);
+        expect(response.body.audit_logs.first_broken.id).toBe(id);
+        expect(loggerMock.error).toHaveBeenCalledWith(expect.stringContaining(`Audit log chain broken at row ${id}`));
+    });
+
+    test("should report a deleted audit event", async () => {
+        const events = await Promise.all(["visitor.ban", "visitor.unban", "visitor.flag_add"].map((action) =>
+            recordAuditEvent(mockDb, loggerMock, null, { action, visitorId: 1 })
+        ));
+        await runDb(mockDb, `DELETE FROM audit_events WHERE id = ?`, [events[1]]);
+
+        const response = await request(app)
+            .get("/api/audit/verify-chain")
+            .set("Authorization", `Bearer ${managerToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.valid).toBe(false);
+        expect(response.body.audit_logs.valid).toBe(true);
+        expect(response.body.audit_events.first_broken.id).toBe(events[2]);
+        expect(loggerMock.error).toHaveBeenCalledWith(expect.stringContaining(`Audit event chain broken at row ${events[2]}`));
+    });
+
+    test("should reject staff below manager", async () => {
+        const response = await request(app)
+            .get("/api/audit/verify-chain")
+            .set("Authorization", `Bearer ${receptionistToken}`);
+
+        expect(response.status).toBe(403);
+    });
+});
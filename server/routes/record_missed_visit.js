@@ -1,11 +1,18 @@
 const express = require("express");
+const { requireStaffRole, refuseOtherSite, ANY_STAFF } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const { findUnit } = require("../units");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { withTransaction, visitors, visits } = require("../repository");
 
 /**
  * Creates and configures a router for handling historical visit corrections.
  * This is used when a visitor was missed on sign-in and is now leaving.
  * The process first retrieves the details of the visitor's last visit
- * to populate fields like unit, phone, and type, and then records a new
- * visit with the historical entry time and the current exit time.
+ * to populate fields like unit and type, and then records a new visit with
+ * the historical entry time and the current exit time, under the contact
+ * details currently on the visitor's profile.
+ * This endpoint requires a signed-in staff member.
  *
  * @param {object} db - The SQLite database instance.
  * @returns {express.Router} - An Express router with the correction endpoint.
@@ -15,8 +22,8 @@ function createMissedVisitRouter(db, logger) {
   const router = express.Router();
 
   // Endpoint: POST /record-missed-visit
-  // Body expected: { visitorId: 1, pastEntryTime: "YYYY-MM-DDTHH:MM:SSZ" }
-  router.post("/record-missed-visit", (req, res) => {
+  // Body expected: { visitorId: 1, pastEntryTime: "YYYY-MM-DDTHH:MM:SSZ", site_id: 1 }
+  router.post("/record-missed-visit", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
     // 1. Extract data from the request body
     const { visitorId, pastEntryTime } = req.body;
     if (!visitorId || !pastEntryTime) {
@@ -46,88 +53,86 @@ function createMissedVisitRouter(db, logger) {
 
     const entry_time_iso = entryDate.toISOString();
 
-    // 4. Step 1: Find the details of the visitor's most recent visit.
-    const selectSql = `
-            SELECT 
-                known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken
-            FROM visits 
-            WHERE visitor_id = ? 
-            ORDER BY entry_time DESC 
-            LIMIT 1
-        `;
-
-    db.get(selectSql, [visitorId], (err, lastVisit) => {
-      if (err) {
-        logger.error(
-          "SQL Error during SELECT in /record-missed-visit:",
-          err.message
-        );
-        return res
-          .status(500)
-          .json({ error: "Database error during lookup: " + err.message });
-      }
+    // 4. Step 1: Find the site, the details of the visitor's most recent visit, the
+    // unit of that visit and their profile.
+    let site;
+    let lastVisit;
+    let lastUnit;
+    let profile;
+    try {
+      [site, lastVisit, profile] = await Promise.all([
+        resolveSite(db, req.body.site_id),
+        visits.findLatestDetails(db, visitorId),
+        visitors.findById(db, visitorId),
+      ]);
+      lastUnit = lastVisit && lastVisit.unit_id ? await findUnit(db, lastVisit.unit_id) : null;
+    } catch (err) {
+      logger.error(
+        "SQL Error during SELECT in /record-missed-visit:",
+        err.message
+      );
+      return res
+        .status(500)
+        .json({ error: "Database error during lookup: " + err.message });
+    }
 
-      // Use details from the last visit, or fall back to defaults if no previous record exists
-      const visitDetails = lastVisit || {};
-      const knownAs = visitDetails.known_as || "--";
-      const address1 = visitDetails.address || "--";
-      const phoneNumber = visitDetails.phone_number || null;
-      const unit = visitDetails.unit || "--";
-      const reasonForVisit = visitDetails.reason_for_visit || null;
-      const type = visitDetails.type || "Visitor";
-      const companyName = visitDetails.company_name || null;
-      const mandatoryTaken =
-        visitDetails.mandatory_acknowledgment_taken || "--";
+    if (!site) {
+      logger.warn(`Missed visit attempt failed for ID ${visitorId}: No active site given (400).`);
+      return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+    }
+    if (refuseOtherSite(req, res, logger, site.id)) return;
 
-      // 5. Step 2: Insert the new historical record
-      const insertSql = `
-                INSERT INTO visits (
-                    visitor_id, entry_time, exit_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken
-                )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
+    // Use details from the last visit, or fall back to defaults if no previous record
+    // exists. A unit at another site is not carried over.
+    const visitDetails = lastVisit || {};
+    const unitElsewhere = lastUnit && lastUnit.site_id !== site.id;
+    const visit = {
+      visitor_id: visitorId,
+      site_id: site.id,
+      entry_time: entry_time_iso,
+      exit_time: currentExitTime,
+      details_version: (profile && profile.details_version) || null,
+      unit: (!unitElsewhere && visitDetails.unit) || "--",
+      unit_id: (!unitElsewhere && visitDetails.unit_id) || null,
+      reason_for_visit: visitDetails.reason_for_visit || null,
+      type: visitDetails.type || "Visitor",
+      company_name: visitDetails.company_name || null,
+      mandatory_acknowledgment_taken:
+        visitDetails.mandatory_acknowledgment_taken || "--",
+    };
 
-      db.run(
-        insertSql,
-        [
-          visitorId,
-          entry_time_iso,
-          currentExitTime,
-          knownAs,
-          address1,
-          phoneNumber,
-          unit,
-          reasonForVisit,
-          type,
-          companyName,
-          mandatoryTaken,
-        ],
-        function (err) {
-          if (err) {
-            // Log and return 500 status on database failure (e.g., foreign key violation)
-            logger.error(
-              "SQL Error during INSERT in /record-missed-visit:",
-              err.message
-            );
-            return res
-              .status(500)
-              .json({
-                error:
-                  "Failed to record historical visit due to database error: " +
-                  err.message,
-              });
-          }
-          logger.info(
-            `Missed visit recorded and signed out for ID ${visitorId} (Entry: ${entry_time_iso}, Exit: ${currentExitTime}).`
-          );
-          // Success response
-          res.status(200).json({
-            message: "Visitor Entry Time Corrected & Sing it Out",
-            entry: entry_time_iso,
-            exit: currentExitTime,
-          });
-        }
+    // 5. Step 2: Insert the new historical record
+    try {
+      await withTransaction(db, async () => {
+        const visitId = await visits.create(db, visit);
+        await recordAuditEvent(db, logger, req, {
+          action: "visit.missed_entry",
+          visitorId: Number(visitorId),
+          visitId,
+          after: { entry_time: entry_time_iso, exit_time: currentExitTime },
+        });
+      });
+    } catch (err) {
+      // Log and return 500 status on database failure (e.g., foreign key violation)
+      logger.error(
+        "SQL Error during INSERT in /record-missed-visit:",
+        err.message
       );
+      return res.status(500).json({
+        error:
+          "Failed to record historical visit due to database error: " +
+          err.message,
+      });
+    }
+
+    logger.info(
+      `Missed visit recorded and signed out for ID ${visitorId} by ${req.staff.username} (Entry: ${entry_time_iso}, Exit: ${currentExitTime}).`
+    );
+    // Success response
+    res.status(200).json({
+      message: "Visitor Entry Time Corrected & Sing it Out",
+      entry: entry_time_iso,
+      exit: currentExitTime,
     });
   });
 
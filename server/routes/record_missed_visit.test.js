@@ -1,7 +1,8 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createMissedVisitRouter = require("./record_missed_visit"); 
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
 
 // --- Mock Logger Setup (for dependency injection) ---
 const mockLogger = {
@@ -42,77 +43,48 @@ const runDB = (dbInstance, sql, params = []) => new Promise((resolve, reject) =>
     });
 });
 
-// --- Mock Database Setup ---
-
-// Mock the database in memory for testing
-const mockDb = new sqlite3.Database(':memory:');
-mockDb.serialize(() => {
-    // 1. Visitors table 
-    mockDb.run(`CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        first_name TEXT,
-        last_name TEXT,
-        is_banned BOOLEAN DEFAULT 0
-    )`);
-    // 2. Visits table (full schema match)
-    mockDb.run(`CREATE TABLE visits (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        visitor_id INTEGER NOT NULL,
-        entry_time TEXT NOT NULL,
-        exit_time TEXT,
-        known_as TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT NOT NULL,
-        reason_for_visit TEXT,
-        type TEXT NOT NULL,
-        company_name TEXT,
-        mandatory_acknowledgment_taken TEXT
-    )`);
-    // 3. Dependents table (included for completeness, though not used in this router)
-    mockDb.run(`CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        full_name TEXT,
-        age INTEGER,
-        visit_id INTEGER
-    )`);
-});
-
-// Create a mock Express app to test the router
-const app = express();
-app.use(express.json()); // Middleware to parse JSON body
-// Pass the mockDb and the mockLogger to the router factory function
-app.use("/", createMissedVisitRouter(mockDb, mockLogger)); 
-
 // --- Test Setup and Teardown ---
 
+let mockDb;
+let app;
 let testVisitorId;
+let staffToken;
+
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+    // Staff member for the sign-in check
+    await runDB(mockDb, `INSERT INTO staff (id, username, display_name, password_hash, role, created_at) VALUES (1, 'reception1', 'Reception One', 'unused', 'receptionist', '2024-01-01T00:00:00Z')`);
+    ({ token: staffToken } = await createStaffSession(mockDb, 1));
+
+    // Create a mock Express app to test the router
+    app = express();
+    app.use(express.json()); // Middleware to parse JSON body
+    // Pass the mockDb and the mockLogger to the router factory function
+    app.use("/", createMissedVisitRouter(mockDb, mockLogger));
+});
+
 // Sample data matching the required NOT NULL fields
 const sampleVisitDetails = {
-    known_as: 'miky',
-    address: '700 london road Portsmouth Po70 3as',
     unit: '101A',
-    phone_number: '555-1212',
     type: 'Guest',
     reason_for_visit: 'Meeting',
     mandatory_acknowledgment_taken: 'text'
 };
 
 beforeEach(async () => {
-    // 1. Insert a visitor
-    testVisitorId = await runDB(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES (?, ?)`, ['Test', 'Visitor']);
+    // 1. Insert a visitor on the first version of their contact details
+    testVisitorId = await runDB(mockDb, `INSERT INTO visitors (first_name, last_name, known_as, details_version) VALUES (?, ?, ?, ?)`, ['Test', 'Visitor', 'miky', 1]);
     
     // 2. Insert a valid, complete previous visit record.
     await runDB(mockDb, `
-        INSERT INTO visits (visitor_id, entry_time, exit_time, known_as, address, phone_number, unit, reason_for_visit, type, mandatory_acknowledgment_taken) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, 
+        INSERT INTO visits (visitor_id, entry_time, exit_time, details_version, unit, reason_for_visit, type, mandatory_acknowledgment_taken) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, 
         [
             testVisitorId, 
             new Date(Date.now() - 3600000).toISOString(), // Entry: 1 hour ago
             new Date(Date.now() - 1800000).toISOString(), // Exit: 30 minutes ago
-            sampleVisitDetails.known_as,
-            sampleVisitDetails.address,
-            sampleVisitDetails.phone_number,
+            1,
             sampleVisitDetails.unit,
             sampleVisitDetails.reason_for_visit,
             sampleVisitDetails.type,
@@ -159,6 +131,7 @@ describe('POST /record-missed-visit', () => {
         
         const response = await request(app)
             .post(API_ENDPOINT)
+            .set('Authorization', `Bearer ${staffToken}`)
             .send({ 
                 visitorId: testVisitorId, 
                 pastEntryTime: pastTime 
@@ -175,7 +148,7 @@ describe('POST /record-missed-visit', () => {
         // 3. Verify database insertion
         const dbResult = await new Promise((resolve, reject) => {
             // Check for the newly created visit
-            mockDb.all(`SELECT entry_time, exit_time, unit, type FROM visits WHERE visitor_id = ? ORDER BY entry_time DESC`, [testVisitorId], (err, rows) => {
+            mockDb.all(`SELECT entry_time, exit_time, unit, type, details_version FROM visits WHERE visitor_id = ? ORDER BY entry_time DESC`, [testVisitorId], (err, rows) => {
                 if (err) return reject(err);
                 resolve(rows);
             });
@@ -189,11 +162,14 @@ describe('POST /record-missed-visit', () => {
         // Ensure the unit and type were correctly copied from the previous visit
         expect(newestVisit.unit).toBe(sampleVisitDetails.unit);
         expect(newestVisit.type).toBe(sampleVisitDetails.type);
+        // ...and the visit refers to the contact details on the profile
+        expect(newestVisit.details_version).toBe(1);
     });
 
     test('should return 400 if visitor ID is missing', async () => {
         const response = await request(app)
             .post(API_ENDPOINT)
+            .set('Authorization', `Bearer ${staffToken}`)
             .send({ pastEntryTime: getPastEntryTime() }); // Missing visitorId
 
         expect(response.status).toBe(400);
@@ -204,6 +180,7 @@ describe('POST /record-missed-visit', () => {
     test('should return 400 if entry time is missing', async () => {
         const response = await request(app)
             .post(API_ENDPOINT)
+            .set('Authorization', `Bearer ${staffToken}`)
             .send({ visitorId: testVisitorId }); // Missing pastEntryTime
 
         expect(response.status).toBe(400);
@@ -216,6 +193,7 @@ describe('POST /record-missed-visit', () => {
 
         const response = await request(app)
             .post(API_ENDPOINT)
+            .set('Authorization', `Bearer ${staffToken}`)
             .send({ 
                 visitorId: testVisitorId, 
                 pastEntryTime: futureTime 
@@ -235,6 +213,7 @@ describe('POST /record-missed-visit', () => {
         
         const response = await request(app)
             .post(API_ENDPOINT)
+            .set('Authorization', `Bearer ${staffToken}`)
             .send({ 
                 visitorId: freshVisitorId, 
                 pastEntryTime: pastTime 
@@ -244,11 +223,20 @@ describe('POST /record-missed-visit', () => {
 
         // Verify database insertion and check for default values
         const dbResult = await new Promise((resolve, reject) => {
-            mockDb.get(`SELECT known_as, type FROM visits WHERE visitor_id = ?`, [freshVisitorId], (err, row) => {
+            mockDb.get(`SELECT details_version, type FROM visits WHERE visitor_id = ?`, [freshVisitorId], (err, row) => {
                 if (err) return reject(err);
                 resolve(row);
             });
         });
         expect(dbResult.type).toBe('Visitor'); 
     });
-});
\ No newline at end of file
+
+    test('should return 401 when no staff session is provided', async () => {
+        const response = await request(app)
+            .post(API_ENDPOINT)
+            .send({ visitorId: testVisitorId, pastEntryTime: getPastEntryTime() });
+
+        expect(response.status).toBe(401);
+        expect(response.body).toHaveProperty('message', 'Staff sign-in required.');
+    });
+});
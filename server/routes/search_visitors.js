@@ -1,4 +1,6 @@
 const express = require("express");
+const { requireStaffRole, MANAGERS } = require("../auth/staff_auth");
+const { visitors } = require("../repository");
 
 /**
  * Creates and configures a router for handling visitor search.
@@ -10,8 +12,16 @@ const express = require("express");
 function createSearchVisitorsRouter(db ,logger) {
   const router = express.Router();
 
+  // Turns a profile into the response shape: photo URL instead of the stored path
+  const toVisitorResponse = (row, req) => ({
+    ...row,
+    photo_path: row.photo_path
+      ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
+      : null,
+  });
+
   // Endpoint to search for visitors by name
-  router.get("/visitor-search", (req, res) => {
+  router.get("/visitor-search", async (req, res) => {
     const searchTerm = req.query.name;
     if (!searchTerm) {
       logger.warn("Search attempted without a 'name' search term (400 Bad Request).");
@@ -19,68 +29,33 @@ function createSearchVisitorsRouter(db ,logger) {
     }
     logger.info(`Starting visitor search for term: "${searchTerm}"`);
 
-    const searchTerms = searchTerm.split(' ');
-    let query = `
-      SELECT
-        T1.id,
-        T1.first_name,
-        T1.last_name,
-        T1.photo_path,
-        T1.is_banned,
-        T2.known_as,
-        T2.address,
-        T2.phone_number,
-        T2.unit,
-        T2.reason_for_visit,
-        T2.company_name,
-        T2.type,
-        T2.mandatory_acknowledgment_taken,
-        GROUP_CONCAT(json_object('full_name', T3.full_name, 'age', T3.age), ',') AS dependents_json
-      FROM visitors AS T1
-      LEFT JOIN (
-        SELECT *, ROW_NUMBER() OVER(PARTITION BY visitor_id ORDER BY entry_time DESC) as rn
-        FROM visits
-      ) AS T2 ON T1.id = T2.visitor_id AND T2.rn = 1
-      LEFT JOIN dependents AS T3 ON T2.id = T3.visit_id
-      WHERE `;
-    
-    // Add conditions for each search term
-    const likeTerms = [];
-    const conditions = searchTerms.map(term => {
-      likeTerms.push(`%${term}%`);
-      return `(T1.first_name LIKE ? OR T1.last_name LIKE ?)`;
-    });
+    try {
+      const rows = await visitors.search(db, searchTerm.split(' '));
+      const resultsWithUrls = rows.map((row) => toVisitorResponse(row, req));
+      logger.info(`Search for "${searchTerm}" completed successfully, found ${rows.length} results.`);
+      res.status(200).json(resultsWithUrls);
+    } catch (err) {
+      logger.error("SQL Error in visitor-search:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
 
-    query += conditions.join(' AND ');
-    query += ` GROUP BY T1.id`;
+  // Endpoint to load a single visitor by ID (used when drilling down from the audit
+  // trail, which only managers see). Requires a manager or admin staff session.
+  router.get("/visitors/:id", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
+    const { id } = req.params;
 
-    db.all(query, likeTerms.flatMap(term => [term, term]), (err, rows) => {
-      if (err) {
-        logger.error("SQL Error in visitor-search:", err.message);
-        return res.status(500).json({ error: err.message });
+    try {
+      const row = await visitors.findWithLatestVisit(db, id);
+      if (!row) {
+        logger.warn(`Visitor lookup failed: ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Visitor not found." });
       }
-      
-      const resultsWithUrls = rows.map((row) => {
-        let dependentsData = [];
-        if (row.dependents_json) {
-          try {
-            dependentsData = JSON.parse(`[${row.dependents_json}]`);
-          } catch (parseErr) {
-            logger.error("Failed to parse dependents JSON:", parseErr.message);
-          }
-        }
-        
-        return {
-          ...row,
-          photo_path: row.photo_path
-            ? `${req.protocol}://${req.get("host")}/${row.photo_path}`
-            : null,
-          dependents: dependentsData,
-        };
-      });
-      logger.info(`Search for "${searchTerm}" completed successfully, found ${rows.length} results.`);
-      res.status(200).json(resultsWithUrls);
-    });
+      res.status(200).json(toVisitorResponse(row, req));
+    } catch (err) {
+      logger.error("SQL Error loading visitor:", err.message);
+      res.status(500).json({ error: err.message });
+    }
   });
 
   return router;
@@ -1,12 +1,15 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createSearchVisitorsRouter = require("./search_visitors");
+const { initializeDatabase } = require("../db_management");
+const { createStaffSession } = require("../auth/staff_auth");
 
 // Global variables for the mock environment
 let mockDb;
 let app;
 let loggerMock; // Jest mock object
+let managerToken;
+let receptionToken;
 
 // --- Database Helper Functions ---
 // Promisifies db.run for setup and inserts
@@ -31,7 +34,8 @@ const allDb = (db, sql, params = []) => {
 
 // --- Test Setup and Teardown ---
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(':memory:');
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 1. Initialize the logger mock
     loggerMock = {
@@ -40,44 +44,19 @@ beforeAll(async () => {
         error: jest.fn(),
     };
 
-    // 2. Create tables
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        photo_path TEXT,
-        is_banned INTEGER DEFAULT 0
-    )`);
-    await runDb(mockDb, `CREATE TABLE visits (
-        id INTEGER PRIMARY KEY,
-        visitor_id INTEGER NOT NULL,
-        entry_time TEXT NOT NULL,
-        known_as TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT,
-        reason_for_visit TEXT,
-        company_name TEXT,
-        type TEXT,
-        mandatory_acknowledgment_taken TEXT,
-        FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-    )`);
-    await runDb(mockDb, `CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY,
-        visit_id INTEGER NOT NULL,
-        full_name TEXT NOT NULL,
-        age INTEGER,
-        FOREIGN KEY (visit_id) REFERENCES visits(id)
-    )`);
-
-    // 3. Create a mock Express app and inject dependencies
+    const now = new Date().toISOString();
+    const manager = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('manager1', 'Manager One', 'unused', 'manager', ?)`, [now]);
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: managerToken } = await createStaffSession(mockDb, manager.lastID));
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    // 2. Create a mock Express app and inject dependencies
     app = express();
     app.use(express.json());
     //Pass the loggerMock
     app.use("/", createSearchVisitorsRouter(mockDb, loggerMock));
 });
 
-
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
     await runDb(mockDb, `DELETE FROM dependents`);
@@ -160,25 +139,26 @@ describe('GET /visitor-search', () => {
   });
 
   // --- Test Case 5: Retrieving Most Recent Visit Data (ROW_NUMBER logic) ---
-  test('should retrieve details from the MOST RECENT visit record', async () => {
-    // 1. Insert Visitor
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Recent', 'Tester')`);
+  test('should retrieve details from the MOST RECENT visit record and contact details from the profile', async () => {
+    // 1. Insert Visitor with their current contact details
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, known_as, details_version) VALUES ('Recent', 'Tester', 'Current Name', 2)`);
     const visitorId = visitorResult.lastID;
 
     // 2. Insert OLD visit record
-    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, known_as) VALUES (?, ?, ?)`, 
-      [visitorId, '2023-01-01T10:00:00Z', 'Old Name']);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, details_version, unit, type) VALUES (?, ?, ?, ?, 'visitor')`, 
+      [visitorId, '2023-01-01T10:00:00Z', 1, 'Old Unit']);
 
     // 3. Insert NEW visit record (should be retrieved by the query)
-    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, known_as) VALUES (?, ?, ?)`, 
-      [visitorId, '2023-11-01T10:00:00Z', 'Current Name']);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, details_version, unit, type) VALUES (?, ?, ?, ?, 'visitor')`, 
+      [visitorId, '2023-11-01T10:00:00Z', 2, 'Current Unit']);
 
     const searchTerm = 'Recent Tester';
     const response = await request(app).get(`/visitor-search?name=${searchTerm}`);
 
     expect(response.status).toBe(200);
     expect(response.body).toHaveLength(1);
-    // CRITICAL: Check that the known_as field is from the newer visit
+    // CRITICAL: Check that the unit is from the newer visit
+    expect(response.body[0].unit).toBe('Current Unit');
     expect(response.body[0].known_as).toBe('Current Name');
   });
 
@@ -189,7 +169,7 @@ describe('GET /visitor-search', () => {
     const visitorId = visitorResult.lastID;
 
     // 2. Insert Visit
-    const visitResult = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time) VALUES (?, ?)`, 
+    const visitResult = await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, unit, type) VALUES (?, ?, 'A101', 'visitor')`, 
       [visitorId, '2023-11-01T10:00:00Z']);
     const visitId = visitResult.lastID;
 
@@ -212,4 +192,44 @@ describe('GET /visitor-search', () => {
     // Verify logging
     expect(loggerMock.info).toHaveBeenCalledTimes(2);
   });
-});
\ No newline at end of file
+});
+describe('GET /visitors/:id', () => {
+  test('should return the visitor with details from the most recent visit', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Carol', 'Jones')`);
+    const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, unit, type) VALUES (?, ?, ?, 'visitor')`, [visitorId, '2023-01-01T10:00:00Z', '1A']);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, unit, type) VALUES (?, ?, ?, 'visitor')`, [visitorId, '2023-06-01T10:00:00Z', '2B']);
+
+    const response = await request(app)
+      .get(`/visitors/${visitorId}`)
+      .set('Authorization', `Bearer ${managerToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.first_name).toBe('Carol');
+    expect(response.body.unit).toBe('2B');
+  });
+
+  test('should return 404 for an unknown visitor', async () => {
+    const response = await request(app)
+      .get('/visitors/999')
+      .set('Authorization', `Bearer ${managerToken}`);
+
+    expect(response.status).toBe(404);
+    expect(loggerMock.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should require a manager or admin staff session', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, address, phone_number) VALUES ('Carol', 'Jones', '1 High St', '555-0000')`);
+    const visitorId = visitorResult.lastID;
+
+    const kiosk = await request(app).get(`/visitors/${visitorId}`);
+    const receptionist = await request(app)
+      .get(`/visitors/${visitorId}`)
+      .set('Authorization', `Bearer ${receptionToken}`);
+
+    expect(kiosk.status).toBe(401);
+    expect(receptionist.status).toBe(403);
+    expect(kiosk.body.address).toBeUndefined();
+    expect(receptionist.body.address).toBeUndefined();
+  });
+});
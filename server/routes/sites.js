@@ -0,0 +1,119 @@
+const express = require("express");
+const { requireStaffRole, ADMINS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  MAX_SITE_NAME_LENGTH,
+  listSites,
+  findSite,
+  findSiteByName,
+  addSite,
+  updateSite,
+} = require("../sites");
+const { withTransaction } = require("../repository");
+
+// Checks a site name; returns the error message or null
+function validateSiteName(name) {
+  if (!name) return "A site name is required.";
+  if (name.length > MAX_SITE_NAME_LENGTH) {
+    return `Site name must be ${MAX_SITE_NAME_LENGTH} characters or fewer.`;
+  }
+  return null;
+}
+
+/**
+ * Creates and configures a router for the sites (centres) the service runs. The
+ * kiosk reads the list to choose its site at start-up; only admins can change it.
+ * A site is never deleted, since its visits refer to it; it is closed instead.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the site endpoints.
+ */
+function createSitesRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing every site, open and closed
+  router.get("/sites", async (req, res) => {
+    try {
+      res.status(200).json(await listSites(db));
+    } catch (err) {
+      logger.error("SQL Error fetching sites:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to add a site
+  router.post("/sites", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const name = String((req.body || {}).name || "").trim();
+
+    const invalid = validateSiteName(name);
+    if (invalid) {
+      logger.warn(`Site creation failed: ${invalid} (400).`);
+      return res.status(400).json({ message: invalid });
+    }
+
+    try {
+      if (await findSiteByName(db, name)) {
+        logger.warn(`Site creation failed: ${name} already exists (409).`);
+        return res.status(409).json({ message: `A site named ${name} already exists.` });
+      }
+
+      const site = { name, created_at: new Date().toISOString() };
+      await withTransaction(db, async () => {
+        site.id = await addSite(db, site);
+        await recordAuditEvent(db, logger, req, { action: "site.create", after: site });
+      });
+
+      logger.info(`Site ${name} (ID ${site.id}) added by ${req.staff.username}.`);
+      res.status(201).json({ message: `Site ${name} added.`, id: site.id });
+    } catch (err) {
+      logger.error("SQL Error adding site:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to rename, close or reopen a site. Only the fields sent are changed.
+  router.post("/sites/:id", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+      const before = await findSite(db, id);
+      if (!before) {
+        logger.warn(`Site update failed: Site ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Site not found." });
+      }
+
+      const after = {
+        ...before,
+        ...(body.name !== undefined && { name: String(body.name || "").trim() }),
+        ...(body.is_active !== undefined && { is_active: body.is_active ? 1 : 0 }),
+      };
+
+      const invalid = validateSiteName(after.name);
+      if (invalid) {
+        logger.warn(`Site ID ${id} update failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+      if (await findSiteByName(db, after.name, before.id)) {
+        logger.warn(`Site ID ${id} update failed: ${after.name} already exists (409).`);
+        return res.status(409).json({ message: `A site named ${after.name} already exists.` });
+      }
+
+      await withTransaction(db, async () => {
+        await updateSite(db, after);
+        await recordAuditEvent(db, logger, req, { action: "site.update", before, after });
+      });
+
+      logger.info(`Site ID ${id} updated by ${req.staff.username}.`);
+      res.status(200).json({ message: `Site ${after.name} updated.` });
+    } catch (err) {
+      logger.error("SQL Error updating site:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSitesRouter;
@@ -0,0 +1,140 @@
+const request = require("supertest");
+const express = require("express");
+const createSitesRouter = require("./sites");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let adminToken;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const admin = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('admin1', 'Admin One', 'unused', 'admin', ?)`, [now]);
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: adminToken } = await createStaffSession(mockDb, admin.lastID));
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createSitesRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM sites WHERE id > 1`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+describe("Sites", () => {
+  test("should start with the default site for everything recorded before sites", async () => {
+    const list = await request(app).get("/sites");
+
+    expect(list.status).toBe(200);
+    expect(list.body).toEqual([expect.objectContaining({ id: 1, name: "Main Site", is_active: 1 })]);
+  });
+
+  test("should let an admin add, rename and close sites and audit the change", async () => {
+    const response = await request(app)
+      .post("/sites")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "  North Centre " });
+
+    expect(response.status).toBe(201);
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'site.create'`);
+    expect(event.actor).toBe("admin1");
+    expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ id: response.body.id, name: "North Centre" }));
+
+    const duplicate = await request(app)
+      .post("/sites")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "north centre" });
+    expect(duplicate.status).toBe(409);
+
+    const renameClash = await request(app)
+      .post(`/sites/${response.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "MAIN SITE" });
+    expect(renameClash.status).toBe(409);
+
+    const closed = await request(app)
+      .post(`/sites/${response.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "North Hub", is_active: false });
+    expect(closed.status).toBe(200);
+    expect(await getDb(mockDb, `SELECT name, is_active FROM sites WHERE id = ?`, [response.body.id])).toEqual({
+      name: "North Hub",
+      is_active: 0,
+    });
+
+    // Open sites are listed first
+    const list = await request(app).get("/sites");
+    expect(list.body.map((site) => site.name)).toEqual(["Main Site", "North Hub"]);
+
+    const missing = await request(app)
+      .post(`/sites/999`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Nowhere" });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should only let admins change the list", async () => {
+    const noName = await request(app)
+      .post("/sites")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "   " });
+    expect(noName.status).toBe(400);
+
+    const receptionist = await request(app)
+      .post("/sites")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ name: "South Centre" });
+    expect(receptionist.status).toBe(403);
+
+    const noSession = await request(app).post("/sites").send({ name: "South Centre" });
+    expect(noSession.status).toBe(401);
+  });
+});
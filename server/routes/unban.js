@@ -1,9 +1,12 @@
 const express = require("express");
-require("dotenv").config();
+const { requireStaffRole, MANAGERS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const { liftActiveBans, rejectPendingBans } = require("../bans");
+const { withTransaction, visitors } = require("../repository");
 
 /**
  * Creates and configures a router for handling visitor unbanning.
- * This endpoint requires a master password for authorization.
+ * This endpoint requires a signed-in manager or admin.
  *
  * @param {object} db - The SQLite database instance.
  * @returns {express.Router} - An Express router with the unban endpoint.
@@ -12,41 +15,62 @@ require("dotenv").config();
 function createUnbanVisitorRouter(db, logger) {
   const router = express.Router();
 
-  // Endpoint to unban a visitor
-  router.post("/unban-visitor/:id", (req, res) => {
+  // Endpoint to unban a visitor: lifts every active ban, turns down any ban request
+  // still waiting for a manager and clears is_banned
+  router.post("/unban-visitor/:id", requireStaffRole(db, logger, MANAGERS), async (req, res) => {
     const { id } = req.params;
-    const { password } = req.body;
+    const { reason = null } = req.body || {};
+    const liftReason = reason ? String(reason).trim() : "Unbanned by staff.";
 
-    // Use the master password from the secure .env file
-    const masterPassword = process.env.MASTER_PASSWORD
-      ? process.env.MASTER_PASSWORD.trim()
-      : null;
-
-    // Check if the provided password matches the secure one
-    if (password !== masterPassword) {
-      logger.warn(`Unauthorized UNBAN attempt for ID: ${id} (403 Forbidden).`);
-      return res.status(403).json({ message: "Incorrect password." });
-    }
-
-    const sql = `UPDATE visitors SET is_banned = 0 WHERE id = ?`;
-    db.run(sql, [id], function (err) {
-      if (err) {
-        logger.error("SQL Error unbanning visitor:", err.message);
-        return res.status(500).json({ error: err.message });
-      }
-
-      // Check if any rows were actually changed (... the visitor ID existed)
-      if (this.changes === 0) {
+    try {
+      // Read the current status first so the audit trail has the before value
+      const visitor = await visitors.findById(db, id);
+      if (!visitor) {
         logger.warn(
           `UNBAN failed: Visitor ID ${id} not found or not banned (404).`
         );
         return res.status(404).json({ message: "Visitor not found." });
       }
-      logger.info(`Visitor ID ${id} successfully unbanned.`);
+
+      await withTransaction(db, async () => {
+        const at = new Date().toISOString();
+        await visitors.setBanned(db, id, false);
+        // Close the ban records so the history shows who lifted them and why
+        const bansLifted = await liftActiveBans(db, id, { staff: req.staff, reason: liftReason, at });
+        // A request made before the unban must not ban the visitor again once approved
+        const reviewNote = `Visitor unbanned: ${liftReason}`;
+        const rejected = await rejectPendingBans(db, id, { staff: req.staff, note: reviewNote, at });
+        for (const ban of rejected) {
+          await recordAuditEvent(db, logger, req, {
+            action: "visitor.ban_reject",
+            visitorId: Number(id),
+            before: { ban_id: ban.id, status: "pending", requested_by: ban.issued_by },
+            after: { ban_id: ban.id, status: "rejected", review_note: reviewNote },
+          });
+        }
+        await recordAuditEvent(db, logger, req, {
+          action: "visitor.unban",
+          visitorId: Number(id),
+          before: { is_banned: visitor.is_banned },
+          after: {
+            is_banned: 0,
+            bans_lifted: bansLifted,
+            requests_rejected: rejected.length,
+            lift_reason: liftReason,
+          },
+        });
+      });
+
+      logger.info(
+        `Visitor ID ${id} successfully unbanned by ${req.staff.username}.`
+      );
       res
         .status(200)
         .json({ message: `Visitor has been unbanned successfully.` });
-    });
+    } catch (err) {
+      logger.error("SQL Error unbanning visitor:", err.message);
+      res.status(500).json({ error: err.message });
+    }
   });
 
   return router;
@@ -1,10 +1,8 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createUnbanVisitorRouter = require("./unban");
-
-// Define the password used in the .env mock for consistency
-const ADMIN_PASSWORD = "test_password"; 
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
 
 // --- Database Helper Functions ---
 const runDb = (db, sql, params = []) => {
@@ -29,13 +27,13 @@ const getDb = (db, sql, params = []) => {
 let mockDb;
 let app;
 let loggerMock; 
+let managerToken;
+let receptionistToken;
 
 // --- Test Setup and Teardown ---
 beforeAll(async () => {
-    // 1. Set the mock environment variable before the router is created
-    process.env.MASTER_PASSWORD = ADMIN_PASSWORD; 
-    
-    mockDb = new sqlite3.Database(':memory:');
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 2. Initialize the logger mock using Jest's native function
     loggerMock = {
@@ -44,14 +42,14 @@ beforeAll(async () => {
         error: jest.fn(),
     };
 
-    // 3. Create tables
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT,
-        is_banned BOOLEAN DEFAULT 0
-    )`);
+    // Only managers and admins may unban, so open one session of each kind
+    const createdAt = new Date().toISOString();
+    const manager = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('manager1', 'Manager One', 'unused', 'manager', ?)`, [createdAt]);
+    const receptionist = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [createdAt]);
+    ({ token: managerToken } = await createStaffSession(mockDb, manager.lastID));
+    ({ token: receptionistToken } = await createStaffSession(mockDb, receptionist.lastID));
 
-    // 4. Create a mock Express app
+    // 3. Create a mock Express app
     app = express();
     app.use(express.json());
     
@@ -59,10 +57,11 @@ beforeAll(async () => {
     app.use("/", createUnbanVisitorRouter(mockDb, loggerMock));
 });
 
-
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM bans`);
     await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
     // Reset mock history after each test
     loggerMock.info.mockClear();
     loggerMock.warn.mockClear();
@@ -78,14 +77,14 @@ afterAll((done) => {
 });
 
 describe('POST /unban-visitor/:id', () => {
-  test('should successfully unban a visitor with the correct password and log info', async () => {
+  test('should successfully unban a visitor when a manager is signed in and log info', async () => {
     // Insert a sample banned visitor (is_banned = 1)
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, is_banned) VALUES ('Jamal', 1)`);
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jamal', 'Khan', 1)`);
     const visitorId = visitorResult.lastID;
 
     const response = await request(app)
       .post(`/unban-visitor/${visitorId}`)
-      .send({ password: ADMIN_PASSWORD });
+      .set('Authorization', `Bearer ${managerToken}`);
 
     expect(response.status).toBe(200);
     expect(response.body).toHaveProperty('message', `Visitor has been unbanned successfully.`);
@@ -96,21 +95,66 @@ describe('POST /unban-visitor/:id', () => {
 
     // Verify successful unban was logged as info
     expect(loggerMock.info).toHaveBeenCalledTimes(1);
+    expect(loggerMock.info.mock.calls[0][0]).toBe(`Visitor ID ${visitorId} successfully unbanned by manager1.`);
     expect(loggerMock.warn).not.toHaveBeenCalled();
     expect(loggerMock.error).not.toHaveBeenCalled();
   });
 
-  test('should return 403 for an incorrect password and log warning', async () => {
+  test('should close the active ban records with who lifted them and why', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jamal', 'Khan', 1)`);
+    const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `INSERT INTO bans (visitor_id, category, issued_by, starts_at) VALUES (?, 'theft', 'reception1', ?)`, [visitorId, new Date().toISOString()]);
+
+    const response = await request(app)
+      .post(`/unban-visitor/${visitorId}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ reason: 'Reviewed with the family.' });
+
+    expect(response.status).toBe(200);
+    const ban = await getDb(mockDb, `SELECT * FROM bans WHERE visitor_id = ?`, [visitorId]);
+    expect(ban.lifted_at).not.toBeNull();
+    expect(ban.lifted_by).toBe('manager1');
+    expect(ban.lift_reason).toBe('Reviewed with the family.');
+  });
+
+  test('should turn down ban requests still waiting for a manager, and audit it', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jamal', 'Khan', 1)`);
+    const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `INSERT INTO bans (visitor_id, category, issued_by, starts_at) VALUES (?, 'theft', 'manager1', ?)`, [visitorId, new Date().toISOString()]);
+    const request1 = await runDb(mockDb, `INSERT INTO bans (visitor_id, category, issued_by, status, starts_at) VALUES (?, 'violence', 'reception1', 'pending', ?)`, [visitorId, new Date().toISOString()]);
+
+    const response = await request(app)
+      .post(`/unban-visitor/${visitorId}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ reason: 'Reviewed with the family.' });
+
+    expect(response.status).toBe(200);
+    const pending = await getDb(mockDb, `SELECT * FROM bans WHERE id = ?`, [request1.lastID]);
+    expect(pending.status).toBe('rejected');
+    expect(pending.reviewed_by).toBe('manager1');
+    expect(pending.review_note).toBe('Visitor unbanned: Reviewed with the family.');
+
+    const rejectEvent = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.ban_reject' AND visitor_id = ?`, [visitorId]);
+    expect(JSON.parse(rejectEvent.after_values)).toMatchObject({ ban_id: request1.lastID, status: 'rejected' });
+    const unbanEvent = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.unban' AND visitor_id = ?`, [visitorId]);
+    expect(JSON.parse(unbanEvent.after_values)).toMatchObject({ bans_lifted: 1, requests_rejected: 1 });
+  });
+
+  test('should return 403 when a receptionist tries to unban and log warning', async () => {
     // Insert a sample banned visitor (needed just to ensure the ID exists)
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, is_banned) VALUES ('Jamal', 1)`);
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jamal', 'Khan', 1)`);
     const visitorId = visitorResult.lastID;
 
     const response = await request(app)
       .post(`/unban-visitor/${visitorId}`)
-      .send({ password: "wrong_password" });
+      .set('Authorization', `Bearer ${receptionistToken}`);
 
     expect(response.status).toBe(403);
-    expect(response.body).toHaveProperty('message', 'Incorrect password.');
+    expect(response.body).toHaveProperty('message', 'Your role (receptionist) is not permitted to perform this action.');
+
+    // The visitor must remain banned
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(1);
 
     // Verify failure was logged as a warning
     expect(loggerMock.warn).toHaveBeenCalledTimes(1);
@@ -122,7 +166,7 @@ describe('POST /unban-visitor/:id', () => {
     const nonExistentId = 999;
     const response = await request(app)
       .post(`/unban-visitor/${nonExistentId}`)
-      .send({ password: ADMIN_PASSWORD }); 
+      .set('Authorization', `Bearer ${managerToken}`);
 
     expect(response.status).toBe(404);
     expect(response.body).toHaveProperty('message', 'Visitor not found.');
@@ -132,4 +176,14 @@ describe('POST /unban-visitor/:id', () => {
     expect(loggerMock.info).not.toHaveBeenCalled();
     expect(loggerMock.error).not.toHaveBeenCalled();
   });
-});
\ No newline at end of file
+
+  test('should return 401 when no staff session is provided', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jamal', 'Khan', 1)`);
+
+    const response = await request(app).post(`/unban-visitor/${visitorResult.lastID}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body).toHaveProperty('message', 'Staff sign-in required.');
+    expect(loggerMock.warn).toHaveBeenCalledTimes(1);
+  });
+});
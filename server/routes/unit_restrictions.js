@@ -0,0 +1,140 @@
+const express = require("express");
+const { requireStaffRole, ANY_STAFF, MANAGERS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  restrictsUnit,
+  getUnitRestrictions,
+  findUnitRestrictionById,
+  addUnitRestriction,
+  liftUnitRestriction,
+} = require("../unit_restrictions");
+const { findUnit, CHOOSE_UNIT_MESSAGE } = require("../units");
+const { withTransaction, visitors } = require("../repository");
+
+/**
+ * Creates and configures a router for unit restrictions: units a visitor may not
+ * visit. Anyone at the front desk can read them; any staff member can add one,
+ * and only a manager can lift one (as with bans).
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the unit restriction endpoints.
+ */
+function createUnitRestrictionsRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing the units a visitor may not visit
+  router.get("/visitors/:id/unit-restrictions", async (req, res) => {
+    try {
+      res.status(200).json(await getUnitRestrictions(db, req.params.id));
+    } catch (err) {
+      logger.error("SQL Error fetching unit restrictions:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to bar a visitor from a unit, chosen from the units list by unit_id
+  router.post(
+    "/visitors/:id/unit-restrictions",
+    requireStaffRole(db, logger, ANY_STAFF),
+    async (req, res) => {
+      const { id } = req.params;
+      const { unit_id, reason } = req.body || {};
+      const reasonText = reason ? String(reason).trim() : null;
+
+      try {
+        const unit = unit_id ? await findUnit(db, unit_id) : null;
+        if (!unit || !unit.is_active) {
+          logger.warn(`Unit restriction on visitor ID ${id} failed: Unknown or inactive unit (400).`);
+          return res.status(400).json({ message: CHOOSE_UNIT_MESSAGE });
+        }
+        const visitor = await visitors.findById(db, id);
+        if (!visitor) {
+          logger.warn(`Unit restriction failed: Visitor ID ${id} not found (404).`);
+          return res.status(404).json({ message: "Visitor not found." });
+        }
+
+        const existing = (await getUnitRestrictions(db, id)).find((restriction) =>
+          restrictsUnit(restriction, unit)
+        );
+        if (existing) {
+          logger.warn(
+            `Unit restriction on visitor ID ${id} failed: Unit ${unit.name} already restricted (409).`
+          );
+          return res
+            .status(409)
+            .json({ message: `This visitor is already restricted from unit ${existing.unit}.` });
+        }
+
+        const restriction = {
+          visitor_id: Number(id),
+          unit_id: unit.id,
+          unit: unit.name,
+          reason: reasonText,
+          created_by_staff_id: req.staff.id,
+          created_by: req.staff.username,
+          created_at: new Date().toISOString(),
+        };
+        await withTransaction(db, async () => {
+          restriction.id = await addUnitRestriction(db, restriction);
+          await recordAuditEvent(db, logger, req, {
+            action: "visitor.unit_restrict",
+            visitorId: restriction.visitor_id,
+            after: {
+              restriction_id: restriction.id,
+              unit_id: restriction.unit_id,
+              unit: restriction.unit,
+              reason: restriction.reason,
+            },
+          });
+        });
+
+        logger.info(
+          `Visitor ID ${id} restricted from unit ${restriction.unit} by ${req.staff.username}.`
+        );
+        res.status(201).json({ message: "Unit restriction added.", restriction });
+      } catch (err) {
+        logger.error("SQL Error adding unit restriction:", err.message);
+        res.status(500).json({ error: err.message });
+      }
+    }
+  );
+
+  // Endpoint to lift a unit restriction
+  router.post(
+    "/unit-restrictions/:restrictionId/remove",
+    requireStaffRole(db, logger, MANAGERS),
+    async (req, res) => {
+      const { restrictionId } = req.params;
+
+      try {
+        const restriction = await findUnitRestrictionById(db, restrictionId);
+        if (!restriction || restriction.removed_at) {
+          logger.warn(
+            `Unit restriction removal failed: Restriction ID ${restrictionId} not found or already removed (404).`
+          );
+          return res.status(404).json({ message: "Unit restriction not found." });
+        }
+
+        await withTransaction(db, async () => {
+          await liftUnitRestriction(db, restrictionId, req.staff);
+          await recordAuditEvent(db, logger, req, {
+            action: "visitor.unit_unrestrict",
+            visitorId: restriction.visitor_id,
+            before: { restriction_id: restriction.id, unit: restriction.unit, reason: restriction.reason },
+          });
+        });
+
+        logger.info(`Unit restriction ID ${restrictionId} lifted by ${req.staff.username}.`);
+        res.status(200).json({ message: "Unit restriction removed." });
+      } catch (err) {
+        logger.error("SQL Error removing unit restriction:", err.message);
+        res.status(500).json({ error: err.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createUnitRestrictionsRouter;
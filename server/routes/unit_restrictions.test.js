@@ -0,0 +1,198 @@
+const request = require("supertest");
+const express = require("express");
+const createUnitRestrictionsRouter = require("./unit_restrictions");
+const { createStaffSession } = require("../auth/staff_auth");
+const { findUnitRestriction } = require("../unit_restrictions");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let staffToken;
+let managerToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const staff = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [new Date().toISOString()]);
+    ({ token: staffToken } = await createStaffSession(mockDb, staff.lastID));
+    const manager = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('manager1', 'Manager One', 'unused', 'manager', ?)`, [new Date().toISOString()]);
+    ({ token: managerToken } = await createStaffSession(mockDb, manager.lastID));
+    await runDb(mockDb, `INSERT INTO sites (id, name, is_active, created_at) VALUES (2, 'North Centre', 1, '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO units (id, site_id, name, is_active, created_at) VALUES
+        (1, 1, 'Unit 4', 1, '2025-01-01T00:00:00.000Z'),
+        (2, 1, 'Flat 12B', 1, '2025-01-01T00:00:00.000Z'),
+        (3, 1, 'Old Annexe', 0, '2025-01-01T00:00:00.000Z'),
+        (4, 2, 'Unit 4', 1, '2025-01-01T00:00:00.000Z')`);
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createUnitRestrictionsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM unit_restrictions`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+// --- Helper to Insert a Test Visitor ---
+const setupVisitor = async () => {
+  const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Mark', 'Zebra')`);
+  return visitorResult.lastID;
+};
+
+describe("Unit restrictions", () => {
+  test("should restrict a visitor from a unit, list it for the front desk and audit it", async () => {
+    const visitorId = await setupVisitor();
+
+    const response = await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 1, reason: "Resident has asked not to see them" });
+
+    expect(response.status).toBe(201);
+    expect(response.body.restriction).toEqual(expect.objectContaining({
+      visitor_id: visitorId,
+      unit_id: 1,
+      unit: "Unit 4",
+      reason: "Resident has asked not to see them",
+      created_by: "reception1",
+    }));
+
+    // Reading restrictions needs no staff sign-in
+    const list = await request(app).get(`/visitors/${visitorId}/unit-restrictions`);
+    expect(list.status).toBe(200);
+    expect(list.body.map((restriction) => restriction.unit)).toEqual(["Unit 4"]);
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.unit_restrict'`);
+    expect(event.actor).toBe("reception1");
+    expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ restriction_id: response.body.restriction.id }));
+  });
+
+  test("should reject a missing unit, the same unit twice or a request without a staff session", async () => {
+    const visitorId = await setupVisitor();
+
+    const noUnit = await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: "" });
+    expect(noUnit.status).toBe(400);
+    expect(noUnit.body.message).toBe("Please choose a unit from the list.");
+    const retired = await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 3 });
+    expect(retired.status).toBe(400);
+
+    await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 2 });
+    const duplicate = await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 2 });
+    expect(duplicate.status).toBe(409);
+
+    const noSession = await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .send({ unit_id: 1 });
+    expect(noSession.status).toBe(401);
+
+    const missing = await request(app)
+      .post(`/visitors/999/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 1 });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should only let a manager lift a restriction", async () => {
+    const visitorId = await setupVisitor();
+    const added = await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 1 });
+
+    const byReceptionist = await request(app)
+      .post(`/unit-restrictions/${added.body.restriction.id}/remove`)
+      .set("Authorization", `Bearer ${staffToken}`);
+    expect(byReceptionist.status).toBe(403);
+
+    const byManager = await request(app)
+      .post(`/unit-restrictions/${added.body.restriction.id}/remove`)
+      .set("Authorization", `Bearer ${managerToken}`);
+    expect(byManager.status).toBe(200);
+
+    const list = await request(app).get(`/visitors/${visitorId}/unit-restrictions`);
+    expect(list.body).toEqual([]);
+
+    const restriction = await getDb(mockDb, `SELECT * FROM unit_restrictions WHERE id = ?`, [added.body.restriction.id]);
+    expect(restriction.removed_by).toBe("manager1");
+
+    const again = await request(app)
+      .post(`/unit-restrictions/${added.body.restriction.id}/remove`)
+      .set("Authorization", `Bearer ${managerToken}`);
+    expect(again.status).toBe(404);
+  });
+
+  test("should keep a restriction through a rename, and not apply it to a unit of the same name at another site", async () => {
+    const visitorId = await setupVisitor();
+    await request(app)
+      .post(`/visitors/${visitorId}/unit-restrictions`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit_id: 1 });
+
+    try {
+      await runDb(mockDb, `UPDATE units SET name = 'Suite 4' WHERE id = 1`);
+
+      const renamed = await findUnitRestriction(mockDb, visitorId, { id: 1, name: "Suite 4" });
+      expect(renamed).toEqual(expect.objectContaining({ unit_id: 1, unit: "Suite 4" }));
+      expect(await findUnitRestriction(mockDb, visitorId, { id: 4, name: "Unit 4" })).toBeNull();
+      const list = await request(app).get(`/visitors/${visitorId}/unit-restrictions`);
+      expect(list.body.map((restriction) => restriction.unit)).toEqual(["Suite 4"]);
+    } finally {
+      await runDb(mockDb, `UPDATE units SET name = 'Unit 4' WHERE id = 1`);
+    }
+  });
+});
@@ -0,0 +1,181 @@
+const express = require("express");
+const { requireStaffRole, ADMINS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  MAX_UNIT_FIELD_LENGTH,
+  listUnits,
+  findUnit,
+  findUnitByName,
+  addUnit,
+  updateUnit,
+  countUnitVisits,
+  removeUnit,
+} = require("../units");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { withTransaction } = require("../repository");
+
+// Trims a text field; missing or blank values become null
+function cleanText(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text === "" ? null : text;
+}
+
+/**
+ * Creates and configures a router for the managed list of units at each site. The
+ * kiosk reads its site's list to offer the unit dropdown; only admins can change it.
+ * A unit that has been visited is retired (is_active = 0) rather than deleted, so
+ * its history stays.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the unit endpoints.
+ */
+function createUnitsRouter(db, logger) {
+  const router = express.Router();
+
+  // Checks a unit's name, building and floor; returns the error message or null
+  const validateUnit = ({ name, building, floor }) => {
+    if (!name) return "A unit name is required.";
+    if ([name, building, floor].some((value) => value && value.length > MAX_UNIT_FIELD_LENGTH)) {
+      return `Unit name, building and floor must be ${MAX_UNIT_FIELD_LENGTH} characters or fewer.`;
+    }
+    return null;
+  };
+
+  // Endpoint listing the units of one site (?site_id=), or of every site, active and retired
+  router.get("/units", async (req, res) => {
+    const { site_id } = req.query;
+    try {
+      res.status(200).json(await listUnits(db, site_id ? Number(site_id) : null));
+    } catch (err) {
+      logger.error("SQL Error fetching units:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to add a unit
+  router.post("/units", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const body = req.body || {};
+    const unit = {
+      name: cleanText(body.name),
+      building: cleanText(body.building),
+      floor: cleanText(body.floor),
+    };
+
+    const invalid = validateUnit(unit);
+    if (invalid) {
+      logger.warn(`Unit creation failed: ${invalid} (400).`);
+      return res.status(400).json({ message: invalid });
+    }
+
+    try {
+      const site = await resolveSite(db, body.site_id);
+      if (!site) {
+        logger.warn(`Unit creation failed: No active site given (400).`);
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+      }
+
+      const existing = await findUnitByName(db, unit.name, site.id);
+      if (existing) {
+        logger.warn(`Unit creation failed: ${unit.name} matches unit ID ${existing.id} (409).`);
+        return res.status(409).json({ message: `Unit ${existing.name} already exists at ${site.name}.` });
+      }
+
+      unit.site_id = site.id;
+      unit.created_at = new Date().toISOString();
+      await withTransaction(db, async () => {
+        unit.id = await addUnit(db, unit);
+        await recordAuditEvent(db, logger, req, { action: "unit.create", after: unit });
+      });
+
+      logger.info(`Unit ${unit.name} (ID ${unit.id}) added by ${req.staff.username}.`);
+      res.status(201).json({ message: `Unit ${unit.name} added.`, id: unit.id });
+    } catch (err) {
+      logger.error("SQL Error adding unit:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to rename, move, retire or reactivate a unit. Only the fields sent
+  // are changed; a unit stays at its site. Visits already made keep the name they
+  // were made under.
+  router.post("/units/:id", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+      const before = await findUnit(db, id);
+      if (!before) {
+        logger.warn(`Unit update failed: Unit ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Unit not found." });
+      }
+
+      const after = {
+        ...before,
+        ...(body.name !== undefined && { name: cleanText(body.name) }),
+        ...(body.building !== undefined && { building: cleanText(body.building) }),
+        ...(body.floor !== undefined && { floor: cleanText(body.floor) }),
+        ...(body.is_active !== undefined && { is_active: body.is_active ? 1 : 0 }),
+      };
+
+      const invalid = validateUnit(after);
+      if (invalid) {
+        logger.warn(`Unit ID ${id} update failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+
+      const existing = await findUnitByName(db, after.name, before.site_id, before.id);
+      if (existing) {
+        logger.warn(`Unit ID ${id} update failed: ${after.name} matches unit ID ${existing.id} (409).`);
+        return res.status(409).json({ message: `Unit ${existing.name} already exists.` });
+      }
+
+      await withTransaction(db, async () => {
+        await updateUnit(db, after);
+        await recordAuditEvent(db, logger, req, { action: "unit.update", before, after });
+      });
+
+      logger.info(`Unit ID ${id} updated by ${req.staff.username}.`);
+      res.status(200).json({ message: `Unit ${after.name} updated.` });
+    } catch (err) {
+      logger.error("SQL Error updating unit:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to delete a unit added by mistake. Units with visits can only be retired.
+  router.post("/units/:id/remove", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const unit = await findUnit(db, id);
+      if (!unit) {
+        logger.warn(`Unit removal failed: Unit ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Unit not found." });
+      }
+
+      const visitCount = await countUnitVisits(db, id);
+      if (visitCount > 0) {
+        logger.warn(`Unit removal failed: Unit ID ${id} has ${visitCount} visits (409).`);
+        return res.status(409).json({
+          message: `Unit ${unit.name} has visits recorded against it. Deactivate it instead.`,
+        });
+      }
+
+      await withTransaction(db, async () => {
+        await removeUnit(db, id);
+        await recordAuditEvent(db, logger, req, { action: "unit.remove", before: unit });
+      });
+
+      logger.info(`Unit ${unit.name} (ID ${id}) removed by ${req.staff.username}.`);
+      res.status(200).json({ message: `Unit ${unit.name} removed.` });
+    } catch (err) {
+      logger.error("SQL Error removing unit:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createUnitsRouter;
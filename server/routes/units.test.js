@@ -0,0 +1,159 @@
+const request = require("supertest");
+const express = require("express");
+const createUnitsRouter = require("./units");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let adminToken;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const admin = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('admin1', 'Admin One', 'unused', 'admin', ?)`, [now]);
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: adminToken } = await createStaffSession(mockDb, admin.lastID));
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createUnitsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM visits`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM units`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+describe("Units", () => {
+  test("should let an admin add units, list them for the kiosk and audit the change", async () => {
+    const response = await request(app)
+      .post("/units")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "  Flat 4 ", building: "North Block", floor: "1" });
+
+    expect(response.status).toBe(201);
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'unit.create'`);
+    expect(event.actor).toBe("admin1");
+    expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ id: response.body.id, name: "Flat 4" }));
+
+    // The same unit written differently is refused
+    const duplicate = await request(app)
+      .post("/units")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "flat4" });
+    expect(duplicate.status).toBe(409);
+
+    // Reading the list needs no staff sign-in
+    const list = await request(app).get("/units");
+    expect(list.status).toBe(200);
+    expect(list.body).toEqual([
+      expect.objectContaining({ name: "Flat 4", building: "North Block", floor: "1", is_active: 1 }),
+    ]);
+  });
+
+  test("should only let admins change the list", async () => {
+    const noName = await request(app)
+      .post("/units")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ building: "North Block" });
+    expect(noName.status).toBe(400);
+
+    const receptionist = await request(app)
+      .post("/units")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ name: "Flat 5" });
+    expect(receptionist.status).toBe(403);
+
+    const noSession = await request(app).post("/units").send({ name: "Flat 5" });
+    expect(noSession.status).toBe(401);
+  });
+
+  test("should retire a visited unit instead of removing it", async () => {
+    const unit = await runDb(mockDb, `INSERT INTO units (name, created_at) VALUES ('Flat 4', '2025-01-01T00:00:00.000Z')`);
+    const spare = await runDb(mockDb, `INSERT INTO units (name, created_at) VALUES ('Flat 44', '2025-01-01T00:00:00.000Z')`);
+    const visitor = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Mark', 'Zebra')`);
+    await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, unit, unit_id, type) VALUES (?, '2025-01-02T10:00:00.000Z', 'Flat 4', ?, 'Visitor')`, [visitor.lastID, unit.lastID]);
+
+    const removeVisited = await request(app)
+      .post(`/units/${unit.lastID}/remove`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(removeVisited.status).toBe(409);
+    expect(removeVisited.body.message).toMatch(/Deactivate it instead/);
+
+    const renameClash = await request(app)
+      .post(`/units/${spare.lastID}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "flat 4" });
+    expect(renameClash.status).toBe(409);
+
+    const retired = await request(app)
+      .post(`/units/${unit.lastID}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ is_active: false, floor: "2" });
+    expect(retired.status).toBe(200);
+    expect(await getDb(mockDb, `SELECT name, floor, is_active FROM units WHERE id = ?`, [unit.lastID])).toEqual({
+      name: "Flat 4",
+      floor: "2",
+      is_active: 0,
+    });
+
+    const removeSpare = await request(app)
+      .post(`/units/${spare.lastID}/remove`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(removeSpare.status).toBe(200);
+    expect(await getDb(mockDb, `SELECT * FROM units WHERE id = ?`, [spare.lastID])).toBeUndefined();
+
+    const missing = await request(app)
+      .post(`/units/999`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Flat 9" });
+    expect(missing.status).toBe(404);
+  });
+});
@@ -1,4 +1,33 @@
 const express = require("express");
+const { recordAuditEvent, describeActor } = require("../audit_trail");
+const { liftExpiredBans } = require("../bans");
+const {
+  findWatchlistMatches,
+  watchlistWarning,
+  isWatchlistAcknowledged,
+} = require("../watchlist");
+const { findUnitRestriction, unitRestrictedResponse } = require("../unit_restrictions");
+const { resolveVisitUnit, CHOOSE_UNIT_MESSAGE } = require("../units");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { resolveVisitHost } = require("../hosts");
+const { notifyHostOfArrival } = require("../host_notifications");
+const {
+  resolveVisitorType,
+  visitDetailsProblem,
+  resolveExpectedDuration,
+  CHOOSE_VISITOR_TYPE_MESSAGE,
+} = require("../visitor_types");
+const {
+  resolveAcceptedVersions,
+  findOutstandingAgreement,
+  outstandingAgreementResponse,
+  readSignature,
+  saveSignature,
+  discardSignature,
+  UNREADABLE_SIGNATURE_MESSAGE,
+} = require("../agreements");
+const { alreadySignedIn } = require("../sign_in");
+const { withTransaction, visitors, visits, dependents } = require("../repository");
 
 /**
  * Creates and configures a router for handling visitor data updates for a returning visitor.
@@ -11,18 +40,18 @@ function createUpdateVisitorRouter(db, logger) {
   const router = express.Router();
 
   // Endpoint to handle visitor data updates (new visit) for a returning visitor
-  router.post("/update-visitor-details", (req, res) => {
+  router.post("/update-visitor-details", async (req, res) => {
     const {
       id,
       known_as,
       address,
       phone_number,
-      unit,
+      unit_id,
       reason_for_visit,
       type,
       company_name,
-      mandatory_acknowledgment_taken,
       additional_dependents,
+      watchlist_acknowledged,
     } = req.body;
 
     if (!id) {
@@ -33,124 +62,256 @@ function createUpdateVisitorRouter(db, logger) {
         .status(400)
         .json({ message: "Visitor ID is required for re-registration." });
     }
-    // Use a transaction
-    db.run("BEGIN TRANSACTION;");
 
-    // First, verify the visitor ID exists in the system
-    db.get("SELECT id FROM visitors WHERE id = ?", [id], (err, visitorRow) => {
-      if (err) {
-        db.run("ROLLBACK;");
-        logger.error(`SQL Error checking visitor ID ${id}:`, err.message);
-        return res.status(404).json({ message: "Visitor ID not found." });
+    // Dependents to link to the NEW visit record
+    let dependentsArray = [];
+    if (additional_dependents) {
+      try {
+        dependentsArray = JSON.parse(additional_dependents);
+      } catch (parseError) {
+        logger.warn(`Re-registration of visitor ID ${id} refused: Invalid dependents JSON (400).`);
+        return res.status(400).json({ error: "Invalid dependents JSON format." });
       }
+    }
+    const signature = readSignature(req.body.signature);
+    if (signature.invalid) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Unreadable signature (400).`);
+      return res.status(400).json({ message: UNREADABLE_SIGNATURE_MESSAGE });
+    }
+
+    // Lift any bans that have run out before checking whether this visitor is banned
+    await liftExpiredBans(db, logger).catch((liftErr) =>
+      logger.error("SQL Error lifting expired bans:", liftErr.message)
+    );
+
+    // First, verify the visitor ID exists and read their profile and latest visit
+    // details, the site they are signing in at, the unit chosen from its list, any
+    // host chosen from its directory, the visitor type, the agreement versions accepted and whether the type's agreement
+    // is left outstanding
+    let visitor;
+    let openVisit;
+    let previousDetails;
+    let site;
+    let visitUnit;
+    let visitHost;
+    let visitorType;
+    let accepted;
+    let outstanding = null;
+    try {
+      visitor = await visitors.findById(db, id);
+      openVisit = visitor && (await visits.findActive(db, id));
+      previousDetails = visitor
+        ? { ...visitors.pickContactDetails(visitor), ...(await visits.findLatestDetails(db, id)) }
+        : null;
+      site = await resolveSite(db, req.body.site_id);
+      visitUnit = site && (await resolveVisitUnit(db, { unit_id, unit: req.body.unit }, site.id));
+      visitHost = site && (await resolveVisitHost(db, req.body.host_id, site.id));
+      visitorType = await resolveVisitorType(db, type);
+      accepted =
+        visitorType && (await resolveAcceptedVersions(db, visitorType, req.body, dependentsArray.length));
+      outstanding =
+        visitor && accepted && !accepted.problem
+          ? await findOutstandingAgreement(db, id, visitorType, accepted.agreementVersion)
+          : null;
+    } catch (err) {
+      logger.error(`SQL Error checking visitor ID ${id}:`, err.message);
+      return res.status(500).json({ error: err.message });
+    }
 
-      if (!visitorRow) {
-        // SCENARIO B: Visitor ID not found
-        db.run("ROLLBACK;");
+    if (!visitor) {
+      // SCENARIO B: Visitor ID not found
+      logger.warn(
+        `Visitor re-registration failed: ID ${id} not found (404).`
+      ); // Log the ID not found as a WARN
+      return res.status(404).json({ message: "Visitor ID not found." });
+    }
+    if (visitor.is_banned === 1) {
+      logger.warn(`Re-registration by banned visitor ID ${id} blocked (403 Forbidden).`);
+      return res.status(403).json({ message: "This visitor is banned and cannot log in." });
+    }
+    if (openVisit) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Already signed in (visit ID ${openVisit.visit_id}) (409).`);
+      const { status, body } = alreadySignedIn(visitor);
+      return res.status(status).json(body);
+    }
+    if (!site) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: No active site given (400).`);
+      return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
+    }
+    if (!visitUnit) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Unknown or inactive unit (400).`);
+      return res.status(400).json({ message: CHOOSE_UNIT_MESSAGE });
+    }
+    if (visitHost.problem) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Unknown or inactive host (400).`);
+      return res.status(400).json({ message: visitHost.problem });
+    }
+    if (!visitorType) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Unknown or inactive visitor type (400).`);
+      return res.status(400).json({ message: CHOOSE_VISITOR_TYPE_MESSAGE });
+    }
+    const problem = visitDetailsProblem(visitorType, req.body, dependentsArray);
+    if (problem) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: ${problem} (400).`);
+      return res.status(400).json({ message: problem });
+    }
+    const expectedDuration = resolveExpectedDuration(visitorType, req.body.expected_duration_minutes);
+    if (expectedDuration.problem) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: ${expectedDuration.problem} (400).`);
+      return res.status(400).json({ message: expectedDuration.problem });
+    }
+    if (accepted.problem) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Agreement shown is out of date (409).`);
+      return res.status(409).json({ message: accepted.problem });
+    }
+    if (outstanding && outstanding.enforcement === "block") {
+      logger.warn(
+        `Re-registration of visitor ID ${id} refused: ${outstanding.name} is outstanding (${outstanding.outstanding}) (409).`
+      );
+      return res.status(409).json(outstandingAgreementResponse(outstanding));
+    }
+    const { agreementVersion, childAgreementVersion } = accepted;
+    const unit = visitUnit.name;
+    const { host } = visitHost;
+
+    // Refuse a unit this visitor may not visit, then warn staff when the new details
+    // match someone who is banned. Nothing is written until both checks pass.
+    let watchlistMatches;
+    try {
+      const restriction = await findUnitRestriction(db, id, visitUnit);
+      if (restriction) {
         logger.warn(
-          `Visitor re-registration failed: ID ${id} not found (404).`
-        ); // Log the ID not found as a WARN
-        return res.status(404).json({ message: "Visitor ID not found." });
+          `Re-registration of visitor ID ${id} refused: may not visit unit ${restriction.unit} (403).`
+        );
+        return res.status(403).json(unitRestrictedResponse(restriction));
       }
+      watchlistMatches = await findWatchlistMatches(db, {
+        visitor_id: id,
+        first_name: visitor.first_name,
+        last_name: visitor.last_name,
+        known_as,
+        address,
+        phone_number,
+      });
+    } catch (checkErr) {
+      logger.error("SQL Error during unit restriction or watchlist check:", checkErr.message);
+      return res.status(500).json({ error: checkErr.message });
+    }
 
-      // Insert a new visit record.
-      const visitsSql = `
-          INSERT INTO visits (
-            visitor_id, entry_time, known_as, address, phone_number, unit, reason_for_visit, type, company_name, mandatory_acknowledgment_taken
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-      const entry_time = new Date().toISOString();
+    if (watchlistMatches.length > 0 && !isWatchlistAcknowledged(watchlist_acknowledged)) {
+      logger.warn(
+        `Re-registration of visitor ID ${id} held: ${watchlistMatches.length} watchlist match(es) (409).`
+      );
+      await recordAuditEvent(db, logger, req, {
+        action: "visitor.watchlist_warning",
+        visitorId: Number(id),
+        after: {
+          matches: watchlistMatches.map(({ visitor_id, matched_on }) => ({ visitor_id, matched_on })),
+        },
+      });
+      return res.status(409).json(watchlistWarning(req, watchlistMatches));
+    }
+    const watchlistOverride = watchlistMatches.map((match) => match.visitor_id);
 
-      db.run(
-        visitsSql,
-        [
-          id, // Use the existing visitor ID
-          entry_time,
-          known_as,
-          address,
-          phone_number,
+    // Save changed contact details to the profile, then insert the new visit under
+    // that version with its signature, dependents and the audit event, all together
+    let newVisitId;
+    let signature_path = null;
+    const entry_time = new Date().toISOString();
+    try {
+      newVisitId = await withTransaction(db, async () => {
+        // Checked again here, as the same visitor may be signing in twice at once
+        if (await visits.findActive(db, id)) return null;
+        const { version } = await visitors.saveContactDetails(
+          db,
+          id,
+          visitors.pickContactDetails(req.body),
+          { source: "sign_in", actor: describeActor(req) }
+        );
+        signature_path = signature.image ? await saveSignature(signature.image) : null;
+        const visitId = await visits.create(db, {
+          ...visits.pickDetails(req.body),
           unit,
-          reason_for_visit,
-          type,
-          company_name,
-          mandatory_acknowledgment_taken,
-        ],
-        function (err) {
-          if (err) {
-            db.run("ROLLBACK;");
-            logger.error("SQL Error inserting new visit:", err.message);
-            return res.status(500).json({ error: err.message });
-          }
-          const newVisitId = this.lastID;
-
-          // handle dependents and link them to the NEW visit record
-          if (additional_dependents) {
-            let dependentsArray = [];
-            try {
-              dependentsArray = JSON.parse(additional_dependents);
-            } catch (parseError) {
-              logger.error(
-                "Failed to parse dependents JSON. Treating as single dependent.",
-                parseError
-              );
-              // Fallback for non-JSON dependent string
-              dependentsArray = [
-                { full_name: additional_dependents, age: null },
-              ];
-            }
-
-            if (dependentsArray.length > 0) {
-              const dependentPromises = dependentsArray.map(
-                (dependent) =>
-                  new Promise((resolve, reject) => {
-                    db.run(
-                      `INSERT INTO dependents (full_name, age, visit_id) VALUES (?, ?, ?)`,
-                      [dependent.full_name, dependent.age, newVisitId],
-                      function (err) {
-                        if (err) {
-                          reject(err);
-                        } else {
-                          resolve();
-                        }
-                      }
-                    );
-                  })
-              );
+          unit_id: visitUnit.id,
+          host_id: host && host.id,
+          host_name: host && host.name,
+          type: visitorType.code,
+          visitor_id: id, // Use the existing visitor ID
+          site_id: site.id,
+          entry_time,
+          details_version: version,
+          agreement_version_id: agreementVersion && agreementVersion.version_id,
+          signature_path,
+          expected_duration_minutes: expectedDuration.minutes,
+        });
+        await dependents.addToVisit(
+          db,
+          visitId,
+          dependentsArray,
+          childAgreementVersion && childAgreementVersion.version_id
+        );
+        await recordAuditEvent(db, logger, req, {
+          action: "visit.details_update",
+          visitorId: Number(id),
+          visitId,
+          before: previousDetails,
+          after: {
+            known_as,
+            address,
+            phone_number,
+            site_id: site.id,
+            unit,
+            reason_for_visit,
+            type: visitorType.code,
+            company_name,
+            host_id: host && host.id,
+            expected_duration_minutes: expectedDuration.minutes,
+            agreement_version_id: agreementVersion && agreementVersion.version_id,
+            ...(signature_path && { signature_path }),
+            ...(outstanding && { agreement_outstanding: outstanding.outstanding }),
+            ...(watchlistOverride.length > 0 && { watchlist_override: watchlistOverride }),
+          },
+        });
+        return visitId;
+      });
+    } catch (err) {
+      logger.error("SQL Error inserting new visit:", err.message);
+      if (signature_path) await discardSignature(logger, signature_path);
+      return res.status(500).json({ error: err.message });
+    }
+    if (newVisitId === null) {
+      logger.warn(`Re-registration of visitor ID ${id} refused: Already signed in (409).`);
+      const { status, body } = alreadySignedIn(visitor);
+      return res.status(status).json(body);
+    }
 
-              Promise.all(dependentPromises)
-                .then(() => {
-                  db.run("COMMIT;");
-                  // ✅ FIX 1: Add logger.info for success with dependents
-                  logger.info(`Visitor re-registered successfully with ${dependentsArray.length} dependents (Visit ID: ${newVisitId}, Visitor ID: ${id})`);
-                  res.status(201).json({
-                    message: "Visitor Updated Successfully!",
-                    id: newVisitId,
-                  });
-                })
-                .catch((err) => {
-                  logger.error("Error inserting dependent:", err.message);
-                  db.run("ROLLBACK;");
-                  res.status(500).json({ error: "Transaction failed." });
-                });
-            } else {
-              db.run("COMMIT;");
-              // ✅ FIX 2: Add logger.info for success without dependents (if JSON parsed to an empty array)
-              logger.info(`Visitor re-registered successfully (Visit ID: ${newVisitId}, Visitor ID: ${id})`);
-              res.status(201).json({
-                message: "Visitor Updated Successfully & signed in!",
-                id: newVisitId,
-              });
-            }
-          } else {
-            db.run("COMMIT;");
-            // ✅ FIX 3: Add logger.info for success without dependents (if additional_dependents was falsy)
-            logger.info(`Visitor re-registered successfully (Visit ID: ${newVisitId}, Visitor ID: ${id})`);
-            res.status(201).json({
-              message: "Visitor Updated Successfully & signed in!",
-              id: newVisitId,
-            });
-          }
-        }
-      );
+    const dependentCount = dependentsArray.length;
+    if (outstanding) {
+      logger.warn(`Visitor ID ${id} signed in with ${outstanding.name} outstanding (${outstanding.outstanding}).`);
+    }
+    logger.info(
+      dependentCount > 0
+        ? `Visitor re-registered successfully with ${dependentCount} dependents (Visit ID: ${newVisitId}, Visitor ID: ${id})`
+        : `Visitor re-registered successfully (Visit ID: ${newVisitId}, Visitor ID: ${id})`
+    );
+    if (host) {
+      notifyHostOfArrival(db, logger, req, {
+        host,
+        visitId: newVisitId,
+        visitorId: id,
+        visitorName: `${visitor.first_name} ${visitor.last_name}`,
+        siteName: site.name,
+        unit,
+        entryTime: entry_time,
+      });
+    }
+    res.status(201).json({
+      message:
+        dependentCount > 0
+          ? "Visitor Updated Successfully!"
+          : "Visitor Updated Successfully & signed in!",
+      id: newVisitId,
+      ...(outstanding && { agreement_warning: outstanding.message }),
     });
   });
 
@@ -1,7 +1,7 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createUpdateVisitorRouter = require("./update_visitor_details");
+const { initializeDatabase } = require("../db_management");
 
 // Global variables for the mock environment
 let mockDb;
@@ -41,7 +41,8 @@ const allDb = (db, sql, params = []) => {
 
 // --- Test Setup and Teardown ---
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(':memory:');
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 1. Initialize the logger mock
     loggerMock = {
@@ -50,32 +51,25 @@ beforeAll(async () => {
         error: jest.fn(),
     };
 
-    // 2. Create tables
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT NOT NULL
-    )`);
-    await runDb(mockDb, `CREATE TABLE visits (
-        id INTEGER PRIMARY KEY,
-        visitor_id INTEGER NOT NULL,
-        entry_time TEXT NOT NULL,
-        known_as TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT,
-        reason_for_visit TEXT,
-        company_name TEXT,
-        type TEXT,
-        mandatory_acknowledgment_taken TEXT,
-        FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-    )`);
-    await runDb(mockDb, `CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY,
-        visit_id INTEGER NOT NULL,
-        full_name TEXT NOT NULL,
-        age INTEGER,
-        FOREIGN KEY (visit_id) REFERENCES visits(id)
-    )`);
+    // 2. Replace the visitor types and agreements seeded by the migrations with known ones
+    await runDb(mockDb, `DELETE FROM visitor_types`);
+    await runDb(mockDb, `DELETE FROM agreement_versions`);
+    await runDb(mockDb, `DELETE FROM agreements`);
+    await runDb(mockDb, `INSERT INTO agreements (id, name, created_at) VALUES
+        (1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z'),
+        (3, 'Child Agreement & Disclaimer', '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO agreement_versions (id, agreement_id, version, body, published_at) VALUES
+        (1, 1, 1, 'Visitor agreement text.', '2025-01-01T00:00:00.000Z'),
+        (2, 2, 1, 'Contractor briefing text.', '2025-01-01T00:00:00.000Z'),
+        (3, 3, 1, 'Child agreement text.', '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO visitor_types (id, code, name, company_field, address_field, allows_dependents, agreement, created_at) VALUES
+        (1, 'visitor', 'Guest', 'hidden', 'optional', 1, 'Visitor Agreement & Disclaimer', '2025-01-01T00:00:00.000Z'),
+        (2, 'contractor', 'Contractor', 'required', 'hidden', 0, 'Contractor H&S and Site Risk Assessment', '2025-01-01T00:00:00.000Z')`);
+    await runDb(mockDb, `INSERT INTO units (id, site_id, name, is_active, created_at) VALUES
+        (1, 1, 'A101', 1, '2025-01-01T00:00:00.000Z'),
+        (2, 1, 'B202', 1, '2025-01-01T00:00:00.000Z'),
+        (3, 1, 'C303', 0, '2025-01-01T00:00:00.000Z')`);
 
     // 3. Create a mock Express app and inject dependencies
     app = express();
@@ -83,10 +77,12 @@ beforeAll(async () => {
     app.use("/", createUpdateVisitorRouter(mockDb, loggerMock));
 });
 
-
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM bans`);
+    await runDb(mockDb, `DELETE FROM unit_restrictions`);
     await runDb(mockDb, `DELETE FROM dependents`);
+    await runDb(mockDb, `DELETE FROM visitor_details_history`);
     await runDb(mockDb, `DELETE FROM visits`);
     await runDb(mockDb, `DELETE FROM visitors`);
     // Reset mock history after each test
@@ -105,6 +101,10 @@ afterAll((done) => {
 
 describe('POST /update-visitor-details', () => {
 
+  // Signs the visitor out of their open visit, so they can sign in again
+  const signOut = (visitorId) =>
+    runDb(mockDb, `UPDATE visits SET exit_time = ? WHERE visitor_id = ? AND exit_time IS NULL`, [new Date().toISOString(), visitorId]);
+
   // Sample data for a successful update
   const sampleUpdateData = {
     known_as: "Jane D.",
@@ -112,14 +112,15 @@ describe('POST /update-visitor-details', () => {
     phone_number: "555-1234",
     unit: "A101",
     reason_for_visit: "Delivery",
-    type: "Personal",
+    type: "visitor",
     company_name: "N/A",
     mandatory_acknowledgment_taken: "True",
+    agreement_version_id: 1,
   };
 
   test('should successfully update visitor details (insert new visit) without dependents', async () => {
     // 1. Insert a visitor to get a valid ID
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name) VALUES ('Jane')`);
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
     const visitorId = visitorResult.lastID;
 
     // 2. Send the update request
@@ -134,7 +135,11 @@ describe('POST /update-visitor-details', () => {
     // 3. Verify database state (new visit record exists)
     const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
     expect(visits).toHaveLength(1);
-    expect(visits[0].known_as).toBe(sampleUpdateData.known_as);
+    expect(visits[0].details_version).toBe(1);
+
+    // The contact details were saved to the profile as its first version
+    const visitor = await getDb(mockDb, `SELECT known_as, address, phone_number, details_version FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor).toEqual({ known_as: 'Jane D.', address: '123 Main St', phone_number: '555-1234', details_version: 1 });
 
     // 4. Verify dependents table is empty
     const dependents = await allDb(mockDb, `SELECT * FROM dependents`);
@@ -145,9 +150,98 @@ describe('POST /update-visitor-details', () => {
     expect(loggerMock.warn).not.toHaveBeenCalled();
   });
 
+  test('should add a profile version only when the contact details change', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+    const visitorId = visitorResult.lastID;
+
+    await request(app).post('/update-visitor-details').send({ id: visitorId, ...sampleUpdateData });
+    await signOut(visitorId);
+    await request(app).post('/update-visitor-details').send({ id: visitorId, ...sampleUpdateData, unit: 'B202' });
+    await signOut(visitorId);
+    const moved = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, address: '9 New Road' });
+    expect(moved.status).toBe(201);
+
+    const visits = await allDb(mockDb, `SELECT details_version FROM visits WHERE visitor_id = ? ORDER BY id`, [visitorId]);
+    expect(visits.map((visit) => visit.details_version)).toEqual([1, 1, 2]);
+    const history = await allDb(mockDb, `SELECT version, address, source, changed_by FROM visitor_details_history WHERE visitor_id = ? ORDER BY version`, [visitorId]);
+    expect(history).toEqual([
+      { version: 1, address: '123 Main St', source: 'sign_in', changed_by: 'kiosk' },
+      { version: 2, address: '9 New Road', source: 'sign_in', changed_by: 'kiosk' },
+    ]);
+  });
+
+  test('should refuse a unit the visitor may not visit with a 403 and write nothing', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+    const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `INSERT INTO unit_restrictions (visitor_id, unit, created_by, created_at) VALUES (?, 'a101', 'manager1', '2025-10-31T10:00:00.000Z')`, [visitorId]);
+
+    const refused = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData });
+
+    expect(refused.status).toBe(403);
+    expect(refused.body.restricted_unit).toBe('a101');
+    expect(refused.body.message).toMatch(/may not visit unit a101/);
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(0);
+
+    // Any other unit is fine
+    const allowed = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, unit: 'B202' });
+    expect(allowed.status).toBe(201);
+  });
+
+  test('should sign in to the unit chosen from the list and refuse a retired or unknown one', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+    const visitorId = visitorResult.lastID;
+
+    const chosen = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, unit_id: 2 });
+    expect(chosen.status).toBe(201);
+    const visit = await getDb(mockDb, `SELECT unit, unit_id FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visit).toEqual({ unit: 'B202', unit_id: 2 });
+    await signOut(visitorId);
+
+    const retired = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, unit_id: 3 });
+    const unknown = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, unit: 'Z999' });
+
+    expect(retired.status).toBe(400);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe('Please choose a unit from the list.');
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(1);
+  });
+
+  test('should refuse a visitor type that is not on the list or details it requires', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+    const visitorId = visitorResult.lastID;
+
+    const unknownType = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, type: 'Personal' });
+    const noCompany = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, type: 'contractor', company_name: ' ' });
+
+    expect(unknownType.status).toBe(400);
+    expect(unknownType.body.message).toBe('Please choose a visitor type from the list.');
+    expect(noCompany.status).toBe(400);
+    expect(noCompany.body.message).toBe('A company name is required for Contractor visitors.');
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(0);
+  });
+
   test('should successfully insert a new visit with valid JSON dependents', async () => {
     // 1. Insert a visitor to get a valid ID
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name) VALUES ('Jane')`);
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
     const visitorId = visitorResult.lastID;
 
     const dependentsJson = JSON.stringify([
@@ -161,7 +255,8 @@ describe('POST /update-visitor-details', () => {
       .send({ 
         id: visitorId, 
         ...sampleUpdateData, 
-        additional_dependents: dependentsJson 
+        additional_dependents: dependentsJson,
+        child_agreement_version_id: 3,
       });
 
     expect(response.status).toBe(201);
@@ -173,11 +268,14 @@ describe('POST /update-visitor-details', () => {
     // 3. Verify database state (new visit record exists)
     const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
     expect(visits).toHaveLength(1);
+    // The versions the kiosk showed and the visitor accepted are the ones recorded
+    expect(visits[0].agreement_version_id).toBe(1);
 
     // 4. Verify dependents were inserted and linked to the new visit
     const dependents = await allDb(mockDb, `SELECT * FROM dependents WHERE visit_id = ?`, [newVisitId]);
     expect(dependents).toHaveLength(2);
     expect(dependents.map(d => d.full_name)).toEqual(expect.arrayContaining(["Child 1", "Child 2"]));
+    expect(dependents.map(d => d.agreement_version_id)).toEqual([3, 3]);
 
     // 5. Verify logging
     expect(loggerMock.info).toHaveBeenCalledTimes(1);
@@ -224,35 +322,85 @@ describe('POST /update-visitor-details', () => {
     expect(loggerMock.info).not.toHaveBeenCalled();
   });
 
-  test('should handle invalid dependents JSON gracefully (fallback to single dependent)', async () => {
-    // 1. Insert a visitor to get a valid ID
-    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name) VALUES ('Jane')`);
+  test('should refuse a visitor who is already signed in with a 409 and write nothing', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
     const visitorId = visitorResult.lastID;
 
-    const invalidJson = "This is definitely not JSON."; // A simple string instead of JSON
+    const first = await request(app).post('/update-visitor-details').send({ id: visitorId, ...sampleUpdateData });
+    expect(first.status).toBe(201);
+    const second = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData, address: '9 New Road' });
+
+    expect(second.status).toBe(409);
+    expect(second.body).toEqual({ message: "Jane Doe is already signed in. Please sign them out before signing them in again." });
+    const openVisits = await allDb(mockDb, `SELECT id FROM visits WHERE visitor_id = ? AND exit_time IS NULL`, [visitorId]);
+    expect(openVisits).toHaveLength(1);
+    const visitor = await getDb(mockDb, `SELECT address, details_version FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor).toEqual({ address: '123 Main St', details_version: 1 });
+
+    // Two sign-ins at once open one visit between them
+    await signOut(visitorId);
+    const both = await Promise.all([1, 2].map(() =>
+      request(app).post('/update-visitor-details').send({ id: visitorId, ...sampleUpdateData })
+    ));
+    expect(both.map((response) => response.status).sort()).toEqual([201, 409]);
+    const stillOpen = await allDb(mockDb, `SELECT id FROM visits WHERE visitor_id = ? AND exit_time IS NULL`, [visitorId]);
+    expect(stillOpen).toHaveLength(1);
+  });
+
+  test('should refuse a banned visitor with a 403 and write nothing', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jane', 'Doe', 1)`);
+    const visitorId = visitorResult.lastID;
+
+    const response = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ message: "This visitor is banned and cannot log in." });
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(0);
+    const history = await allDb(mockDb, `SELECT * FROM visitor_details_history WHERE visitor_id = ?`, [visitorId]);
+    expect(history).toHaveLength(0);
+    expect(loggerMock.warn.mock.calls[0][0]).toMatch(`Re-registration by banned visitor ID ${visitorId} blocked (403 Forbidden).`);
+  });
+
+  test('should lift an expired ban and let the visitor sign in', async () => {
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, is_banned) VALUES ('Jane', 'Doe', 1)`);
+    const visitorId = visitorResult.lastID;
+    await runDb(mockDb, `INSERT INTO bans (visitor_id, category, issued_by, starts_at, expires_at) VALUES (?, 'other', 'reception1', '2025-01-01T00:00:00.000Z', '2025-02-01T00:00:00.000Z')`, [visitorId]);
 
-    // 2. Send the update request
+    const response = await request(app)
+      .post('/update-visitor-details')
+      .send({ id: visitorId, ...sampleUpdateData });
+
+    expect(response.status).toBe(201);
+    const visitor = await getDb(mockDb, `SELECT is_banned FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor.is_banned).toBe(0);
+  });
+
+  test('should refuse dependents that are not valid JSON', async () => {
+    // 1. Insert a visitor to get a valid ID
+    const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+    const visitorId = visitorResult.lastID;
+
+    // 2. Send the update request with a plain string instead of JSON
     const response = await request(app)
       .post('/update-visitor-details')
       .send({ 
         id: visitorId, 
         ...sampleUpdateData, 
-        additional_dependents: invalidJson 
+        additional_dependents: "This is definitely not JSON."
       });
 
-    expect(response.status).toBe(201);
-    
-    const newVisitId = response.body.id;
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('error', 'Invalid dependents JSON format.');
 
-    // 3. Verify dependents were inserted using the fallback logic
-    const dependents = await allDb(mockDb, `SELECT * FROM dependents WHERE visit_id = ?`, [newVisitId]);
-    expect(dependents).toHaveLength(1);
-    expect(dependents[0].full_name).toBe(invalidJson);
-    expect(dependents[0].age).toBeNull();
-    
-    // 4. Verify logging: should log an ERROR for the parsing failure
-    expect(loggerMock.error).toHaveBeenCalledTimes(1);
-    expect(loggerMock.error.mock.calls[0][0]).toMatch(/Failed to parse dependents JSON/);
+    // 3. Verify no visit was recorded
+    const visits = await allDb(mockDb, `SELECT * FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toHaveLength(0);
+    expect(loggerMock.warn.mock.calls[0][0]).toMatch(/Invalid dependents JSON \(400\)/);
   });
 
 });
\ No newline at end of file
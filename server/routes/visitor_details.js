@@ -0,0 +1,88 @@
+const express = require("express");
+const { requireStaffRole, ANY_STAFF } = require("../auth/staff_auth");
+const { recordAuditEvent, describeActor } = require("../audit_trail");
+const { withTransaction, visitors } = require("../repository");
+
+/**
+ * Creates and configures a router for a visitor's contact details (known_as,
+ * address, phone number), which live on the profile. Staff can correct them
+ * without signing the visitor in, and read every earlier version.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the profile details endpoints.
+ */
+function createVisitorDetailsRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing every version of a visitor's contact details, newest first
+  router.get("/visitors/:id/details-history", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    try {
+      const visitor = await visitors.findById(db, id);
+      if (!visitor) {
+        logger.warn(`Details history failed: Visitor ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+      res.status(200).json(await visitors.listContactDetailsHistory(db, id));
+    } catch (err) {
+      logger.error("SQL Error fetching visitor details history:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to correct a visitor's contact details without starting a visit.
+  // Only the fields sent are changed; sending the current values changes nothing.
+  router.post("/visitors/:id/details", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const details = Object.fromEntries(
+      Object.entries(visitors.pickContactDetails(req.body || {})).filter(([, value]) => value !== undefined)
+    );
+
+    if (Object.keys(details).length === 0) {
+      logger.warn(`Details update for visitor ID ${id} failed: No details given (400).`);
+      return res
+        .status(400)
+        .json({ message: "Provide at least one of known_as, address or phone_number." });
+    }
+
+    try {
+      const visitor = await visitors.findById(db, id);
+      if (!visitor) {
+        logger.warn(`Details update failed: Visitor ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+
+      const result = await withTransaction(db, async () => {
+        const saved = await visitors.saveContactDetails(db, id, details, {
+          source: "profile_edit",
+          actor: describeActor(req),
+        });
+        if (saved.changed) {
+          await recordAuditEvent(db, logger, req, {
+            action: "visitor.details_update",
+            visitorId: Number(id),
+            before: saved.previous,
+            after: { ...details, details_version: saved.version },
+          });
+        }
+        return saved;
+      });
+
+      if (!result.changed) {
+        return res.status(200).json({ message: "No changes to save.", version: result.version });
+      }
+      logger.info(
+        `Contact details of visitor ID ${id} updated to version ${result.version} by ${req.staff.username}.`
+      );
+      res.status(200).json({ message: "Visitor details updated.", version: result.version });
+    } catch (err) {
+      logger.error("SQL Error updating visitor details:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVisitorDetailsRouter;
@@ -0,0 +1,156 @@
+const request = require("supertest");
+const express = require("express");
+const createVisitorDetailsRouter = require("./visitor_details");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let staffToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const staff = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [new Date().toISOString()]);
+    ({ token: staffToken } = await createStaffSession(mockDb, staff.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createVisitorDetailsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM visitor_details_history`);
+    await runDb(mockDb, `DELETE FROM visits`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+// --- Helper to Insert a Visitor on the first version of their details, with one visit ---
+const setupVisitor = async () => {
+  const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name, known_as, address, phone_number, details_version) VALUES ('Mark', 'Zebra', 'Marky', '1 Old Road', '555-0001', 1)`);
+  const visitorId = visitorResult.lastID;
+  await runDb(mockDb, `INSERT INTO visitor_details_history (visitor_id, version, known_as, address, phone_number, source, changed_at, changed_by) VALUES (?, 1, 'Marky', '1 Old Road', '555-0001', 'registration', '2025-01-01T10:00:00.000Z', 'kiosk')`, [visitorId]);
+  await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time, details_version, unit, type) VALUES (?, '2025-01-01T10:00:00.000Z', '2025-01-01T11:00:00.000Z', 1, 'A1', 'Visitor')`, [visitorId]);
+  return visitorId;
+};
+
+describe("Visitor profile details", () => {
+  test("should save changed details as a new version without starting a visit", async () => {
+    const visitorId = await setupVisitor();
+
+    const response = await request(app)
+      .post(`/visitors/${visitorId}/details`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ address: "9 New Road" });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: "Visitor details updated.", version: 2 });
+
+    // Fields that were not sent keep their value
+    const visitor = await getDb(mockDb, `SELECT known_as, address, phone_number, details_version FROM visitors WHERE id = ?`, [visitorId]);
+    expect(visitor).toEqual({ known_as: "Marky", address: "9 New Road", phone_number: "555-0001", details_version: 2 });
+
+    // No one was signed in, and the earlier visit still refers to the old version
+    const visits = await getDb(mockDb, `SELECT COUNT(*) AS count, MAX(details_version) AS version FROM visits WHERE visitor_id = ?`, [visitorId]);
+    expect(visits).toEqual({ count: 1, version: 1 });
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.details_update'`);
+    expect(event.actor).toBe("reception1");
+    // The audit trail names the changed contact details without copying them
+    expect(JSON.parse(event.before_values)).toEqual(expect.objectContaining({ known_as: "Marky" }));
+    expect(event.before_values).not.toContain("1 Old Road");
+    expect(event.after_values).not.toContain("9 New Road");
+    expect(JSON.parse(event.after_values).contact_changed).toEqual(["address"]);
+
+    const history = await request(app)
+      .get(`/visitors/${visitorId}/details-history`)
+      .set("Authorization", `Bearer ${staffToken}`);
+    expect(history.status).toBe(200);
+    expect(history.body.map((version) => [version.version, version.address, version.source, version.changed_by])).toEqual([
+      [2, "9 New Road", "profile_edit", "reception1"],
+      [1, "1 Old Road", "registration", "kiosk"],
+    ]);
+  });
+
+  test("should add no version when nothing changed", async () => {
+    const visitorId = await setupVisitor();
+
+    const response = await request(app)
+      .post(`/visitors/${visitorId}/details`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ known_as: "Marky", address: "1 Old Road" });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: "No changes to save.", version: 1 });
+    const versions = await getDb(mockDb, `SELECT COUNT(*) AS count FROM visitor_details_history WHERE visitor_id = ?`, [visitorId]);
+    expect(versions.count).toBe(1);
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.details_update'`);
+    expect(event).toBeUndefined();
+  });
+
+  test("should reject an empty update, an unknown visitor or a missing staff session", async () => {
+    const visitorId = await setupVisitor();
+
+    const empty = await request(app)
+      .post(`/visitors/${visitorId}/details`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ unit: "B2" });
+    expect(empty.status).toBe(400);
+
+    const missing = await request(app)
+      .post(`/visitors/999/details`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ address: "9 New Road" });
+    expect(missing.status).toBe(404);
+
+    const noSession = await request(app)
+      .post(`/visitors/${visitorId}/details`)
+      .send({ address: "9 New Road" });
+    expect(noSession.status).toBe(401);
+
+    const noSessionHistory = await request(app).get(`/visitors/${visitorId}/details-history`);
+    expect(noSessionHistory.status).toBe(401);
+  });
+});
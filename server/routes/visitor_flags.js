@@ -0,0 +1,118 @@
+const express = require("express");
+const { requireStaffRole, ANY_STAFF } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const { MAX_FLAG_LENGTH, getActiveFlags, findFlag, addFlag, removeFlag } = require("../visitor_flags");
+const { withTransaction, visitors } = require("../repository");
+
+/**
+ * Creates and configures a router for visitor flags: non-blocking warnings with
+ * optional expiry. Anyone at the front desk can read them; adding and removing
+ * one needs a signed-in staff member.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the flag endpoints.
+ */
+function createVisitorFlagsRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing the flags currently showing for a visitor
+  router.get("/visitors/:id/flags", async (req, res) => {
+    try {
+      res.status(200).json(await getActiveFlags(db, req.params.id));
+    } catch (err) {
+      logger.error("SQL Error fetching visitor flags:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to add a flag to a visitor
+  router.post("/visitors/:id/flags", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { id } = req.params;
+    const { text, expires_at = null } = req.body || {};
+    const flagText = text ? String(text).trim() : "";
+
+    if (!flagText) {
+      logger.warn(`Flag on visitor ID ${id} failed: Missing text (400).`);
+      return res.status(400).json({ message: "Flag text is required." });
+    }
+    if (flagText.length > MAX_FLAG_LENGTH) {
+      logger.warn(`Flag on visitor ID ${id} failed: Text too long (400).`);
+      return res
+        .status(400)
+        .json({ message: `Flag text must be ${MAX_FLAG_LENGTH} characters or fewer.` });
+    }
+
+    const createdAt = new Date().toISOString();
+    const expiresAt = expires_at ? new Date(expires_at) : null;
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt.toISOString() <= createdAt)) {
+      logger.warn(`Flag on visitor ID ${id} failed: Invalid expiry date '${expires_at}' (400).`);
+      return res
+        .status(400)
+        .json({ message: "The flag expiry must be a valid date in the future." });
+    }
+
+    try {
+      const visitor = await visitors.findById(db, id);
+      if (!visitor) {
+        logger.warn(`Flag failed: Visitor ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Visitor not found." });
+      }
+
+      const flag = {
+        visitor_id: Number(id),
+        flag_text: flagText,
+        created_by_staff_id: req.staff.id,
+        created_by: req.staff.username,
+        created_at: createdAt,
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+      };
+      await withTransaction(db, async () => {
+        flag.id = await addFlag(db, flag);
+        await recordAuditEvent(db, logger, req, {
+          action: "visitor.flag_add",
+          visitorId: flag.visitor_id,
+          after: { flag_id: flag.id, text: flag.flag_text, expires_at: flag.expires_at },
+        });
+      });
+
+      logger.info(`Flag ID ${flag.id} added to visitor ID ${id} by ${req.staff.username}.`);
+      res.status(201).json({ message: "Flag added.", flag });
+    } catch (err) {
+      logger.error("SQL Error adding visitor flag:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to remove a flag before it expires
+  router.post("/flags/:flagId/remove", requireStaffRole(db, logger, ANY_STAFF), async (req, res) => {
+    const { flagId } = req.params;
+
+    try {
+      const flag = await findFlag(db, flagId);
+      if (!flag || flag.removed_at) {
+        logger.warn(`Flag removal failed: Flag ID ${flagId} not found or already removed (404).`);
+        return res.status(404).json({ message: "Flag not found." });
+      }
+
+      await withTransaction(db, async () => {
+        await removeFlag(db, flagId, req.staff);
+        await recordAuditEvent(db, logger, req, {
+          action: "visitor.flag_remove",
+          visitorId: flag.visitor_id,
+          before: { flag_id: flag.id, text: flag.flag_text, expires_at: flag.expires_at },
+        });
+      });
+
+      logger.info(`Flag ID ${flagId} removed by ${req.staff.username}.`);
+      res.status(200).json({ message: "Flag removed." });
+    } catch (err) {
+      logger.error("SQL Error removing visitor flag:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVisitorFlagsRouter;
@@ -0,0 +1,156 @@
+const request = require("supertest");
+const express = require("express");
+const createVisitorFlagsRouter = require("./visitor_flags");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let staffToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const staff = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [new Date().toISOString()]);
+    ({ token: staffToken } = await createStaffSession(mockDb, staff.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createVisitorFlagsRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM visitor_flags`);
+    await runDb(mockDb, `DELETE FROM visitors`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+// --- Helper to Insert a Test Visitor ---
+const setupVisitor = async () => {
+  const visitorResult = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Mark', 'Zebra')`);
+  return visitorResult.lastID;
+};
+
+describe("Visitor flags", () => {
+  test("should add a flag with an expiry, list it for the front desk and audit it", async () => {
+    const visitorId = await setupVisitor();
+    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const response = await request(app)
+      .post(`/visitors/${visitorId}/flags`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ text: "  Must be escorted  ", expires_at: expiresAt });
+
+    expect(response.status).toBe(201);
+    expect(response.body.flag).toEqual(expect.objectContaining({
+      visitor_id: visitorId,
+      flag_text: "Must be escorted",
+      created_by: "reception1",
+      expires_at: expiresAt,
+    }));
+
+    // Reading flags needs no staff sign-in
+    const list = await request(app).get(`/visitors/${visitorId}/flags`);
+    expect(list.status).toBe(200);
+    expect(list.body.map((flag) => flag.flag_text)).toEqual(["Must be escorted"]);
+
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor.flag_add'`);
+    expect(event.actor).toBe("reception1");
+    expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ flag_id: response.body.flag.id }));
+  });
+
+  test("should reject a flag without text, with a past expiry or without a staff session", async () => {
+    const visitorId = await setupVisitor();
+
+    const noText = await request(app)
+      .post(`/visitors/${visitorId}/flags`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ text: "   " });
+    expect(noText.status).toBe(400);
+    expect(noText.body.message).toBe("Flag text is required.");
+
+    const pastExpiry = await request(app)
+      .post(`/visitors/${visitorId}/flags`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ text: "Check with manager", expires_at: "2020-01-01" });
+    expect(pastExpiry.status).toBe(400);
+
+    const noSession = await request(app)
+      .post(`/visitors/${visitorId}/flags`)
+      .send({ text: "Check with manager" });
+    expect(noSession.status).toBe(401);
+
+    const missing = await request(app)
+      .post(`/visitors/999/flags`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ text: "Check with manager" });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should hide removed and expired flags", async () => {
+    const visitorId = await setupVisitor();
+    await runDb(mockDb, `INSERT INTO visitor_flags (visitor_id, flag_text, created_by, created_at, expires_at) VALUES (?, 'Old warning', 'reception1', '2025-01-01T00:00:00.000Z', '2025-02-01T00:00:00.000Z')`, [visitorId]);
+    const added = await request(app)
+      .post(`/visitors/${visitorId}/flags`)
+      .set("Authorization", `Bearer ${staffToken}`)
+      .send({ text: "No access to unit 4" });
+
+    const removed = await request(app)
+      .post(`/flags/${added.body.flag.id}/remove`)
+      .set("Authorization", `Bearer ${staffToken}`);
+    expect(removed.status).toBe(200);
+
+    const list = await request(app).get(`/visitors/${visitorId}/flags`);
+    expect(list.body).toEqual([]);
+
+    const flag = await getDb(mockDb, `SELECT * FROM visitor_flags WHERE id = ?`, [added.body.flag.id]);
+    expect(flag.removed_by).toBe("reception1");
+
+    // Removing it twice finds nothing to remove
+    const again = await request(app)
+      .post(`/flags/${added.body.flag.id}/remove`)
+      .set("Authorization", `Bearer ${staffToken}`);
+    expect(again.status).toBe(404);
+  });
+});
@@ -0,0 +1,181 @@
+const express = require("express");
+const { requireStaffRole, ADMINS } = require("../auth/staff_auth");
+const { recordAuditEvent } = require("../audit_trail");
+const {
+  FIELD_SETTINGS,
+  TYPE_FIELDS,
+  MAX_DURATION_MINUTES,
+  listVisitorTypes,
+  findVisitorType,
+  findVisitorTypeByCode,
+  addVisitorType,
+  updateVisitorType,
+} = require("../visitor_types");
+const { findAgreementByName, CHOOSE_AGREEMENT_MESSAGE } = require("../agreements");
+const { withTransaction } = require("../repository");
+
+// Longest name or agreement accepted
+const MAX_TYPE_TEXT_LENGTH = 100;
+
+// Trims a text field; missing or blank values become null
+function cleanText(value) {
+  const text = value === undefined || value === null ? "" : String(value).trim();
+  return text === "" ? null : text;
+}
+
+// Reads a whole number field; blank becomes the fallback and anything else not a number NaN
+function cleanNumber(value, fallback = null) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return Number(value);
+}
+
+// Checks a visitor type's settings; returns the error message or null
+function validateVisitorType(visitorType) {
+  if (!visitorType.name) return "A name is required.";
+  if (!visitorType.agreement) return "The agreement visitors of this type sign is required.";
+  if ([visitorType.name, visitorType.agreement].some((value) => value.length > MAX_TYPE_TEXT_LENGTH)) {
+    return `Name and agreement must be ${MAX_TYPE_TEXT_LENGTH} characters or fewer.`;
+  }
+  if (Object.keys(TYPE_FIELDS).some((setting) => !FIELD_SETTINGS.includes(visitorType[setting]))) {
+    return `Each field must be one of ${FIELD_SETTINGS.join(", ")}.`;
+  }
+  const duration = visitorType.default_duration_minutes;
+  if (duration !== null && !(Number.isInteger(duration) && duration > 0 && duration <= MAX_DURATION_MINUTES)) {
+    return `The usual visit length must be a whole number of minutes up to ${MAX_DURATION_MINUTES}.`;
+  }
+  if (!Number.isInteger(visitorType.sort_order)) return "The order must be a whole number.";
+  return null;
+}
+
+/**
+ * Creates and configures a router for the visitor types the sign-in forms offer. The
+ * kiosk reads the list to build its forms; only admins can change it. A type is
+ * never deleted, since visits refer to it by code; it is retired instead.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance injected for testing/production.
+ * @returns {express.Router} - An Express router with the visitor type endpoints.
+ */
+function createVisitorTypesRouter(db, logger) {
+  const router = express.Router();
+
+  // Endpoint listing every visitor type, active and retired
+  router.get("/visitor-types", async (req, res) => {
+    try {
+      res.status(200).json(await listVisitorTypes(db));
+    } catch (err) {
+      logger.error("SQL Error fetching visitor types:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to add a visitor type
+  router.post("/visitor-types", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const body = req.body || {};
+    const code = cleanText(body.code);
+    const visitorType = {
+      code: code && code.toLowerCase(),
+      name: cleanText(body.name),
+      company_field: body.company_field || "hidden",
+      reason_field: body.reason_field || "optional",
+      address_field: body.address_field || "hidden",
+      allows_dependents: body.allows_dependents ? 1 : 0,
+      agreement: cleanText(body.agreement),
+      default_duration_minutes: cleanNumber(body.default_duration_minutes),
+      sort_order: cleanNumber(body.sort_order, 0),
+    };
+
+    const invalid =
+      !visitorType.code || !/^[a-z0-9_-]{1,30}$/.test(visitorType.code)
+        ? "A code of up to 30 letters, digits, - or _ is required."
+        : validateVisitorType(visitorType);
+    if (invalid) {
+      logger.warn(`Visitor type creation failed: ${invalid} (400).`);
+      return res.status(400).json({ message: invalid });
+    }
+
+    try {
+      if (await findVisitorTypeByCode(db, visitorType.code)) {
+        logger.warn(`Visitor type creation failed: ${visitorType.code} already exists (409).`);
+        return res.status(409).json({ message: `A visitor type with the code ${visitorType.code} already exists.` });
+      }
+      const agreement = await findAgreementByName(db, visitorType.agreement);
+      if (!agreement) {
+        logger.warn(`Visitor type creation failed: No agreement named ${visitorType.agreement} (400).`);
+        return res.status(400).json({ message: CHOOSE_AGREEMENT_MESSAGE });
+      }
+      visitorType.agreement = agreement.name;
+
+      visitorType.created_at = new Date().toISOString();
+      await withTransaction(db, async () => {
+        visitorType.id = await addVisitorType(db, visitorType);
+        await recordAuditEvent(db, logger, req, { action: "visitor_type.create", after: visitorType });
+      });
+
+      logger.info(`Visitor type ${visitorType.code} (ID ${visitorType.id}) added by ${req.staff.username}.`);
+      res.status(201).json({ message: `Visitor type ${visitorType.name} added.`, id: visitorType.id });
+    } catch (err) {
+      logger.error("SQL Error adding visitor type:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Endpoint to change a visitor type's settings, or retire or reactivate it. Only
+  // the fields sent are changed; the code stays as it is.
+  router.post("/visitor-types/:id", requireStaffRole(db, logger, ADMINS), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+      const before = await findVisitorType(db, id);
+      if (!before) {
+        logger.warn(`Visitor type update failed: Visitor type ID ${id} not found (404).`);
+        return res.status(404).json({ message: "Visitor type not found." });
+      }
+
+      const after = {
+        ...before,
+        ...(body.name !== undefined && { name: cleanText(body.name) }),
+        ...(body.company_field !== undefined && { company_field: body.company_field }),
+        ...(body.reason_field !== undefined && { reason_field: body.reason_field }),
+        ...(body.address_field !== undefined && { address_field: body.address_field }),
+        ...(body.allows_dependents !== undefined && { allows_dependents: body.allows_dependents ? 1 : 0 }),
+        ...(body.agreement !== undefined && { agreement: cleanText(body.agreement) }),
+        ...(body.default_duration_minutes !== undefined && {
+          default_duration_minutes: cleanNumber(body.default_duration_minutes),
+        }),
+        ...(body.sort_order !== undefined && { sort_order: cleanNumber(body.sort_order, 0) }),
+        ...(body.is_active !== undefined && { is_active: body.is_active ? 1 : 0 }),
+      };
+
+      const invalid = validateVisitorType(after);
+      if (invalid) {
+        logger.warn(`Visitor type ID ${id} update failed: ${invalid} (400).`);
+        return res.status(400).json({ message: invalid });
+      }
+      if (after.agreement !== before.agreement) {
+        const agreement = await findAgreementByName(db, after.agreement);
+        if (!agreement) {
+          logger.warn(`Visitor type ID ${id} update failed: No agreement named ${after.agreement} (400).`);
+          return res.status(400).json({ message: CHOOSE_AGREEMENT_MESSAGE });
+        }
+        after.agreement = agreement.name;
+      }
+
+      await withTransaction(db, async () => {
+        await updateVisitorType(db, after);
+        await recordAuditEvent(db, logger, req, { action: "visitor_type.update", before, after });
+      });
+
+      logger.info(`Visitor type ID ${id} updated by ${req.staff.username}.`);
+      res.status(200).json({ message: `Visitor type ${after.name} updated.` });
+    } catch (err) {
+      logger.error("SQL Error updating visitor type:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVisitorTypesRouter;
@@ -0,0 +1,151 @@
+const request = require("supertest");
+const express = require("express");
+const createVisitorTypesRouter = require("./visitor_types");
+const { createStaffSession } = require("../auth/staff_auth");
+const { initializeDatabase } = require("../db_management");
+
+// Global variables for the mock environment
+let mockDb;
+let app;
+let loggerMock;
+let adminToken;
+let receptionToken;
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const getDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) return reject(err);
+            resolve(row);
+        });
+    });
+};
+
+// --- Test Setup and Teardown ---
+beforeAll(async () => {
+    // 1. Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    // 2. Initialize the logger mock
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+
+    const now = new Date().toISOString();
+    const admin = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('admin1', 'Admin One', 'unused', 'admin', ?)`, [now]);
+    const reception = await runDb(mockDb, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'unused', 'receptionist', ?)`, [now]);
+    ({ token: adminToken } = await createStaffSession(mockDb, admin.lastID));
+    ({ token: receptionToken } = await createStaffSession(mockDb, reception.lastID));
+
+    // 3. Create a mock Express app and inject dependencies
+    app = express();
+    app.use(express.json());
+    app.use("/", createVisitorTypesRouter(mockDb, loggerMock));
+});
+
+afterEach(async () => {
+    await runDb(mockDb, `DELETE FROM visitor_types WHERE code NOT IN ('visitor', 'contractor', 'professional')`);
+    await runDb(mockDb, `DELETE FROM audit_events`);
+    loggerMock.info.mockClear();
+    loggerMock.warn.mockClear();
+    loggerMock.error.mockClear();
+});
+
+afterAll((done) => {
+  mockDb.close((err) => {
+    if (err) console.error(err.message);
+    done();
+  });
+});
+
+describe("Visitor types", () => {
+  test("should start with the three types the forms used to offer", async () => {
+    const list = await request(app).get("/visitor-types");
+
+    expect(list.status).toBe(200);
+    expect(list.body).toEqual([
+      expect.objectContaining({ code: "visitor", name: "Guest", address_field: "optional", allows_dependents: 1 }),
+      expect.objectContaining({ code: "contractor", name: "Contractor", company_field: "optional", allows_dependents: 0 }),
+      expect.objectContaining({ code: "professional", name: "Professional", agreement: "Visitor Agreement & Disclaimer" }),
+    ]);
+  });
+
+  test("should let an admin add and change a type and audit the change", async () => {
+    const response = await request(app)
+      .post("/visitor-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        code: "Inspector",
+        name: "Inspector",
+        company_field: "required",
+        reason_field: "required",
+        agreement: "Visitor Agreement & Disclaimer",
+        default_duration_minutes: 45,
+        sort_order: 4,
+      });
+
+    expect(response.status).toBe(201);
+    const event = await getDb(mockDb, `SELECT * FROM audit_events WHERE action = 'visitor_type.create'`);
+    expect(event.actor).toBe("admin1");
+    expect(JSON.parse(event.after_values)).toEqual(expect.objectContaining({ id: response.body.id, code: "inspector" }));
+
+    const duplicate = await request(app)
+      .post("/visitor-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "inspector", name: "Inspector", agreement: "Visitor Agreement & Disclaimer" });
+    expect(duplicate.status).toBe(409);
+
+    const badField = await request(app)
+      .post(`/visitor-types/${response.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ company_field: "sometimes" });
+    expect(badField.status).toBe(400);
+
+    const retired = await request(app)
+      .post(`/visitor-types/${response.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ allows_dependents: true, default_duration_minutes: "", is_active: false });
+    expect(retired.status).toBe(200);
+    expect(
+      await getDb(mockDb, `SELECT code, company_field, allows_dependents, default_duration_minutes, is_active FROM visitor_types WHERE id = ?`, [response.body.id])
+    ).toEqual({ code: "inspector", company_field: "required", allows_dependents: 1, default_duration_minutes: null, is_active: 0 });
+
+    const missing = await request(app)
+      .post(`/visitor-types/999`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Nobody" });
+    expect(missing.status).toBe(404);
+  });
+
+  test("should only let admins change the list", async () => {
+    const noAgreement = await request(app)
+      .post("/visitor-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "courier", name: "Courier" });
+    expect(noAgreement.status).toBe(400);
+
+    const unknownAgreement = await request(app)
+      .post("/visitor-types")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "courier", name: "Courier", agreement: "Courier Waiver" });
+    expect(unknownAgreement.status).toBe(400);
+    expect(unknownAgreement.body.message).toBe("Please choose an agreement from the list.");
+
+    const receptionist = await request(app)
+      .post("/visitor-types")
+      .set("Authorization", `Bearer ${receptionToken}`)
+      .send({ code: "courier", name: "Courier", agreement: "Visitor Agreement & Disclaimer" });
+    expect(receptionist.status).toBe(403);
+  });
+});
@@ -1,4 +1,6 @@
 const express = require("express");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("../sites");
+const { visits } = require("../repository");
 
 /**
  * Creates and configures a router for handling visitor-related data.
@@ -10,56 +12,15 @@ const express = require("express");
 function createVisitorsRouter(db,logger) {
   const router = express.Router();
 
-  // Endpoint to get all currently signed-in visitors
-  router.get("/visitors", (req, res) => {
-    const query = `
-    SELECT
-        T1.id,
-        T1.first_name,
-        T1.last_name,
-        T1.photo_path,
-        T1.is_banned,
-        T2.entry_time,
-        T2.exit_time,
-        T2.known_as,
-        T2.address,
-        T2.phone_number,
-        T2.unit,
-        T2.reason_for_visit,
-        T2.company_name,
-        T2.type,
-        T2.mandatory_acknowledgment_taken,
-        GROUP_CONCAT(json_object('full_name', T3.full_name, 'age', T3.age)) AS additional_dependents
-    FROM visitors AS T1
-    JOIN visits AS T2
-        ON T1.id = T2.visitor_id
-    LEFT JOIN dependents AS T3
-        ON T2.id = T3.visit_id
-    WHERE T2.exit_time IS NULL
-    GROUP BY 
-        T1.id,
-        T1.first_name,
-        T1.last_name,
-        T1.photo_path,
-        T1.is_banned,
-        T2.entry_time,
-        T2.exit_time,
-        T2.known_as,
-        T2.address,
-        T2.phone_number,
-        T2.unit,
-        T2.reason_for_visit,
-        T2.company_name,
-        T2.type,
-        T2.mandatory_acknowledgment_taken
-    ORDER BY T2.entry_time DESC
-`;
-    db.all(query, [], (err, rows) => {
-      if (err) {
-        logger.error("SQL Error fetching signed-in visitors:", err.message);
-        res.status(500).json({ error: err.message });
-        return;
+  // Endpoint to get everyone currently signed in at the site (?site_id=)
+  router.get("/visitors", async (req, res) => {
+    try {
+      const site = await resolveSite(db, req.query.site_id);
+      if (!site) {
+        logger.warn("On-site list requested without an active site (400).");
+        return res.status(400).json({ message: CHOOSE_SITE_MESSAGE });
       }
+      const rows = await visits.listOnSite(db, site.id);
       logger.debug(`Fetched ${rows.length} currently signed-in visitors.`);
       const resultsWithUrls = rows.map((row) => ({
         ...row,
@@ -68,7 +29,10 @@ function createVisitorsRouter(db,logger) {
           : null,
       }));
       res.json(resultsWithUrls);
-    });
+    } catch (err) {
+      logger.error("SQL Error fetching signed-in visitors:", err.message);
+      res.status(500).json({ error: err.message });
+    }
   });
 
   return router;
@@ -1,7 +1,7 @@
 const request = require("supertest");
 const express = require("express");
-const sqlite3 = require("sqlite3").verbose();
 const createVisitorsRouter = require("./visitors");
+const { initializeDatabase } = require("../db_management");
 
 // Global variables for the mock environment
 let mockDb;
@@ -20,7 +20,8 @@ const runDb = (db, sql, params = []) => {
 
 // Setup: Create the database and initialize the app before any tests run
 beforeAll(async () => {
-    mockDb = new sqlite3.Database(":memory:");
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
 
     // 1. Initialize the logger mock using Jest's native function
     loggerMock = {
@@ -30,38 +31,7 @@ beforeAll(async () => {
         debug: jest.fn(),
     };
 
-    // 2. Create tables
-    await runDb(mockDb, `CREATE TABLE visitors (
-        id INTEGER PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        photo_path TEXT,
-        is_banned INTEGER DEFAULT 0
-    )`);
-    await runDb(mockDb, `CREATE TABLE visits (
-        id INTEGER PRIMARY KEY,
-        visitor_id INTEGER NOT NULL,
-        entry_time TEXT NOT NULL,
-        exit_time TEXT,
-        known_as TEXT,
-        address TEXT,
-        phone_number TEXT,
-        unit TEXT,
-        reason_for_visit TEXT,
-        company_name TEXT,
-        type TEXT,
-        mandatory_acknowledgment_taken TEXT,
-        FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-    )`);
-    await runDb(mockDb, `CREATE TABLE dependents (
-        id INTEGER PRIMARY KEY,
-        visit_id INTEGER NOT NULL,
-        full_name TEXT NOT NULL,
-        age INTEGER,
-        FOREIGN KEY (visit_id) REFERENCES visits(id)
-    )`);
-
-    // 3. Initialize the Express app and router
+    // 2. Initialize the Express app and router
     app = express();
     app.use(express.json()); 
     // Pass the mockDb AND the loggerMock to the router
@@ -70,6 +40,7 @@ beforeAll(async () => {
 
 // Clean up the test database after each test and reset mock call history
 afterEach(async () => {
+    await runDb(mockDb, "DELETE FROM visitor_flags");
     await runDb(mockDb, "DELETE FROM dependents");
     await runDb(mockDb, "DELETE FROM visits");
     await runDb(mockDb, "DELETE FROM visitors");
@@ -105,7 +76,7 @@ describe("GET /visitors", () => {
         // Insert a signed-in visitor
         const result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
         const visitorId = result.lastID;
-        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, NULL)`, [visitorId, new Date().toISOString()]);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, NULL, 'A101', 'visitor')`, [visitorId, new Date().toISOString()]);
 
         // Make the request and verify the response
         const response = await request(app).get("/visitors");
@@ -124,12 +95,12 @@ describe("GET /visitors", () => {
         // Insert a signed-in visitor
         let result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
         let visitorId = result.lastID;
-        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, NULL)`, [visitorId, "2023-01-01T10:00:00Z"]);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, NULL, 'A101', 'visitor')`, [visitorId, "2023-01-01T10:00:00Z"]);
 
         // Insert a signed-out visitor
         result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('John', 'Smith')`);
         visitorId = result.lastID;
-        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, ?)`, [visitorId, "2023-01-01T09:00:00Z", new Date().toISOString()]);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, ?, 'A101', 'visitor')`, [visitorId, "2023-01-01T09:00:00Z", new Date().toISOString()]);
 
         // Make the request and verify the response
         const response = await request(app).get("/visitors");
@@ -146,12 +117,12 @@ describe("GET /visitors", () => {
         // Insert an earlier visitor
         let result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Early', 'Bird')`);
         let visitorId = result.lastID;
-        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, NULL)`, [visitorId, "2023-01-01T10:00:00Z"]);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, NULL, 'A101', 'visitor')`, [visitorId, "2023-01-01T10:00:00Z"]);
 
         // Insert a later visitor
         result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Late', 'Comer')`);
         visitorId = result.lastID;
-        await runDb(mockDb, `INSERT INTO visits (visitor_id, entry_time, exit_time) VALUES (?, ?, NULL)`, [visitorId, "2023-01-01T11:00:00Z"]);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, NULL, 'A101', 'visitor')`, [visitorId, "2023-01-01T11:00:00Z"]);
 
         // Make the request and verify the order
         const response = await request(app).get("/visitors");
@@ -166,4 +137,64 @@ describe("GET /visitors", () => {
         expect(loggerMock.debug.mock.calls[0][0]).toMatch(/Fetched 2 currently signed-in visitors./);
         expect(loggerMock.info).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+
+    test("should include each visitor's flags that are still showing", async () => {
+        const result = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+        const visitorId = result.lastID;
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, NULL, 'A101', 'visitor')`, [visitorId, new Date().toISOString()]);
+        const insertFlag = `INSERT INTO visitor_flags (visitor_id, flag_text, created_by, created_at, expires_at, removed_at) VALUES (?, ?, 'reception1', '2025-01-01T00:00:00.000Z', ?, ?)`;
+        await runDb(mockDb, insertFlag, [visitorId, 'Must be escorted', null, null]);
+        await runDb(mockDb, insertFlag, [visitorId, 'Expired flag', '2025-01-02T00:00:00.000Z', null]);
+        await runDb(mockDb, insertFlag, [visitorId, 'Removed flag', null, '2025-01-03T00:00:00.000Z']);
+
+        const response = await request(app).get("/visitors");
+
+        expect(response.status).toBe(200);
+        expect(response.body[0].flags).toEqual([
+            expect.objectContaining({ flag_text: 'Must be escorted', expires_at: null }),
+        ]);
+        expect(response.body[0]).not.toHaveProperty('flags_json');
+    });
+
+    test("should mark visits that have lasted longer than expected as overdue", async () => {
+        const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+        const late = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Late', 'Stayer')`);
+        const early = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('On', 'Time')`);
+        const open = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('No', 'Length')`);
+        const insertVisit = `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, expected_duration_minutes, unit, type) VALUES (?, 1, ?, NULL, ?, 'A101', 'visitor')`;
+        await runDb(mockDb, insertVisit, [late.lastID, minutesAgo(90), 60]);
+        await runDb(mockDb, insertVisit, [early.lastID, minutesAgo(30), 60]);
+        await runDb(mockDb, insertVisit, [open.lastID, minutesAgo(600), null]);
+
+        const response = await request(app).get("/visitors");
+
+        expect(response.status).toBe(200);
+        const byName = Object.fromEntries(response.body.map((visitor) => [visitor.first_name, visitor]));
+        expect(byName.Late).toEqual(expect.objectContaining({ expected_duration_minutes: 60, overdue: true }));
+        expect(byName.Late.minutes_over).toBeGreaterThanOrEqual(29);
+        expect(byName.Late.minutes_over).toBeLessThanOrEqual(30);
+        expect(byName.On).toEqual(expect.objectContaining({ overdue: false, minutes_over: 0 }));
+        expect(byName.No).toEqual(expect.objectContaining({ expected_duration_minutes: null, overdue: false, minutes_over: null }));
+    });
+
+    test("should list only the visitors at the site asked for", async () => {
+        await runDb(mockDb, `INSERT INTO sites (id, name, is_active, created_at) VALUES (2, 'North Centre', 1, '2025-01-01T00:00:00.000Z')`);
+        const jane = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('Jane', 'Doe')`);
+        const john = await runDb(mockDb, `INSERT INTO visitors (first_name, last_name) VALUES ('John', 'Smith')`);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 1, ?, NULL, 'A101', 'visitor')`, [jane.lastID, new Date().toISOString()]);
+        await runDb(mockDb, `INSERT INTO visits (visitor_id, site_id, entry_time, exit_time, unit, type) VALUES (?, 2, ?, NULL, 'A101', 'visitor')`, [john.lastID, new Date().toISOString()]);
+
+        try {
+            const north = await request(app).get("/visitors?site_id=2");
+            expect(north.status).toBe(200);
+            expect(north.body.map((visitor) => visitor.first_name)).toEqual(["John"]);
+
+            // With more than one site open, the kiosk has to say which it is at
+            const noSite = await request(app).get("/visitors");
+            expect(noSite.status).toBe(400);
+            expect(noSite.body.message).toBe("Please choose a site.");
+        } finally {
+            await runDb(mockDb, `DELETE FROM sites WHERE id = 2`);
+        }
+    });
+});
@@ -0,0 +1,101 @@
+// Schema migrations: each file in migrations/ named NNN_description.js moves the
+// schema on by one step. schema_migrations records which versions a database has,
+// so database.db, a restored backup and a test's :memory: database are all brought
+// to the same schema by applying the missing files in order. Applied files are
+// never edited; a change to the schema is always a new file.
+const fs = require("fs");
+const path = require("path");
+const { run, all, withTransaction } = require("./repository/db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const schemaMigrationsSql = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`;
+
+/**
+ * Reads the migration files, ordered by version.
+ *
+ * @param {string} [dir] - Directory holding the NNN_description.js files.
+ * @returns {Array<{version: number, name: string, up: function}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      up: require(path.join(dir, file)).up,
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Two migrations share version ${migration.version}.`);
+    }
+    if (typeof migration.up !== "function") {
+      throw new Error(`Migration ${migration.version}_${migration.name} does not export up().`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Applies every migration the database has not had yet, oldest first. Each one runs
+ * in its own transaction with its schema_migrations row, so a failing migration
+ * leaves the database at the previous version and stops the ones after it.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} [logger] - The logging instance; quiet when omitted (tests).
+ * @param {Array<object>} [migrations] - Defaults to the files in migrations/.
+ * @returns {Promise<{version: number, applied: Array<number>}>} The schema version
+ *   now in place and the versions applied by this call.
+ * @throws {Error} When a migration fails (after rolling it back).
+ */
+async function runMigrations(db, logger, migrations = loadMigrations()) {
+  await run(db, schemaMigrationsSql);
+  const appliedRows = await all(db, `SELECT version FROM schema_migrations`);
+  const appliedVersions = new Set(appliedRows.map((row) => row.version));
+
+  const known = new Set(migrations.map((migration) => migration.version));
+  const unknown = [...appliedVersions].filter((version) => !known.has(version));
+  if (unknown.length > 0 && logger) {
+    logger.warn(
+      `Database has schema version(s) ${unknown.join(", ")} that this server does not know about. Was it used by a newer release?`
+    );
+  }
+
+  const applied = [];
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) continue;
+    const label = `${migration.version}_${migration.name}`;
+
+    try {
+      await withTransaction(db, async () => {
+        await migration.up(db);
+        await run(
+          db,
+          `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+    } catch (err) {
+      throw new Error(`Migration ${label} failed: ${err.message}`);
+    }
+    applied.push(migration.version);
+    if (logger) logger.info(`Applied schema migration ${label}.`);
+  }
+
+  const versions = [...appliedVersions, ...applied];
+  return { version: versions.length > 0 ? Math.max(...versions) : 0, applied };
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+};
@@ -0,0 +1,217 @@
+const sqlite3 = require("sqlite3").verbose();
+const { loadMigrations, runMigrations } = require("./schema_migrations");
+
+// --- Database Helper Functions ---
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+const allDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) return reject(err);
+            resolve(rows);
+        });
+    });
+};
+
+const columnNames = async (db, table) =>
+    (await allDb(db, `PRAGMA table_info(${table})`)).map((column) => column.name);
+
+let db;
+let loggerMock;
+
+beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    loggerMock = {
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    };
+});
+
+afterEach((done) => {
+    db.close(() => done());
+});
+
+describe("Schema migrations", () => {
+    test("should build a new database from the migration files once, in order", async () => {
+        const migrations = loadMigrations();
+        expect(migrations.map((migration) => migration.version)).toEqual(
+            [...migrations.map((migration) => migration.version)].sort((a, b) => a - b)
+        );
+
+        const first = await runMigrations(db, loggerMock);
+        expect(first.applied).toEqual(migrations.map((migration) => migration.version));
+        expect(first.version).toBe(migrations[migrations.length - 1].version);
+        expect(await columnNames(db, "visitors")).toEqual(expect.arrayContaining(["photo_path", "is_banned"]));
+        expect(await columnNames(db, "audit_logs")).toEqual(expect.arrayContaining(["prev_hash", "row_hash"]));
+
+        const recorded = await allDb(db, `SELECT version, name FROM schema_migrations ORDER BY version`);
+        expect(recorded[0]).toEqual({ version: 1, name: "initial_schema" });
+
+        // Running again finds nothing to do
+        const second = await runMigrations(db, loggerMock);
+        expect(second).toEqual({ version: first.version, applied: [] });
+    });
+
+    test("should upgrade a database created before migrations without losing its data", async () => {
+        // audit_logs from before the hash chain, with a cleanup run already recorded
+        await runDb(db, `CREATE TABLE visitors (id INTEGER PRIMARY KEY, first_name TEXT NOT NULL, last_name TEXT NOT NULL, photo_path TEXT, is_banned BOOLEAN DEFAULT 0)`);
+        await runDb(db, `CREATE TABLE audit_logs (id INTEGER PRIMARY KEY, event_name TEXT NOT NULL, timestamp TEXT NOT NULL, status TEXT NOT NULL, profiles_deleted INTEGER, visits_deleted INTEGER, dependents_deleted INTEGER)`);
+        await runDb(db, `INSERT INTO visitors (first_name, last_name) VALUES ('Ada', 'Lovelace')`);
+        await runDb(db, `INSERT INTO audit_logs (event_name, timestamp, status) VALUES ('DATA_CLEANUP', '2025-01-01T00:00:00.000Z', 'SUCCESS')`);
+
+        await runMigrations(db, loggerMock);
+
+        expect(await columnNames(db, "audit_logs")).toEqual(expect.arrayContaining(["prev_hash", "row_hash"]));
+        expect(await allDb(db, `SELECT first_name FROM visitors`)).toEqual([{ first_name: "Ada" }]);
+        expect(await allDb(db, `SELECT event_name FROM audit_logs`)).toEqual([{ event_name: "DATA_CLEANUP" }]);
+        // Tables added since then are created
+        expect(await columnNames(db, "unit_restrictions")).toContain("unit");
+    });
+
+    test("should move contact details from visits to numbered versions on the profile", async () => {
+        const migrations = loadMigrations();
+        await runMigrations(db, loggerMock, migrations.filter((migration) => migration.version < 3));
+        await runDb(db, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Ada', 'Lovelace'), (2, 'New', 'Visitor')`);
+        await runDb(db, `INSERT INTO visits (visitor_id, entry_time, known_as, address, phone_number, unit, type) VALUES
+            (1, '2025-01-01T10:00:00.000Z', 'Ada', '1 Old Road', '555-0001', 'A1', 'Visitor'),
+            (1, '2025-02-01T10:00:00.000Z', 'Ada', '1 Old Road', '555-0001', 'B2', 'Visitor'),
+            (1, '2025-03-01T10:00:00.000Z', 'Ada', '9 New Road', '555-0001', 'A1', 'Visitor')`);
+
+        await runMigrations(db, loggerMock, migrations);
+
+        expect(await columnNames(db, "visits")).not.toEqual(expect.arrayContaining(["known_as"]));
+        expect(await allDb(db, `SELECT details_version FROM visits ORDER BY entry_time`)).toEqual([
+            { details_version: 1 },
+            { details_version: 1 },
+            { details_version: 2 },
+        ]);
+        expect(await allDb(db, `SELECT visitor_id, version, address, source FROM visitor_details_history ORDER BY version`)).toEqual([
+            { visitor_id: 1, version: 1, address: '1 Old Road', source: 'visit' },
+            { visitor_id: 1, version: 2, address: '9 New Road', source: 'visit' },
+        ]);
+        expect(await allDb(db, `SELECT id, address, details_version FROM visitors ORDER BY id`)).toEqual([
+            { id: 1, address: '9 New Road', details_version: 2 },
+            { id: 2, address: null, details_version: 0 },
+        ]);
+    });
+
+    test("should map free-text units onto the units list", async () => {
+        const migrations = loadMigrations();
+        await runMigrations(db, loggerMock, migrations.filter((migration) => migration.version < 4));
+        await runDb(db, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Ada', 'Lovelace')`);
+        await runDb(db, `INSERT INTO visits (visitor_id, entry_time, unit, type) VALUES
+            (1, '2025-01-01T10:00:00.000Z', 'Flat 4', 'Visitor'),
+            (1, '2025-02-01T10:00:00.000Z', 'flat4 ', 'Visitor'),
+            (1, '2025-03-01T10:00:00.000Z', 'Flat 4', 'Visitor'),
+            (1, '2025-04-01T10:00:00.000Z', 'B2', 'Visitor'),
+            (1, '2025-05-01T10:00:00.000Z', '--', 'Visitor')`);
+
+        await runMigrations(db, loggerMock, migrations);
+
+        const units = await allDb(db, `SELECT id, name, is_active FROM units ORDER BY id`);
+        expect(units.map((unit) => unit.name)).toEqual(['Flat 4', 'B2']);
+        expect(units.every((unit) => unit.is_active === 1)).toBe(true);
+        expect(await allDb(db, `SELECT unit, unit_id FROM visits ORDER BY entry_time`)).toEqual([
+            { unit: 'Flat 4', unit_id: units[0].id },
+            { unit: 'Flat 4', unit_id: units[0].id },
+            { unit: 'Flat 4', unit_id: units[0].id },
+            { unit: 'B2', unit_id: units[1].id },
+            { unit: '--', unit_id: null },
+        ]);
+    });
+
+    test("should put everything recorded before sites at the default site", async () => {
+        const migrations = loadMigrations();
+        await runMigrations(db, loggerMock, migrations.filter((migration) => migration.version < 5));
+        await runDb(db, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Ada', 'Lovelace')`);
+        await runDb(db, `INSERT INTO visits (visitor_id, entry_time, unit, type) VALUES (1, '2025-01-01T10:00:00.000Z', 'Flat 4', 'Visitor')`);
+        await runDb(db, `INSERT INTO units (name, created_at) VALUES ('Flat 4', '2025-01-01T00:00:00.000Z')`);
+        await runDb(db, `INSERT INTO staff (username, display_name, password_hash, role, created_at) VALUES ('reception1', 'Reception One', 'x', 'receptionist', '2025-01-01T00:00:00.000Z')`);
+
+        await runMigrations(db, loggerMock, migrations);
+
+        const sites = await allDb(db, `SELECT id, name, is_active FROM sites`);
+        expect(sites).toEqual([{ id: expect.any(Number), name: 'Main Site', is_active: 1 }]);
+        for (const table of ['visits', 'units', 'staff']) {
+            expect(await allDb(db, `SELECT site_id FROM ${table}`)).toEqual([{ site_id: sites[0].id }]);
+        }
+    });
+
+    test("should record the paper form as accepted by visits that took the acknowledgment", async () => {
+        const migrations = loadMigrations();
+        await runMigrations(db, loggerMock, migrations.filter((migration) => migration.version < 7));
+        await runDb(db, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Ada', 'Lovelace')`);
+        await runDb(db, `INSERT INTO visits (id, visitor_id, entry_time, unit, type, mandatory_acknowledgment_taken) VALUES
+            (1, 1, '2025-01-01T10:00:00.000Z', 'Flat 4', 'Contractor', 1),
+            (2, 1, '2025-01-02T10:00:00.000Z', 'Flat 4', 'visitor', 0)`);
+
+        await runMigrations(db, loggerMock, migrations);
+
+        const visits = await allDb(db, `
+            SELECT T1.id, T3.name, T2.version
+            FROM visits T1
+            LEFT JOIN agreement_versions T2 ON T2.id = T1.agreement_version_id
+            LEFT JOIN agreements T3 ON T3.id = T2.agreement_id
+            ORDER BY T1.id`);
+        expect(visits).toEqual([
+            { id: 1, name: 'Contractor H&S and Site Risk Assessment', version: 1 },
+            { id: 2, name: null, version: null },
+        ]);
+    });
+
+    test("should point unit restrictions at the units they name", async () => {
+        const migrations = loadMigrations();
+        await runMigrations(db, loggerMock, migrations.filter((migration) => migration.version < 15));
+        await runDb(db, `INSERT INTO visitors (id, first_name, last_name) VALUES (1, 'Ada', 'Lovelace')`);
+        await runDb(db, `INSERT INTO sites (id, name, is_active, created_at) VALUES (2, 'North Centre', 1, '2025-01-01T00:00:00.000Z')`);
+        await runDb(db, `INSERT INTO units (id, site_id, name, created_at) VALUES
+            (10, 1, 'Flat 4', '2025-01-01T00:00:00.000Z'),
+            (11, 1, 'B2', '2025-01-01T00:00:00.000Z'),
+            (12, 2, 'Flat 4', '2025-01-01T00:00:00.000Z')`);
+        await runDb(db, `INSERT INTO unit_restrictions (id, visitor_id, unit, reason, created_by, created_at) VALUES
+            (1, 1, 'flat4', 'Asked by resident', 'Reception One', '2025-02-01T00:00:00.000Z'),
+            (2, 1, 'B2', NULL, 'Reception One', '2025-02-01T00:00:00.000Z'),
+            (3, 1, 'Old Annexe', NULL, 'Reception One', '2025-02-01T00:00:00.000Z')`);
+
+        await runMigrations(db, loggerMock, migrations);
+
+        // The one on a name used at both sites is copied to each, so neither loses it
+        expect(await allDb(db, `SELECT visitor_id, unit_id, unit, reason FROM unit_restrictions ORDER BY id`)).toEqual([
+            { visitor_id: 1, unit_id: 10, unit: 'flat4', reason: 'Asked by resident' },
+            { visitor_id: 1, unit_id: 11, unit: 'B2', reason: null },
+            { visitor_id: 1, unit_id: null, unit: 'Old Annexe', reason: null },
+            { visitor_id: 1, unit_id: 12, unit: 'flat4', reason: 'Asked by resident' },
+        ]);
+    });
+
+    test("should roll back a failing migration and stop before the ones after it", async () => {
+        const migrations = [
+            { version: 1, name: "create_notes", up: (database) => runDb(database, `CREATE TABLE notes (id INTEGER PRIMARY KEY)`) },
+            {
+                version: 2,
+                name: "broken",
+                up: async (database) => {
+                    await runDb(database, `CREATE TABLE half_done (id INTEGER PRIMARY KEY)`);
+                    await runDb(database, `ALTER TABLE missing_table ADD COLUMN x TEXT`);
+                },
+            },
+            { version: 3, name: "never_reached", up: (database) => runDb(database, `CREATE TABLE later (id INTEGER PRIMARY KEY)`) },
+        ];
+
+        await expect(runMigrations(db, loggerMock, migrations)).rejects.toThrow(/Migration 2_broken failed/);
+
+        const tables = (await allDb(db, `SELECT name FROM sqlite_master WHERE type = 'table'`)).map((table) => table.name);
+        expect(tables).toContain("notes");
+        expect(tables).not.toContain("half_done");
+        expect(tables).not.toContain("later");
+        expect(await allDb(db, `SELECT version FROM schema_migrations`)).toEqual([{ version: 1 }]);
+    });
+});
@@ -29,72 +29,55 @@ const { updateStatus, getStatus } = require("./status_tracker");
 // IMPORT DB MANAGEMENT FUNCTIONS
 const {
   checkDatabaseIntegrity,
+  checkAuditChains,
   restoreFromBackup,
   createBackup,
 } = require("./db_management");
 
+const { runMigrations } = require("./schema_migrations");
 const runDataComplianceCleanup = require("./routes/clean_data");
 const createRegistrationRouter = require("./auth/registration");
+const createStaffLoginRouter = require("./auth/staff_login");
+const { seedInitialAdmin } = require("./auth/staff_auth");
+const { countActiveLockouts } = require("./auth/login_throttle");
+const { liftExpiredBans } = require("./bans");
+const { signOutOpenVisits } = require("./auto_sign_out");
+const { visits } = require("./repository");
 const createVisitorsRouter = require("./routes/visitors");
 const createLoginRouter = require("./routes/login");
 const createUpdateVisitorRouter = require("./routes/update_visitor_details");
 const createLogoutRouter = require("./routes/logout");
 const createBanVisitorRouter = require("./routes/ban");
 const createUnbanVisitorRouter = require("./routes/unban");
+const createVisitorFlagsRouter = require("./routes/visitor_flags");
+const createVisitorDetailsRouter = require("./routes/visitor_details");
+const createUnitRestrictionsRouter = require("./routes/unit_restrictions");
+const createUnitsRouter = require("./routes/units");
+const createSitesRouter = require("./routes/sites");
+const createVisitorTypesRouter = require("./routes/visitor_types");
+const createAgreementsRouter = require("./routes/agreements");
+const createAppointmentsRouter = require("./routes/appointments");
+const createHostsRouter = require("./routes/hosts");
+const createEvacuationsRouter = require("./routes/evacuations");
 const createSearchVisitorsRouter = require("./routes/search_visitors");
 const createMissedVisitRouter = require("./routes/record_missed_visit");
 const createHistoryRouter = require("./routes/display_history");
 const createAuditRouter = require("./routes/audit_logs");
+const createAutoSignOutRouter = require("./routes/auto_sign_out");
 
 const DB_FILE_PATH = path.join(__dirname, "database.db");
 const UPLOADS_DIR_PATH = path.join(__dirname, "uploads");
 
-// Define SQL commands
-const visitorsSql = `CREATE TABLE IF NOT EXISTS visitors (
-  id INTEGER PRIMARY KEY,
-  first_name TEXT NOT NULL,
-  last_name TEXT NOT NULL,
-  photo_path TEXT,
-  is_banned BOOLEAN DEFAULT 0
-)`;
+// How often expired bans are lifted in the background (sign-in also checks on demand)
+const BAN_EXPIRY_CHECK_MS = 15 * 60 * 1000;
 
-const visitsSql = `CREATE TABLE IF NOT EXISTS visits (
-  id INTEGER PRIMARY KEY,
-  visitor_id INTEGER NOT NULL,
-  entry_time TEXT NOT NULL,
-  exit_time TEXT,
-  known_as TEXT,
-  address TEXT,
-  phone_number TEXT,
-  unit TEXT NOT NULL,
-  reason_for_visit TEXT,
-  type TEXT NOT NULL,
-  company_name TEXT,
-  mandatory_acknowledgment_taken BOOLEAN DEFAULT 0,
-  FOREIGN KEY (visitor_id) REFERENCES visitors(id)
-)`;
-
-const dependentsSql = `CREATE TABLE IF NOT EXISTS dependents (
-  id INTEGER PRIMARY KEY,
-  full_name TEXT NOT NULL,
-  age INTEGER NOT NULL,
-  visit_id INTEGER NOT NULL,
-  FOREIGN KEY (visit_id) REFERENCES visits(id)
-)`;
-
-const auditLogsSql = `CREATE TABLE IF NOT EXISTS audit_logs (
-  id INTEGER PRIMARY KEY,
-  event_name TEXT NOT NULL,
-  timestamp TEXT NOT NULL,
-  status TEXT NOT NULL,
-  profiles_deleted INTEGER,
-  visits_deleted INTEGER,
-  dependents_deleted INTEGER
-)`;
+// How often visits left open past the closing time are looked for
+const AUTO_SIGN_OUT_CHECK_MS = 5 * 60 * 1000;
 
 // Middleware setup
 app.use(cors());
-app.use(bodyParser.json());
+// Sign-ins can carry a signature image as a data URL, larger than the default 100kb
+app.use(bodyParser.json({ limit: "1mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
 // Use the fully resolved path
 app.use("/uploads", express.static(UPLOADS_DIR_PATH));
@@ -205,66 +188,104 @@ const initializeServer = async () => {
     },
   });
 
-  // CREATE TABLES AND ATTACH ROUTE
+  // APPLY SCHEMA MIGRATIONS (after the backup, so it holds the schema from before them)
+  try {
+    const { version } = await runMigrations(db, logger);
+    updateStatus("schema_version", version); // 🔑 SCHEMA VERSION IN USE
+  } catch (error) {
+    logger.error("Schema Migration Error (Fatal):", error.message);
+    updateStatus("db_ready", false);
+    updateStatus("last_error", error.message);
+    return; // Halt server initialization
+  }
+
+  // Create the first admin account from .env if none exist yet.
+  seedInitialAdmin(db, logger);
 
-  db.serialize(() => {
-    // Run table creation scripts
-    db.run(visitorsSql, (err) => {
-      if (err)
-        return logger.error("Visitors Table Error (Fatal):", err.message);
-      db.run(visitsSql, (err) => {
-        if (err)
-          return logger.error("Visits Table Error (Fatal):", err.message);
-        db.run(dependentsSql, (err) => {
-          if (err)
-            return logger.error("Dependents Table Error (Fatal):", err.message);
-          db.run(auditLogsSql, (err) => {
-            if (err)
-              return logger.error(
-                "Audit Logs Table Error (Fatal):",
-                err.message
-              );
+  // Lift bans whose expiry has passed, now and every 15 minutes.
+  const runBanExpiry = () =>
+    liftExpiredBans(db, logger).catch((err) =>
+      logger.error("Error lifting expired bans:", err.message)
+    );
+  runBanExpiry();
+  setInterval(runBanExpiry, BAN_EXPIRY_CHECK_MS);
 
-            // Running cleanup job.
-            runDataComplianceCleanup(db, logger);
-            updateStatus("last_cleanup", new Date().toISOString()); // 🔑 UPDATE STATUS ON SUCCESS
+  // Sign out visits still open at the closing time (AUTO_SIGN_OUT_TIME), now and every
+  // 5 minutes; each gets the closing time as its exit time, however late the check runs.
+  const runAutoSignOut = () =>
+    signOutOpenVisits(db, logger)
+      .then((count) => {
+        if (count > 0) updateStatus("last_auto_sign_out", { at: new Date().toISOString(), visits: count }); // 🔑 LATEST AUTOMATIC SIGN-OUT
+      })
+      .catch((err) => logger.error("Error signing out open visits:", err.message));
+  runAutoSignOut();
+  setInterval(runAutoSignOut, AUTO_SIGN_OUT_CHECK_MS);
 
-            // Router usage Attached only after DB is ready
-            app.get("/api/status", (req, res) => {
-              res.json(getStatus());
-            });
+  // Verify the audit hash chains before the cleanup job appends to them.
+  checkAuditChains(db, logger).then((chains) => {
+    updateStatus("audit_chain", chains.audit_logs); // 🔑 REPORTS THE FIRST BROKEN LINK
+    updateStatus("audit_events_chain", chains.audit_events);
 
-            app.use("/api/audit/", createAuditRouter(db, logger));
-            app.use("/", createRegistrationRouter(db, upload, logger));
-            app.use("/", createVisitorsRouter(db, logger));
-            app.use("/", createLoginRouter(db, logger));
-            app.use("/", createUpdateVisitorRouter(db, logger));
-            app.use("/", createLogoutRouter(db, logger));
-            app.use("/", createBanVisitorRouter(db, logger));
-            app.use("/", createUnbanVisitorRouter(db, logger));
-            app.use("/", createSearchVisitorsRouter(db, logger));
-            app.use("/", createMissedVisitRouter(db, logger));
-            app.use("/", createHistoryRouter(db, logger));
-            if (process.env.SENTRY_DSN) {
-              Sentry.setupExpressErrorHandler(app);
-            }
-            // Custom error formatter for Winston logger
-            app.use((err, req, res, next) => {
-              logger.error(`Unhandled Server Error: ${err.message}`);
-              res.status(500).json({
-                error: "Internal Server Error",
-                message: err.message,
-              });
-            });
-            //  START LISTENING ONLY AFTER ALL DB WORK AND ROUTERS ARE ATTACHED
-            app.listen(PORT, () => {
-              logger.info(`Server is running on http://localhost:${PORT}`);
-            });
-          });
-        });
-      });
+    // Running cleanup job.
+    runDataComplianceCleanup(db, logger);
+    updateStatus("last_cleanup", new Date().toISOString()); // 🔑 UPDATE STATUS ON SUCCESS
+  });
+
+  // Router usage Attached only after DB is ready
+  app.get("/api/status", (req, res) => {
+    // Lockouts and overdue visits are read live so they drop off on their own. This
+    // endpoint needs no sign-in, so lockouts are only counted: who is locked out is
+    // for managers, from GET /staff/lockouts.
+    Promise.all([
+      countActiveLockouts(db).catch((err) => {
+        logger.error("SQL Error reading lockouts for status:", err.message);
+        return null;
+      }),
+      visits.countOverdue(db).catch((err) => {
+        logger.error("SQL Error counting overdue visits for status:", err.message);
+        return null;
+      }),
+    ]).then(([lockout_count, overdue_visits]) => res.json({ ...getStatus(), lockout_count, overdue_visits }));
+  });
+
+  app.use("/api/audit/", createAuditRouter(db, logger));
+  app.use("/", createStaffLoginRouter(db, logger));
+  app.use("/", createRegistrationRouter(db, upload, logger));
+  app.use("/", createVisitorsRouter(db, logger));
+  app.use("/", createLoginRouter(db, logger));
+  app.use("/", createUpdateVisitorRouter(db, logger));
+  app.use("/", createLogoutRouter(db, logger));
+  app.use("/", createBanVisitorRouter(db, logger));
+  app.use("/", createUnbanVisitorRouter(db, logger));
+  app.use("/", createVisitorFlagsRouter(db, logger));
+  app.use("/", createVisitorDetailsRouter(db, logger));
+  app.use("/", createUnitRestrictionsRouter(db, logger));
+  app.use("/", createSitesRouter(db, logger));
+  app.use("/", createUnitsRouter(db, logger));
+  app.use("/", createHostsRouter(db, logger));
+  app.use("/", createVisitorTypesRouter(db, logger));
+  app.use("/", createAgreementsRouter(db, logger));
+  app.use("/", createAppointmentsRouter(db, logger));
+  app.use("/", createEvacuationsRouter(db, logger));
+  app.use("/", createSearchVisitorsRouter(db, logger));
+  app.use("/", createMissedVisitRouter(db, logger));
+  app.use("/", createHistoryRouter(db, logger));
+  app.use("/", createAutoSignOutRouter(db, logger));
+  if (process.env.SENTRY_DSN) {
+    Sentry.setupExpressErrorHandler(app);
+  }
+  // Custom error formatter for Winston logger
+  app.use((err, req, res, next) => {
+    logger.error(`Unhandled Server Error: ${err.message}`);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: err.message,
     });
   });
+  //  START LISTENING ONLY AFTER ALL DB WORK AND ROUTERS ARE ATTACHED
+  app.listen(PORT, () => {
+    logger.info(`Server is running on http://localhost:${PORT}`);
+  });
 };
 
 if (require.main === module) {
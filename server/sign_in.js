@@ -0,0 +1,327 @@
+// Signing in a returning visitor: the checks and writes behind POST /login, shared with
+// signing in from an appointment. The new visit repeats the last visit's details unless
+// the caller gives others, and is refused for a ban, a visit still open, a retired unit
+// or one at another site, a unit restriction, agreement text out of date or an agreement
+// due again that blocks; a watchlist match holds it until staff acknowledge it. The
+// visit's host is told the visitor has arrived once it is saved.
+const { recordAuditEvent } = require("./audit_trail");
+const { liftExpiredBans } = require("./bans");
+const {
+  findWatchlistMatches,
+  watchlistWarning,
+  isWatchlistAcknowledged,
+} = require("./watchlist");
+const { findUnitRestriction, unitRestrictedResponse } = require("./unit_restrictions");
+const { findUnit } = require("./units");
+const { findHost, resolveVisitHost } = require("./hosts");
+const { notifyHostOfArrival } = require("./host_notifications");
+const { resolveSite, CHOOSE_SITE_MESSAGE } = require("./sites");
+const { findVisitorTypeByCode, resolveExpectedDuration } = require("./visitor_types");
+const {
+  resolveAcceptedVersions,
+  findOutstandingAgreement,
+  outstandingAgreementResponse,
+  readSignature,
+  saveSignature,
+  discardSignature,
+  UNREADABLE_SIGNATURE_MESSAGE,
+} = require("./agreements");
+const { withTransaction, visitors, visits, dependents } = require("./repository");
+
+/**
+ * The 409 for a visitor who still has a visit open: a visitor is on site at most
+ * once, as a second open visit would be counted twice.
+ *
+ * @param {object} row - The visitor's profile ({ first_name, last_name }).
+ * @returns {{ status: number, body: object }}
+ */
+function alreadySignedIn(row) {
+  return {
+    status: 409,
+    body: {
+      message: `${row.first_name} ${row.last_name} is already signed in. Please sign them out before signing them in again.`,
+    },
+  };
+}
+
+/**
+ * Signs in an existing visitor at a site.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} logger - The logging instance.
+ * @param {object} req - The request, for the audit actor and watchlist photo URLs.
+ * @param {object} input - The POST /login body: { id, site_id, watchlist_acknowledged,
+ *   signature, agreement_version_id, child_agreement_version_id, expected_duration_minutes,
+ *   host_id }. A host_id sent replaces the last visit's host; blank means no host.
+ * @param {object} [options] - { details: VISIT_DETAILS to use instead of the last visit's,
+ *   dependents: who comes along instead of the last visit's dependents, audit: more
+ *   values for the visit.sign_in event, onVisit: called with the new visit ID inside
+ *   the transaction that saves it, holdHostNotice: leave telling the host to the caller,
+ *   who runs the returned notifyHost once its own transaction has committed }.
+ * @returns {Promise<{ status: number, body: object, visitId?: number, notifyHost?: function }>}
+ *   The response to send.
+ */
+async function signInReturningVisitor(db, logger, req, input, options = {}) {
+  const { id, site_id, watchlist_acknowledged } = input;
+  const entry_time = new Date().toISOString();
+
+  if (!id) {
+    // 🔑 LOGGING: Missing ID (400 Bad Request)
+    logger.warn(
+      "Login attempt failed: Missing visitor ID in request body (400)."
+    );
+    return { status: 400, body: { message: "Visitor ID is required for login." } };
+  }
+  const signature = readSignature(input.signature);
+  if (signature.invalid) {
+    logger.warn(`Login of visitor ID ${id} refused: Unreadable signature (400).`);
+    return { status: 400, body: { message: UNREADABLE_SIGNATURE_MESSAGE } };
+  }
+
+  // Lift any bans that have run out before checking whether this visitor is banned
+  await liftExpiredBans(db, logger).catch((liftErr) =>
+    logger.error("SQL Error lifting expired bans:", liftErr.message)
+  );
+
+  // Step 1: Find the site and the last visit's details, including dependents.
+  let site;
+  let row;
+  let openVisit;
+  try {
+    site = await resolveSite(db, site_id);
+    row = await visitors.findWithLatestVisit(db, id);
+    openVisit = row && (await visits.findActive(db, id));
+  } catch (err) {
+    logger.error("SQL Error in login:", err.message);
+    return { status: 500, body: { error: err.message } };
+  }
+
+  if (!site) {
+    logger.warn(`Login failed for ID ${id}: No active site given (400).`);
+    return { status: 400, body: { message: CHOOSE_SITE_MESSAGE } };
+  }
+  if (!row) {
+    logger.warn(`Login failed for ID ${id}: Visitor not found (404).`);
+    return { status: 404, body: { message: "Visitor not found." } };
+  }
+  if (row.is_banned === 1) {
+    logger.warn(
+      `Login attempt by banned visitor ID ${id} blocked (403 Forbidden).`
+    );
+    return { status: 403, body: { message: "This visitor is banned and cannot log in." } };
+  }
+  if (openVisit) {
+    logger.warn(`Login of visitor ID ${id} refused: Already signed in (visit ID ${openVisit.visit_id}) (409).`);
+    return alreadySignedIn(row);
+  }
+  const visitDetails = { ...visits.pickDetails(row), ...options.details };
+  const visitDependents = options.dependents || row.dependents;
+  if (!visitDetails.unit || !visitDetails.type) {
+    logger.warn(`Login of visitor ID ${id} refused: No previous visit to repeat (409).`);
+    return {
+      status: 409,
+      body: {
+        message: "This visitor has no previous visit to repeat. Please update the visitor's details to sign them in.",
+      },
+    };
+  }
+
+  // Refuse a unit that has been retired, belongs to another site or that this
+  // visitor may not visit, agreement text shown that is out of date or an agreement
+  // due again that blocks sign-in, then warn staff when their details match someone
+  // who is banned
+  let watchlistMatches;
+  let expectedDuration;
+  let accepted;
+  let outstanding = null;
+  let host = null;
+  try {
+    const lastUnit = visitDetails.unit_id ? await findUnit(db, visitDetails.unit_id) : null;
+    if (lastUnit && !lastUnit.is_active) {
+      logger.warn(
+        `Login of visitor ID ${id} refused: unit ${lastUnit.name} is no longer in use (409).`
+      );
+      return {
+        status: 409,
+        body: {
+          message: `Unit ${lastUnit.name} is no longer in use. Please update the visitor's details and choose another unit.`,
+        },
+      };
+    }
+    if (lastUnit && lastUnit.site_id !== site.id) {
+      logger.warn(
+        `Login of visitor ID ${id} at site ${site.id} refused: last unit ${lastUnit.name} is at site ${lastUnit.site_id} (409).`
+      );
+      return {
+        status: 409,
+        body: {
+          message: `Unit ${lastUnit.name} is not at ${site.name}. Please update the visitor's details and choose a unit here.`,
+        },
+      };
+    }
+    const restriction = await findUnitRestriction(db, id, {
+      id: visitDetails.unit_id,
+      name: visitDetails.unit,
+    });
+    if (restriction) {
+      logger.warn(
+        `Login of visitor ID ${id} refused: may not visit unit ${restriction.unit} (403).`
+      );
+      return { status: 403, body: unitRestrictedResponse(restriction) };
+    }
+    // A host chosen now must be in the site's directory; the last visit's host is
+    // kept only while they still are
+    if (input.host_id !== undefined) {
+      const chosen = await resolveVisitHost(db, input.host_id, site.id);
+      if (chosen.problem) {
+        logger.warn(`Login of visitor ID ${id} refused: Unknown or inactive host (400).`);
+        return { status: 400, body: { message: chosen.problem } };
+      }
+      host = chosen.host;
+    } else if (visitDetails.host_id) {
+      const lastHost = await findHost(db, visitDetails.host_id);
+      host = lastHost && lastHost.is_active && lastHost.site_id === site.id ? lastHost : null;
+    }
+    // The type of the last visit, even if since retired, says which agreement applies
+    // and how long the visit is expected to last unless staff give another length
+    const visitorType = await findVisitorTypeByCode(db, visitDetails.type);
+    expectedDuration = resolveExpectedDuration(visitorType, input.expected_duration_minutes);
+    if (expectedDuration.problem) {
+      logger.warn(`Login of visitor ID ${id} refused: ${expectedDuration.problem} (400).`);
+      return { status: 400, body: { message: expectedDuration.problem } };
+    }
+    accepted = visitorType
+      ? await resolveAcceptedVersions(db, visitorType, input, visitDependents.length)
+      : { agreementVersion: null, childAgreementVersion: null };
+    if (accepted.problem) {
+      logger.warn(`Login of visitor ID ${id} refused: Agreement shown is out of date (409).`);
+      return { status: 409, body: { message: accepted.problem } };
+    }
+    outstanding = visitorType
+      ? await findOutstandingAgreement(db, id, visitorType, accepted.agreementVersion)
+      : null;
+    if (outstanding && outstanding.enforcement === "block") {
+      logger.warn(
+        `Login of visitor ID ${id} refused: ${outstanding.name} is outstanding (${outstanding.outstanding}) (409).`
+      );
+      return { status: 409, body: outstandingAgreementResponse(outstanding) };
+    }
+    watchlistMatches = await findWatchlistMatches(db, {
+      visitor_id: id,
+      first_name: row.first_name,
+      last_name: row.last_name,
+      known_as: row.known_as,
+      address: row.address,
+      phone_number: row.phone_number,
+    });
+  } catch (checkErr) {
+    logger.error("SQL Error during unit restriction or watchlist check:", checkErr.message);
+    return { status: 500, body: { error: checkErr.message } };
+  }
+
+  if (watchlistMatches.length > 0 && !isWatchlistAcknowledged(watchlist_acknowledged)) {
+    logger.warn(
+      `Login of visitor ID ${id} held: ${watchlistMatches.length} watchlist match(es) (409).`
+    );
+    await recordAuditEvent(db, logger, req, {
+      action: "visitor.watchlist_warning",
+      visitorId: Number(id),
+      after: {
+        matches: watchlistMatches.map(({ visitor_id, matched_on }) => ({ visitor_id, matched_on })),
+      },
+    });
+    return { status: 409, body: watchlistWarning(req, watchlistMatches) };
+  }
+  const watchlistOverride = watchlistMatches.map((match) => match.visitor_id);
+  const { agreementVersion, childAgreementVersion } = accepted;
+
+  // Step 2: Insert a new visit with the last visit's details and dependents, under the
+  // contact details currently on the profile, with the agreement versions accepted
+  // and any signature, all or nothing.
+  let newVisitId;
+  let signature_path = null;
+  try {
+    newVisitId = await withTransaction(db, async () => {
+      // Checked again here, as the same visitor may be signing in twice at once
+      if (await visits.findActive(db, id)) return null;
+      signature_path = signature.image ? await saveSignature(signature.image) : null;
+      const visitId = await visits.create(db, {
+        ...visitDetails,
+        host_id: host && host.id,
+        host_name: host && host.name,
+        visitor_id: id,
+        site_id: site.id,
+        entry_time,
+        details_version: row.details_version || null,
+        agreement_version_id: agreementVersion && agreementVersion.version_id,
+        signature_path,
+        expected_duration_minutes: expectedDuration.minutes,
+      });
+      await dependents.addToVisit(
+        db,
+        visitId,
+        visitDependents,
+        childAgreementVersion && childAgreementVersion.version_id
+      );
+      await recordAuditEvent(db, logger, req, {
+        action: "visit.sign_in",
+        visitorId: Number(id),
+        visitId,
+        after: {
+          entry_time,
+          site_id: site.id,
+          unit: visitDetails.unit,
+          type: visitDetails.type,
+          host_id: host && host.id,
+          expected_duration_minutes: expectedDuration.minutes,
+          agreement_version_id: agreementVersion && agreementVersion.version_id,
+          ...(signature_path && { signature_path }),
+          ...(outstanding && { agreement_outstanding: outstanding.outstanding }),
+          ...(watchlistOverride.length > 0 && { watchlist_override: watchlistOverride }),
+          ...options.audit,
+        },
+      });
+      if (options.onVisit) await options.onVisit(visitId);
+      return visitId;
+    });
+  } catch (err) {
+    logger.error("SQL Error inserting new visit:", err.message);
+    if (signature_path) await discardSignature(logger, signature_path);
+    return { status: 500, body: { error: err.message } };
+  }
+  if (newVisitId === null) {
+    logger.warn(`Login of visitor ID ${id} refused: Already signed in (409).`);
+    return alreadySignedIn(row);
+  }
+
+  if (outstanding) {
+    logger.warn(`Visitor ID ${id} signed in with ${outstanding.name} outstanding (${outstanding.outstanding}).`);
+  }
+  logger.info(
+    `SUCCESS: Visitor ID ${id} signed in successfully. New Visit ID: ${newVisitId}.`
+  );
+  const notifyHost = () =>
+    host &&
+    notifyHostOfArrival(db, logger, req, {
+      host,
+      visitId: newVisitId,
+      visitorId: id,
+      visitorName: `${row.first_name} ${row.last_name}`,
+      siteName: site.name,
+      unit: visitDetails.unit,
+      entryTime: entry_time,
+    });
+  if (!options.holdHostNotice) notifyHost();
+  return {
+    status: 200,
+    visitId: newVisitId,
+    ...(options.holdHostNotice && { notifyHost }),
+    body: {
+      message: "Visitor signed in successfully!",
+      visitorData: { ...row, id: id },
+      ...(outstanding && { agreement_warning: outstanding.message }),
+    },
+  };
+}
+
+module.exports = { signInReturningVisitor, alreadySignedIn };
@@ -0,0 +1,98 @@
+// Sites: the centres visits, units and staff belong to. The kiosk says which site it
+// is running at with site_id (a query parameter for reads, a body field for sign-ins);
+// an installation with a single active site may leave it out.
+const { run, get, all } = require("./repository/db");
+
+// Sent back when a request names no site, or one that is not active
+const CHOOSE_SITE_MESSAGE = "Please choose a site.";
+
+// Longest site name accepted
+const MAX_SITE_NAME_LENGTH = 100;
+
+/**
+ * Lists every site, active ones first, then by name.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @returns {Promise<Array<object>>} Site rows.
+ */
+function listSites(db) {
+  return all(db, `SELECT * FROM sites ORDER BY is_active DESC, name COLLATE NOCASE ASC, id ASC`);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} siteId - The site ID.
+ * @returns {Promise<object|undefined>} The site row, active or not.
+ */
+function findSite(db, siteId) {
+  return get(db, `SELECT * FROM sites WHERE id = ?`, [siteId]);
+}
+
+/**
+ * Finds a site with this name, ignoring case (site names are unique).
+ *
+ * @param {number} [exceptId] - A site to leave out (the one being renamed).
+ * @returns {Promise<object|undefined>} The site row.
+ */
+function findSiteByName(db, name, exceptId = null) {
+  return get(db, `SELECT * FROM sites WHERE LOWER(name) = LOWER(?) AND id IS NOT ?`, [
+    name,
+    exceptId === null ? null : Number(exceptId),
+  ]);
+}
+
+/**
+ * Works out the site a request is for: the active site it names or, when it names
+ * none, the only active site there is.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} [siteId] - site_id from the request.
+ * @returns {Promise<object|null>} The site row, or null when there is no such active site
+ *   (or none was named and there are several).
+ */
+async function resolveSite(db, siteId) {
+  if (siteId !== undefined && siteId !== null && siteId !== "") {
+    const site = await findSite(db, siteId);
+    return site && site.is_active ? site : null;
+  }
+  const active = await all(db, `SELECT * FROM sites WHERE is_active = 1`);
+  return active.length === 1 ? active[0] : null;
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} site - { name, created_at }.
+ * @returns {Promise<number>} The new site ID.
+ */
+async function addSite(db, site) {
+  const result = await run(db, `INSERT INTO sites (name, is_active, created_at) VALUES (?, 1, ?)`, [
+    site.name,
+    site.created_at,
+  ]);
+  return result.lastID;
+}
+
+/**
+ * Saves a site's name and active flag.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} site - The full site row with the new values.
+ */
+async function updateSite(db, site) {
+  await run(db, `UPDATE sites SET name = ?, is_active = ? WHERE id = ?`, [
+    site.name,
+    site.is_active ? 1 : 0,
+    site.id,
+  ]);
+}
+
+module.exports = {
+  CHOOSE_SITE_MESSAGE,
+  MAX_SITE_NAME_LENGTH,
+  listSites,
+  findSite,
+  findSiteByName,
+  resolveSite,
+  addSite,
+  updateSite,
+};
@@ -5,6 +5,14 @@ const appStatus = {
     last_backup: 'N/A', 
     // Latest time the data cleanup job successfully completed
     last_cleanup: 'N/A', 
+    // Result of the latest audit_logs hash chain check (first_broken is set when it fails)
+    audit_chain: 'N/A',
+    // Result of the latest audit_events hash chain check, the same shape as audit_chain
+    audit_events_chain: 'N/A',
+    // Latest run of the end-of-day sign-out that closed visits ({ at, visits })
+    last_auto_sign_out: 'N/A',
+    // Latest schema migration applied to the database at start-up
+    schema_version: 'N/A',
     // Used to log the last severe error message (null if OK)
     last_error: null 
 };
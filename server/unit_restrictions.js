@@ -0,0 +1,172 @@
+// Unit restrictions: units a visitor may not visit, even though they are not banned.
+// A restriction names a unit from the managed list by unit_id and is matched on it,
+// whatever the unit is called now. Restrictions from before the list, and visits
+// without a unit_id, are compared by name after normalising ("Unit 4", "unit4" and
+// "4" are the same unit). Sign-in, re-registration and registration refuse a
+// restricted unit with a 403.
+const { matchProfile, loadProfiles } = require("./watchlist");
+const { run, get, all } = require("./repository/db");
+
+/**
+ * Reduces a free-text unit to a comparable key: lower case, letters and digits
+ * only, without a leading "unit", "flat" or "room".
+ */
+function normalizeUnit(unit) {
+  if (!unit) return "";
+  return String(unit)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/^(unit|flat|room)(?=.)/, "");
+}
+
+// Restrictions in force, each with its unit's current name.
+function loadRestrictions(db, condition, params) {
+  return all(
+    db,
+    `SELECT T1.id, T1.visitor_id, T1.unit_id, COALESCE(T2.name, T1.unit) AS unit, T1.reason,
+            T1.created_by_staff_id, T1.created_by, T1.created_at, T1.removed_at,
+            T1.removed_by_staff_id, T1.removed_by
+     FROM unit_restrictions AS T1
+     LEFT JOIN units AS T2 ON T1.unit_id = T2.id
+     WHERE T1.removed_at IS NULL AND ${condition}
+     ORDER BY T1.created_at ASC, T1.id ASC`,
+    params
+  );
+}
+
+/**
+ * Whether a restriction covers a unit: by ID when both have one, else by name.
+ *
+ * @param {object} restriction - A row from loadRestrictions.
+ * @param {object} unit - { id, name }; id is null for a visit from before the units list.
+ * @returns {boolean}
+ */
+function restrictsUnit(restriction, unit) {
+  if (restriction.unit_id && unit.id) return restriction.unit_id === Number(unit.id);
+  const key = normalizeUnit(unit.name);
+  return key !== "" && normalizeUnit(restriction.unit) === key;
+}
+
+/**
+ * Lists a visitor's restrictions that are in force.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @returns {Promise<Array<object>>} Restriction rows, oldest first.
+ */
+function getUnitRestrictions(db, visitorId) {
+  return loadRestrictions(db, "T1.visitor_id = ?", [visitorId]);
+}
+
+/**
+ * Finds the restriction, if any, that stops a visitor going to a unit.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @param {object} unit - The unit they are signing in to: { id, name }.
+ * @returns {Promise<object|null>} The restriction row, or null when the unit is allowed.
+ */
+async function findUnitRestriction(db, visitorId, unit) {
+  const restrictions = await getUnitRestrictions(db, visitorId);
+  return restrictions.find((restriction) => restrictsUnit(restriction, unit)) || null;
+}
+
+/**
+ * For a new registration: finds a restriction on the unit held by an existing
+ * profile the new details match by name or phone number, so a restriction can
+ * not be dodged by registering again under a slightly different name.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} candidate - { first_name, last_name, known_as, address, phone_number }.
+ * @param {object} unit - The unit they are registering to visit: { id, name }.
+ * @returns {Promise<object|null>} The restriction row, or null when the unit is allowed.
+ */
+async function findRegistrationRestriction(db, candidate, unit) {
+  const restrictions = (await loadRestrictions(db, "1 = 1", [])).filter((restriction) =>
+    restrictsUnit(restriction, unit)
+  );
+  if (restrictions.length === 0) return null;
+
+  const visitorIds = [...new Set(restrictions.map((restriction) => restriction.visitor_id))];
+  const profiles = await loadProfiles(
+    db,
+    `T1.id IN (${visitorIds.map(() => "?").join(", ")})`,
+    visitorIds
+  );
+  const matched = profiles.find((profile) =>
+    matchProfile(candidate, profile).some((field) => field === "name" || field === "phone_number")
+  );
+  return matched
+    ? restrictions.find((restriction) => restriction.visitor_id === matched.id)
+    : null;
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} restrictionId - The restriction ID.
+ * @returns {Promise<object|undefined>} The restriction row, lifted or not.
+ */
+function findUnitRestrictionById(db, restrictionId) {
+  return get(db, `SELECT * FROM unit_restrictions WHERE id = ?`, [restrictionId]);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} restriction - { visitor_id, unit_id, unit, reason, created_by_staff_id, created_by, created_at }.
+ * @returns {Promise<number>} The new restriction ID.
+ */
+async function addUnitRestriction(db, restriction) {
+  const result = await run(
+    db,
+    `INSERT INTO unit_restrictions (visitor_id, unit_id, unit, reason, created_by_staff_id, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      restriction.visitor_id,
+      restriction.unit_id,
+      restriction.unit,
+      restriction.reason,
+      restriction.created_by_staff_id,
+      restriction.created_by,
+      restriction.created_at,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Marks a restriction lifted by a staff member ({ id, username }).
+ */
+async function liftUnitRestriction(db, restrictionId, staff) {
+  await run(
+    db,
+    `UPDATE unit_restrictions SET removed_at = ?, removed_by_staff_id = ?, removed_by = ? WHERE id = ?`,
+    [new Date().toISOString(), staff.id, staff.username, restrictionId]
+  );
+}
+
+/**
+ * The 403 response body for a restricted unit.
+ *
+ * @param {object} restriction - The restriction row.
+ * @returns {{message: string, restricted_unit: string}}
+ */
+function unitRestrictedResponse(restriction) {
+  return {
+    message: `This visitor may not visit unit ${restriction.unit}${
+      restriction.reason ? ` (${restriction.reason})` : ""
+    }. Please check with a manager.`,
+    restricted_unit: restriction.unit,
+  };
+}
+
+module.exports = {
+  normalizeUnit,
+  restrictsUnit,
+  getUnitRestrictions,
+  findUnitRestriction,
+  findRegistrationRestriction,
+  findUnitRestrictionById,
+  addUnitRestriction,
+  liftUnitRestriction,
+  unitRestrictedResponse,
+};
@@ -0,0 +1,130 @@
+// Units: the managed list of places a visitor can be signed in to, per site. Admins
+// add, rename and retire units; a visit must name an active unit of its site. Names
+// are compared the way unit restrictions compare them, so "Flat 4" and "flat4" can
+// not both exist at one site.
+const { run, get, all } = require("./repository/db");
+const { normalizeUnit } = require("./unit_restrictions");
+
+// Longest unit, building or floor text accepted.
+const MAX_UNIT_FIELD_LENGTH = 100;
+
+// Sent back when a sign-in names no unit, or one that is not on the active list
+const CHOOSE_UNIT_MESSAGE = "Please choose a unit from the list.";
+
+/**
+ * Lists units, active ones first, then by name.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} [siteId] - Only this site's units; every site's when left out.
+ * @returns {Promise<Array<object>>} Unit rows.
+ */
+function listUnits(db, siteId = null) {
+  return all(
+    db,
+    `SELECT * FROM units
+     ${siteId === null ? "" : "WHERE site_id = ?"}
+     ORDER BY is_active DESC, name COLLATE NOCASE ASC, id ASC`,
+    siteId === null ? [] : [siteId]
+  );
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} unitId - The unit ID.
+ * @returns {Promise<object|undefined>} The unit row, active or not.
+ */
+function findUnit(db, unitId) {
+  return get(db, `SELECT * FROM units WHERE id = ?`, [unitId]);
+}
+
+/**
+ * Finds the unit a name refers to at a site ("unit 4" finds "Flat 4").
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} name - The unit name as typed.
+ * @param {number} siteId - The site whose units are searched.
+ * @param {number} [exceptId] - A unit to leave out (the one being renamed).
+ * @returns {Promise<object|null>} The unit row, active or not.
+ */
+async function findUnitByName(db, name, siteId, exceptId = null) {
+  const key = normalizeUnit(name);
+  if (!key) return null;
+  const units = await listUnits(db, siteId);
+  return (
+    units.find((unit) => unit.id !== Number(exceptId) && normalizeUnit(unit.name) === key) || null
+  );
+}
+
+/**
+ * Works out the unit a sign-in is for, from the unit_id chosen in the form or,
+ * failing that, the unit name sent.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} input - { unit_id, unit } from the request body.
+ * @param {number} siteId - The site the visitor is signing in at.
+ * @returns {Promise<object|null>} The active unit row, or null when the site has no such active unit.
+ */
+async function resolveVisitUnit(db, { unit_id, unit }, siteId) {
+  const found = unit_id ? await findUnit(db, unit_id) : await findUnitByName(db, unit, siteId);
+  return found && found.is_active && found.site_id === siteId ? found : null;
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} unit - { site_id, name, building, floor, created_at }.
+ * @returns {Promise<number>} The new unit ID.
+ */
+async function addUnit(db, unit) {
+  const result = await run(
+    db,
+    `INSERT INTO units (site_id, name, building, floor, is_active, created_at) VALUES (?, ?, ?, ?, 1, ?)`,
+    [unit.site_id, unit.name, unit.building, unit.floor, unit.created_at]
+  );
+  return result.lastID;
+}
+
+/**
+ * Saves a unit's name, building, floor and active flag.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} unit - The full unit row with the new values.
+ */
+async function updateUnit(db, unit) {
+  await run(db, `UPDATE units SET name = ?, building = ?, floor = ?, is_active = ? WHERE id = ?`, [
+    unit.name,
+    unit.building,
+    unit.floor,
+    unit.is_active ? 1 : 0,
+    unit.id,
+  ]);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} unitId - The unit ID.
+ * @returns {Promise<number>} How many visits were made to the unit.
+ */
+async function countUnitVisits(db, unitId) {
+  const row = await get(db, `SELECT COUNT(*) AS count FROM visits WHERE unit_id = ?`, [unitId]);
+  return row.count;
+}
+
+/**
+ * Deletes a unit. Only for units no visit refers to; others are retired instead.
+ */
+async function removeUnit(db, unitId) {
+  await run(db, `DELETE FROM units WHERE id = ?`, [unitId]);
+}
+
+module.exports = {
+  MAX_UNIT_FIELD_LENGTH,
+  CHOOSE_UNIT_MESSAGE,
+  listUnits,
+  findUnit,
+  findUnitByName,
+  resolveVisitUnit,
+  addUnit,
+  updateUnit,
+  countUnitVisits,
+  removeUnit,
+};
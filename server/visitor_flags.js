@@ -0,0 +1,79 @@
+// Visitor flags: warnings short of a ban ("must be escorted", "no access to unit 4",
+// "staff to check with manager"). A flag never stops a visitor signing in; it is
+// shown to staff whenever the visitor is selected or on site, until it expires or
+// a staff member removes it.
+const { run, get, all } = require("./repository/db");
+
+// SQL condition for a flag that is still showing, for the given visitor_flags alias.
+// Takes the current time as its one parameter.
+const activeFlagSql = (alias) =>
+  `${alias}.removed_at IS NULL AND (${alias}.expires_at IS NULL OR ${alias}.expires_at > ?)`;
+
+// Longest flag text accepted, so a banner stays readable.
+const MAX_FLAG_LENGTH = 200;
+
+/**
+ * Lists a visitor's flags that are still showing, oldest first.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} visitorId - The visitor ID.
+ * @returns {Promise<Array<object>>} Flag rows.
+ */
+function getActiveFlags(db, visitorId) {
+  return all(
+    db,
+    `SELECT T1.* FROM visitor_flags AS T1 WHERE T1.visitor_id = ? AND ${activeFlagSql("T1")} ORDER BY T1.created_at ASC, T1.id ASC`,
+    [visitorId, new Date().toISOString()]
+  );
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} flagId - The flag ID.
+ * @returns {Promise<object|undefined>} The flag row, removed or not.
+ */
+function findFlag(db, flagId) {
+  return get(db, `SELECT * FROM visitor_flags WHERE id = ?`, [flagId]);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} flag - { visitor_id, flag_text, created_by_staff_id, created_by, created_at, expires_at }.
+ * @returns {Promise<number>} The new flag ID.
+ */
+async function addFlag(db, flag) {
+  const result = await run(
+    db,
+    `INSERT INTO visitor_flags (visitor_id, flag_text, created_by_staff_id, created_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      flag.visitor_id,
+      flag.flag_text,
+      flag.created_by_staff_id,
+      flag.created_by,
+      flag.created_at,
+      flag.expires_at,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Marks a flag removed by a staff member ({ id, username }).
+ */
+async function removeFlag(db, flagId, staff) {
+  await run(
+    db,
+    `UPDATE visitor_flags SET removed_at = ?, removed_by_staff_id = ?, removed_by = ? WHERE id = ?`,
+    [new Date().toISOString(), staff.id, staff.username, flagId]
+  );
+}
+
+module.exports = {
+  activeFlagSql,
+  MAX_FLAG_LENGTH,
+  getActiveFlags,
+  findFlag,
+  addFlag,
+  removeFlag,
+};
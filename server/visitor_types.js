@@ -0,0 +1,176 @@
+// Visitor types: the kinds of visitor the forms offer (guest, contractor, ...), kept as
+// configuration. Each type says whether the company name, reason for the visit and
+// address are hidden, optional or required, whether dependents may come along, which
+// agreement must be signed and the usual length of a visit, which a sign-in expects
+// unless staff give another. visits.type stores the type's code, which never changes
+// once the type exists.
+const { run, get, all } = require("./repository/db");
+
+// How a type treats an optional field of the sign-in form
+const FIELD_SETTINGS = ["hidden", "optional", "required"];
+
+// The sign-in fields a type can hide or require, with how the error names them
+const TYPE_FIELDS = {
+  company_field: { detail: "company_name", label: "A company name" },
+  reason_field: { detail: "reason_for_visit", label: "A reason for the visit" },
+  address_field: { detail: "address", label: "An address" },
+};
+
+// The longest visit a type or a sign-in can expect (a day), in minutes
+const MAX_DURATION_MINUTES = 24 * 60;
+
+// Sent back when a sign-in names no visitor type, or one that is not active
+const CHOOSE_VISITOR_TYPE_MESSAGE = "Please choose a visitor type from the list.";
+
+/**
+ * Lists every visitor type, active ones first, in the order the forms offer them.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @returns {Promise<Array<object>>} Visitor type rows.
+ */
+function listVisitorTypes(db) {
+  return all(db, `SELECT * FROM visitor_types ORDER BY is_active DESC, sort_order ASC, name COLLATE NOCASE ASC`);
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {number|string} typeId - The visitor type ID.
+ * @returns {Promise<object|undefined>} The visitor type row, active or not.
+ */
+function findVisitorType(db, typeId) {
+  return get(db, `SELECT * FROM visitor_types WHERE id = ?`, [typeId]);
+}
+
+/**
+ * Finds the visitor type with this code, ignoring case ("Visitor" finds "visitor").
+ *
+ * @returns {Promise<object|undefined>} The visitor type row, active or not.
+ */
+function findVisitorTypeByCode(db, code) {
+  return get(db, `SELECT * FROM visitor_types WHERE LOWER(code) = LOWER(?)`, [String(code || "").trim()]);
+}
+
+/**
+ * Works out the visitor type a sign-in is for from the type sent.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} code - type from the request body.
+ * @returns {Promise<object|null>} The active visitor type row, or null when there is no such active type.
+ */
+async function resolveVisitorType(db, code) {
+  const found = await findVisitorTypeByCode(db, code);
+  return found && found.is_active ? found : null;
+}
+
+/**
+ * Checks a sign-in's details against what its visitor type requires.
+ *
+ * @param {object} visitorType - The visitor type row.
+ * @param {object} details - The request body (company_name, reason_for_visit, address).
+ * @param {Array<object>} visitDependents - The dependents coming along.
+ * @returns {string|null} A message for staff, or null when the details are complete.
+ */
+function visitDetailsProblem(visitorType, details, visitDependents) {
+  for (const [setting, { detail, label }] of Object.entries(TYPE_FIELDS)) {
+    const value = details[detail];
+    if (visitorType[setting] === "required" && (value === undefined || value === null || String(value).trim() === "")) {
+      return `${label} is required for ${visitorType.name} visitors.`;
+    }
+  }
+  if (!visitorType.allows_dependents && visitDependents.length > 0) {
+    return `${visitorType.name} visitors can not bring dependents.`;
+  }
+  return null;
+}
+
+/**
+ * Works out how long a visit is expected to last from the length given at sign-in,
+ * falling back to the visitor type's usual length.
+ *
+ * @param {object|null} visitorType - The visitor type row, if known.
+ * @param {*} requested - expected_duration_minutes from the request body.
+ * @returns {{ minutes: number|null, problem: string|null }} minutes is null when neither says.
+ */
+function resolveExpectedDuration(visitorType, requested) {
+  if (requested === undefined || requested === null || String(requested).trim() === "") {
+    return { minutes: (visitorType && visitorType.default_duration_minutes) || null, problem: null };
+  }
+  const minutes = Number(requested);
+  if (!Number.isInteger(minutes) || minutes <= 0 || minutes > MAX_DURATION_MINUTES) {
+    return {
+      minutes: null,
+      problem: `The expected visit length must be a whole number of minutes up to ${MAX_DURATION_MINUTES}.`,
+    };
+  }
+  return { minutes, problem: null };
+}
+
+/**
+ * @param {object} db - The SQLite database instance.
+ * @param {object} visitorType - The new row without id or is_active.
+ * @returns {Promise<number>} The new visitor type ID.
+ */
+async function addVisitorType(db, visitorType) {
+  const result = await run(
+    db,
+    `INSERT INTO visitor_types (code, name, company_field, reason_field, address_field, allows_dependents,
+       agreement, default_duration_minutes, sort_order, is_active, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+    [
+      visitorType.code,
+      visitorType.name,
+      visitorType.company_field,
+      visitorType.reason_field,
+      visitorType.address_field,
+      visitorType.allows_dependents ? 1 : 0,
+      visitorType.agreement,
+      visitorType.default_duration_minutes,
+      visitorType.sort_order,
+      visitorType.created_at,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Saves every setting of a visitor type except its code.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} visitorType - The full visitor type row with the new values.
+ */
+async function updateVisitorType(db, visitorType) {
+  await run(
+    db,
+    `UPDATE visitor_types
+     SET name = ?, company_field = ?, reason_field = ?, address_field = ?, allows_dependents = ?,
+         agreement = ?, default_duration_minutes = ?, sort_order = ?, is_active = ?
+     WHERE id = ?`,
+    [
+      visitorType.name,
+      visitorType.company_field,
+      visitorType.reason_field,
+      visitorType.address_field,
+      visitorType.allows_dependents ? 1 : 0,
+      visitorType.agreement,
+      visitorType.default_duration_minutes,
+      visitorType.sort_order,
+      visitorType.is_active ? 1 : 0,
+      visitorType.id,
+    ]
+  );
+}
+
+module.exports = {
+  FIELD_SETTINGS,
+  TYPE_FIELDS,
+  MAX_DURATION_MINUTES,
+  CHOOSE_VISITOR_TYPE_MESSAGE,
+  listVisitorTypes,
+  findVisitorType,
+  findVisitorTypeByCode,
+  resolveVisitorType,
+  visitDetailsProblem,
+  resolveExpectedDuration,
+  addVisitorType,
+  updateVisitorType,
+};
@@ -0,0 +1,234 @@
+// Watchlist: compares the details given at registration or sign-in with every
+// banned profile, so a banned person can not get back in by registering again as
+// "Jon" instead of "John" or under a new known_as. Matches are a warning for
+// staff to check, not a block: the caller decides what to do with them.
+const { all } = require("./repository/db");
+
+// Shortest name fragment that counts as a prefix match ("Jon" for "Jonathan").
+const MIN_PREFIX_LENGTH = 3;
+
+// Phone numbers are compared on their last digits so +44 7700 900123 and 07700900123 match.
+const PHONE_DIGITS_COMPARED = 9;
+
+// How close two addresses must be (1 = identical after normalising).
+const ADDRESS_SIMILARITY = 0.85;
+
+function normalizeName(value) {
+  return value ? String(value).toLowerCase().replace(/[^a-z]/g, "") : "";
+}
+
+function normalizePhone(value) {
+  const digits = value ? String(value).replace(/\D/g, "") : "";
+  return digits.length >= 7 ? digits.slice(-PHONE_DIGITS_COMPARED) : "";
+}
+
+// Street-name abbreviations written out, so "High St" and "High Street" compare equal.
+const ADDRESS_ABBREVIATIONS = {
+  st: "street",
+  rd: "road",
+  ave: "avenue",
+  ln: "lane",
+  dr: "drive",
+  cl: "close",
+  ct: "court",
+  cres: "crescent",
+  pl: "place",
+  sq: "square",
+};
+
+function normalizeAddress(value) {
+  if (!value) return "";
+  return String(value)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(" ");
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * True when two names are probably the same: equal, one typo apart (two for
+ * longer names), or one is the start of the other ("Jon" / "Jonathan").
+ */
+function namesMatch(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return false;
+  if (left === right) return true;
+
+  const shorter = left.length <= right.length ? left : right;
+  const longer = shorter === left ? right : left;
+  if (shorter.length >= MIN_PREFIX_LENGTH && longer.startsWith(shorter)) return true;
+
+  const allowed = shorter.length <= 4 ? 1 : 2;
+  return editDistance(left, right) <= allowed;
+}
+
+function addressesMatch(a, b) {
+  const left = normalizeAddress(a);
+  const right = normalizeAddress(b);
+  if (!left || !right) return false;
+  if (left === right) return true;
+  const longest = Math.max(left.length, right.length);
+  return 1 - editDistance(left, right) / longest >= ADDRESS_SIMILARITY;
+}
+
+/**
+ * Works out which details of a candidate match one banned profile.
+ *
+ * @param {object} candidate - { first_name, last_name, known_as, address, phone_number }.
+ * @param {object} profile - A banned visitor with every known_as, address and phone number on record.
+ * @returns {Array<string>} The fields that matched: name, known_as, phone_number, address.
+ */
+function matchProfile(candidate, profile) {
+  const matchedOn = [];
+
+  // First name (or the name they go by) and surname must both be close
+  const candidateFirstNames = [candidate.first_name, candidate.known_as];
+  const profileFirstNames = [profile.first_name, ...profile.known_as];
+  const firstNameMatches = candidateFirstNames.some((name) =>
+    profileFirstNames.some((other) => namesMatch(name, other))
+  );
+  if (firstNameMatches && namesMatch(candidate.last_name, profile.last_name)) {
+    matchedOn.push("name");
+  }
+
+  // A nickname on its own is only reported when it is the same one (too many near misses otherwise)
+  const knownAs = normalizeName(candidate.known_as);
+  if (knownAs && profile.known_as.some((name) => normalizeName(name) === knownAs)) {
+    matchedOn.push("known_as");
+  }
+
+  const phone = normalizePhone(candidate.phone_number);
+  if (phone && profile.phone_numbers.some((other) => normalizePhone(other) === phone)) {
+    matchedOn.push("phone_number");
+  }
+
+  if (profile.addresses.some((other) => addressesMatch(candidate.address, other))) {
+    matchedOn.push("address");
+  }
+
+  return matchedOn;
+}
+
+/**
+ * Loads the visitors matching a condition (on visitors AS T1) with the distinct
+ * known_as, address and phone number values from every version of their profile.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {string} condition - SQL condition, e.g. "T1.is_banned = 1".
+ * @param {Array} [params] - Parameters for the condition.
+ * @returns {Promise<Array<object>>} Profiles ready for matchProfile.
+ */
+async function loadProfiles(db, condition, params = []) {
+  const sql = `
+    SELECT T1.id, T1.first_name, T1.last_name, T1.photo_path, T2.known_as, T2.address, T2.phone_number
+    FROM visitors AS T1
+    LEFT JOIN visitor_details_history AS T2 ON T1.id = T2.visitor_id
+    WHERE ${condition}
+  `;
+  const rows = await all(db, sql, params);
+
+  const profiles = new Map();
+  rows.forEach((row) => {
+    if (!profiles.has(row.id)) {
+      profiles.set(row.id, {
+        id: row.id,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        photo_path: row.photo_path,
+        known_as: [],
+        addresses: [],
+        phone_numbers: [],
+      });
+    }
+    const profile = profiles.get(row.id);
+    if (row.known_as && !profile.known_as.includes(row.known_as)) profile.known_as.push(row.known_as);
+    if (row.address && !profile.addresses.includes(row.address)) profile.addresses.push(row.address);
+    if (row.phone_number && !profile.phone_numbers.includes(row.phone_number)) {
+      profile.phone_numbers.push(row.phone_number);
+    }
+  });
+  return [...profiles.values()];
+}
+
+/**
+ * Checks a new or returning visitor's details against every banned profile.
+ *
+ * @param {object} db - The SQLite database instance.
+ * @param {object} candidate - { visitor_id, first_name, last_name, known_as, address, phone_number };
+ *   visitor_id is the returning visitor's own profile, which is never reported.
+ * @returns {Promise<Array<object>>} One entry per banned profile that matched:
+ *   { visitor_id, first_name, last_name, photo_path, matched_on }.
+ */
+async function findWatchlistMatches(db, candidate) {
+  const profiles = await loadProfiles(db, "T1.is_banned = 1");
+
+  return profiles
+    .filter((profile) => String(profile.id) !== String(candidate.visitor_id))
+    .map((profile) => ({
+      visitor_id: profile.id,
+      first_name: profile.first_name,
+      last_name: profile.last_name,
+      photo_path: profile.photo_path,
+      matched_on: matchProfile(candidate, profile),
+    }))
+    .filter((match) => match.matched_on.length > 0);
+}
+
+/**
+ * Builds the 409 response body telling staff to check the matches before going ahead.
+ * Photo paths are turned into full URLs, as in the visitor search results.
+ *
+ * @param {object} req - The Express request (for the host of the photo URLs).
+ * @param {Array<object>} matches - Result of findWatchlistMatches.
+ * @returns {{message: string, watchlist_matches: Array<object>}}
+ */
+function watchlistWarning(req, matches) {
+  return {
+    message:
+      "These details match a banned visitor. Check the matches, then confirm to sign this visitor in anyway.",
+    watchlist_matches: matches.map((match) => ({
+      ...match,
+      photo_path: match.photo_path
+        ? `${req.protocol}://${req.get("host")}/${match.photo_path}`
+        : null,
+    })),
+  };
+}
+
+/**
+ * True when staff have seen the watchlist warning and chose to go ahead.
+ * Accepts the boolean from JSON bodies and the "true"/"1" strings of form uploads.
+ */
+function isWatchlistAcknowledged(value) {
+  return value === true || value === 1 || value === "true" || value === "1";
+}
+
+module.exports = {
+  namesMatch,
+  matchProfile,
+  loadProfiles,
+  findWatchlistMatches,
+  watchlistWarning,
+  isWatchlistAcknowledged,
+};
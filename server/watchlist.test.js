@@ -0,0 +1,69 @@
+const { namesMatch, findWatchlistMatches } = require("./watchlist");
+const { initializeDatabase } = require("./db_management");
+
+let mockDb;
+
+// Helper function to promisify db.run
+const runDb = (db, sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve(this);
+        });
+    });
+};
+
+beforeAll(async () => {
+    // Build the database from the schema migrations, as the server does
+    mockDb = await initializeDatabase(':memory:');
+
+    await runDb(mockDb, `INSERT INTO visitors (id, first_name, last_name, is_banned) VALUES (1, 'Jonathan', 'Smith', 1)`);
+    await runDb(mockDb, `INSERT INTO visitor_details_history (visitor_id, version, known_as, address, phone_number, source, changed_at, changed_by) VALUES (1, 1, 'Jono', '4 Mill Lane, Fareham PO16 7AA', '+44 7700 900123', 'registration', '2025-01-01T00:00:00.000Z', 'kiosk')`);
+    // Same name, but not banned: never reported
+    await runDb(mockDb, `INSERT INTO visitors (id, first_name, last_name, is_banned) VALUES (2, 'Jonathan', 'Smith', 0)`);
+});
+
+afterAll((done) => {
+    mockDb.close(done);
+});
+
+describe("watchlist matching", () => {
+    test("should treat short forms and small typos as the same name", () => {
+        expect(namesMatch("Jon", "John")).toBe(true);
+        expect(namesMatch("Jon", "Jonathan")).toBe(true);
+        expect(namesMatch("Smyth", "Smith")).toBe(true);
+        expect(namesMatch("O'Neil", "oneill")).toBe(true);
+        expect(namesMatch("Jo", "Jonathan")).toBe(false);
+        expect(namesMatch("Sarah", "Smith")).toBe(false);
+    });
+
+    test("should match a banned profile on name, phone number, address and known_as", async () => {
+        const matches = await findWatchlistMatches(mockDb, {
+            first_name: "Jon",
+            last_name: "Smyth",
+            known_as: "jono",
+            address: "4 Mill Lane Fareham PO16 7AA",
+            phone_number: "07700 900123",
+        });
+
+        expect(matches).toEqual([
+            expect.objectContaining({
+                visitor_id: 1,
+                matched_on: ["name", "known_as", "phone_number", "address"],
+            }),
+        ]);
+    });
+
+    test("should report nothing for unrelated details or for the banned visitor's own profile", async () => {
+        const unrelated = await findWatchlistMatches(mockDb, {
+            first_name: "Priya",
+            last_name: "Patel",
+            address: "88 Station Road, Havant",
+            phone_number: "07123 456789",
+        });
+        expect(unrelated).toEqual([]);
+
+        const own = await findWatchlistMatches(mockDb, { visitor_id: 1, first_name: "Jonathan", last_name: "Smith" });
+        expect(own).toEqual([]);
+    });
+});